@@ -3,14 +3,27 @@
  * Similar to Brave's Shields - blocks ads, trackers, and unwanted content
  */
 
-// Common ad/tracker domains (subset of EasyList)
+const fs = require('fs');
+const path = require('path');
+const {
+  NetworkFilter,
+  parseFilter,
+  parseFilterList,
+  createFilterRequest,
+  isSubdomainOf
+} = require('./filterParser');
+const { FilterIndex } = require('./requestMatcher');
+const { SettingsStore } = require('./settingsStore');
+const { CosmeticEngine, buildHidingCSS, buildProceduralScript } = require('./cosmeticEngine');
+const { buildScriptletScript } = require('./scriptlets');
+const { UrlCleaner, DEFAULT_PARAM_RULES } = require('./urlCleaner');
+
+// Common ad domains (subset of EasyList)
 const AD_DOMAINS = [
   // Google Ads
   'doubleclick.net',
   'googlesyndication.com',
   'googleadservices.com',
-  'google-analytics.com',
-  'googletagmanager.com',
   'googletagservices.com',
   'adservice.google.com',
   'pagead2.googlesyndication.com',
@@ -21,9 +34,6 @@ const AD_DOMAINS = [
   'youtubekids.com', // YouTube Kids ad tracking
 
   // Facebook/Meta
-  'facebook.com/tr',
-  'connect.facebook.net/en_US/fbevents',
-  'pixel.facebook.com',
   'an.facebook.com',
 
   // Amazon Ads
@@ -32,12 +42,10 @@ const AD_DOMAINS = [
   'fls-na.amazon-adsystem.com',
 
   // Microsoft/Bing Ads
-  'bat.bing.com',
   'ads.microsoft.com',
 
   // Twitter/X Ads
   'ads-twitter.com',
-  'analytics.twitter.com',
   'static.ads-twitter.com',
 
   // Common Ad Networks
@@ -76,7 +84,39 @@ const AD_DOMAINS = [
   'triplelift.com',
   'indexexchange.com',
 
-  // Trackers
+  // Pop-unders / Malvertising
+  'propellerads.com',
+  'popcash.net',
+  'popads.net',
+  'exoclick.com',
+  'juicyads.com',
+  'trafficjunky.com',
+  'clickadu.com',
+  'hilltopads.com',
+
+  // Video Ads
+  'imasdk.googleapis.com',
+  'static.doubleclick.net',
+  'ad.doubleclick.net',
+  'pubads.g.doubleclick.net'
+];
+
+// Analytics and tracking domains (subset of EasyPrivacy) - Shields "trackers" category
+const TRACKER_DOMAINS = [
+  // Google Analytics
+  'google-analytics.com',
+  'googletagmanager.com',
+
+  // Facebook/Meta
+  'facebook.com/tr',
+  'connect.facebook.net/en_US/fbevents',
+  'pixel.facebook.com',
+
+  // Microsoft / Twitter
+  'bat.bing.com',
+  'analytics.twitter.com',
+
+  // Analytics & data brokers
   'scorecardresearch.com',
   'quantserve.com',
   'segment.io',
@@ -101,28 +141,77 @@ const AD_DOMAINS = [
   'newrelic.com',
   'nr-data.net',
 
-  // Pop-unders / Malvertising
-  'propellerads.com',
-  'popcash.net',
-  'popads.net',
-  'exoclick.com',
-  'juicyads.com',
-  'trafficjunky.com',
-  'clickadu.com',
-  'hilltopads.com',
-
-  // Video Ads
-  'imasdk.googleapis.com',
-  'static.doubleclick.net',
-  'ad.doubleclick.net',
-  'pubads.g.doubleclick.net',
-
   // Tracking Pixels
   'pixel.wp.com',
   'stats.wp.com',
   'pixel.quantserve.com'
 ];
 
+// Social network widgets (like/share buttons, embedded feeds) - Shields "social" category.
+// Only blocked as third-party requests, so the networks themselves keep working.
+const SOCIAL_DOMAINS = [
+  'facebook.com/plugins',
+  'connect.facebook.net/en_US/sdk.js',
+  'platform.twitter.com',
+  'platform.linkedin.com',
+  'assets.pinterest.com',
+  'widgets.pinterest.com',
+  'apis.google.com/js/platform.js',
+  'addthis.com',
+  'addtoany.com',
+  'sharethis.com',
+  'shareaholic.com'
+];
+
+// In-browser cryptocurrency miners - Shields "cryptominers" category
+const CRYPTOMINER_DOMAINS = [
+  'coinhive.com',
+  'coin-hive.com',
+  'authedmine.com',
+  'crypto-loot.com',
+  'cryptoloot.pro',
+  'coinimp.com',
+  'jsecoin.com',
+  'minero.cc',
+  'webminepool.com',
+  'coinhave.com',
+  'ppoi.org',
+  'monerominer.rocks'
+];
+
+// Miner scripts that are often self-hosted
+const CRYPTOMINER_PATTERNS = [
+  /\/coinhive(\.min)?\.js/i,
+  /\/cryptonight(\.asm)?\.(js|wasm)/i,
+  /\/deepminer(\.min)?\.js/i,
+  /\/webmr\.js/i
+];
+
+// Cookie consent, newsletter and push notification popups - Shields "annoyances" category
+const ANNOYANCE_DOMAINS = [
+  'onesignal.com',
+  'pushcrew.com',
+  'pushengage.com',
+  'subscribers.com',
+  'sumo.com',
+  'optinmonster.com',
+  'privy.com'
+];
+
+// Fingerprinting services - Shields "fingerprinting" category
+const FINGERPRINTING_DOMAINS = [
+  'fpjs.io',
+  'fpcdn.io',
+  'fingerprintjs.com',
+  'openfpcdn.io',
+  'iovation.com',
+  'threatmetrix.com',
+  'online-metrix.net',
+  'deviceidentity.net',
+  'seon.io',
+  'maxmind.com/js/device'
+];
+
 // URL patterns to block (regex patterns)
 const BLOCK_PATTERNS = [
   /\/ads\//i,
@@ -134,13 +223,6 @@ const BLOCK_PATTERNS = [
   /\/pop[_-]?up/i,
   /\.gif\?.*ad/i,
   /\/sponsored/i,
-  /\/tracking/i,
-  /\/tracker/i,
-  /\/pixel\./i,
-  /\/beacon/i,
-  /\/analytics\.js/i,
-  /\/gtag\/js/i,
-  /\/gtm\.js/i,
   /ad[_-]?server/i,
   /adserv/i,
   /doubleclick/i,
@@ -245,6 +327,282 @@ const BLOCK_PATTERNS = [
   /\/deadnet_ads/
 ];
 
+// Tracking URL patterns - Shields "trackers" category
+const TRACKER_PATTERNS = [
+  /\/tracking/i,
+  /\/tracker/i,
+  /\/pixel\./i,
+  /\/beacon/i,
+  /\/analytics\.js/i,
+  /\/gtag\/js/i,
+  /\/gtm\.js/i
+];
+
+// YouTube ad-related URL patterns (only applied to youtube.com / googlevideo.com requests)
+const YOUTUBE_AD_PATTERNS = [
+  // Query parameters that indicate ads
+  /[?&]ad_/,
+  /[?&]dae_/,
+  /[?&]投放/, // Chinese ad parameter
+
+  // API endpoints for ads
+  /\/api\/stats\/ads/,
+  /\/get_midroll_info/,
+  /\/player_ads/,
+  /\/ads\.js/,
+  /\/ad_status/,
+  /\/youtubei\/v1\/ads/,
+  /\/v1\/postpublish/,
+  /\/ptracking/,
+  /\/attribution/,
+  /\/set_adsense_visiblity/,
+  /\/ivs\/set/,
+  /\/drm_license/,
+  /\/videotagsessio/,
+  /\/watermark\/.*ad/,
+
+  // Ad tag patterns
+  /ytad/,
+  /youtubeads/,
+  /video_ad/,
+  /adsegment/,
+
+  // Video ad patterns
+  /\/ad-stream/,
+  /\/preroll/,
+  /\/midroll/,
+  /\/postroll/,
+  /adfmt/,
+  /adfmtc/,
+  /\/htmlad\.swf/,
+  /\/ad\/[a-z]*\.js/,
+
+  // Ad system patterns
+  /\/pubads/,
+  /\/gpt\/pubads/,
+  /\/companion_ad/,
+  /\/vast/,
+  /\/vmap/,
+  /\/ima3/,
+  /\/imasdk/,
+  /\/dai/,
+  /\/oembed.*ad/,
+  /\/adbreak/,
+  /\/adstart/,
+  /\/adtimeshift/,
+  /\/adpause/,
+  /\/adresume/,
+  /\/adclick/,
+  /\/adimpression/,
+  /\/adview/,
+
+  // Ad tracking patterns
+  /\/adsystem/,
+  /\/adsense/,
+  /\/adsinfo/,
+  /\/adspeed/,
+  /\/adstory/,
+  /\/adtest/,
+  /\/adtrack/,
+  /\/adurl/,
+  /\/adverify/,
+  /\/adwatch/,
+  /\/adzone/,
+
+  // Additional YouTube-specific patterns
+  /\/ptracking\?.*video_id/,
+  /\/attribution\?/,
+  /\/get_ad_signals/,
+  /\/ad_frag/,
+  /\/ads\/.*\.js/,
+  /\/creative\/.*\.js/,
+  /\/load_ad/,
+  /\/load_ads/,
+  /\/show_ad/,
+  /\/show_ads/,
+  /\/trigger_ad/,
+  /\/log_ad/,
+  /\/ping_ad/,
+  /\/ping_ads/,
+  /\/track_ad/,
+  /\/track_ads/
+];
+
+// Player API calls that carry ad data, but only when made from a YouTube page
+const YOUTUBE_PLAYER_AD_PATTERN = /^(?=.*ad).*\/(?:youtubei\/v1\/player|api\/player)/;
+
+// Blocking categories that can be switched on/off globally and per site
+const BLOCKING_CATEGORIES = ['ads', 'trackers', 'social', 'cryptominers', 'annoyances'];
+
+// Per-site Shields settings and their defaults (true = protection on).
+// The category defaults can be changed globally (see setCategoryEnabled)
+const SHIELDS_DEFAULTS = {
+  ads: true,
+  trackers: true,
+  social: true,
+  cryptominers: true,
+  annoyances: false,
+  thirdPartyCookies: true,
+  blockScripts: false,
+  fingerprinting: true,
+  trackingParams: true
+};
+
+// Filter categories that are switched on/off by a Shields setting
+const CATEGORY_SHIELDS = {
+  ads: 'ads',
+  trackers: 'trackers',
+  social: 'social',
+  cryptominers: 'cryptominers',
+  annoyances: 'annoyances',
+  fingerprinting: 'fingerprinting'
+};
+
+// Client hints that expose device details (sent only when a site asks for them)
+const HIGH_ENTROPY_CLIENT_HINTS = [
+  'sec-ch-ua-arch',
+  'sec-ch-ua-bitness',
+  'sec-ch-ua-full-version',
+  'sec-ch-ua-full-version-list',
+  'sec-ch-ua-model',
+  'sec-ch-ua-platform-version',
+  'sec-ch-ua-wow64'
+];
+
+/**
+ * Turn a built-in domain entry into a filter
+ * @param {string} domain - Domain, optionally with a path ("facebook.com/tr")
+ * @param {string} category - Shields category
+ * @param {boolean} thirdPartyOnly - Only block the domain when embedded by other sites
+ * @returns {NetworkFilter}
+ */
+function createDomainFilter(domain, category, thirdPartyOnly = false) {
+  // Entries with a path keep their path prefix
+  const pattern = domain.includes('/') ? `||${domain}` : `||${domain}^`;
+  const filter = parseFilter(thirdPartyOnly ? `${pattern}$third-party` : pattern);
+  filter.category = category;
+  return filter;
+}
+
+/**
+ * Turn a built-in regex into a filter
+ * @param {RegExp} pattern - URL pattern
+ * @param {string} category - Shields category
+ * @returns {NetworkFilter}
+ */
+function createPatternFilter(pattern, category) {
+  const filter = NetworkFilter.fromRegExp(pattern);
+  filter.category = category;
+  return filter;
+}
+
+/**
+ * Build the built-in rules as network filters so they share the indexed matcher
+ * with filter list rules
+ * @returns {{builtin: NetworkFilter[], youtube: NetworkFilter[]}}
+ */
+function createBuiltinFilters() {
+  const builtin = [
+    ...AD_DOMAINS.map(domain => createDomainFilter(domain, 'ads')),
+    ...TRACKER_DOMAINS.map(domain => createDomainFilter(domain, 'trackers')),
+    ...SOCIAL_DOMAINS.map(domain => createDomainFilter(domain, 'social', true)),
+    ...CRYPTOMINER_DOMAINS.map(domain => createDomainFilter(domain, 'cryptominers')),
+    ...ANNOYANCE_DOMAINS.map(domain => createDomainFilter(domain, 'annoyances')),
+    ...FINGERPRINTING_DOMAINS.map(domain => createDomainFilter(domain, 'fingerprinting')),
+    ...BLOCK_PATTERNS.map(pattern => createPatternFilter(pattern, 'ads')),
+    ...TRACKER_PATTERNS.map(pattern => createPatternFilter(pattern, 'trackers')),
+    ...CRYPTOMINER_PATTERNS.map(pattern => createPatternFilter(pattern, 'cryptominers'))
+  ];
+
+  // YouTube patterns were always matched against the lowercased URL
+  const youtube = YOUTUBE_AD_PATTERNS.map(pattern => createPatternFilter(new RegExp(pattern.source, 'i'), 'ads'));
+
+  const playerFilter = createPatternFilter(new RegExp(YOUTUBE_PLAYER_AD_PATTERN.source, 'i'), 'ads');
+  playerFilter.domains = { include: ['youtube.com'], exclude: [] };
+  youtube.push(playerFilter);
+
+  return { builtin, youtube };
+}
+
+/**
+ * Build the built-in element hiding and scriptlet rules
+ * @returns {CosmeticFilter[]}
+ */
+function createBuiltinCosmeticFilters() {
+  return [
+    ...COSMETIC_FILTERS.map(selector => parseFilter(`##${selector}`)),
+    ...YOUTUBE_COSMETIC_FILTERS.map(selector => parseFilter(`youtube.com##${selector}`)),
+    ...YOUTUBE_SCRIPTLET_FILTERS.map(rule => parseFilter(rule)),
+    ...ANNOYANCE_COSMETIC_FILTERS.map(selector => {
+      const filter = parseFilter(`##${selector}`);
+      filter.category = 'annoyances';
+      return filter;
+    })
+  ];
+}
+
+/**
+ * Guess the category of a filter list from its name (EasyPrivacy -> trackers,
+ * Fanboy's Annoyances -> annoyances, ...)
+ * @param {string} name - List name or file name
+ * @returns {string}
+ */
+function getListCategory(name) {
+  if (/privacy|track|spy/i.test(name)) return 'trackers';
+  if (/social/i.test(name)) return 'social';
+  if (/coin|min(?:er|ing)/i.test(name)) return 'cryptominers';
+  if (/annoyance|cookie|notification|newsletter/i.test(name)) return 'annoyances';
+  return 'ads';
+}
+
+/**
+ * Default on/off state of each blocking category
+ * @returns {Object<string, boolean>}
+ */
+function getDefaultCategories() {
+  return Object.fromEntries(BLOCKING_CATEGORIES.map(category => [category, SHIELDS_DEFAULTS[category]]));
+}
+
+// Schema version of the settings file written by AdBlocker
+const SETTINGS_VERSION = 4;
+
+const SETTINGS_MIGRATIONS = {
+  // Unversioned data used the old localStorage shape: { enabled, whitelist, totalBlocked }
+  1: settings => ({
+    enabled: settings.enabled !== false,
+    whitelist: Array.isArray(settings.whitelist) ? settings.whitelist : [],
+    siteOverrides: {},
+    counters: { totalBlocked: settings.totalBlocked || 0, since: Date.now() }
+  }),
+
+  // v2 adds rules created from the browser UI
+  2: settings => ({ ...settings, userRules: [] }),
+
+  // v3 adds global blocking categories and per-category lifetime counters
+  3: settings => ({
+    ...settings,
+    categories: getDefaultCategories(),
+    counters: { ...settings.counters, byCategory: {} }
+  }),
+
+  // v4 adds the tracking parameter rules
+  4: settings => ({ ...settings, paramRules: DEFAULT_PARAM_RULES.slice() })
+};
+
+/**
+ * Get the hostname of a URL (bare hostnames are returned as-is)
+ * @param {string} url - URL or hostname
+ * @returns {string}
+ */
+function getHostname(url) {
+  if (!url.includes('/')) return url.toLowerCase();
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
 // Resource types to potentially block
 const BLOCKABLE_RESOURCE_TYPES = [
   'script',
@@ -298,15 +656,25 @@ const COSMETIC_FILTERS = [
   '.taboola-widget',
   '[id*="taboola"]',
   '[id*="outbrain"]',
-  '.mgid-widget',
+  '.mgid-widget'
+];
 
-  // Cookie notices (optional - can be toggled)
-  // '.cookie-notice',
-  // '.cookie-banner',
-  // '.gdpr-banner'
+// Cookie notices and newsletter popups - Shields "annoyances" category (off by default)
+const ANNOYANCE_COSMETIC_FILTERS = [
+  '.cookie-notice',
+  '.cookie-banner',
+  '.cookie-consent',
+  '.gdpr-banner',
+  '#onetrust-banner-sdk',
+  '#CybotCookiebotDialog',
+  '.cc-window',
+  '.newsletter-popup',
+  '.onesignal-slidedown-container'
+];
 
-  // YouTube-specific ad elements
-  // IMPORTANT: Do NOT hide .html5-video-player, .video-ads, .ytp-button, etc. as they affect video playback
+// YouTube ad elements (only applied on youtube.com)
+// IMPORTANT: Do NOT hide .html5-video-player, .video-ads, .ytp-button, etc. as they affect video playback
+const YOUTUBE_COSMETIC_FILTERS = [
   '#player-ads',
   '.ytd-player-legacy-desktop-watch-ads',
   '.ytd-player-theater-legacy-watch-ads',
@@ -370,87 +738,489 @@ const COSMETIC_FILTERS = [
   '.ytd-merch-shelf-renderer',
   '.ytmusic-merch-shelf-renderer',
   '.ytmusic-premium-header-renderer',
-  '.ytd-podcast-promo-renderer'
+  '.ytd-podcast-promo-renderer',
+  // Player overlays and feed/search ad renderers
+  '.ytp-ad-preview-container',
+  '.ytp-ad-preview-slot',
+  '.ytp-ad-message-container',
+  '.ytp-suggested-action',
+  '.ytp-suggested-action-badge',
+  '.iv-branding',
+  '.annotation',
+  '#masthead-ad',
+  '#merch-shelf',
+  'ytd-ad-slot-renderer',
+  'ytd-banner-promo-renderer',
+  'ytd-video-masthead-ad-v3-renderer',
+  'ytd-in-feed-ad-layout-renderer',
+  'ytd-display-ad-renderer',
+  'ytd-companion-slot-renderer',
+  'ytd-promoted-sparkles-web-renderer',
+  'ytd-promoted-video-renderer',
+  'ytd-search-pyv-renderer',
+  'ytd-merch-shelf-renderer',
+  'yt-mealbar-promo-renderer',
+  '.ytd-statement-banner-renderer',
+  'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-ads"]',
+  'ytd-rich-item-renderer:has(ytd-ad-slot-renderer)',
+  'ytd-rich-section-renderer:has(ytd-ad-slot-renderer)'
+];
+
+// YouTube scriptlets (run by the webview preload before YouTube's own scripts):
+// strip ad slots from the player data, then skip any ad that still gets through
+const YOUTUBE_SCRIPTLET_FILTERS = [
+  'youtube.com##+js(set-constant, ytInitialPlayerResponse.adPlacements, undefined)',
+  'youtube.com##+js(set-constant, ytInitialPlayerResponse.playerAds, undefined)',
+  'youtube.com##+js(set-constant, ytInitialPlayerResponse.adSlots, undefined)',
+  'youtube.com##+js(json-prune, playerResponse.adPlacements playerResponse.playerAds playerResponse.adSlots adPlacements playerAds adSlots)',
+  'youtube.com##+js(skip-video-ads)'
 ];
 
 /**
  * AdBlocker class - handles all ad blocking logic
  */
 class AdBlocker {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.settingsFile - JSON file for settings and lifetime stats
+   *   (settings are kept in memory only when omitted)
+   */
+  constructor(options = {}) {
     this.enabled = true;
     this.stats = {
       totalBlocked: 0,
       sessionBlocked: 0,
-      blockedByTab: new Map()
+      // Blocked counts per category: this session and lifetime
+      sessionByCategory: {},
+      totalByCategory: {},
+      // Tracking parameters removed from URLs this session
+      sessionParamsRemoved: 0,
+      // Per tab (webContents ID): { blocked, byCategory, paramsRemoved } for the current page
+      blockedByTab: new Map(),
+      // When totalBlocked started counting
+      since: Date.now()
     };
+    // Global on/off state of each blocking category (sites can override it)
+    this.categories = getDefaultCategories();
     this.whitelist = new Set();
+    // Per-site settings that take precedence over the global ones, keyed by hostname
+    this.siteOverrides = new Map();
+
+    // Indexed network rules: built-in rules and filter list rules share the
+    // block index; exceptions and $important rules get their own
+    const { builtin, youtube } = createBuiltinFilters();
+    this.blockIndex = new FilterIndex();
+    this.blockIndex.addAll(builtin);
+    this.exceptionIndex = new FilterIndex();
+    this.importantIndex = new FilterIndex();
+    this.youtubeIndex = new FilterIndex();
+    this.youtubeIndex.addAll(youtube);
+    this.builtinFilterCount = builtin.length;
+
+    // Element hiding rules: built-in selectors plus filter list and user rules
+    this.cosmeticEngine = new CosmeticEngine();
+    this.cosmeticEngine.addAll(createBuiltinCosmeticFilters());
+    this.builtinCosmeticCount = this.cosmeticEngine.size;
+
+    // EasyList-style filter lists that have been loaded, list ID -> parsed rules
+    this.filterLists = new Map();
+
+    // Rules created from the browser UI (e.g. "allow this request"), rule text -> parsed filter
+    this.userRules = new Map();
+
+    // Tracking parameters stripped from navigations
+    this.urlCleaner = new UrlCleaner();
+
+    this.store = options.settingsFile ? new SettingsStore(options.settingsFile, {
+      name: 'AdBlocker',
+      version: SETTINGS_VERSION,
+      defaults: {
+        enabled: true,
+        whitelist: [],
+        siteOverrides: {},
+        userRules: [],
+        categories: getDefaultCategories(),
+        paramRules: DEFAULT_PARAM_RULES.slice(),
+        counters: { totalBlocked: 0, since: Date.now(), byCategory: {} }
+      },
+      migrations: SETTINGS_MIGRATIONS
+    }) : null;
+
     this.loadSettings();
   }
 
   loadSettings() {
-    try {
-      const stored = localStorage?.getItem('adBlockerSettings');
-      if (stored) {
-        const settings = JSON.parse(stored);
-        this.enabled = settings.enabled !== false;
-        this.whitelist = new Set(settings.whitelist || []);
-        this.stats.totalBlocked = settings.totalBlocked || 0;
+    if (!this.store) return;
+
+    const settings = this.store.load();
+    this.enabled = settings.enabled !== false;
+    this.whitelist = new Set(settings.whitelist || []);
+    this.siteOverrides = new Map(Object.entries(settings.siteOverrides || {}));
+    this.stats.totalBlocked = settings.counters?.totalBlocked || 0;
+    this.stats.totalByCategory = { ...settings.counters?.byCategory };
+    this.stats.since = settings.counters?.since || Date.now();
+
+    for (const category of BLOCKING_CATEGORIES) {
+      if (typeof settings.categories?.[category] === 'boolean') {
+        this.categories[category] = settings.categories[category];
       }
-    } catch (e) {
-      // localStorage not available in main process - this is expected
-      console.log('Ad blocker settings persistence requires renderer process');
     }
+
+    for (const rule of settings.userRules || []) {
+      const filter = parseFilter(rule);
+      if (filter) this.applyUserFilter(rule, filter);
+    }
+
+    if (Array.isArray(settings.paramRules)) {
+      this.urlCleaner.setRules(settings.paramRules);
+    }
+  }
+
+  /**
+   * Serialize persisted settings
+   * @returns {Object}
+   */
+  getSettingsData() {
+    return {
+      enabled: this.enabled,
+      whitelist: Array.from(this.whitelist),
+      siteOverrides: Object.fromEntries(this.siteOverrides),
+      userRules: Array.from(this.userRules.keys()),
+      categories: { ...this.categories },
+      paramRules: this.urlCleaner.getRules(),
+      counters: {
+        totalBlocked: this.stats.totalBlocked,
+        since: this.stats.since,
+        byCategory: { ...this.stats.totalByCategory }
+      }
+    };
   }
 
   saveSettings() {
+    this.store?.save(this.getSettingsData());
+  }
+
+  /**
+   * Write any pending counter updates to disk (call before quitting)
+   */
+  flushSettings() {
+    this.store?.flush();
+  }
+
+  /**
+   * Forget all persisted settings and lifetime stats
+   */
+  resetSettings() {
+    this.enabled = true;
+    this.whitelist.clear();
+    this.siteOverrides.clear();
+    Array.from(this.userRules.keys()).forEach(rule => this.removeUserRule(rule));
+    this.categories = getDefaultCategories();
+    this.urlCleaner.setRules(DEFAULT_PARAM_RULES);
+    this.stats.totalBlocked = 0;
+    this.stats.totalByCategory = {};
+    this.stats.since = Date.now();
+    this.store?.remove();
+  }
+
+  /**
+   * Load filter rules from Adblock Plus formatted text
+   * @param {string} text - Filter list contents
+   * @param {string} name - Name of the list (for logging)
+   * @param {string} category - Shields category of the list's rules (guessed from the name by default)
+   * @returns {number} - Number of rules loaded
+   */
+  loadFilterList(text, name = 'custom', category = getListCategory(name)) {
+    const { networkFilters, cosmeticFilters, skipped } = parseFilterList(text);
+    const count = this.addFilterList(name, { networkFilters, cosmeticFilters }, category);
+    console.log(`[AdBlocker] Loaded ${count} rules from ${name} (${skipped} unsupported skipped)`);
+    return count;
+  }
+
+  /**
+   * Activate the parsed rules of a filter list (replacing the list's previous rules)
+   * @param {string} id - List ID
+   * @param {{networkFilters: NetworkFilter[], cosmeticFilters: CosmeticFilter[]}} filters - Parsed rules
+   * @param {string} category - Shields category of the list's rules
+   * @returns {number} - Number of rules added
+   */
+  addFilterList(id, { networkFilters, cosmeticFilters }, category = 'ads') {
+    this.removeFilterList(id);
+
+    for (const filter of networkFilters) {
+      filter.category = category;
+      this.addNetworkFilter(filter);
+    }
+    for (const filter of cosmeticFilters) {
+      filter.category = category;
+      this.cosmeticEngine.add(filter);
+    }
+
+    this.filterLists.set(id, { networkFilters, cosmeticFilters });
+    return networkFilters.length + cosmeticFilters.length;
+  }
+
+  /**
+   * Deactivate every rule of a filter list
+   * @param {string} id - List ID
+   * @returns {boolean} - False if the list wasn't loaded
+   */
+  removeFilterList(id) {
+    const list = this.filterLists.get(id);
+    if (!list) return false;
+
+    for (const index of [this.blockIndex, this.exceptionIndex, this.importantIndex]) {
+      index.removeAll(list.networkFilters.filter(filter => this.getIndexFor(filter) === index));
+    }
+    this.cosmeticEngine.removeAll(list.cosmeticFilters);
+    this.filterLists.delete(id);
+    return true;
+  }
+
+  /**
+   * Get the index a network filter belongs in
+   * @param {NetworkFilter} filter - The filter
+   * @returns {FilterIndex}
+   */
+  getIndexFor(filter) {
+    if (filter.isException) return this.exceptionIndex;
+    if (filter.isImportant) return this.importantIndex;
+    return this.blockIndex;
+  }
+
+  /**
+   * Add a parsed network filter to the matching index
+   * @param {NetworkFilter} filter - The filter
+   */
+  addNetworkFilter(filter) {
+    this.getIndexFor(filter).add(filter);
+  }
+
+  /**
+   * Add a rule created from the browser UI (persisted with the settings)
+   * @param {string} text - Filter in Adblock Plus syntax
+   * @returns {boolean} - False if the rule can't be parsed
+   */
+  addUserRule(text) {
+    const rule = text.trim();
+    if (this.userRules.has(rule)) return true;
+
+    const filter = parseFilter(rule);
+    if (!filter) return false;
+
+    this.applyUserFilter(rule, filter);
+    this.saveSettings();
+    return true;
+  }
+
+  /**
+   * Build an exception rule that allows one request URL on one site
+   * @param {string} url - The request URL
+   * @param {string} pageUrl - The page the request was made from
+   * @returns {string|null} - e.g. `@@||cdn.example.net/player.js$domain=example.com`
+   */
+  createAllowRule(url, pageUrl) {
+    const siteHostname = getHostname(pageUrl);
+    let target;
     try {
-      localStorage?.setItem('adBlockerSettings', JSON.stringify({
-        enabled: this.enabled,
-        whitelist: Array.from(this.whitelist),
-        totalBlocked: this.stats.totalBlocked
-      }));
-    } catch (e) {
-      // localStorage not available in main process - this is expected
+      target = new URL(url);
+    } catch {
+      return null;
     }
+    if (!siteHostname || !target.hostname) return null;
+
+    // The query string usually changes between page loads, so match the path only.
+    // Filter syntax has no escaping - cut the path at the first special character
+    const resourcePath = target.pathname.split(/[*^|$]/)[0];
+    return `@@||${target.hostname}${resourcePath}$domain=${siteHostname}`;
   }
 
   /**
-   * Check if a URL should be blocked
-   * @param {string} url - The URL to check
-   * @param {string} pageUrl - The page URL (for whitelist checking)
-   * @returns {boolean} - True if should be blocked
+   * Remove a rule created from the browser UI
+   * @param {string} text - The rule as it was added
    */
-  shouldBlock(url, pageUrl = '') {
-    if (!this.enabled) return false;
+  removeUserRule(text) {
+    const filter = this.userRules.get(text);
+    if (!filter) return;
+
+    if (filter instanceof NetworkFilter) {
+      this.getIndexFor(filter).remove(filter);
+    } else {
+      this.cosmeticEngine.remove(filter);
+    }
+    this.userRules.delete(text);
+    this.saveSettings();
+  }
 
-    // Check whitelist
-    if (pageUrl && this.isWhitelisted(pageUrl)) {
-      return false;
+  /**
+   * Replace a user rule with an edited version
+   * @param {string} oldText - The rule being edited
+   * @param {string} newText - The new rule text
+   * @returns {boolean} - False if the new rule can't be parsed (the old rule is kept)
+   */
+  updateUserRule(oldText, newText) {
+    const rule = newText.trim();
+    if (rule === oldText) return true;
+
+    const filter = parseFilter(rule);
+    if (!filter) return false;
+
+    this.removeUserRule(oldText);
+    if (!this.userRules.has(rule)) {
+      this.applyUserFilter(rule, filter);
     }
+    this.saveSettings();
+    return true;
+  }
 
-    const urlLower = url.toLowerCase();
+  /**
+   * Get the rules created from the browser UI, oldest first
+   * @returns {string[]}
+   */
+  getUserRules() {
+    return Array.from(this.userRules.keys());
+  }
 
-    // Check domain blocklist
-    for (const domain of AD_DOMAINS) {
-      if (urlLower.includes(domain)) {
-        return true;
-      }
+  /**
+   * Activate a parsed user rule
+   * @param {string} rule - Rule text
+   * @param {NetworkFilter|CosmeticFilter} filter - Parsed rule
+   */
+  applyUserFilter(rule, filter) {
+    // User rules aren't tied to a category: they apply whatever is switched off
+    filter.category = 'user';
+    if (filter instanceof NetworkFilter) {
+      this.addNetworkFilter(filter);
+    } else {
+      this.cosmeticEngine.add(filter);
     }
+    this.userRules.set(rule, filter);
+  }
 
-    // Check URL patterns
-    for (const pattern of BLOCK_PATTERNS) {
-      if (pattern.test(url)) {
-        return true;
+  /**
+   * Load a filter list from a local file
+   * @param {string} filePath - Path to the list file
+   * @returns {number} - Number of rules loaded
+   */
+  loadFilterListFile(filePath) {
+    try {
+      const text = fs.readFileSync(filePath, 'utf8');
+      return this.loadFilterList(text, path.basename(filePath));
+    } catch (err) {
+      console.warn(`[AdBlocker] Failed to load filter list ${filePath}:`, err.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Load every .txt filter list in a directory (e.g. easylist.txt, easyprivacy.txt)
+   * @param {string} dirPath - Directory containing list files
+   * @returns {number} - Total number of rules loaded
+   */
+  loadFilterListsFromDirectory(dirPath) {
+    try {
+      if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+        return 0;
       }
+
+      return fs.readdirSync(dirPath)
+        .filter(file => file.endsWith('.txt'))
+        .sort()
+        .reduce((total, file) => total + this.loadFilterListFile(path.join(dirPath, file)), 0);
+    } catch (err) {
+      console.warn('[AdBlocker] Failed to read filter list directory:', err.message);
+      return 0;
     }
+  }
+
+  /**
+   * Build a predicate that keeps only the rules whose category is switched on
+   * (rules without a Shields setting, like user rules, always apply)
+   * @param {Object} profile - Shields profile of the page
+   * @returns {Function} - (filter) => boolean
+   */
+  getCategoryFilter(profile) {
+    return filter => profile[CATEGORY_SHIELDS[filter.category]] !== false;
+  }
+
+  /**
+   * Find the rule that decides a request
+   * @param {Object} request - Context from createFilterRequest()
+   * @param {Object} profile - Shields profile of the page (categories switched off are skipped)
+   * @returns {NetworkFilter|null} - The blocking filter, the @@ exception that allowed a
+   *   blocked request (`isException` is set), or null if no rule matched
+   */
+  matchRequest(request, profile = SHIELDS_DEFAULTS) {
+    const isActive = this.getCategoryFilter(profile);
+
+    // $important rules can't be overridden by @@ exceptions
+    const important = this.importantIndex.findMatch(request, isActive);
+    if (important) return important;
+
+    const filter = this.blockIndex.findMatch(request, isActive) || this.matchYouTubeRequest(request, isActive);
+    if (!filter) return null;
+
+    // @@ exceptions from filter lists win over the built-in rules too
+    return this.exceptionIndex.findMatch(request) || filter;
+  }
 
-    // YouTube-specific blocking (Brave-style)
-    if (this.isYouTubeRelated(url, pageUrl)) {
-      return true;
+  /**
+   * Decide what happens to a request
+   * @param {string} url - The URL to check
+   * @param {string} pageUrl - The page URL (for whitelist and Shields checks)
+   * @param {string} resourceType - Electron resource type of the request
+   * @returns {{blocked: boolean, category: string|null, filter: NetworkFilter|null}} -
+   *   `filter` is the rule that decided (a @@ exception when an exception allowed the request)
+   */
+  evaluateRequest(url, pageUrl = '', resourceType = 'other') {
+    const allowed = { blocked: false, category: null, filter: null };
+
+    const profile = this.getShieldsProfile(pageUrl);
+    if (!profile.enabled) return allowed;
+
+    const request = createFilterRequest(url, pageUrl, resourceType);
+
+    // "Block scripts" stops every script on the site, not just listed ones
+    if (profile.blockScripts && resourceType === 'script') {
+      const exception = request && this.exceptionIndex.findMatch(request);
+      if (exception) return { blocked: false, category: 'scripts', filter: exception };
+      return { blocked: true, category: 'scripts', filter: null };
     }
 
-    return false;
+    if (!request) return allowed;
+
+    const filter = this.matchRequest(request, profile);
+    if (!filter) return allowed;
+
+    return { blocked: !filter.isException, category: filter.category, filter };
+  }
+
+  /**
+   * Check if a URL should be blocked
+   * @param {string} url - The URL to check
+   * @param {string} pageUrl - The page URL (for whitelist checking)
+   * @param {string} resourceType - Electron resource type of the request
+   * @returns {boolean} - True if should be blocked
+   */
+  shouldBlock(url, pageUrl = '', resourceType = 'other') {
+    return this.evaluateRequest(url, pageUrl, resourceType).blocked;
+  }
+
+  /**
+   * Match YouTube ad rules (only consulted for YouTube/googlevideo requests)
+   * @param {Object} request - Context from createFilterRequest()
+   * @param {Function} accept - Optional predicate filters must pass
+   * @returns {NetworkFilter|null}
+   */
+  matchYouTubeRequest(request, accept = null) {
+    // NOTE: Do NOT include 'ytimg.com' or 'yt3.ggpht.com' - they serve thumbnails and channel avatars
+    const isYouTubeDomain = isSubdomainOf(request.hostname, 'youtube.com') ||
+                           isSubdomainOf(request.hostname, 'googlevideo.com');
+
+    if (!isYouTubeDomain) return null;
+
+    return this.youtubeIndex.findMatch(request, accept);
   }
 
   /**
@@ -460,137 +1230,185 @@ class AdBlocker {
    * @returns {boolean}
    */
   isYouTubeRelated(url, pageUrl) {
-    const urlLower = url.toLowerCase();
+    const request = createFilterRequest(url, pageUrl);
+    return request !== null && this.matchYouTubeRequest(request) !== null;
+  }
 
-    // Check if this is a YouTube ad request
-    // NOTE: Do NOT include 'ytimg.com' or 'yt3.ggpht.com' - they serve thumbnails and channel avatars
-    const isYouTubeDomain = urlLower.includes('youtube.com') ||
-                           urlLower.includes('googlevideo.com');
-
-    if (!isYouTubeDomain) return false;
-
-    // YouTube ad-related URL patterns
-    const youtubeAdPatterns = [
-      // Query parameters that indicate ads
-      /[?&]ad_/,
-      /[?&]dae_/,
-      /[?&]投放/, // Chinese ad parameter
-
-      // API endpoints for ads
-      /\/api\/stats\/ads/,
-      /\/get_midroll_info/,
-      /\/player_ads/,
-      /\/ads\.js/,
-      /\/ad_status/,
-      /\/youtubei\/v1\/ads/,
-      /\/v1\/postpublish/,
-      /\/ptracking/,
-      /\/attribution/,
-      /\/set_adsense_visiblity/,
-      /\/ivs\/set/,
-      /\/drm_license/,
-      /\/videotagsessio/,
-      /\/watermark\/.*ad/,
-
-      // Ad tag patterns
-      /ytad/,
-      /youtubeads/,
-      /video_ad/,
-      /adsegment/,
-
-      // Video ad patterns
-      /\/ad-stream/,
-      /\/preroll/,
-      /\/midroll/,
-      /\/postroll/,
-      /adfmt/,
-      /adfmtc/,
-      /\/htmlad\.swf/,
-      /\/ad\/[a-z]*\.js/,
-
-      // Ad system patterns
-      /\/pubads/,
-      /\/gpt\/pubads/,
-      /\/companion_ad/,
-      /\/vast/,
-      /\/vmap/,
-      /\/ima3/,
-      /\/imasdk/,
-      /\/dai/,
-      /\/oembed.*ad/,
-      /\/adbreak/,
-      /\/adstart/,
-      /\/adtimeshift/,
-      /\/adpause/,
-      /\/adresume/,
-      /\/adclick/,
-      /\/adimpression/,
-      /\/adview/,
-
-      // Ad tracking patterns
-      /\/adsystem/,
-      /\/adsense/,
-      /\/adsinfo/,
-      /\/adspeed/,
-      /\/adstory/,
-      /\/adtest/,
-      /\/adtrack/,
-      /\/adurl/,
-      /\/adverify/,
-      /\/adwatch/,
-      /\/adzone/,
-
-      // Additional YouTube-specific patterns
-      /\/ptracking\?.*video_id/,
-      /\/attribution\?/,
-      /\/get_ad_signals/,
-      /\/ad_frag/,
-      /\/ads\/.*\.js/,
-      /\/creative\/.*\.js/,
-      /\/load_ad/,
-      /\/load_ads/,
-      /\/show_ad/,
-      /\/show_ads/,
-      /\/trigger_ad/,
-      /\/log_ad/,
-      /\/ping_ad/,
-      /\/ping_ads/,
-      /\/track_ad/,
-      /\/track_ads/
-    ];
-
-    for (const pattern of youtubeAdPatterns) {
-      if (pattern.test(urlLower)) {
-        return true;
+  /**
+   * Check if a domain is whitelisted
+   * @param {string} url - The URL (or hostname) to check
+   * @returns {boolean}
+   */
+  isWhitelisted(url) {
+    return this.whitelist.has(getHostname(url));
+  }
+
+  /**
+   * Check whether blocking applies on a page, taking the whitelist and
+   * per-site overrides into account
+   * @param {string} pageUrl - The page URL
+   * @returns {boolean}
+   */
+  isEnabledFor(pageUrl) {
+    if (!pageUrl) return this.enabled;
+    if (this.isWhitelisted(pageUrl)) return false;
+
+    const override = this.getSiteOverride(pageUrl);
+    if (typeof override?.enabled === 'boolean') return override.enabled;
+
+    return this.enabled;
+  }
+
+  /**
+   * Get the effective Shields settings for a page
+   * @param {string} pageUrl - Page URL or hostname
+   * @returns {Object} - SHIELDS_DEFAULTS keys plus `enabled` (site overrides, then the
+   *   global category settings, then the defaults)
+   */
+  getShieldsProfile(pageUrl) {
+    const profile = { ...SHIELDS_DEFAULTS, ...this.categories, enabled: this.isEnabledFor(pageUrl) };
+
+    const override = pageUrl ? this.getSiteOverride(pageUrl) : null;
+    if (override) {
+      for (const key of Object.keys(SHIELDS_DEFAULTS)) {
+        if (typeof override[key] === 'boolean') profile[key] = override[key];
       }
     }
 
-    // Block YouTube API calls that are ad-related
-    if (urlLower.includes('/youtubei/v1/player') || urlLower.includes('/api/player')) {
-      // Check if this is an ad request by looking at the context
-      // If the page is YouTube and URL contains certain ad-related parameters
-      if (pageUrl && pageUrl.includes('youtube.com')) {
-        // These endpoints can be used for ad tracking
-        if (urlLower.includes('ad') || urlLower.includes('adformat')) {
-          return true;
-        }
+    return profile;
+  }
+
+  /**
+   * Switch a blocking category on or off for every site without an override
+   * @param {string} category - One of BLOCKING_CATEGORIES
+   * @param {boolean} enabled - New state
+   * @returns {boolean} - False if the category is unknown
+   */
+  setCategoryEnabled(category, enabled) {
+    if (!BLOCKING_CATEGORIES.includes(category)) return false;
+
+    this.categories[category] = Boolean(enabled);
+    this.saveSettings();
+    return true;
+  }
+
+  /**
+   * Remove tracking parameters from a URL, unless the site turned it off
+   * @param {string} url - The URL to clean
+   * @param {string} pageUrl - The page URL (for Shields checks; the URL itself by default)
+   * @returns {{url: string, removed: string[]}} - The cleaned URL and the removed parameter names
+   */
+  cleanUrl(url, pageUrl = url) {
+    const profile = this.getShieldsProfile(pageUrl);
+    if (!profile.enabled || !profile.trackingParams) return { url, removed: [] };
+    return this.urlCleaner.clean(url);
+  }
+
+  /**
+   * Get the tracking parameter rules
+   * @returns {string[]}
+   */
+  getParamRules() {
+    return this.urlCleaner.getRules();
+  }
+
+  /**
+   * Replace the tracking parameter rules
+   * @param {string[]} rules - Rule texts (see urlCleaner.js for the syntax)
+   * @returns {string[]} - Rules that could not be parsed (they are not saved)
+   */
+  setParamRules(rules) {
+    const invalid = this.urlCleaner.setRules(rules);
+    this.saveSettings();
+    return invalid;
+  }
+
+  /**
+   * Restore the default tracking parameter rules
+   */
+  resetParamRules() {
+    this.setParamRules(DEFAULT_PARAM_RULES);
+  }
+
+  /**
+   * Change one Shields setting for a site
+   * @param {string} hostname - The site hostname
+   * @param {string} key - `enabled` or a SHIELDS_DEFAULTS key
+   * @param {boolean} value - New value
+   * @returns {boolean} - False if the key is unknown
+   */
+  setSiteShield(hostname, key, value) {
+    if (key !== 'enabled' && !(key in SHIELDS_DEFAULTS)) return false;
+
+    // Turning Shields back on for a whitelisted site takes it off the whitelist
+    if (key === 'enabled' && value) {
+      this.whitelist.delete(hostname);
+    }
+
+    this.setSiteOverride(hostname, { [key]: Boolean(value) });
+    return true;
+  }
+
+  /**
+   * Check whether the Cookie / Set-Cookie headers of a request should be dropped
+   * @param {string} url - The request URL
+   * @param {string} pageUrl - The page URL
+   * @returns {boolean} - True for third-party requests when the site blocks third-party cookies
+   */
+  shouldStripCookies(url, pageUrl) {
+    if (!pageUrl) return false;
+
+    const profile = this.getShieldsProfile(pageUrl);
+    if (!profile.enabled || !profile.thirdPartyCookies) return false;
+
+    const request = createFilterRequest(url, pageUrl);
+    return request !== null && request.thirdParty === true;
+  }
+
+  /**
+   * Remove request headers that help fingerprint the device
+   * @param {Object} requestHeaders - Headers from onBeforeSendHeaders (modified in place)
+   * @param {string} pageUrl - The page URL
+   */
+  stripFingerprintingHeaders(requestHeaders, pageUrl) {
+    const profile = this.getShieldsProfile(pageUrl);
+    if (!profile.enabled || !profile.fingerprinting) return;
+
+    for (const header of Object.keys(requestHeaders)) {
+      if (HIGH_ENTROPY_CLIENT_HINTS.includes(header.toLowerCase())) {
+        delete requestHeaders[header];
       }
     }
+  }
 
-    return false;
+  /**
+   * Get the per-site override for a page
+   * @param {string} url - Page URL or hostname
+   * @returns {Object|null}
+   */
+  getSiteOverride(url) {
+    if (this.siteOverrides.size === 0) return null;
+    return this.siteOverrides.get(getHostname(url)) || null;
   }
 
   /**
-   * Check if a domain is whitelisted
-   * @param {string} url - The URL to check
-   * @returns {boolean}
+   * Set per-site settings that take precedence over the global ones
+   * @param {string} hostname - The site hostname
+   * @param {Object} override - Settings to merge, e.g. { enabled: false }
    */
-  isWhitelisted(url) {
-    try {
-      const hostname = new URL(url).hostname;
-      return this.whitelist.has(hostname);
-    } catch {
-      return false;
+  setSiteOverride(hostname, override) {
+    const current = this.siteOverrides.get(hostname) || {};
+    this.siteOverrides.set(hostname, { ...current, ...override });
+    this.saveSettings();
+  }
+
+  /**
+   * Remove the per-site override for a hostname
+   * @param {string} hostname - The site hostname
+   */
+  removeSiteOverride(hostname) {
+    if (this.siteOverrides.delete(hostname)) {
+      this.saveSettings();
     }
   }
 
@@ -625,18 +1443,45 @@ class AdBlocker {
   /**
    * Record a blocked request
    * @param {string} tabId - The tab ID
+   * @param {string} category - Category of the rule that blocked it
    */
-  recordBlocked(tabId) {
-    this.stats.sessionBlocked++;
-    this.stats.totalBlocked++;
+  recordBlocked(tabId, category = 'ads') {
+    const { stats } = this;
+    stats.sessionBlocked++;
+    stats.totalBlocked++;
+    stats.sessionByCategory[category] = (stats.sessionByCategory[category] || 0) + 1;
+    stats.totalByCategory[category] = (stats.totalByCategory[category] || 0) + 1;
+
+    const tabStats = this.getTabStats(tabId);
+    tabStats.blocked++;
+    tabStats.byCategory[category] = (tabStats.byCategory[category] || 0) + 1;
+
+    // Lifetime counter is written in batches, not on every request
+    this.store?.scheduleSave(() => this.getSettingsData());
+  }
 
-    const currentCount = this.stats.blockedByTab.get(tabId) || 0;
-    this.stats.blockedByTab.set(tabId, currentCount + 1);
+  /**
+   * Record tracking parameters removed from a URL loaded in a tab
+   * @param {string} tabId - The tab ID
+   * @param {number} count - Number of parameters removed
+   */
+  recordParamsRemoved(tabId, count) {
+    this.stats.sessionParamsRemoved += count;
+    this.getTabStats(tabId).paramsRemoved += count;
+  }
 
-    // Save periodically (every 10 blocks)
-    if (this.stats.sessionBlocked % 10 === 0) {
-      this.saveSettings();
+  /**
+   * Get the counters of a tab's current page, creating them if needed
+   * @param {string} tabId - The tab ID
+   * @returns {Object} - { blocked, byCategory, paramsRemoved }
+   */
+  getTabStats(tabId) {
+    let tabStats = this.stats.blockedByTab.get(tabId);
+    if (!tabStats) {
+      tabStats = { blocked: 0, byCategory: {}, paramsRemoved: 0 };
+      this.stats.blockedByTab.set(tabId, tabStats);
     }
+    return tabStats;
   }
 
   /**
@@ -645,492 +1490,118 @@ class AdBlocker {
    * @returns {number}
    */
   getBlockedCount(tabId) {
-    return this.stats.blockedByTab.get(tabId) || 0;
+    return this.stats.blockedByTab.get(tabId)?.blocked || 0;
   }
 
   /**
-   * Reset tab stats (called when tab navigates)
+   * Reset tab stats (called when the tab navigates or closes)
    * @param {string} tabId - The tab ID
    */
   resetTabStats(tabId) {
-    this.stats.blockedByTab.set(tabId, 0);
+    this.stats.blockedByTab.delete(tabId);
   }
 
   /**
    * Get CSS for cosmetic filtering
+   * @param {string} hostname - Page hostname (omit for generic rules only)
    * @returns {string}
    */
-  getCosmeticFilterCSS() {
-    return COSMETIC_FILTERS.map(selector => `${selector} { display: none !important; }`).join('\n');
+  getCosmeticFilterCSS(hostname = '') {
+    return buildHidingCSS(this.cosmeticEngine.getRulesFor(hostname).selectors);
   }
 
   /**
-   * Get JavaScript for additional ad blocking
-   * @returns {string}
+   * Get the element hiding to apply on a page
+   * @param {string} pageUrl - The page URL
+   * @returns {{css: string, script: string}} - CSS for insertCSS and a script for
+   *   procedural rules (only rules of the categories switched on for the site)
    */
-  getContentScript() {
-    return `
-      (function() {
-        // Skip if already injected
-        if (window.__yarvixAdBlocker) return;
-        window.__yarvixAdBlocker = true;
-
-        // Detect YouTube for special handling
-        const isYouTube = window.location.hostname.includes('youtube.com') ||
-                          window.location.hostname.includes('googlevideo.com');
-
-        // YouTube-specific ad blocking (Brave-style)
-        if (isYouTube) {
-          // Block YouTube ad-related functions by overriding them
-          const originalCreateElement = document.createElement.bind(document);
-          document.createElement = function(tagName) {
-            const element = originalCreateElement(tagName);
-            if (tagName.toLowerCase() === 'script') {
-              const originalSetAttribute = element.setAttribute.bind(element);
-              element.setAttribute = function(name, value) {
-                // Block known YouTube ad script patterns
-                const blockedPatterns = [
-                  'adservice', 'doubleclick', 'googlesyndication',
-                  'pagead2', 'adsbygoogle', 'ytads', 'youtubeads',
-                  'imasdk', 'ima3', 'googletagservices',
-                  'player_ads', 'ads.js', 'ad_status',
-                  'midroll', 'preroll', 'postroll',
-                  'get_midroll_info', 'api/stats/ads',
-                  'youtubei/v1/ads', 'ptracking',
-                  'attribution', 'adbreak', 'adstart',
-                  'vast', 'vmap', 'dai', 'ima'
-                ];
-                if (name === 'src' && value) {
-                  const valueLower = value.toLowerCase();
-                  for (const pattern of blockedPatterns) {
-                    if (valueLower.includes(pattern.toLowerCase())) {
-                      console.log('[YarvixBrowser] Blocked YouTube ad script:', value);
-                      return;
-                    }
-                  }
-                }
-                return originalSetAttribute(name, value);
-              };
-            }
-            return element;
-          };
-
-          // Block eval-based ad loading
-          const originalEval = window.eval;
-          window.eval = function(code) {
-            if (code && typeof code === 'string') {
-              const blockedPatterns = [
-                'adservice', 'doubleclick', 'googlesyndication',
-                'ytads', 'youtubeads', 'player_ads',
-                'ads.js', 'midroll_info', 'vast', 'vmap',
-                'ima3', 'imasdk', 'adbreak', 'getAd',
-                'adPod', 'adUnit', 'adSegment'
-              ];
-              for (const pattern of blockedPatterns) {
-                if (code.toLowerCase().includes(pattern.toLowerCase())) {
-                  console.log('[YarvixBrowser] Blocked YouTube ad eval:', pattern);
-                  return;
-                }
-              }
-            }
-            return originalEval(code);
-          };
-
-          // Block fetch requests for ads
-          if (window.fetch) {
-            const originalFetch = window.fetch;
-            window.fetch = function(input, init) {
-              const url = typeof input === 'string' ? input : input?.url;
-              if (url) {
-                const blockedPatterns = [
-                  '/ads/', '/ad/', '/ads?', '/ad?',
-                  'googlesyndication', 'doubleclick',
-                  'youtubei/v1/ads', 'api/stats/ads',
-                  'get_midroll', 'ptracking', 'attribution',
-                  'player_ads', 'ads.js', 'ad_status',
-                  'imasdk', 'ima3', 'vast', 'vmap',
-                  'preroll', 'midroll', 'postroll',
-                  'dai', 'ima', 'adbreak', 'adstart',
-                  'watermark', 'adfmt', 'adsegment'
-                ];
-                const urlLower = url.toLowerCase();
-                for (const pattern of blockedPatterns) {
-                  if (urlLower.includes(pattern.toLowerCase())) {
-                    console.log('[YarvixBrowser] Blocked YouTube ad fetch:', url);
-                    return new Response(new Blob(), { status: 403 });
-                  }
-                }
-              }
-              return originalFetch(input, init);
-            };
-          }
-
-          // Block XMLHttpRequest for ads
-          if (window.XMLHttpRequest) {
-            const originalOpen = XMLHttpRequest.prototype.open;
-            XMLHttpRequest.prototype.open = function(method, url) {
-              const blockedPatterns = [
-                '/ads/', '/ad/', '/ads?', '/ad?',
-                'googlesyndication', 'doubleclick',
-                'youtubei/v1/ads', 'api/stats/ads',
-                'get_midroll', 'ptracking', 'attribution',
-                'player_ads', 'ads.js', 'ad_status',
-                'imasdk', 'ima3', 'vast', 'vmap',
-                'preroll', 'midroll', 'postroll',
-                'dai', 'ima', 'adbreak', 'adstart'
-              ];
-              if (url) {
-                const urlLower = url.toLowerCase();
-                for (const pattern of blockedPatterns) {
-                  if (urlLower.includes(pattern.toLowerCase())) {
-                    console.log('[YarvixBrowser] Blocked YouTube ad XHR:', url);
-                    this.abort();
-                    return;
-                  }
-                }
-              }
-              return originalOpen.apply(this, arguments);
-            };
-          }
-
-          // Aggressively remove YouTube ad elements
-          const removeYouTubeAds = () => {
-            // Skip button (appears when ads are playing)
-            const skipButtons = document.querySelectorAll('.ytp-ad-skip-button, .ytp-ad-skip-button-container, .ytp-skip-ad-button');
-            skipButtons.forEach(btn => {
-              if (btn) {
-                // Click the skip button if it exists
-                btn.click();
-                btn.remove();
-              }
-            });
-
-            // Remove ad overlays
-            const adOverlays = document.querySelectorAll(
-              '.ytp-ad-player-overlay, .ytp-ad-preview, .ytp-ad-message-box, ' +
-              '.ytp-ad-progress, .ytp-ad-text, .ytp-ad-image, ' +
-              '.ytp-ad-duration-remaining, .ytp-ad-progress-list, ' +
-              '.ytp-ad-button, .ytp-ad-button-icon, .ytp-ad-button-text, ' +
-              '.ytp-flyout-cta, .ytp-flyout-cta-body, .ytp-flyout-cta-image, ' +
-              '.ytp-flyout-cta-title, .ytp-flyout-cta-description'
-            );
-            adOverlays.forEach(el => el.style.display = 'none');
-
-            // Remove cards and teasers that are ads
-            const cardTeasers = document.querySelectorAll(
-              '.ytp-cards-teaser, .ytp-cards-teaser-image, ' +
-              '.ytp-cards-teaser-title, .ytp-cards-teaser-text, ' +
-              '.ytp-card, .ytp-card-teaser, .ytp-card-content'
-            );
-            cardTeasers.forEach(el => el.style.display = 'none');
-
-            // Remove promotion content
-            const promotions = document.querySelectorAll(
-              '.ytp-promotion-headline, .ytp-promotion-item, ' +
-              '.ytp-promotion-shelf, .ytp-modified-annotations'
-            );
-            promotions.forEach(el => el.style.display = 'none');
-
-            // Remove annotations
-            const annotations = document.querySelectorAll('.ytp-annotation, .ytp-annotation-ink');
-            annotations.forEach(el => el.style.display = 'none');
-
-            // Remove end screen elements that are ads
-            const endScreens = document.querySelectorAll('.ytp-endscreen-element, .ytp-endscreen-element-content');
-            endScreens.forEach(el => el.style.display = 'none');
-
-            // Remove action panels
-            const actionPanels = document.querySelectorAll('.ytp-action-panel, .ytp-action-panel-content');
-            actionPanels.forEach(el => el.style.display = 'none');
-
-            // Remove "Learn More" buttons
-            const learnMoreButtons = document.querySelectorAll('.ytp-button:has-text("Learn More"), .ytp-button:has-text("Ad"), .ytp-button:has-text("Advertisement")');
-            learnMoreButtons.forEach(el => el.style.display = 'none');
-
-            // Remove YouTube Premium buttons
-            const premiumButtons = document.querySelectorAll(
-              '.ytp-youtube-premium-button, .ytp-premium-button, ' +
-              '.ytp-paid-msg-subtitle, .ytp-paid-membership-cta'
-            );
-            premiumButtons.forEach(el => el.style.display = 'none');
-
-            // Remove poll/survey overlays
-            const polls = document.querySelectorAll('.ytp-poll, .ytp-poll-choice, .ytp-survey, .ytp-teaser');
-            polls.forEach(el => el.style.display = 'none');
-
-            // Remove paid badges
-            const paidBadges = document.querySelectorAll('.ytp-paid, .ytp-badge');
-            paidBadges.forEach(el => el.style.display = 'none');
-
-            // Remove suggested videos in ad context
-            const suggestedInAd = document.querySelectorAll('.ytp-suggested-renderer');
-            suggestedInAd.forEach(el => el.style.display = 'none');
-
-            // Hide entire player when ad is playing (alternative approach)
-            const adPlaying = document.querySelector('.ytp-ad-active');
-            if (adPlaying) {
-              const player = document.querySelector('.html5-video-player');
-              if (player) {
-                player.style.opacity = '0.1';
-                setTimeout(() => player.style.opacity = '1', 5000);
-              }
-            }
-
-            // Remove ad container elements in the player
-            const adContainers = document.querySelectorAll(
-              '#player-ads, .ad-container, .ad-box, .ad-slot, .adsquare, ' +
-              '.video-ads, .ytd-player-legacy-desktop-watch-ads, ' +
-              '.ytd-player-theater-legacy-watch-ads'
-            );
-            adContainers.forEach(el => el.style.display = 'none');
-
-            // Remove ad-related iframes
-            document.querySelectorAll('iframe').forEach(iframe => {
-              const src = iframe.src || '';
-              const blockedPatterns = [
-                'doubleclick', 'googlesyndication', 'googletagservices',
-                'adservice', 'pagead2', 'adsbygoogle', 'ima3',
-                'imasdk', 'vast', 'vmap', 'dai', 'preroll',
-                'midroll', 'postroll', 'player_ads', 'ads.js',
-                'ad_status', 'watermark', 'adfmt', 'adsegment'
-              ];
-              const srcLower = src.toLowerCase();
-              for (const pattern of blockedPatterns) {
-                if (srcLower.includes(pattern.toLowerCase())) {
-                  iframe.remove();
-                  break;
-                }
-              }
-            });
-
-            // Remove ad-related divs
-            const adDivs = document.querySelectorAll(
-              '.ytd-companion-slot-renderer, .ytd-display-ad-renderer, ' +
-              '.ytd-video-masthead-ad-v3-renderer, .ytd-search-pypt-renderer, ' +
-              '.ytd-advertise-info-renderer, .ytd-shelf-renderer, ' +
-              '.ytd-promo-banner-renderer, .ytd-browse-above-hero, ' +
-              '.ytd-promoted-sparkles-tokens-renderer, ' +
-              '.ytd-promoted-sparkles-text-search-renderer, ' +
-              '.ytd-in-feed-ad-layout-renderer, .ytd-carousel-ad-renderer, ' +
-              '.ytd-ab4r-container-for-music-home-page, ' +
-              '.ytd-sponsorships-offer-renderer, .ytd-sponsorships-alert-renderer, ' +
-              '.ytd-shopping-product-details, .ytd-mealbar-promo-renderer, ' +
-              '.ytd-offer-module-renderer, .ytd-premium-edu-promo-renderer, ' +
-              '.ytd-announcement, .ypc-meets-card, .ytd-sponsorships-live-badge-renderer'
-            );
-            adDivs.forEach(el => el.style.display = 'none');
-
-            // Remove homepage and search ads
-            const searchAds = document.querySelectorAll(
-              '.ytd-search-ads-renderer, .ytd-homepage-stories-primary-info-renderer'
-            );
-            searchAds.forEach(el => el.style.display = 'none');
-
-            // Remove Shorts ads
-            const shortsAds = document.querySelectorAll(
-              '.ytd-reel-shelf-ad-renderer, .ytd-reel-player-overlay-ad-renderer'
-            );
-            shortsAds.forEach(el => el.style.display = 'none');
-
-            // Remove music ads
-            const musicAds = document.querySelectorAll(
-              '.ytmusic-player-ads, .ytmusic-nav-bar-ad, .ytkids-ad, ' +
-              '.ytmusic-merch-shelf-renderer, .ytmusic-premium-header-renderer'
-            );
-            musicAds.forEach(el => el.style.display = 'none');
-
-            // Remove donation/merch/promo content
-            const promoContent = document.querySelectorAll(
-              '.ytd-feed-nudge-renderer, .ytd-live-chat-tip-shoppable-product, ' +
-              '.ytd-donation-shelf-renderer, .ytd-merch-shelf-renderer, ' +
-              '.ytd-podcast-promo-renderer, .ytd-educational-overlay-renderer, ' +
-              '.ytd-trending-now-movie-offer-renderer, ' +
-              '.ytd-enforcement-notice-view-model'
-            );
-            promoContent.forEach(el => el.style.display = 'none');
-
-            // Remove YouTube Premium CTA from video player
-            const premiumCTA = document.querySelectorAll(
-              '.ytp-youtube-premium-button, .ytp-premium-button, ' +
-              '[aria-label*="YouTube Premium"], [title*="YouTube Premium"]'
-            );
-            premiumCTA.forEach(el => el.style.display = 'none');
-
-            // Click skip button if it appears
-            const skipBtn = document.querySelector('.ytp-ad-skip-button');
-            if (skipBtn) {
-              skipBtn.click();
-            }
-
-            // Hide ad when playing by simulating click on video
-            const adPlayingIndicator = document.querySelector('.ytp-ad-active');
-            if (adPlayingIndicator) {
-              const video = document.querySelector('video');
-              if (video) {
-                // Pause and restart video
-                video.pause();
-                video.currentTime += 0.1;
-                video.play().catch(() => {});
-              }
-            }
-          };
-
-          // Run immediately on YouTube
-          removeYouTubeAds();
-
-          // Run on DOM changes with debouncing
-          let youtubeAdBlockTimeout;
-          const youtubeObserver = new MutationObserver((mutations) => {
-            clearTimeout(youtubeAdBlockTimeout);
-            youtubeAdBlockTimeout = setTimeout(() => {
-              requestAnimationFrame(removeYouTubeAds);
-            }, 100);
-          });
-
-          youtubeObserver.observe(document.body || document.documentElement, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeFilter: ['class', 'style', 'hidden']
-          });
-
-          // Also monitor for YouTube's SPA navigation
-          const urlObserver = new MutationObserver(() => {
-            const currentUrl = window.location.href;
-            if (currentUrl !== window.__lastYoutubeUrl) {
-              window.__lastYoutubeUrl = currentUrl;
-              setTimeout(removeYouTubeAds, 500);
-            }
-          });
-
-          urlObserver.observe(document.documentElement, {
-            childList: true,
-            subtree: true
-          });
-        }
-
-        // Remove ad elements (generic)
-        const removeAds = () => {
-          const selectors = ${JSON.stringify(COSMETIC_FILTERS)};
-          selectors.forEach(selector => {
-            try {
-              document.querySelectorAll(selector).forEach(el => {
-                el.style.display = 'none';
-                el.remove();
-              });
-            } catch(e) {}
-          });
-
-          // Remove iframes with ad-related sources
-          document.querySelectorAll('iframe').forEach(iframe => {
-            const src = iframe.src || '';
-            if (src.includes('doubleclick') ||
-                src.includes('googlesyndication') ||
-                src.includes('adservice') ||
-                src.includes('/ads/') ||
-                src.includes('ad.') ||
-                src.includes('advertising') ||
-                src.includes('pagead') ||
-                src.includes('adsbygoogle') ||
-                src.includes('ima3') ||
-                src.includes('imasdk') ||
-                src.includes('vast') ||
-                src.includes('vmap') ||
-                src.includes('preroll') ||
-                src.includes('midroll') ||
-                src.includes('postroll') ||
-                src.includes('dai') ||
-                src.includes('player_ads') ||
-                src.includes('watermark')) {
-              iframe.remove();
-            }
-          });
-        };
-
-        // Run immediately
-        removeAds();
-
-        // Run on DOM changes
-        const observer = new MutationObserver((mutations) => {
-          let shouldClean = false;
-          for (const mutation of mutations) {
-            if (mutation.addedNodes.length > 0) {
-              shouldClean = true;
-              break;
-            }
-          }
-          if (shouldClean) {
-            requestAnimationFrame(removeAds);
-          }
-        });
-
-        observer.observe(document.body || document.documentElement, {
-          childList: true,
-          subtree: true
-        });
-
-        // Block popup windows
-        const originalOpen = window.open;
-        window.open = function(url, name, features) {
-          if (url && (
-            url.includes('ad') ||
-            url.includes('popup') ||
-            url.includes('click') ||
-            !url.includes(location.hostname)
-          )) {
-            console.log('[YarvixBrowser] Blocked popup:', url);
-            return null;
-          }
-          return originalOpen.call(window, url, name, features);
-        };
-
-        // Prevent ad scripts from loading (generic)
-        const originalCreateElementGeneric = document.createElement;
-        document.createElement = function(tagName) {
-          const element = originalCreateElementGeneric.call(document, tagName);
-          if (tagName.toLowerCase() === 'script') {
-            const originalSetAttribute = element.setAttribute;
-            element.setAttribute = function(name, value) {
-              if (name === 'src' && value) {
-                const blockedDomains = ['doubleclick', 'googlesyndication', 'googleadservices', 'adsbygoogle', 'pagead', 'ima3', 'imasdk', 'vast', 'vmap', 'dai', 'preroll', 'midroll', 'postroll', 'player_ads', 'ytads', 'youtubeads', 'watermark', 'adfmt'];
-                for (const domain of blockedDomains) {
-                  if (value.includes(domain)) {
-                    console.log('[YarvixBrowser] Blocked script:', value);
-                    return;
-                  }
-                }
-              }
-              return originalSetAttribute.call(element, name, value);
-            };
-          }
-          return element;
-        };
-
-        console.log('[YarvixBrowser] Ad blocker active');
-      })();
-    `;
+  getCosmeticFilters(pageUrl) {
+    const profile = this.getShieldsProfile(pageUrl);
+    const hostname = getHostname(pageUrl);
+    if (!profile.enabled || !hostname) {
+      return { css: '', script: '' };
+    }
+
+    const { selectors, procedural } = this.cosmeticEngine.getRulesFor(hostname, this.getCategoryFilter(profile));
+    return {
+      css: buildHidingCSS(selectors),
+      script: buildProceduralScript(procedural)
+    };
+  }
+
+  /**
+   * Get the scriptlets to run on a page
+   * @param {string} pageUrl - The page URL
+   * @returns {string} - Script for the webview preload ('' when Shields are off for
+   *   the site, or no scriptlet of an active category applies)
+   */
+  getScriptlets(pageUrl) {
+    const profile = this.getShieldsProfile(pageUrl);
+    const hostname = getHostname(pageUrl);
+    if (!profile.enabled || !hostname) return '';
+
+    const { scriptlets } = this.cosmeticEngine.getRulesFor(hostname, this.getCategoryFilter(profile));
+    return buildScriptletScript(scriptlets);
   }
 
   /**
    * Get statistics
+   * @param {string|null} tabId - Also report this tab's counts for its current page
    * @returns {Object}
    */
-  getStats() {
+  getStats(tabId = null) {
+    const tabStats = tabId ? this.stats.blockedByTab.get(tabId) : null;
     return {
       enabled: this.enabled,
+      categories: { ...this.categories },
       sessionBlocked: this.stats.sessionBlocked,
+      sessionByCategory: { ...this.stats.sessionByCategory },
+      sessionParamsRemoved: this.stats.sessionParamsRemoved,
       totalBlocked: this.stats.totalBlocked,
-      whitelistCount: this.whitelist.size
+      totalByCategory: { ...this.stats.totalByCategory },
+      totalBlockedSince: this.stats.since,
+      tab: tabId ? {
+        id: tabId,
+        blocked: tabStats?.blocked || 0,
+        byCategory: { ...tabStats?.byCategory },
+        paramsRemoved: tabStats?.paramsRemoved || 0
+      } : null,
+      whitelistCount: this.whitelist.size,
+      filterRuleCount: this.getFilterRuleCount()
     };
   }
+
+  /**
+   * Number of rules loaded from filter lists (built-in rules excluded)
+   * @returns {number}
+   */
+  getFilterRuleCount() {
+    return (this.blockIndex.size - this.builtinFilterCount) +
+      this.exceptionIndex.size +
+      this.importantIndex.size +
+      (this.cosmeticEngine.size - this.builtinCosmeticCount);
+  }
 }
 
 // Export for both Node.js and browser
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { AdBlocker, AD_DOMAINS, BLOCK_PATTERNS, COSMETIC_FILTERS };
+  module.exports = {
+    AdBlocker,
+    AD_DOMAINS,
+    TRACKER_DOMAINS,
+    BLOCK_PATTERNS,
+    COSMETIC_FILTERS,
+    SHIELDS_DEFAULTS,
+    BLOCKING_CATEGORIES,
+    getListCategory
+  };
 } else if (typeof window !== 'undefined') {
   window.AdBlocker = AdBlocker;
   window.AD_DOMAINS = AD_DOMAINS;
+  window.TRACKER_DOMAINS = TRACKER_DOMAINS;
   window.BLOCK_PATTERNS = BLOCK_PATTERNS;
   window.COSMETIC_FILTERS = COSMETIC_FILTERS;
+  window.SHIELDS_DEFAULTS = SHIELDS_DEFAULTS;
+  window.BLOCKING_CATEGORIES = BLOCKING_CATEGORIES;
 }
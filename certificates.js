@@ -0,0 +1,133 @@
+/**
+ * YarvixBrowser Certificates
+ * Keeps the result of every TLS certificate check, for the certificate viewer
+ * and the certificate error interstitial.
+ *
+ * - Chromium does the actual verification; this only records what it decided
+ * - "Proceed anyway" exceptions are per host and per certificate: a different
+ *   invalid certificate on the same host shows the warning again. They last
+ *   until the browser quits
+ */
+
+// Hosts whose certificate result is kept (oldest are dropped first)
+const MAX_HOSTS = 500;
+
+/**
+ * Turn an Electron certificate into plain data for the renderer
+ * @param {Electron.Certificate} certificate - Certificate (with its issuer chain)
+ * @returns {Object} - { subject, issuer, validStart, validExpiry, serialNumber,
+ *   fingerprint, chain } where chain lists the issuers up to the root
+ */
+function summarizeCertificate(certificate) {
+  const describe = cert => ({
+    subject: cert.subjectName || cert.subject?.commonName || '',
+    subjectOrganization: (cert.subject?.organizations || []).join(', '),
+    issuer: cert.issuerName || cert.issuer?.commonName || '',
+    issuerOrganization: (cert.issuer?.organizations || []).join(', '),
+    validStart: cert.validStart * 1000,
+    validExpiry: cert.validExpiry * 1000,
+    serialNumber: cert.serialNumber,
+    fingerprint: cert.fingerprint
+  });
+
+  // Walk up to the root (a self-signed root is its own issuer)
+  const chain = [];
+  let current = certificate;
+  while (current.issuerCert && current.issuerCert.fingerprint !== current.fingerprint && chain.length < 10) {
+    current = current.issuerCert;
+    chain.push(describe(current));
+  }
+
+  return { ...describe(certificate), chain };
+}
+
+/**
+ * CertificateStore class - certificate check results and proceed-anyway exceptions
+ */
+class CertificateStore {
+  constructor() {
+    // Hostname -> { certificate, error } of the latest check ('' error when valid)
+    this.results = new Map();
+    // Hostname -> Set of certificate fingerprints the user chose to trust anyway
+    this.exceptions = new Map();
+  }
+
+  /**
+   * Record the outcome of a certificate check
+   * @param {string} hostname - Host that presented the certificate
+   * @param {Electron.Certificate} certificate - The certificate
+   * @param {string} verificationResult - Chromium's result, `net::OK` or e.g. `net::ERR_CERT_DATE_INVALID`
+   */
+  record(hostname, certificate, verificationResult) {
+    this.results.delete(hostname);
+    this.results.set(hostname, {
+      certificate,
+      error: verificationResult === 'net::OK' ? '' : verificationResult
+    });
+
+    if (this.results.size > MAX_HOSTS) {
+      this.results.delete(this.results.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the latest certificate check of a host
+   * @param {string} hostname - The host
+   * @returns {{certificate: Object, error: string, allowed: boolean}|null} - `certificate` is
+   *   summarized for display; `allowed` is set when an invalid certificate was accepted anyway
+   */
+  get(hostname) {
+    const result = this.results.get(hostname);
+    if (!result) return null;
+
+    return {
+      certificate: summarizeCertificate(result.certificate),
+      error: result.error,
+      allowed: Boolean(result.error) && this.isAllowed(hostname, result.certificate)
+    };
+  }
+
+  /**
+   * Get the network error of the latest check of a host
+   * @param {string} hostname - The host
+   * @returns {string} - '' when the certificate was valid or the host is unknown
+   */
+  getError(hostname) {
+    return this.results.get(hostname)?.error || '';
+  }
+
+  /**
+   * Check whether the user accepted this certificate for the host
+   * @param {string} hostname - The host
+   * @param {Electron.Certificate} certificate - The certificate
+   * @returns {boolean}
+   */
+  isAllowed(hostname, certificate) {
+    return this.exceptions.get(hostname)?.has(certificate.fingerprint) || false;
+  }
+
+  /**
+   * Accept the certificate last seen on a host ("proceed anyway")
+   * @param {string} hostname - The host
+   * @returns {boolean} - False if no certificate was seen for the host
+   */
+  allow(hostname) {
+    const result = this.results.get(hostname);
+    if (!result) return false;
+
+    if (!this.exceptions.has(hostname)) this.exceptions.set(hostname, new Set());
+    this.exceptions.get(hostname).add(result.certificate.fingerprint);
+    return true;
+  }
+
+  /**
+   * Forget the certificates accepted for a host
+   * @param {string} hostname - The host
+   * @returns {boolean} - True if there were any
+   */
+  revoke(hostname) {
+    return this.exceptions.delete(hostname);
+  }
+}
+
+module.exports = { CertificateStore, summarizeCertificate, MAX_HOSTS };
@@ -0,0 +1,131 @@
+/**
+ * YarvixBrowser Clear On Exit
+ * Deletes the selected kinds of browsing data when the browser quits.
+ *
+ * - Every category is off by default and is switched on in the homepage settings
+ * - Cookies and site data are cleared for every site except the ones set to
+ *   "Keep on exit" in the cookies and site data manager
+ * - History and the downloads list live in the browser UI's localStorage, so
+ *   browser windows delete them as they close while the browser quits. When no
+ *   window is open at that point (macOS), they stay pending and the next window
+ *   deletes them on start
+ */
+
+const { SettingsStore } = require('./settingsStore');
+const { clearAllSiteData } = require('./siteData');
+
+// Categories in display order
+const CLEAR_ON_EXIT_CATEGORIES = ['history', 'cookies', 'cache', 'downloads', 'credentials', 'sessionTabs'];
+
+// Categories stored by the browser UI rather than the main process
+const UI_CATEGORIES = ['history', 'downloads'];
+
+/**
+ * Delete a session's data for the selected categories
+ * @param {Electron.Session} ses - The session
+ * @param {string[]} categories - Enabled categories
+ * @param {string[]} keptSites - Sites whose cookies and site data are kept
+ * @param {string[]} origins - Origins known to have loaded pages in the session (SiteOrigins)
+ * @returns {Promise<void>}
+ */
+async function clearSessionOnExit(ses, categories, keptSites = [], origins = []) {
+  if (categories.includes('cookies')) {
+    await clearAllSiteData(ses, keptSites, origins);
+    await ses.clearAuthCache();
+  }
+  if (categories.includes('cache')) {
+    await ses.clearCache();
+    await ses.clearCodeCaches({});
+    await ses.clearHostResolverCache();
+  }
+}
+
+/**
+ * ClearOnExit class - the categories to clear and UI data left to clear
+ */
+class ClearOnExit {
+  /**
+   * @param {string} settingsFile - JSON file for the settings (kept in memory only when omitted)
+   */
+  constructor(settingsFile = null) {
+    this.categories = Object.fromEntries(CLEAR_ON_EXIT_CATEGORIES.map(category => [category, false]));
+    // UI categories not cleared at the last quit because no window was open
+    this.pendingUi = [];
+
+    this.store = settingsFile ? new SettingsStore(settingsFile, {
+      name: 'ClearOnExit',
+      version: 1,
+      defaults: { categories: { ...this.categories }, pendingUi: [] }
+    }) : null;
+
+    this.load();
+  }
+
+  load() {
+    if (!this.store) return;
+
+    const settings = this.store.load();
+    for (const category of CLEAR_ON_EXIT_CATEGORIES) {
+      this.categories[category] = settings.categories?.[category] === true;
+    }
+    this.pendingUi = (settings.pendingUi || []).filter(category => UI_CATEGORIES.includes(category));
+  }
+
+  save() {
+    this.store?.save({ categories: { ...this.categories }, pendingUi: this.pendingUi });
+  }
+
+  /**
+   * Get the enabled categories
+   * @returns {string[]}
+   */
+  getCategories() {
+    return CLEAR_ON_EXIT_CATEGORIES.filter(category => this.categories[category]);
+  }
+
+  /**
+   * Turn a category on or off
+   * @param {string} category - One of CLEAR_ON_EXIT_CATEGORIES
+   * @param {boolean} enabled - Clear it on exit
+   * @returns {boolean} - False if the category is unknown
+   */
+  setCategory(category, enabled) {
+    if (!CLEAR_ON_EXIT_CATEGORIES.includes(category)) return false;
+
+    this.categories[category] = Boolean(enabled);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remember UI categories the next browser window must clear
+   * @param {string[]} categories - UI categories
+   */
+  setPendingUi(categories) {
+    this.pendingUi = categories.filter(category => UI_CATEGORIES.includes(category));
+    this.save();
+  }
+
+  /**
+   * Get the UI categories left to clear, and forget them
+   * @returns {string[]}
+   */
+  takePendingUi() {
+    const pending = this.pendingUi;
+    if (pending.length > 0) {
+      this.pendingUi = [];
+      this.save();
+    }
+    return pending;
+  }
+
+  /**
+   * Settings for the homepage settings panel
+   * @returns {{categories: Object}} - category -> enabled
+   */
+  getState() {
+    return { categories: { ...this.categories } };
+  }
+}
+
+module.exports = { ClearOnExit, CLEAR_ON_EXIT_CATEGORIES, UI_CATEGORIES, clearSessionOnExit };
@@ -0,0 +1,224 @@
+/**
+ * YarvixBrowser Container Tabs
+ * Containers ("Personal", "Work", "Client A", ...) give tabs their own cookie jar,
+ * so the same site can be signed in with a different account in each container.
+ *
+ * - Every container has its own persistent session partition (`persist:container-<id>`)
+ * - Sites can be set to always open in a container (`example.com` also matches
+ *   its subdomains); navigating to such a site from another tab reopens it there
+ * - Removing a container deletes its site rules; the caller clears its session data
+ */
+
+const { SettingsStore } = require('./settingsStore');
+
+// Colors a container can have (tab indicator and menu dot)
+const CONTAINER_COLORS = {
+  blue: '#3b82f6',
+  turquoise: '#14b8a6',
+  green: '#22c55e',
+  yellow: '#eab308',
+  orange: '#f97316',
+  red: '#ef4444',
+  pink: '#ec4899',
+  purple: '#a855f7'
+};
+
+// Containers created on first run
+const DEFAULT_CONTAINERS = [
+  { id: 'personal', name: 'Personal', color: 'blue' },
+  { id: 'work', name: 'Work', color: 'orange' }
+];
+
+// Longest container name accepted
+const MAX_NAME_LENGTH = 32;
+
+/**
+ * Normalize a hostname for a site rule
+ * @param {string} hostname - Hostname or URL typed by the user
+ * @returns {string} - Lowercase hostname without `www.`, or '' if invalid
+ */
+function normalizeSite(hostname) {
+  let host = String(hostname || '').trim().toLowerCase();
+  try {
+    if (host.includes('/')) host = new URL(host.includes('://') ? host : `https://${host}`).hostname;
+  } catch {
+    return '';
+  }
+  host = host.replace(/^www\./, '');
+  return /^[a-z0-9.-]+$/.test(host) ? host : '';
+}
+
+/**
+ * ContainerManager class - containers, their partitions and "always open in" rules
+ */
+class ContainerManager {
+  /**
+   * @param {string} settingsFile - JSON file for containers and site rules
+   *   (kept in memory only when omitted)
+   */
+  constructor(settingsFile = null) {
+    // Container ID -> { id, name, color }
+    this.containers = new Map(DEFAULT_CONTAINERS.map(container => [container.id, { ...container }]));
+    // Site hostname -> container ID
+    this.siteRules = new Map();
+
+    this.store = settingsFile ? new SettingsStore(settingsFile, {
+      name: 'Containers',
+      version: 1,
+      defaults: { containers: DEFAULT_CONTAINERS, siteRules: {} }
+    }) : null;
+
+    this.load();
+  }
+
+  load() {
+    if (!this.store) return;
+
+    const settings = this.store.load();
+    if (Array.isArray(settings.containers)) {
+      this.containers = new Map(settings.containers
+        .filter(container => container && container.id && container.name)
+        .map(container => [container.id, {
+          id: container.id,
+          name: container.name,
+          color: CONTAINER_COLORS[container.color] ? container.color : 'blue'
+        }]));
+    }
+    this.siteRules = new Map(Object.entries(settings.siteRules || {})
+      .filter(([, containerId]) => this.containers.has(containerId)));
+  }
+
+  save() {
+    this.store?.save({
+      containers: Array.from(this.containers.values()),
+      siteRules: Object.fromEntries(this.siteRules)
+    });
+  }
+
+  /**
+   * Get the session partition of a container
+   * @param {string} containerId - Container ID
+   * @returns {string}
+   */
+  getPartition(containerId) {
+    return `persist:container-${containerId}`;
+  }
+
+  /**
+   * Get a container
+   * @param {string} containerId - Container ID
+   * @returns {Object|null} - { id, name, color }
+   */
+  getContainer(containerId) {
+    return this.containers.get(containerId) || null;
+  }
+
+  /**
+   * Get all containers, in creation order
+   * @returns {Object[]}
+   */
+  getContainers() {
+    return Array.from(this.containers.values());
+  }
+
+  /**
+   * Create a container
+   * @param {string} name - Display name
+   * @param {string} color - One of CONTAINER_COLORS
+   * @returns {Object|null} - The new container, or null if the name is empty or taken
+   */
+  addContainer(name, color) {
+    const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!trimmed) return null;
+    if (this.getContainers().some(container => container.name.toLowerCase() === trimmed.toLowerCase())) {
+      return null;
+    }
+
+    // IDs end up in partition names: keep them readable and unique
+    const base = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'container';
+    let id = base;
+    for (let n = 2; this.containers.has(id); n++) id = `${base}-${n}`;
+
+    const container = { id, name: trimmed, color: CONTAINER_COLORS[color] ? color : 'blue' };
+    this.containers.set(id, container);
+    this.save();
+    return container;
+  }
+
+  /**
+   * Delete a container and the site rules that use it
+   * @param {string} containerId - Container ID
+   * @returns {boolean} - False if the container doesn't exist
+   */
+  removeContainer(containerId) {
+    if (!this.containers.delete(containerId)) return false;
+
+    for (const [site, ruleContainerId] of this.siteRules) {
+      if (ruleContainerId === containerId) this.siteRules.delete(site);
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Always open a site in a container, or stop doing so
+   * @param {string} hostname - The site
+   * @param {string|null} containerId - Container ID, or null to remove the rule
+   * @returns {boolean} - False if the site or container is invalid
+   */
+  setSiteRule(hostname, containerId) {
+    const site = normalizeSite(hostname);
+    if (!site) return false;
+
+    if (containerId) {
+      if (!this.containers.has(containerId)) return false;
+      this.siteRules.set(site, containerId);
+    } else {
+      this.siteRules.delete(site);
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Get the container a URL must open in
+   * @param {string} url - Page URL
+   * @returns {string|null} - Container ID, or null when no rule matches
+   */
+  getContainerForUrl(url) {
+    if (this.siteRules.size === 0) return null;
+
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+
+    // Most specific rule first: a.b.example.com, b.example.com, example.com
+    for (let site = host; site.includes('.'); site = site.slice(site.indexOf('.') + 1)) {
+      if (this.siteRules.has(site)) return this.siteRules.get(site);
+    }
+    return null;
+  }
+
+  /**
+   * Containers and rules for the browser UI
+   * @returns {{containers: Object[], siteRules: Object[], colors: Object}} - containers with
+   *   their `partition`, siteRules as { site, containerId }
+   */
+  getState() {
+    return {
+      containers: this.getContainers().map(container => ({
+        ...container,
+        partition: this.getPartition(container.id)
+      })),
+      siteRules: Array.from(this.siteRules.entries())
+        .map(([site, containerId]) => ({ site, containerId }))
+        .sort((a, b) => a.site.localeCompare(b.site)),
+      colors: CONTAINER_COLORS
+    };
+  }
+}
+
+module.exports = { ContainerManager, CONTAINER_COLORS, normalizeSite };
@@ -0,0 +1,313 @@
+/**
+ * YarvixBrowser Cosmetic Engine
+ * Works out which element hiding rules apply to a page.
+ *
+ * - Generic rules (`##.ad`) apply everywhere unless a site excludes them
+ *   (`~example.com##.ad`) or an exception disables them (`example.com#@#.ad`)
+ * - Site rules (`example.com##.banner`) are indexed by domain and found by
+ *   walking the page hostname's parent domains
+ * - Procedural rules (`example.com##.post:has-text(Sponsored)`) can't be
+ *   expressed in CSS; they are returned separately and run by a page script
+ * - Scriptlet rules (`example.com##+js(set-constant, ads, false)`) are stored
+ *   the same way and returned as `{ name, args }` for the webview preload
+ */
+
+/**
+ * Add a value to a Map of arrays
+ * @param {Map<string, Array>} map - Target map
+ * @param {string} key - Key
+ * @param {*} value - Value to add
+ */
+function addToMapList(map, key, value) {
+  const list = map.get(key);
+  if (list) {
+    list.push(value);
+  } else {
+    map.set(key, [value]);
+  }
+}
+
+/**
+ * Remove a value from a Map of arrays
+ * @param {Map<string, Array>} map - Target map
+ * @param {string} key - Key
+ * @param {*} value - Value to remove
+ * @returns {boolean} - True if the value was found
+ */
+function removeFromMapList(map, key, value) {
+  const list = map.get(key);
+  const index = list ? list.indexOf(value) : -1;
+  if (index === -1) return false;
+
+  list.splice(index, 1);
+  if (list.length === 0) map.delete(key);
+  return true;
+}
+
+/**
+ * Get a hostname and its parent domains: a.b.example.com, b.example.com, example.com, com
+ * @param {string} hostname - The page hostname
+ * @returns {string[]}
+ */
+function getHostnameSuffixes(hostname) {
+  const suffixes = [];
+  let current = hostname;
+  while (current) {
+    suffixes.push(current);
+    const dot = current.indexOf('.');
+    current = dot === -1 ? '' : current.slice(dot + 1);
+  }
+  return suffixes;
+}
+
+/**
+ * Key used to match a rule with its exceptions (same selector and same procedural steps)
+ * @param {CosmeticFilter} filter - The filter
+ * @returns {string}
+ */
+function getSelectorKey(filter) {
+  if (!filter.procedural) return filter.selector;
+  return filter.selector + filter.procedural.map(task => `:${task.type}(${task.arg})`).join('');
+}
+
+/**
+ * CosmeticEngine class - generic and site-scoped element hiding rules
+ */
+class CosmeticEngine {
+  constructor() {
+    this.genericFilters = [];
+    this.hostnameFilters = new Map();
+    this.genericExceptions = new Set();
+    this.hostnameExceptions = new Map();
+    this.size = 0;
+  }
+
+  /**
+   * Add a cosmetic filter
+   * @param {CosmeticFilter} filter - The filter
+   */
+  add(filter) {
+    this.size++;
+    const key = getSelectorKey(filter);
+
+    if (filter.isException) {
+      if (filter.isGeneric()) {
+        this.genericExceptions.add(key);
+      } else {
+        filter.domains.include.forEach(domain => addToMapList(this.hostnameExceptions, domain, filter));
+      }
+      return;
+    }
+
+    if (filter.isGeneric()) {
+      this.genericFilters.push(filter);
+    } else {
+      filter.domains.include.forEach(domain => addToMapList(this.hostnameFilters, domain, filter));
+    }
+  }
+
+  /**
+   * Add several filters
+   * @param {CosmeticFilter[]} filters - Filters to add
+   */
+  addAll(filters) {
+    filters.forEach(filter => this.add(filter));
+  }
+
+  /**
+   * Remove a cosmetic filter
+   * @param {CosmeticFilter} filter - A filter previously passed to add()
+   * @returns {boolean} - True if the filter was found
+   */
+  remove(filter) {
+    let found = false;
+
+    if (filter.isException && filter.isGeneric()) {
+      found = this.genericExceptions.delete(getSelectorKey(filter));
+    } else if (filter.isGeneric()) {
+      const index = this.genericFilters.indexOf(filter);
+      if (index !== -1) {
+        this.genericFilters.splice(index, 1);
+        found = true;
+      }
+    } else {
+      const map = filter.isException ? this.hostnameExceptions : this.hostnameFilters;
+      filter.domains.include.forEach(domain => {
+        if (removeFromMapList(map, domain, filter)) found = true;
+      });
+    }
+
+    if (found) this.size--;
+    return found;
+  }
+
+  /**
+   * Remove many filters at once (e.g. a whole filter list)
+   * @param {CosmeticFilter[]} filters - Filters previously passed to add()
+   */
+  removeAll(filters) {
+    if (filters.length === 0) return;
+    const removed = new Set(filters);
+
+    const pruneMap = (map) => {
+      for (const [domain, list] of map) {
+        const kept = list.filter(filter => !removed.has(filter));
+        if (kept.length === 0) {
+          map.delete(domain);
+        } else {
+          map.set(domain, kept);
+        }
+      }
+    };
+
+    this.genericFilters = this.genericFilters.filter(filter => !removed.has(filter));
+    pruneMap(this.hostnameFilters);
+    pruneMap(this.hostnameExceptions);
+    filters
+      .filter(filter => filter.isException && filter.isGeneric())
+      .forEach(filter => this.genericExceptions.delete(getSelectorKey(filter)));
+    this.size -= filters.length;
+  }
+
+  /**
+   * Get the rules that apply to a page
+   * @param {string} hostname - The page hostname ('' for generic rules only)
+   * @param {Function|null} accept - Optional (filter) => boolean, e.g. to skip categories
+   *   that are switched off (exceptions always apply)
+   * @returns {{selectors: string[], procedural: Object[], scriptlets: Object[]}} - CSS
+   *   selectors to hide, procedural rules as { selector, tasks } and scriptlets as { name, args }
+   */
+  getRulesFor(hostname, accept = null) {
+    const suffixes = hostname ? getHostnameSuffixes(hostname) : [];
+
+    const exceptions = new Set(this.genericExceptions);
+    for (const suffix of suffixes) {
+      for (const filter of this.hostnameExceptions.get(suffix) || []) {
+        if (filter.appliesTo(hostname)) exceptions.add(getSelectorKey(filter));
+      }
+    }
+
+    // `#@#+js()` turns off every scriptlet on the site
+    const scriptletsDisabled = exceptions.has('+js()');
+
+    const selectors = new Set();
+    const procedural = new Map();
+    const scriptlets = new Map();
+    const addFilter = filter => {
+      const key = getSelectorKey(filter);
+      if (exceptions.has(key) || !filter.appliesTo(hostname)) return;
+      if (accept && !accept(filter)) return;
+      if (filter.scriptlet) {
+        if (!scriptletsDisabled) scriptlets.set(key, filter.scriptlet);
+      } else if (filter.procedural) {
+        procedural.set(key, { selector: filter.selector, tasks: filter.procedural });
+      } else {
+        selectors.add(filter.selector);
+      }
+    };
+
+    this.genericFilters.forEach(addFilter);
+    for (const suffix of suffixes) {
+      (this.hostnameFilters.get(suffix) || []).forEach(addFilter);
+    }
+
+    return {
+      selectors: Array.from(selectors),
+      procedural: Array.from(procedural.values()),
+      scriptlets: Array.from(scriptlets.values())
+    };
+  }
+
+  /**
+   * Remove every filter
+   */
+  clear() {
+    this.genericFilters = [];
+    this.hostnameFilters.clear();
+    this.genericExceptions.clear();
+    this.hostnameExceptions.clear();
+    this.size = 0;
+  }
+}
+
+/**
+ * Build CSS that hides the given selectors
+ * @param {string[]} selectors - CSS selectors
+ * @returns {string}
+ */
+function buildHidingCSS(selectors) {
+  // One rule per selector: an invalid selector only drops its own rule
+  return selectors.map(selector => `${selector} { display: none !important; }`).join('\n');
+}
+
+/**
+ * Build the page script that applies procedural rules (and keeps applying them
+ * as the page changes)
+ * @param {Object[]} rules - Procedural rules from getRulesFor()
+ * @returns {string} - JavaScript source, or '' if there are no rules
+ */
+function buildProceduralScript(rules) {
+  if (rules.length === 0) return '';
+
+  return `
+    (function() {
+      if (window.__yarvixProceduralFilters) return;
+      window.__yarvixProceduralFilters = true;
+
+      const rules = ${JSON.stringify(rules)};
+
+      // "/regex/flags" arguments are regular expressions, anything else is plain text
+      const toMatcher = (arg) => {
+        const regexMatch = arg.match(/^\\/(.+)\\/([imsu]*)$/);
+        if (regexMatch) {
+          try {
+            const regex = new RegExp(regexMatch[1], regexMatch[2]);
+            return text => regex.test(text);
+          } catch (e) {
+            return () => false;
+          }
+        }
+        return text => text.includes(arg);
+      };
+
+      const compiled = rules.map(rule => ({
+        selector: rule.selector,
+        tests: rule.tasks.map(task => toMatcher(task.arg))
+      }));
+
+      const apply = () => {
+        compiled.forEach(rule => {
+          let elements;
+          try {
+            elements = document.querySelectorAll(rule.selector);
+          } catch (e) {
+            return;
+          }
+          elements.forEach(el => {
+            if (el.__yarvixHidden) return;
+            const text = el.textContent || '';
+            if (rule.tests.every(test => test(text))) {
+              el.__yarvixHidden = true;
+              el.style.setProperty('display', 'none', 'important');
+            }
+          });
+        });
+      };
+
+      apply();
+
+      // Re-run for content added later, at most every 200ms
+      let scheduled = false;
+      new MutationObserver(() => {
+        if (scheduled) return;
+        scheduled = true;
+        setTimeout(() => {
+          scheduled = false;
+          apply();
+        }, 200);
+      }).observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    })();
+  `;
+}
+
+module.exports = { CosmeticEngine, buildHidingCSS, buildProceduralScript };
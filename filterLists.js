@@ -0,0 +1,439 @@
+/**
+ * YarvixBrowser Filter List Subscriptions
+ * Keeps track of the filter lists (EasyList, EasyPrivacy, ...) used by the ad blocker.
+ *
+ * - Every list has metadata (title, homepage, version, last update, rule count)
+ *   and can be switched on/off on its own
+ * - Lists are imported from a local file or a URL. The list text is kept in
+ *   `<dir>/<id>.txt`, so lists dropped into the folder are picked up as well
+ * - Parsed rules are cached in `<dir>/compiled/<id>.json` so startup doesn't
+ *   parse the lists again; the cache is rebuilt whenever the text changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  parseFilterList,
+  parseListMetadata,
+  serializeFilter,
+  deserializeFilter
+} = require('./filterParser');
+const { SettingsStore, writeFileAtomic } = require('./settingsStore');
+const { getListCategory } = require('./adblock');
+
+// Bump when the serialized filter format changes (old caches are then rebuilt)
+const COMPILED_FORMAT = 1;
+
+// Downloads that take longer than this are abandoned
+const DOWNLOAD_TIMEOUT = 30000;
+
+// Biggest list we accept (the largest public lists are a few MB)
+const MAX_LIST_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Turn a list title or file name into a file-system friendly ID
+ * @param {string} name - Title, file name or URL
+ * @returns {string}
+ */
+function slugify(name) {
+  const slug = name
+    .toLowerCase()
+    .replace(/\.txt$/, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return slug || 'list';
+}
+
+/**
+ * FilterListManager class - filter list subscriptions and their compiled cache
+ */
+class FilterListManager {
+  /**
+   * @param {AdBlocker} adBlocker - Ad blocker that the enabled lists are loaded into
+   * @param {string} directory - Folder for list files (`<userData>/filter-lists`)
+   */
+  constructor(adBlocker, directory) {
+    this.adBlocker = adBlocker;
+    this.directory = directory;
+    this.compiledDirectory = path.join(directory, 'compiled');
+    // List ID -> metadata
+    this.lists = new Map();
+    this.store = new SettingsStore(path.join(directory, 'subscriptions.json'), {
+      name: 'FilterLists',
+      version: 1,
+      defaults: { lists: [] }
+    });
+  }
+
+  /**
+   * Read the subscriptions, pick up lists dropped into the folder and load the
+   * enabled lists into the ad blocker
+   * @returns {number} - Number of rules loaded
+   */
+  load() {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+    } catch (err) {
+      console.warn('[FilterLists] Failed to create the filter list folder:', err.message);
+      return 0;
+    }
+
+    for (const list of this.store.load().lists || []) {
+      if (fs.existsSync(this.getListPath(list.id))) {
+        this.lists.set(list.id, list);
+      }
+    }
+
+    // Lists copied into the folder by hand
+    const compiledNow = new Map();
+    for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith('.txt')).sort()) {
+      const id = file.slice(0, -4);
+      if (!this.lists.has(id)) {
+        const text = fs.readFileSync(this.getListPath(id), 'utf8');
+        compiledNow.set(id, this.register(id, text, { sourceUrl: null, sourceFile: null }).compiled);
+      }
+    }
+
+    let total = 0;
+    for (const list of this.lists.values()) {
+      if (list.enabled) total += this.activate(list, compiledNow.get(list.id));
+    }
+
+    this.save();
+    return total;
+  }
+
+  /**
+   * Get the metadata of every list
+   * @returns {Object[]}
+   */
+  getLists() {
+    return Array.from(this.lists.values()).map(list => ({ ...list }));
+  }
+
+  /**
+   * Import a list from a local file
+   * @param {string} filePath - Path of the list
+   * @returns {Object} - Metadata of the new (or updated) list
+   */
+  importFile(filePath) {
+    const text = this.readListFile(filePath);
+    const existing = this.findBySource('sourceFile', filePath);
+    if (existing) return this.replaceText(existing, text);
+
+    return this.addList(text, path.basename(filePath), { sourceUrl: null, sourceFile: filePath });
+  }
+
+  /**
+   * Import a list from a URL
+   * @param {string} url - http(s) URL of the list
+   * @returns {Promise<Object>} - Metadata of the new (or updated) list
+   */
+  async importUrl(url) {
+    const text = await this.download(url);
+    const existing = this.findBySource('sourceUrl', url);
+    if (existing) return this.replaceText(existing, text);
+
+    return this.addList(text, new URL(url).pathname.split('/').pop() || new URL(url).hostname, {
+      sourceUrl: url,
+      sourceFile: null
+    });
+  }
+
+  /**
+   * Fetch a list again from where it came from (its URL, or the file it was imported from)
+   * @param {string} id - List ID
+   * @returns {Promise<Object>} - Updated metadata
+   */
+  async update(id) {
+    const list = this.lists.get(id);
+    if (!list) throw new Error('Unknown filter list');
+
+    let text;
+    if (list.sourceUrl) {
+      text = await this.download(list.sourceUrl);
+    } else if (list.sourceFile) {
+      text = this.readListFile(list.sourceFile);
+    } else {
+      // Dropped into the folder - re-read our own copy (it may have been edited)
+      text = this.readListFile(this.getListPath(id));
+    }
+    return this.replaceText(list, text);
+  }
+
+  /**
+   * Switch a list on or off
+   * @param {string} id - List ID
+   * @param {boolean} enabled - New state
+   * @returns {boolean} - False if the list doesn't exist
+   */
+  setEnabled(id, enabled) {
+    const list = this.lists.get(id);
+    if (!list) return false;
+
+    list.enabled = Boolean(enabled);
+    if (list.enabled) {
+      this.activate(list);
+    } else {
+      this.adBlocker.removeFilterList(id);
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Unsubscribe from a list and delete its files
+   * @param {string} id - List ID
+   * @returns {boolean} - False if the list doesn't exist
+   */
+  remove(id) {
+    if (!this.lists.has(id)) return false;
+
+    this.adBlocker.removeFilterList(id);
+    this.lists.delete(id);
+    for (const file of [this.getListPath(id), this.getCompiledPath(id)]) {
+      try {
+        fs.rmSync(file, { force: true });
+      } catch (err) {
+        console.warn(`[FilterLists] Failed to delete ${file}:`, err.message);
+      }
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Add a new list
+   * @param {string} text - List contents
+   * @param {string} fallbackName - Name used when the list has no title
+   * @param {Object} source - { sourceUrl, sourceFile }
+   * @returns {Object} - Metadata of the new list
+   */
+  addList(text, fallbackName, source) {
+    const title = parseListMetadata(text).title || fallbackName;
+
+    let id = slugify(title);
+    for (let n = 2; this.lists.has(id); n++) {
+      id = `${slugify(title)}-${n}`;
+    }
+
+    writeFileAtomic(this.getListPath(id), text);
+    const { list, compiled } = this.register(id, text, { ...source, title });
+    this.activate(list, compiled);
+    this.save();
+    return { ...list };
+  }
+
+  /**
+   * Replace the text of an existing list and reload it
+   * @param {Object} list - List metadata
+   * @param {string} text - New list contents
+   * @returns {Object} - Updated metadata
+   */
+  replaceText(list, text) {
+    writeFileAtomic(this.getListPath(list.id), text);
+    const { list: updated, compiled } = this.register(list.id, text, list);
+    if (updated.enabled) this.activate(updated, compiled);
+    this.save();
+    return { ...updated };
+  }
+
+  /**
+   * Create or refresh a list's metadata from its text and compile it
+   * @param {string} id - List ID
+   * @param {string} text - List contents
+   * @param {Object} source - { sourceUrl, sourceFile, title } (the old metadata when updating)
+   * @returns {{list: Object, compiled: Object}} - The stored metadata and the parsed rules
+   */
+  register(id, text, source) {
+    const metadata = parseListMetadata(text);
+    const previous = this.lists.get(id);
+    const title = metadata.title || previous?.title || source.title || id;
+    const compiled = this.compile(id, text);
+
+    const list = {
+      id,
+      title,
+      homepage: metadata.homepage,
+      version: metadata.version,
+      expires: metadata.expires,
+      sourceUrl: source.sourceUrl || null,
+      sourceFile: source.sourceFile || null,
+      category: previous?.category || getListCategory(`${title} ${id}`),
+      enabled: previous ? previous.enabled : true,
+      lastUpdated: Date.now(),
+      ruleCount: compiled.count
+    };
+    this.lists.set(id, list);
+    return { list, compiled };
+  }
+
+  /**
+   * Load a list's rules into the ad blocker, from the compiled cache when it is current
+   * @param {Object} list - List metadata
+   * @param {Object} compiled - Rules that were just compiled (skips reading the cache)
+   * @returns {number} - Number of rules loaded
+   */
+  activate(list, compiled = null) {
+    compiled = compiled || this.readCompiled(list.id);
+    if (!compiled) {
+      try {
+        compiled = this.compile(list.id, fs.readFileSync(this.getListPath(list.id), 'utf8'));
+      } catch (err) {
+        console.warn(`[FilterLists] Failed to read ${list.id}:`, err.message);
+        return 0;
+      }
+    }
+
+    const count = this.adBlocker.addFilterList(list.id, compiled.filters, list.category);
+    list.ruleCount = count;
+    console.log(`[FilterLists] Loaded ${count} rules from ${list.title}`);
+    return count;
+  }
+
+  /**
+   * Parse a list and write its compiled cache
+   * @param {string} id - List ID
+   * @param {string} text - List contents
+   * @returns {{filters: Object, count: number}} - Parsed rules ({ networkFilters, cosmeticFilters })
+   */
+  compile(id, text) {
+    const { networkFilters, cosmeticFilters } = parseFilterList(text);
+    const filters = { networkFilters, cosmeticFilters };
+    const count = networkFilters.length + cosmeticFilters.length;
+
+    try {
+      const stat = fs.statSync(this.getListPath(id));
+      writeFileAtomic(this.getCompiledPath(id), JSON.stringify({
+        format: COMPILED_FORMAT,
+        sourceSize: stat.size,
+        sourceModified: stat.mtimeMs,
+        networkFilters: networkFilters.map(serializeFilter),
+        cosmeticFilters: cosmeticFilters.map(serializeFilter)
+      }));
+    } catch (err) {
+      // The list still works, it's just parsed again next time
+      console.warn(`[FilterLists] Failed to cache ${id}:`, err.message);
+    }
+
+    return { filters, count };
+  }
+
+  /**
+   * Read a list's compiled cache
+   * @param {string} id - List ID
+   * @returns {{filters: Object, count: number}|null} - null if missing or out of date
+   */
+  readCompiled(id) {
+    try {
+      const stat = fs.statSync(this.getListPath(id));
+      const cache = JSON.parse(fs.readFileSync(this.getCompiledPath(id), 'utf8'));
+      if (cache.format !== COMPILED_FORMAT ||
+          cache.sourceSize !== stat.size ||
+          cache.sourceModified !== stat.mtimeMs) {
+        return null;
+      }
+
+      const networkFilters = cache.networkFilters.map(deserializeFilter);
+      const cosmeticFilters = cache.cosmeticFilters.map(deserializeFilter);
+      return {
+        filters: { networkFilters, cosmeticFilters },
+        count: networkFilters.length + cosmeticFilters.length
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Download a list
+   * @param {string} url - http(s) URL
+   * @returns {Promise<string>} - List contents
+   */
+  async download(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('Invalid URL');
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      throw new Error('Only http(s) URLs are supported');
+    }
+
+    const response = await fetch(parsed.href, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`Download failed (HTTP ${response.status})`);
+    }
+
+    const text = await response.text();
+    this.checkListText(text);
+    return text;
+  }
+
+  /**
+   * Read a list from disk
+   * @param {string} filePath - Path of the list
+   * @returns {string} - List contents
+   */
+  readListFile(filePath) {
+    const stat = fs.statSync(filePath);
+    if (stat.size > MAX_LIST_SIZE) throw new Error('File is too large to be a filter list');
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    this.checkListText(text);
+    return text;
+  }
+
+  /**
+   * Reject text that isn't a filter list (e.g. an HTML error page)
+   * @param {string} text - Candidate list contents
+   */
+  checkListText(text) {
+    if (text.length > MAX_LIST_SIZE) throw new Error('File is too large to be a filter list');
+    if (/^\s*<(!doctype|html)/i.test(text)) throw new Error('Not a filter list (got an HTML page)');
+
+    const { networkFilters, cosmeticFilters } = parseFilterList(text);
+    if (networkFilters.length + cosmeticFilters.length === 0) {
+      throw new Error('No supported filter rules found');
+    }
+  }
+
+  /**
+   * Find a list by where it was imported from
+   * @param {string} key - `sourceUrl` or `sourceFile`
+   * @param {string} value - URL or path
+   * @returns {Object|null}
+   */
+  findBySource(key, value) {
+    return Array.from(this.lists.values()).find(list => list[key] === value) || null;
+  }
+
+  /**
+   * Path of a list's text
+   * @param {string} id - List ID
+   * @returns {string}
+   */
+  getListPath(id) {
+    return path.join(this.directory, `${id}.txt`);
+  }
+
+  /**
+   * Path of a list's compiled cache
+   * @param {string} id - List ID
+   * @returns {string}
+   */
+  getCompiledPath(id) {
+    return path.join(this.compiledDirectory, `${id}.json`);
+  }
+
+  /**
+   * Write the subscription metadata
+   */
+  save() {
+    this.store.save({ lists: this.getLists() });
+  }
+}
+
+module.exports = { FilterListManager };
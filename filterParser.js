@@ -0,0 +1,676 @@
+/**
+ * YarvixBrowser Filter List Parser
+ * Parses Adblock Plus / uBlock Origin filter syntax so EasyList-style lists
+ * (EasyList, EasyPrivacy, ...) can be loaded from local files
+ */
+
+const { resolveScriptletName } = require('./scriptlets');
+
+// Map Electron webRequest resource types to filter option names
+const RESOURCE_TYPE_MAP = {
+  mainFrame: 'document',
+  subFrame: 'subdocument',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  object: 'object',
+  xhr: 'xmlhttprequest',
+  ping: 'ping',
+  cspReport: 'other',
+  media: 'media',
+  webSocket: 'websocket',
+  other: 'other'
+};
+
+// Resource type options understood in `$` option lists (including common aliases)
+const TYPE_OPTIONS = {
+  document: 'document',
+  doc: 'document',
+  subdocument: 'subdocument',
+  frame: 'subdocument',
+  stylesheet: 'stylesheet',
+  css: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  object: 'object',
+  'object-subrequest': 'object',
+  xmlhttprequest: 'xmlhttprequest',
+  xhr: 'xmlhttprequest',
+  ping: 'ping',
+  beacon: 'ping',
+  media: 'media',
+  websocket: 'websocket',
+  other: 'other'
+};
+
+// Options that change what a filter does (redirects, CSP injection, ...).
+// We can't honour these yet, so filters using them are skipped instead of
+// being treated as plain block rules.
+const UNSUPPORTED_OPTIONS = new Set([
+  'redirect', 'redirect-rule', 'csp', 'removeparam', 'rewrite', 'replace',
+  'popup', 'popunder', 'generichide', 'ghide', 'elemhide', 'ehide',
+  'specifichide', 'shide', 'genericblock', 'badfilter', 'header', 'permissions',
+  'urltransform', 'empty', 'mp4', 'inline-script', 'inline-font', 'cname'
+]);
+
+// Multi-part public suffixes commonly seen in filter lists. This is not a full
+// Public Suffix List, just enough to keep third-party checks sane.
+const MULTI_PART_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'co.jp', 'ne.jp', 'or.jp',
+  'com.au', 'net.au', 'org.au', 'co.nz', 'co.in', 'co.kr', 'co.za',
+  'com.br', 'com.cn', 'com.mx', 'com.tr', 'com.tw', 'com.hk', 'com.sg',
+  'com.ar', 'com.ua', 'github.io', 'blogspot.com', 'appspot.com'
+]);
+
+// ABP separator placeholder `^`: anything but a letter, digit or one of _-.%
+const SEPARATOR_REGEX = '(?:[^\\w\\d_\\-.%]|$)';
+
+// `||` anchor: scheme plus any number of subdomains
+const HOST_ANCHOR_REGEX = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?';
+
+/**
+ * Get the registrable domain (eTLD+1) for a hostname
+ * @param {string} hostname - The hostname, or a cookie domain (`.example.com`)
+ * @returns {string}
+ */
+function getBaseDomain(hostname) {
+  if (!hostname) return '';
+  const host = hostname.toLowerCase().replace(/^\./, '').replace(/\.$/, '');
+  // IPv6 addresses have no registrable domain
+  if (host.includes(':')) return host;
+
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+
+  // IPv4 addresses have no registrable domain
+  if (/^\d+$/.test(labels[labels.length - 1])) return host;
+
+  const lastTwo = labels.slice(-2).join('.');
+  if (MULTI_PART_SUFFIXES.has(lastTwo)) {
+    return labels.slice(-3).join('.');
+  }
+  return lastTwo;
+}
+
+/**
+ * Check if a hostname equals a domain or is one of its subdomains
+ * @param {string} hostname - The hostname to test
+ * @param {string} domain - The domain to match against
+ * @returns {boolean}
+ */
+function isSubdomainOf(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+/**
+ * Build the request context that filters are matched against
+ * @param {string} url - The request URL
+ * @param {string} sourceUrl - The page that made the request
+ * @param {string} resourceType - Electron resource type (e.g. 'script', 'subFrame')
+ * @returns {Object|null} - null if the URL can't be parsed
+ */
+function createFilterRequest(url, sourceUrl = '', resourceType = 'other') {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  let sourceHostname = '';
+  try {
+    sourceHostname = sourceUrl ? new URL(sourceUrl).hostname.toLowerCase() : '';
+  } catch {
+    sourceHostname = '';
+  }
+
+  return {
+    url,
+    urlLower: url.toLowerCase(),
+    hostname,
+    sourceHostname,
+    type: RESOURCE_TYPE_MAP[resourceType] || 'other',
+    thirdParty: sourceHostname ? getBaseDomain(hostname) !== getBaseDomain(sourceHostname) : false
+  };
+}
+
+/**
+ * Parse a `domain=` option value or a cosmetic rule domain prefix
+ * @param {string} value - e.g. "example.com|~sub.example.com"
+ * @param {string} separator - '|' for network options, ',' for cosmetic rules
+ * @returns {{include: string[], exclude: string[]}}
+ */
+function parseDomainList(value, separator) {
+  const include = [];
+  const exclude = [];
+  value.split(separator).forEach(entry => {
+    const domain = entry.trim().toLowerCase();
+    if (!domain) return;
+    if (domain.startsWith('~')) {
+      exclude.push(domain.slice(1));
+    } else {
+      include.push(domain);
+    }
+  });
+  return { include, exclude };
+}
+
+/**
+ * Check a hostname against include/exclude domain lists
+ * @param {string} hostname - The hostname to test
+ * @param {{include: string[], exclude: string[]}} domains - Parsed domain list
+ * @returns {boolean}
+ */
+function matchesDomainList(hostname, domains) {
+  if (!domains) return true;
+  if (domains.exclude.some(d => isSubdomainOf(hostname, d))) return false;
+  if (domains.include.length === 0) return true;
+  return domains.include.some(d => isSubdomainOf(hostname, d));
+}
+
+/**
+ * Convert an ABP pattern into a regular expression
+ * @param {string} pattern - Filter pattern without options
+ * @param {boolean} matchCase - Whether the filter is case sensitive
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern, matchCase) {
+  // Raw regex filters: /banner\d+\.gif/
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    return new RegExp(pattern.slice(1, -1), matchCase ? '' : 'i');
+  }
+
+  let source = pattern;
+  let prefix = '';
+  let suffix = '';
+
+  if (source.startsWith('||')) {
+    prefix = HOST_ANCHOR_REGEX;
+    source = source.slice(2);
+  } else if (source.startsWith('|')) {
+    prefix = '^';
+    source = source.slice(1);
+  }
+
+  if (source.endsWith('|')) {
+    suffix = '$';
+    source = source.slice(0, -1);
+  }
+
+  const body = source
+    .replace(/\*+/g, '*')
+    .replace(/[.+?${}()[\]\\\/|]/g, '\\$&')
+    .replace(/\^/g, SEPARATOR_REGEX)
+    .replace(/\*/g, '.*');
+
+  return new RegExp(prefix + body + suffix, matchCase ? '' : 'i');
+}
+
+/**
+ * A network (request blocking) filter, e.g. `||ads.example.com^$script,third-party`
+ */
+class NetworkFilter {
+  constructor(raw, pattern, options) {
+    this.raw = raw;
+    this.pattern = pattern;
+    this.isException = options.isException;
+    this.isImportant = options.isImportant;
+    this.matchCase = options.matchCase;
+    this.thirdParty = options.thirdParty; // true, false or null (don't care)
+    this.includeTypes = options.includeTypes; // Set or null
+    this.excludeTypes = options.excludeTypes; // Set or null
+    this.domains = options.domains; // {include, exclude} or null
+    this.regex = options.regex || patternToRegExp(pattern, this.matchCase);
+    // Shields category the rule belongs to (set by the list it was loaded from)
+    this.category = 'ads';
+  }
+
+  /**
+   * Wrap a plain RegExp (used for the built-in block patterns) as a filter
+   * @param {RegExp} regex - The pattern to match against the request URL
+   * @returns {NetworkFilter}
+   */
+  static fromRegExp(regex) {
+    return new NetworkFilter(regex.toString(), `/${regex.source}/`, {
+      isException: false,
+      isImportant: false,
+      matchCase: !regex.flags.includes('i'),
+      thirdParty: null,
+      includeTypes: null,
+      excludeTypes: null,
+      domains: null,
+      regex
+    });
+  }
+
+  /**
+   * Check if this filter matches a request
+   * @param {Object} request - Context from createFilterRequest()
+   * @returns {boolean}
+   */
+  matches(request) {
+    if (this.includeTypes && !this.includeTypes.has(request.type)) return false;
+    if (this.excludeTypes && this.excludeTypes.has(request.type)) return false;
+
+    // Filters without explicit types never apply to top-level documents
+    if (!this.includeTypes && request.type === 'document') return false;
+
+    if (this.thirdParty !== null && this.thirdParty !== request.thirdParty) return false;
+    if (this.domains && !matchesDomainList(request.sourceHostname, this.domains)) return false;
+
+    return this.regex.test(request.url);
+  }
+}
+
+/**
+ * An element hiding filter, e.g. `example.com##.banner` or `example.com#@#.ad`
+ */
+class CosmeticFilter {
+  constructor(raw, selector, domains, isException, procedural = null) {
+    this.raw = raw;
+    this.selector = selector;
+    this.domains = domains; // {include, exclude} or null for generic rules
+    this.isException = isException;
+    // Procedural rules (`.ad:has-text(Sponsored)`): `selector` is the CSS part and
+    // `procedural` the steps run in the page, e.g. [{ type: 'has-text', arg: 'Sponsored' }]
+    this.procedural = procedural;
+    // Shields category the rule belongs to (set by the list it was loaded from)
+    this.category = 'ads';
+  }
+
+  /**
+   * Generic rules apply on every site that doesn't exclude them
+   * @returns {boolean}
+   */
+  isGeneric() {
+    return !this.domains || this.domains.include.length === 0;
+  }
+
+  /**
+   * Check if this rule applies to a page hostname
+   * @param {string} hostname - The page hostname
+   * @returns {boolean}
+   */
+  appliesTo(hostname) {
+    return matchesDomainList(hostname || '', this.domains);
+  }
+}
+
+/**
+ * ScriptletFilter class - `example.com##+js(name, arg1, arg2)` runs a named
+ * scriptlet on the site. Stored with the cosmetic rules; `selector` holds the
+ * normalized `+js(...)` text so exceptions can be matched against it.
+ */
+class ScriptletFilter extends CosmeticFilter {
+  constructor(raw, name, args, domains, isException) {
+    super(raw, name ? `+js(${[name, ...args].join(', ')})` : '+js()', domains, isException);
+    this.scriptlet = { name, args };
+  }
+}
+
+/**
+ * Parse the `$` options of a network filter
+ * @param {string} optionText - Text after the `$`
+ * @returns {Object|null} - null if the filter uses options we don't support
+ */
+function parseNetworkOptions(optionText) {
+  const options = {
+    matchCase: false,
+    isImportant: false,
+    thirdParty: null,
+    includeTypes: null,
+    excludeTypes: null,
+    domains: null
+  };
+
+  if (!optionText) return options;
+
+  for (const rawOption of optionText.split(',')) {
+    const option = rawOption.trim();
+    if (!option) continue;
+
+    const negated = option.startsWith('~');
+    const [name, value] = (negated ? option.slice(1) : option).split('=');
+    const key = name.toLowerCase();
+
+    if (key === 'third-party' || key === '3p') {
+      options.thirdParty = !negated;
+    } else if (key === 'first-party' || key === '1p') {
+      options.thirdParty = negated;
+    } else if (key === 'domain' || key === 'from') {
+      if (!value) return null;
+      options.domains = parseDomainList(value, '|');
+    } else if (key === 'match-case') {
+      options.matchCase = true;
+    } else if (key === 'important') {
+      options.isImportant = true;
+    } else if (key === 'all') {
+      options.includeTypes = new Set(Object.values(TYPE_OPTIONS));
+    } else if (TYPE_OPTIONS[key]) {
+      const target = negated ? 'excludeTypes' : 'includeTypes';
+      if (!options[target]) options[target] = new Set();
+      options[target].add(TYPE_OPTIONS[key]);
+    } else if (UNSUPPORTED_OPTIONS.has(key)) {
+      return null;
+    } else {
+      // Unknown option - skip the filter rather than over-block
+      return null;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse a single network filter line
+ * @param {string} line - Trimmed filter line
+ * @returns {NetworkFilter|null}
+ */
+function parseNetworkFilter(line) {
+  let text = line;
+  const isException = text.startsWith('@@');
+  if (isException) text = text.slice(2);
+
+  // Split off options. Regex filters may contain `$`, so only split on the
+  // last one and only if it isn't part of a /regex/ body.
+  let pattern = text;
+  let optionText = '';
+  const dollarIndex = text.lastIndexOf('$');
+  if (dollarIndex !== -1 && !(text.startsWith('/') && text.endsWith('/'))) {
+    pattern = text.slice(0, dollarIndex);
+    optionText = text.slice(dollarIndex + 1);
+  }
+
+  const options = parseNetworkOptions(optionText);
+  if (!options) return null;
+
+  // Empty pattern with only options matches everything - too broad unless scoped
+  if (!pattern || pattern === '*' || pattern === '|' || pattern === '||') {
+    if (!options.domains && !options.includeTypes) return null;
+    pattern = '*';
+  }
+
+  try {
+    return new NetworkFilter(line, pattern, { ...options, isException });
+  } catch {
+    // Invalid regex
+    return null;
+  }
+}
+
+/**
+ * Parse a single cosmetic filter line
+ * @param {string} line - Trimmed filter line
+ * @returns {CosmeticFilter|null}
+ */
+function parseCosmeticFilter(line) {
+  const match = line.match(/^([^#]*)#(@?)\??#(.+)$/);
+  if (!match) return null;
+
+  const [, domainText, exceptionMark, rawSelector] = match;
+  const selector = rawSelector.trim();
+
+  // HTML filters (##^) need access to the raw response
+  if (selector.startsWith('^')) return null;
+
+  const domains = domainText ? parseDomainList(domainText, ',') : null;
+  const isException = exceptionMark === '@';
+
+  if (selector.startsWith('+js(')) {
+    return parseScriptletFilter(line, selector, domains, isException);
+  }
+
+  if (!PROCEDURAL_OPERATOR.test(selector)) {
+    return new CosmeticFilter(line, selector, domains, isException);
+  }
+
+  // Procedural rules run script on the page, so (like uBlock Origin) they must name their sites
+  if (!domains || domains.include.length === 0) return null;
+
+  const procedural = parseProceduralSelector(selector);
+  if (!procedural) return null;
+  return new CosmeticFilter(line, procedural.selector, domains, isException, procedural.tasks);
+}
+
+/**
+ * Parse the `+js(name, args...)` part of a scriptlet rule
+ * @param {string} line - Trimmed filter line
+ * @param {string} selector - Text after the `##`
+ * @param {Object|null} domains - Parsed domain list
+ * @param {boolean} isException - `#@#+js(...)` rule
+ * @returns {ScriptletFilter|null} - null for unknown scriptlets, or scriptlets
+ *   that don't name their sites
+ */
+function parseScriptletFilter(line, selector, domains, isException) {
+  if (!selector.endsWith(')')) return null;
+
+  // Split on commas, except escaped ones (`\,`), and drop quotes around arguments
+  const args = selector.slice(4, -1)
+    .split(/(?<!\\),/)
+    .map(arg => arg.trim().replace(/\\,/g, ',').replace(/^(['"])(.*)\1$/, '$2'));
+
+  // `#@#+js()` disables every scriptlet on the listed sites
+  if (args.length === 1 && args[0] === '') {
+    return isException ? new ScriptletFilter(line, '', [], domains, true) : null;
+  }
+
+  const name = resolveScriptletName(args[0]);
+  if (!name) return null;
+
+  // Like procedural rules, scriptlets change how pages run, so they must be site-scoped
+  if (!isException && (!domains || domains.include.length === 0)) return null;
+
+  return new ScriptletFilter(line, name, args.slice(1), domains, isException);
+}
+
+// Procedural operators we can run in the page (`:-abp-contains` is ABP's name for `:has-text`)
+const PROCEDURAL_OPERATOR = /:(?:has-text|-abp-contains)\(/;
+const PROCEDURAL_ALIASES = { 'has-text': 'has-text', '-abp-contains': 'has-text' };
+
+/**
+ * Split `div.ad:has-text(Sponsored)` into its CSS part and procedural steps
+ * @param {string} selector - Selector from a cosmetic filter
+ * @returns {{selector: string, tasks: Object[]}|null} - null if the operators are used
+ *   somewhere we can't evaluate them (e.g. nested inside :has())
+ */
+function parseProceduralSelector(selector) {
+  const start = selector.search(PROCEDURAL_OPERATOR);
+  const base = selector.slice(0, start).trim();
+
+  // Operators nested inside :not()/:has() would need a full selector engine
+  if (base.replace(/\([^()]*\)/g, '').includes('(')) {
+    return null;
+  }
+
+  const tasks = [];
+  let rest = selector.slice(start);
+
+  while (rest) {
+    const opMatch = rest.match(/^:([-a-z]+)\(/);
+    if (!opMatch || !PROCEDURAL_ALIASES[opMatch[1]]) return null;
+
+    // Find the closing parenthesis, allowing balanced ones inside the argument
+    let depth = 1;
+    let i = opMatch[0].length;
+    for (; i < rest.length && depth > 0; i++) {
+      if (rest[i] === '(') depth++;
+      else if (rest[i] === ')') depth--;
+    }
+    if (depth !== 0) return null;
+
+    const arg = rest.slice(opMatch[0].length, i - 1);
+    if (!arg) return null;
+    tasks.push({ type: PROCEDURAL_ALIASES[opMatch[1]], arg });
+    rest = rest.slice(i).trim();
+  }
+
+  return { selector: base || '*', tasks };
+}
+
+/**
+ * Parse one filter list line
+ * @param {string} rawLine - Line from a filter list
+ * @returns {NetworkFilter|CosmeticFilter|null}
+ */
+function parseFilter(rawLine) {
+  const line = rawLine.trim();
+
+  // Comments, headers and blank lines
+  if (!line || line.startsWith('!') || line.startsWith('[')) return null;
+
+  // Extended cosmetic syntaxes we don't support yet (#$#, #%#)
+  if (/#@?[$%]#/.test(line)) return null;
+
+  if (/#@?\??#/.test(line)) {
+    return parseCosmeticFilter(line);
+  }
+
+  return parseNetworkFilter(line);
+}
+
+/**
+ * Parse a whole filter list
+ * @param {string} text - Filter list contents
+ * @returns {{networkFilters: NetworkFilter[], cosmeticFilters: CosmeticFilter[], skipped: number}}
+ */
+function parseFilterList(text) {
+  const networkFilters = [];
+  const cosmeticFilters = [];
+  let skipped = 0;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!') || line.startsWith('[')) continue;
+
+    const filter = parseFilter(line);
+    if (!filter) {
+      skipped++;
+    } else if (filter instanceof CosmeticFilter) {
+      cosmeticFilters.push(filter);
+    } else {
+      networkFilters.push(filter);
+    }
+  }
+
+  return { networkFilters, cosmeticFilters, skipped };
+}
+
+// Header fields read from a list's leading `! Key: value` comments
+const LIST_METADATA_FIELDS = {
+  'title': 'title',
+  'homepage': 'homepage',
+  'version': 'version',
+  'last modified': 'lastModified',
+  'expires': 'expires'
+};
+
+/**
+ * Read the metadata header of a filter list (`! Title: EasyList`, `! Version: ...`)
+ * @param {string} text - Filter list contents
+ * @returns {{title: string|null, homepage: string|null, version: string|null,
+ *   lastModified: string|null, expires: string|null}}
+ */
+function parseListMetadata(text) {
+  const metadata = { title: null, homepage: null, version: null, lastModified: null, expires: null };
+
+  // The header is the block of comments at the top of the file
+  for (const rawLine of text.split(/\r?\n/, 100)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('[')) continue;
+    if (!line.startsWith('!')) break;
+
+    const match = line.match(/^!\s*([\w ]+?)\s*:\s*(.+)$/);
+    const field = match && LIST_METADATA_FIELDS[match[1].toLowerCase()];
+    if (field && !metadata[field]) metadata[field] = match[2].trim();
+  }
+
+  return metadata;
+}
+
+/**
+ * Convert a parsed filter to plain JSON (for the compiled filter list cache)
+ * @param {NetworkFilter|CosmeticFilter} filter - Parsed filter
+ * @returns {Object}
+ */
+function serializeFilter(filter) {
+  if (filter instanceof NetworkFilter) {
+    return {
+      type: 'network',
+      raw: filter.raw,
+      pattern: filter.pattern,
+      isException: filter.isException,
+      isImportant: filter.isImportant,
+      matchCase: filter.matchCase,
+      thirdParty: filter.thirdParty,
+      includeTypes: filter.includeTypes ? Array.from(filter.includeTypes) : null,
+      excludeTypes: filter.excludeTypes ? Array.from(filter.excludeTypes) : null,
+      domains: filter.domains,
+      regex: filter.regex.source,
+      flags: filter.regex.flags
+    };
+  }
+
+  if (filter instanceof ScriptletFilter) {
+    return {
+      type: 'scriptlet',
+      raw: filter.raw,
+      name: filter.scriptlet.name,
+      args: filter.scriptlet.args,
+      domains: filter.domains,
+      isException: filter.isException
+    };
+  }
+
+  return {
+    type: 'cosmetic',
+    raw: filter.raw,
+    selector: filter.selector,
+    domains: filter.domains,
+    isException: filter.isException,
+    procedural: filter.procedural
+  };
+}
+
+/**
+ * Rebuild a filter from serializeFilter() output without parsing it again
+ * @param {Object} data - Serialized filter
+ * @returns {NetworkFilter|CosmeticFilter}
+ */
+function deserializeFilter(data) {
+  if (data.type === 'network') {
+    return new NetworkFilter(data.raw, data.pattern, {
+      isException: data.isException,
+      isImportant: data.isImportant,
+      matchCase: data.matchCase,
+      thirdParty: data.thirdParty,
+      includeTypes: data.includeTypes ? new Set(data.includeTypes) : null,
+      excludeTypes: data.excludeTypes ? new Set(data.excludeTypes) : null,
+      domains: data.domains,
+      regex: new RegExp(data.regex, data.flags)
+    });
+  }
+
+  if (data.type === 'scriptlet') {
+    return new ScriptletFilter(data.raw, data.name, data.args, data.domains, data.isException);
+  }
+
+  return new CosmeticFilter(data.raw, data.selector, data.domains, data.isException, data.procedural);
+}
+
+module.exports = {
+  NetworkFilter,
+  CosmeticFilter,
+  ScriptletFilter,
+  RESOURCE_TYPE_MAP,
+  parseFilter,
+  parseFilterList,
+  parseListMetadata,
+  serializeFilter,
+  deserializeFilter,
+  createFilterRequest,
+  getBaseDomain,
+  isSubdomainOf,
+  matchesDomainList
+};
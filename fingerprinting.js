@@ -0,0 +1,356 @@
+/**
+ * YarvixBrowser Fingerprinting Protection
+ * Makes what a page can read about the device less unique, so it can't be used
+ * to recognize the browser across sites and sessions.
+ *
+ * - Canvas, WebGL and audio readouts get a little noise. The noise is seeded per
+ *   session and site: it stays the same while the browser runs (pages that check
+ *   their own drawing keep working), and differs between sites, containers,
+ *   private sessions and browser starts
+ * - CPU count, plugins, languages and the screen and window metrics report
+ *   common values
+ * - Local fonts can't be listed, and media devices are only listed once the page
+ *   has been given camera or microphone access
+ * - The protection script runs in the page's main world from the tab preload,
+ *   before any page script, and follows same-origin frames the page reaches into.
+ *   Shields' per-site "fingerprinting" switch turns it off
+ */
+
+const crypto = require('crypto');
+const { getBaseDomain } = require('./filterParser');
+
+// CPU count reported to pages
+const NORMALIZED_HARDWARE_CONCURRENCY = 4;
+
+// Largest canvas (in pixels) whose exported image gets noise; bigger ones are
+// artwork or exports rather than fingerprinting probes
+const MAX_NOISY_CANVAS_PIXELS = 4096 * 4096;
+
+/**
+ * Get the user agent of the browser: the real Chromium major version and OS,
+ * in Chrome's reduced format (no minor version or OS version details)
+ * @param {string} platform - process.platform
+ * @param {string} chromeVersion - process.versions.chrome
+ * @returns {string}
+ */
+function getUserAgent(platform = process.platform, chromeVersion = process.versions.chrome) {
+  const major = String(chromeVersion || '120').split('.')[0];
+  const os = {
+    darwin: 'Macintosh; Intel Mac OS X 10_15_7',
+    win32: 'Windows NT 10.0; Win64; x64'
+  }[platform] || 'X11; Linux x86_64';
+  return `Mozilla/5.0 (${os}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${major}.0.0.0 Safari/537.36`;
+}
+
+/**
+ * Protect a window from fingerprinting. Self-contained: it is serialized with
+ * toString() and run in the page by the webview preload
+ * @param {Window} win - The page window, or a same-origin frame's window
+ * @param {number} seed - Noise seed of the session and site
+ * @param {Object} config - { hardwareConcurrency, maxNoisyPixels }
+ * @param {WeakSet} protectedWindows - Windows already protected (shared with frames)
+ */
+function protectFingerprint(win, seed, config, protectedWindows = new WeakSet()) {
+  if (!win || protectedWindows.has(win)) return;
+  protectedWindows.add(win);
+
+  // Seeded pseudo-random numbers (mulberry32): the same salt gives the same sequence
+  const random = (salt) => {
+    let state = (seed ^ Math.imul(salt | 0, 0x9e3779b1)) >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  // Replaced functions still show their native source
+  const originals = new WeakMap();
+  const nativeToString = win.Function.prototype.toString;
+  const toString = function toString() {
+    return nativeToString.call(originals.get(this) || this);
+  };
+  originals.set(toString, nativeToString);
+  win.Function.prototype.toString = toString;
+
+  const wrap = (owner, name, makeWrapper) => {
+    const descriptor = owner && Object.getOwnPropertyDescriptor(owner, name);
+    if (!descriptor || typeof descriptor.value !== 'function') return;
+    const wrapper = makeWrapper(descriptor.value);
+    originals.set(wrapper, descriptor.value);
+    Object.defineProperty(owner, name, { ...descriptor, value: wrapper });
+  };
+
+  const wrapGetter = (owner, name, getValue) => {
+    const descriptor = owner && Object.getOwnPropertyDescriptor(owner, name);
+    if (!descriptor || !descriptor.get) return;
+    // Keeps the native getter's name (`get width`)
+    const get = Object.getOwnPropertyDescriptor({
+      get [name]() {
+        return getValue.call(this, descriptor.get);
+      }
+    }, name).get;
+    originals.set(get, descriptor.get);
+    Object.defineProperty(owner, name, { ...descriptor, get });
+  };
+
+  // Flip the lowest bit of scattered color or sample bytes (skipping transparent pixels)
+  const noiseBytes = (data, pixels) => {
+    const next = random(data.length);
+    const stride = pixels ? 4 : 1;
+    for (let i = Math.floor(next() * 64) * stride; i < data.length; i += (1 + Math.floor(next() * 64)) * stride) {
+      if (pixels && data[i + 3] === 0) continue;
+      data[i + (pixels ? Math.floor(next() * 3) : 0)] ^= 1;
+    }
+  };
+
+  // Shift scattered float samples by an inaudible amount
+  const noiseFloats = (data) => {
+    const next = random(data.length);
+    for (let i = Math.floor(next() * 64); i < data.length; i += 1 + Math.floor(next() * 64)) {
+      data[i] += (next() - 0.5) * 1e-7;
+    }
+  };
+
+  // Canvas: image data and exported images
+  const contextProto = win.CanvasRenderingContext2D && win.CanvasRenderingContext2D.prototype;
+  const getImageData = contextProto && contextProto.getImageData;
+  [contextProto, win.OffscreenCanvasRenderingContext2D && win.OffscreenCanvasRenderingContext2D.prototype]
+    .forEach(proto => wrap(proto, 'getImageData', (original) => function(...args) {
+      const imageData = original.apply(this, args);
+      noiseBytes(imageData.data, true);
+      return imageData;
+    }));
+
+  const noisyCopy = (canvas) => {
+    const pixels = canvas.width * canvas.height;
+    if (!getImageData || pixels === 0 || pixels > config.maxNoisyPixels) return canvas;
+    const copy = win.document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    const context = copy.getContext('2d');
+    context.drawImage(canvas, 0, 0);
+    const imageData = getImageData.call(context, 0, 0, copy.width, copy.height);
+    noiseBytes(imageData.data, true);
+    context.putImageData(imageData, 0, 0);
+    return copy;
+  };
+  const canvasProto = win.HTMLCanvasElement && win.HTMLCanvasElement.prototype;
+  ['toDataURL', 'toBlob'].forEach(name => wrap(canvasProto, name, (original) => function(...args) {
+    return original.apply(noisyCopy(this), args);
+  }));
+
+  // WebGL: pixels read back, and the real GPU behind the generic vendor/renderer
+  const UNMASKED_VENDOR = 0x9245;
+  const UNMASKED_RENDERER = 0x9246;
+  const VENDOR = 0x1f00;
+  const RENDERER = 0x1f01;
+  [win.WebGLRenderingContext, win.WebGL2RenderingContext].forEach(context => {
+    const proto = context && context.prototype;
+    wrap(proto, 'readPixels', (original) => function(...args) {
+      original.apply(this, args);
+      const pixels = args[6];
+      if (pixels instanceof win.Uint8Array || pixels instanceof win.Uint8ClampedArray) noiseBytes(pixels, true);
+    });
+    wrap(proto, 'getParameter', (original) => function(parameter, ...args) {
+      if (parameter === UNMASKED_VENDOR) return original.call(this, VENDOR);
+      if (parameter === UNMASKED_RENDERER) return original.call(this, RENDERER);
+      return original.call(this, parameter, ...args);
+    });
+  });
+
+  // Audio: rendered buffers and analyser readouts
+  const noisyChannels = new WeakSet();
+  const bufferProto = win.AudioBuffer && win.AudioBuffer.prototype;
+  wrap(bufferProto, 'getChannelData', (original) => function(...args) {
+    const data = original.apply(this, args);
+    if (!noisyChannels.has(data)) {
+      noisyChannels.add(data);
+      noiseFloats(data);
+    }
+    return data;
+  });
+  wrap(bufferProto, 'copyFromChannel', (original) => function(destination, channel, ...args) {
+    // Reading the channel adds its noise first
+    this.getChannelData(channel);
+    return original.call(this, destination, channel, ...args);
+  });
+  const analyserProto = win.AnalyserNode && win.AnalyserNode.prototype;
+  ['getFloatFrequencyData', 'getFloatTimeDomainData'].forEach(name => wrap(analyserProto, name, (original) => function(array) {
+    original.call(this, array);
+    noiseFloats(array);
+  }));
+  ['getByteFrequencyData', 'getByteTimeDomainData'].forEach(name => wrap(analyserProto, name, (original) => function(array) {
+    original.call(this, array);
+    noiseBytes(array, false);
+  }));
+
+  // Navigator: CPU count, languages and the plugin list every Chrome reports
+  const navigatorProto = win.Navigator.prototype;
+  wrapGetter(navigatorProto, 'hardwareConcurrency', () => config.hardwareConcurrency);
+
+  let languages = null;
+  wrapGetter(navigatorProto, 'languages', function() {
+    if (!languages) languages = Object.freeze([this.language]);
+    return languages;
+  });
+
+  const defineList = (list, items, key) => {
+    items.forEach((item, i) => {
+      Object.defineProperty(list, i, { value: item, enumerable: true });
+      Object.defineProperty(list, item[key], { value: item });
+    });
+    Object.defineProperty(list, 'length', { value: items.length });
+    Object.defineProperty(list, 'item', { value: (i) => items[i] || null });
+    Object.defineProperty(list, 'namedItem', { value: (name) => items.find(item => item[key] === name) || null });
+    return list;
+  };
+  if (win.PluginArray && win.Plugin && win.MimeType && win.MimeTypeArray) {
+    const PDF_PLUGINS = ['PDF Viewer', 'Chrome PDF Viewer', 'Chromium PDF Viewer', 'Microsoft Edge PDF Viewer', 'WebKit built-in PDF'];
+    const mimeTypes = ['application/pdf', 'text/pdf'].map(type => ({ type }));
+    const plugins = PDF_PLUGINS.map(name => {
+      const plugin = Object.create(win.Plugin.prototype);
+      Object.defineProperties(plugin, {
+        name: { value: name },
+        filename: { value: 'internal-pdf-viewer' },
+        description: { value: 'Portable Document Format' }
+      });
+      return plugin;
+    });
+    const mimeTypeObjects = mimeTypes.map(({ type }) => Object.create(win.MimeType.prototype, {
+      type: { value: type },
+      suffixes: { value: 'pdf' },
+      description: { value: 'Portable Document Format' },
+      enabledPlugin: { value: plugins[0] }
+    }));
+    plugins.forEach(plugin => defineList(plugin, mimeTypeObjects, 'type'));
+    const pluginArray = defineList(Object.create(win.PluginArray.prototype), plugins, 'name');
+    Object.defineProperty(pluginArray, 'refresh', { value: () => {} });
+    const mimeTypeArray = defineList(Object.create(win.MimeTypeArray.prototype), mimeTypeObjects, 'type');
+    wrapGetter(navigatorProto, 'plugins', () => pluginArray);
+    wrapGetter(navigatorProto, 'mimeTypes', () => mimeTypeArray);
+  }
+
+  // Client hints: only the low-entropy values, like the request headers Shields strips
+  const uaDataProto = win.NavigatorUAData && win.NavigatorUAData.prototype;
+  wrap(uaDataProto, 'getHighEntropyValues', () => function getHighEntropyValues() {
+    return Promise.resolve(this.toJSON());
+  });
+
+  // Screen and window metrics: the screen is as big as the page, at the window's origin
+  const screenProto = win.Screen.prototype;
+  wrapGetter(screenProto, 'width', () => win.innerWidth);
+  wrapGetter(screenProto, 'availWidth', () => win.innerWidth);
+  wrapGetter(screenProto, 'height', () => win.innerHeight);
+  wrapGetter(screenProto, 'availHeight', () => win.innerHeight);
+  wrapGetter(screenProto, 'availLeft', () => 0);
+  wrapGetter(screenProto, 'availTop', () => 0);
+  wrapGetter(screenProto, 'colorDepth', () => 24);
+  wrapGetter(screenProto, 'pixelDepth', () => 24);
+  ['screenX', 'screenY', 'screenLeft', 'screenTop'].forEach(name => wrapGetter(win, name, () => 0));
+  wrapGetter(win, 'outerWidth', () => win.innerWidth);
+  wrapGetter(win, 'outerHeight', () => win.innerHeight);
+
+  // Fonts: no list of installed fonts
+  wrap(win, 'queryLocalFonts', () => function queryLocalFonts() {
+    return Promise.reject(new win.DOMException('Local fonts are not available', 'NotAllowedError'));
+  });
+
+  // Media devices: listed only after the page got camera or microphone access
+  let mediaGranted = false;
+  const mediaProto = win.MediaDevices && win.MediaDevices.prototype;
+  wrap(mediaProto, 'getUserMedia', (original) => function(...args) {
+    return original.apply(this, args).then(stream => {
+      mediaGranted = true;
+      return stream;
+    });
+  });
+  wrap(mediaProto, 'enumerateDevices', (original) => function(...args) {
+    return mediaGranted ? original.apply(this, args) : Promise.resolve([]);
+  });
+
+  // Same-origin frames start with fresh globals: protect them when the page reaches in
+  const frameProto = win.HTMLIFrameElement && win.HTMLIFrameElement.prototype;
+  const protectFrame = (frameWindow) => {
+    try {
+      protectFingerprint(frameWindow, seed, config, protectedWindows);
+    } catch (e) {
+      // Cross-origin frame: its own document can't be reached from here either
+    }
+  };
+  wrapGetter(frameProto, 'contentWindow', function(get) {
+    const frameWindow = get.call(this);
+    protectFrame(frameWindow);
+    return frameWindow;
+  });
+  wrapGetter(frameProto, 'contentDocument', function(get) {
+    const frameDocument = get.call(this);
+    if (frameDocument) protectFrame(frameDocument.defaultView);
+    return frameDocument;
+  });
+}
+
+/**
+ * Build the page script that protects a page
+ * @param {number} seed - Noise seed of the session and site
+ * @returns {string} - JavaScript source
+ */
+function buildFingerprintScript(seed) {
+  const config = {
+    hardwareConcurrency: NORMALIZED_HARDWARE_CONCURRENCY,
+    maxNoisyPixels: MAX_NOISY_CANVAS_PIXELS
+  };
+  return `
+    try {
+      (${protectFingerprint.toString()})(window, ${seed >>> 0}, ${JSON.stringify(config)});
+    } catch (e) {
+      console.warn('[Fingerprinting] Protection failed:', e);
+    }
+  `;
+}
+
+/**
+ * FingerprintProtection class - noise seeds of the sessions and the page script
+ */
+class FingerprintProtection {
+  constructor() {
+    // Session -> random seed, new every browser start
+    this.sessionSeeds = new WeakMap();
+  }
+
+  /**
+   * Get the noise seed of a site in a session
+   * @param {Electron.Session} ses - The tab's session
+   * @param {string} pageUrl - Page URL
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  getSeed(ses, pageUrl) {
+    if (!this.sessionSeeds.has(ses)) {
+      this.sessionSeeds.set(ses, crypto.randomBytes(16).toString('hex'));
+    }
+
+    let site = '';
+    try {
+      site = getBaseDomain(new URL(pageUrl).hostname);
+    } catch {
+      // No site: the session seed alone
+    }
+    return crypto.createHash('sha256')
+      .update(`${this.sessionSeeds.get(ses)}:${site}`)
+      .digest()
+      .readUInt32LE(0);
+  }
+
+  /**
+   * Build the protection script for a page
+   * @param {Electron.Session} ses - The tab's session
+   * @param {string} pageUrl - Page URL
+   * @returns {string} - JavaScript source
+   */
+  getScript(ses, pageUrl) {
+    return buildFingerprintScript(this.getSeed(ses, pageUrl));
+  }
+}
+
+module.exports = { FingerprintProtection, buildFingerprintScript, getUserAgent };
@@ -0,0 +1,229 @@
+/**
+ * YarvixBrowser HTTPS-Only Mode
+ * Upgrades http:// (and ws://) requests to https:// before they are sent.
+ *
+ * - Page loads, frames and sub-resources are all upgraded
+ * - When an upgraded page load fails (no HTTPS server, TLS error, redirect
+ *   loop back to http), the tab shows an interstitial offering to continue over HTTP
+ * - Upgraded frames and sub-resources that fail stay blocked: they never fall back
+ *   to HTTP, and show up in the request log
+ * - "Continue to HTTP" adds a per-site exception; pages of an excepted site load
+ *   over HTTP, including their frames and sub-resources
+ * - Local addresses (localhost, *.local, private IPs, single-label hosts) are never upgraded
+ */
+
+const { SettingsStore } = require('./settingsStore');
+
+// Network errors of an upgraded page load that mean "this site has no working HTTPS".
+// Other errors (DNS failure, offline, aborted) would happen over HTTP too
+const UPGRADE_FAILURE_ERRORS = new Set([
+  'net::ERR_CONNECTION_REFUSED',
+  'net::ERR_CONNECTION_RESET',
+  'net::ERR_CONNECTION_CLOSED',
+  'net::ERR_CONNECTION_TIMED_OUT',
+  'net::ERR_TIMED_OUT',
+  'net::ERR_EMPTY_RESPONSE',
+  'net::ERR_TOO_MANY_REDIRECTS',
+  'net::ERR_SSL_PROTOCOL_ERROR',
+  'net::ERR_SSL_VERSION_OR_CIPHER_MISMATCH',
+  'net::ERR_SSL_UNRECOGNIZED_NAME_ALERT',
+  'net::ERR_BAD_SSL_CLIENT_AUTH_CERT',
+  'net::ERR_CERT_COMMON_NAME_INVALID',
+  'net::ERR_CERT_DATE_INVALID',
+  'net::ERR_CERT_AUTHORITY_INVALID',
+  'net::ERR_CERT_INVALID',
+  'net::ERR_CERT_REVOKED'
+]);
+
+/**
+ * Check whether a hostname is a local address that has no public certificate
+ * @param {string} hostname - Hostname (IPv6 literals in brackets)
+ * @returns {boolean}
+ */
+function isLocalHostname(hostname) {
+  if (!hostname.includes('.')) return true; // localhost, intranet names, IPv6 literals
+  if (hostname.endsWith('.localhost') || hostname.endsWith('.local') || hostname.endsWith('.internal')) {
+    return true;
+  }
+
+  const ipv4 = hostname.match(/^(\d{1,3})\.(\d{1,3})\.\d{1,3}\.\d{1,3}$/);
+  if (!ipv4) return false;
+  const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+  return a === 10 || a === 127 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31) ||
+    (a === 169 && b === 254) || a === 0;
+}
+
+/**
+ * HttpsOnlyMode class - upgrade decisions, per-site exceptions and failed upgrades
+ */
+class HttpsOnlyMode {
+  /**
+   * @param {string} settingsFile - JSON file for the on/off state and the exceptions
+   *   (kept in memory only when omitted)
+   */
+  constructor(settingsFile = null) {
+    this.enabled = true;
+    // Hostnames the user chose to load over HTTP
+    this.exceptions = new Set();
+    // Tab (webContents ID) -> http URL of its page load that was upgraded and is in flight
+    this.pendingUpgrades = new Map();
+    // webRequest IDs of upgraded frames and sub-resources still in flight
+    this.upgradedRequests = new Set();
+
+    this.store = settingsFile ? new SettingsStore(settingsFile, {
+      name: 'HttpsOnly',
+      version: 1,
+      defaults: { enabled: true, exceptions: [] }
+    }) : null;
+
+    this.load();
+  }
+
+  load() {
+    if (!this.store) return;
+
+    const settings = this.store.load();
+    this.enabled = settings.enabled !== false;
+    this.exceptions = new Set(Array.isArray(settings.exceptions) ? settings.exceptions : []);
+  }
+
+  save() {
+    this.store?.save({
+      enabled: this.enabled,
+      exceptions: Array.from(this.exceptions)
+    });
+  }
+
+  /**
+   * Switch HTTPS-Only mode on or off
+   * @param {boolean} enabled - New state
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    this.save();
+  }
+
+  /**
+   * Let a site load over HTTP
+   * @param {string} hostname - The site hostname
+   */
+  addException(hostname) {
+    if (!hostname) return;
+    this.exceptions.add(hostname.toLowerCase());
+    this.save();
+  }
+
+  /**
+   * Upgrade a site to HTTPS again
+   * @param {string} hostname - The site hostname
+   */
+  removeException(hostname) {
+    if (this.exceptions.delete(hostname)) this.save();
+  }
+
+  /**
+   * Check whether a URL's site may load over HTTP
+   * @param {string} url - URL (or '' for none)
+   * @returns {boolean}
+   */
+  isExcepted(url) {
+    if (!url) return false;
+    try {
+      return this.exceptions.has(new URL(url).hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the https:// URL a request should be redirected to
+   * @param {string} url - The request URL
+   * @param {string} pageUrl - The page that made the request (the URL itself for page loads)
+   * @returns {string|null} - The upgraded URL, or null to leave the request alone
+   */
+  getUpgradeUrl(url, pageUrl = url) {
+    if (!this.enabled || !/^(http|ws):/i.test(url)) return null;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    if (isLocalHostname(parsed.hostname)) return null;
+    if (this.exceptions.has(parsed.hostname) || this.isExcepted(pageUrl)) return null;
+
+    parsed.protocol = parsed.protocol === 'ws:' ? 'wss:' : 'https:';
+    return parsed.toString();
+  }
+
+  /**
+   * Remember an upgraded page load, so its failure can be told apart from other errors
+   * @param {string} tabId - webContents ID of the tab
+   * @param {string} httpUrl - The original http:// URL
+   */
+  trackUpgrade(tabId, httpUrl) {
+    this.pendingUpgrades.set(tabId, httpUrl);
+  }
+
+  /**
+   * Forget a tab's upgraded page load (it loaded, or the tab closed)
+   * @param {string} tabId - webContents ID of the tab
+   */
+  clearUpgrade(tabId) {
+    this.pendingUpgrades.delete(tabId);
+  }
+
+  /**
+   * Remember an upgraded frame or sub-resource request until it completes or fails
+   * @param {number} requestId - webRequest ID (kept across the redirect)
+   */
+  trackRequestUpgrade(requestId) {
+    this.upgradedRequests.add(requestId);
+  }
+
+  /**
+   * Forget an upgraded frame or sub-resource request
+   * @param {number} requestId - webRequest ID
+   * @returns {boolean} - Whether the request was upgraded
+   */
+  takeRequestUpgrade(requestId) {
+    return this.upgradedRequests.delete(requestId);
+  }
+
+  /**
+   * Check whether a failed page load was an HTTPS upgrade that didn't work
+   * @param {string} tabId - webContents ID of the tab
+   * @param {string} url - URL of the failed request
+   * @param {string} error - Network error, e.g. `net::ERR_CONNECTION_REFUSED`
+   * @returns {string|null} - The http:// URL to offer instead, or null
+   */
+  takeFailedUpgrade(tabId, url, error) {
+    const httpUrl = this.pendingUpgrades.get(tabId);
+    if (!httpUrl) return null;
+
+    try {
+      // The failure may come after redirects, but it must be on the upgraded site
+      if (new URL(url).hostname !== new URL(httpUrl).hostname) return null;
+    } catch {
+      return null;
+    }
+
+    this.pendingUpgrades.delete(tabId);
+    return UPGRADE_FAILURE_ERRORS.has(error) ? httpUrl : null;
+  }
+
+  /**
+   * Settings shown in the browser settings panel
+   * @returns {{enabled: boolean, exceptions: string[]}}
+   */
+  getState() {
+    return {
+      enabled: this.enabled,
+      exceptions: Array.from(this.exceptions).sort()
+    };
+  }
+}
+
+module.exports = { HttpsOnlyMode, isLocalHostname };
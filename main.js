@@ -1,4 +1,4 @@
-const { app, BrowserWindow, session, ipcMain, contentTracing, systemPreferences } = require('electron');
+const { app, BrowserWindow, session, webContents, ipcMain, dialog, contentTracing, systemPreferences, screen } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
@@ -6,13 +6,91 @@ const { execSync } = require('child_process');
 const { AdBlocker, AD_DOMAINS, BLOCK_PATTERNS } = require('./adblock');
 const { CredentialManager, FORM_DETECTION_SCRIPT } = require('./credentialManager');
 const { PasswordProtection } = require('./passwordProtection');
+const { RequestLog } = require('./requestLog');
+const { FilterListManager } = require('./filterLists');
+const { HttpsOnlyMode } = require('./httpsOnly');
+const { CertificateStore } = require('./certificates');
+const { PermissionManager, getPermissionTypes, isAlwaysAllowed, getOrigin } = require('./permissions');
+const {
+  getSiteData, clearSiteData, getStorageSize, listSiteData, clearSite, getCookieUrl, SiteOrigins, SiteDataRules
+} = require('./siteData');
+const { PrivateBrowsing } = require('./privateBrowsing');
+const { ContainerManager } = require('./containers');
+const { ClearOnExit, UI_CATEGORIES, clearSessionOnExit } = require('./clearOnExit');
+const { FingerprintProtection, getUserAgent } = require('./fingerprinting');
+const { SessionRestore, sanitizeTab, sanitizeWindow } = require('./sessionRestore');
+const { RecentlyClosed } = require('./recentlyClosed');
+const { MemorySaver, isLowOnMemory } = require('./memorySaver');
 
 // Track last authentication time for session-based auth (like Chrome)
 let lastAuthTime = 0;
 const AUTH_SESSION_DURATION = 60000; // 60 seconds - user won't be prompted again within this window
 
-// Initialize Ad Blocker
-const adBlocker = new AdBlocker();
+// Initialize Ad Blocker (settings and lifetime stats persist in userData)
+const adBlocker = new AdBlocker({
+  settingsFile: path.join(app.getPath('userData'), 'adblock-settings.json')
+});
+
+// HTTPS-Only mode: http:// requests are upgraded, with per-site exceptions
+const httpsOnly = new HttpsOnlyMode(path.join(app.getPath('userData'), 'https-only.json'));
+
+// Certificate check results (for the certificate viewer) and "proceed anyway" exceptions
+const certificates = new CertificateStore();
+
+// Private windows and their in-memory session
+const privateBrowsing = new PrivateBrowsing();
+
+// Container tabs (separate cookie jars) and "always open in container" site rules
+const containers = new ContainerManager(path.join(app.getPath('userData'), 'containers.json'));
+
+// "Keep" / "clear on exit" rules of the site data manager
+const siteDataRules = new SiteDataRules(path.join(app.getPath('userData'), 'site-data-rules.json'));
+// Origins that loaded pages in the default and container sessions (what the site data manager clears)
+const siteOrigins = new SiteOrigins(path.join(app.getPath('userData'), 'site-origins.json'));
+
+// Browsing data deleted when the browser quits (homepage settings)
+const clearOnExit = new ClearOnExit(path.join(app.getPath('userData'), 'clear-on-exit.json'));
+// Set when quitting starts: browser windows closing from then on clear the UI data
+let appQuitting = false;
+// Set once the exit cleanup has run, so the quit can go ahead
+let exitCleanupDone = false;
+// Longest the exit cleanup may hold up quitting
+const EXIT_CLEANUP_TIMEOUT = 10000;
+
+// Open windows and tabs, reopened on the next start
+const sessionRestore = new SessionRestore(path.join(app.getPath('userData'), 'session.json'));
+// Browser window UI webContents ID -> saved window it opens with
+const restoringWindows = new Map();
+// Closed tabs and windows (History panel → Recently closed, Cmd/Ctrl+Shift+T)
+const recentlyClosed = new RecentlyClosed(path.join(app.getPath('userData'), 'recently-closed.json'));
+
+// Discarding of background tabs (homepage settings) and the sites never discarded
+const memorySaver = new MemorySaver(path.join(app.getPath('userData'), 'memory-saver.json'));
+// How often browser windows get their tabs' memory use
+const MEMORY_CHECK_INTERVAL = 30000;
+
+// Site permissions (camera, microphone, location, notifications, clipboard, ...)
+const permissions = new PermissionManager(path.join(app.getPath('userData'), 'permissions.json'));
+
+// Tabs showing an interstitial (webContents ID -> { type, url }), so "proceed"
+// only ever continues to the page that interstitial was shown for
+const interstitials = new Map();
+
+// Filter list subscriptions (EasyList, EasyPrivacy, ...) - loaded once the app is ready
+let filterListManager = null;
+
+// Per-tab log of requests and ad blocker decisions (Shields > Request log)
+const requestLog = new RequestLog();
+let requestLogWatchedTab = null;
+
+// Tracking parameters removed from URL bar input, counted once the tab's navigation starts
+// (starting a navigation resets the tab's counters)
+const pendingParamsRemoved = new Map();
+
+// Set YARVIX_RECORD_REQUESTS=/path/to/corpus.jsonl to record every request for benchmarking
+const requestRecorder = process.env.YARVIX_RECORD_REQUESTS
+  ? fs.createWriteStream(process.env.YARVIX_RECORD_REQUESTS, { flags: 'a' })
+  : null;
 
 // Initialize Credential Manager (will be set after app is ready)
 let credentialManager = null;
@@ -22,14 +100,16 @@ let passwordProtection = null;
 let lockWindow = null;
 let isUnlocked = false;
 
-// Use a real Chrome User-Agent to make websites work normally
-const CHROME_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+// Use a real Chrome User-Agent to make websites work normally (the bundled
+// Chromium version and the OS, without Electron or app tokens)
+const CHROME_USER_AGENT = getUserAgent();
+
+// Fingerprinting protection (canvas/WebGL/audio noise, normalized device values)
+const fingerprintProtection = new FingerprintProtection();
 
 // Add command-line flags for better website compatibility (like Chrome)
 app.commandLine.appendSwitch('disable-features', 'OutOfBlinkCors');
 app.commandLine.appendSwitch('disable-site-isolation-trials');
-app.commandLine.appendSwitch('ignore-certificate-errors');
-app.commandLine.appendSwitch('allow-running-insecure-content');
 app.commandLine.appendSwitch('disable-web-security', 'false'); // Keep security but be more lenient
 
 // Suppress known non-fatal Chromium errors related to service worker database issues
@@ -133,9 +213,11 @@ function setupDownloadHandler(sess) {
   sess.on('will-download', (event, item, webContents) => {
     const fileName = item.getFilename();
     const totalBytes = item.getTotalBytes();
+    // The window the download started in shows it (private downloads stay in the private window)
+    const ui = getBrowserUi(webContents);
 
     // Notify UI that download started
-    mainWindow.webContents.send('download-start', { fileName });
+    ui?.send('download-start', { fileName });
 
     item.on('updated', (event, state) => {
       if (state === 'interrupted') {
@@ -146,14 +228,14 @@ function setupDownloadHandler(sess) {
         } else {
           // Send progress to UI
           const progress = item.getReceivedBytes() / totalBytes;
-          mainWindow.webContents.send('download-progress', { fileName, progress });
+          if (ui && !ui.isDestroyed()) ui.send('download-progress', { fileName, progress });
         }
       }
     });
 
     item.once('done', (event, state) => {
-      if (state === 'completed') {
-        mainWindow.webContents.send('download-complete', {
+      if (state === 'completed' && ui && !ui.isDestroyed()) {
+        ui.send('download-complete', {
             fileName,
             path: item.getSavePath()
         });
@@ -187,10 +269,47 @@ function createLockWindow() {
   });
 }
 
-function createWindow() {
-  mainWindow = new BrowserWindow({
+/**
+ * Get the browser window UI a webContents belongs to
+ * @param {Electron.WebContents} contents - A tab (webview) or a browser window's webContents
+ * @returns {Electron.WebContents|null} - The window's webContents (the last focused browser
+ *   window when it can't be told)
+ */
+function getBrowserUi(contents) {
+  if (contents && !contents.isDestroyed()) {
+    if (contents.getType() === 'window') return contents;
+    const host = contents.hostWebContents;
+    if (host && !host.isDestroyed()) return host;
+  }
+  return mainWindow && !mainWindow.isDestroyed() ? mainWindow.webContents : null;
+}
+
+/**
+ * Send a message to every open browser window
+ * @param {string} channel - IPC channel
+ * @param {*} data - Message
+ */
+function sendToAllWindows(channel, data) {
+  BrowserWindow.getAllWindows().forEach(win => {
+    if (win !== lockWindow && !win.isDestroyed()) win.webContents.send(channel, data);
+  });
+}
+
+/**
+ * Open a browser window
+ * @param {Object} options - { isPrivate } to open a private window, { sessionWindow } to
+ *   open it with saved tabs (previous session, Recently closed, a torn-off tab)
+ * @returns {Electron.BrowserWindow}
+ */
+function createWindow({ isPrivate = false, sessionWindow = null } = {}) {
+  // Tabs of private windows load in the in-memory private session
+  const partition = isPrivate ? privateBrowsing.getPartition() : null;
+  if (isPrivate) configureSession(privateBrowsing.getSession());
+
+  const win = new BrowserWindow({
     width: 1400,
     height: 900,
+    ...getRestoredBounds(sessionWindow?.bounds),
     titleBarStyle: 'hiddenInset', // Shows macOS traffic lights inline
     trafficLightPosition: { x: 12, y: 12 }, // Position traffic lights
     webPreferences: {
@@ -200,15 +319,55 @@ function createWindow() {
     }
   });
 
+  mainWindow = win;
+
+  // IPC replies and new-tab requests go to the window the user is working in
+  win.on('focus', () => {
+    mainWindow = win;
+  });
+  const uiContentsId = win.webContents.id;
+  win.on('close', () => {
+    if (!isPrivate) sessionRestore.setWindowBounds(uiContentsId, win.getNormalBounds(), win.isMaximized());
+  });
+  win.on('closed', () => {
+    if (mainWindow === win) {
+      mainWindow = BrowserWindow.getAllWindows().find(other => other !== lockWindow) || null;
+    }
+    restoringWindows.delete(uiContentsId);
+    if (isPrivate) {
+      privateBrowsing.removeWindow(uiContentsId);
+    } else if (!appQuitting) {
+      // Windows closing while the browser quits stay in the session, and so does
+      // the last one (the browser quits with it, or stays open without windows on macOS);
+      // others can be reopened from Recently closed
+      const lastWindow = getBrowserWindows().length === 0;
+      const state = sessionRestore.removeWindow(uiContentsId, lastWindow);
+      if (state && !lastWindow) updateRecentlyClosed(() => recentlyClosed.addWindow(state));
+    }
+  });
+
   // Prevent this window from being captured in screenshots or screen recording
   // (supported on macOS and Windows; other platforms may ignore this)
-  mainWindow.setContentProtection(true);
+  win.setContentProtection(true);
 
-  mainWindow.loadFile('index.html');
+  if (sessionWindow) {
+    restoringWindows.set(uiContentsId, sessionWindow);
+    if (sessionWindow.maximized) win.maximize();
+  }
+
+  if (isPrivate) {
+    privateBrowsing.addWindow(win.webContents);
+    win.loadFile('index.html', { query: { private: partition } });
+  } else {
+    // A window kept after the last one closed (macOS) now belongs in Recently closed
+    const closedWindow = sessionRestore.takeClosedWindow();
+    if (closedWindow) updateRecentlyClosed(() => recentlyClosed.addWindow(closedWindow));
+    win.loadFile('index.html');
+  }
 
   // Handle keyboard shortcuts at the main window level
   // This ensures shortcuts work even when focus is inside a webview
-  mainWindow.webContents.on('before-input-event', (event, input) => {
+  win.webContents.on('before-input-event', (event, input) => {
     if (input.type !== 'keyDown') return;
 
     const cmdOrCtrl = input.meta || input.control;
@@ -220,11 +379,15 @@ function createWindow() {
       { keys: ['t'], cmdCtrl: true, shift: false },  // New tab
       { keys: ['w'], cmdCtrl: true, shift: false },  // Close tab
       { keys: ['t'], cmdCtrl: true, shift: true },   // Reopen closed tab
+      { keys: ['p'], cmdCtrl: true, shift: true },   // Pin/unpin tab
+      { keys: ['g'], cmdCtrl: true, shift: true },   // Group/ungroup tab
+      { keys: ['e'], cmdCtrl: true, shift: true },   // Collapse tab group
       { keys: ['r'], cmdCtrl: true, shift: false },  // Refresh
       { keys: ['l'], cmdCtrl: true, shift: false },  // Focus URL bar
       { keys: ['d'], cmdCtrl: true, shift: false },  // Bookmark
       { keys: ['f'], cmdCtrl: true, shift: false },  // Find
       { keys: ['n'], cmdCtrl: true, shift: false },  // New window
+      { keys: ['n'], cmdCtrl: true, shift: true },   // New private window
       { keys: ['tab'], cmdCtrl: true, shift: false }, // Next tab
       { keys: ['tab'], cmdCtrl: true, shift: true },  // Previous tab
       { keys: ['1', '2', '3', '4', '5', '6', '7', '8', '9'], cmdCtrl: true, shift: false }, // Switch to tab
@@ -237,82 +400,229 @@ function createWindow() {
 
       if (keyMatches && cmdCtrlMatches && shiftMatches) {
         // Send the shortcut to the renderer process to handle
-        mainWindow.webContents.send('browser-shortcut', { key, cmdOrCtrl, shift });
+        win.webContents.send('browser-shortcut', { key, cmdOrCtrl, shift });
         event.preventDefault();
         return;
       }
     }
   });
 
-  // --- DOWNLOAD MANAGER LOGIC ---
-  // Handle downloads from main window
-  setupDownloadHandler(mainWindow.webContents.session);
+  return win;
+}
 
-  // Handle downloads from webviews (they use the default session)
-  setupDownloadHandler(session.defaultSession);
+/**
+ * Get the window options that put a restored window back where it was
+ * @param {Object|null} bounds - Saved { x, y, width, height }
+ * @returns {Object} - Size, plus the position when it is still on a display
+ */
+function getRestoredBounds(bounds) {
+  if (!bounds) return {};
+
+  const { x, y, width, height } = bounds;
+  const visible = screen.getAllDisplays().some(({ workArea }) =>
+    x < workArea.x + workArea.width && x + width > workArea.x &&
+    y < workArea.y + workArea.height && y + height > workArea.y);
+  return visible ? { x, y, width, height } : { width, height };
 }
 
-app.whenReady().then(async () => {
-  // Initialize Password Protection
-  passwordProtection = new PasswordProtection(app.getPath('userData'));
-  console.log('[YarvixBrowser] Password Protection initialized');
+/**
+ * Add a request to the owning tab's request log
+ * @param {Object} details - webRequest details
+ * @param {string} pageUrl - Page the request belongs to
+ * @param {Object} result - { decision, rule, category, reason }
+ */
+function logRequest(details, pageUrl, result) {
+  const tabId = details.webContentsId?.toString();
+  // Requests of the browser UI itself aren't interesting
+  if (!tabId || BrowserWindow.getAllWindows().some(win => win.webContents.id === details.webContentsId)) {
+    return;
+  }
 
-  // Initialize Credential Manager with user data path
-  credentialManager = new CredentialManager(app.getPath('userData'));
-  console.log('[YarvixBrowser] Credential Manager initialized');
+  const entry = requestLog.record(tabId, {
+    url: details.url,
+    type: details.resourceType,
+    pageUrl,
+    decision: result.decision,
+    rule: result.rule || null,
+    category: result.category || null,
+    reason: result.reason || null
+  });
 
-  // Show lock screen first
-  createLockWindow();
+  // Only stream entries while the request log panel shows this tab
+  if (tabId === requestLogWatchedTab && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('request-log-entry', { tabId, entry });
+  }
+}
 
-  // Configure the default session to behave like a normal browser
-  const defaultSession = session.defaultSession;
+/**
+ * Inject the cosmetic filters that apply to the page loaded in a webview
+ * @param {Electron.WebContents} contents - The webview's webContents
+ */
+function injectCosmeticFilters(contents) {
+  const url = contents.getURL();
+  if (!/^https?:/.test(url)) return;
+
+  const { css, script } = adBlocker.getCosmeticFilters(url);
+  if (css) {
+    // User-origin CSS wins over the page's own !important rules
+    contents.insertCSS(css, { cssOrigin: 'user' }).catch(err => {
+      console.warn('[AdBlocker] Failed to insert cosmetic CSS:', err.message);
+    });
+  }
+  if (script) {
+    contents.executeJavaScript(script).catch(() => {
+      // Page navigated away before the script ran
+    });
+  }
+}
+
+/**
+ * Get the page a web request belongs to (for Shields and filter checks)
+ * @param {Object} details - webRequest details
+ * @returns {string}
+ */
+function getRequestPageUrl(details) {
+  // A navigation belongs to the page being loaded, not the one being left
+  if (details.resourceType === 'mainFrame') return details.url;
+  return details.webContents?.getURL() || details.referrer || '';
+}
+
+// Sessions that already have the browser's request hooks and handlers
+// (session -> container ID, null for the default and private sessions)
+const configuredSessions = new Map();
+
+/**
+ * Make a session behave like a normal browser with Shields: user agent, request
+ * filtering, HTTPS-Only, certificate checks, site permissions and downloads
+ * @param {Electron.Session} ses - The default, private or a container session
+ * @param {string|null} containerId - Container the session belongs to
+ */
+function configureSession(ses, containerId = null) {
+  if (configuredSessions.has(ses)) return;
+  configuredSessions.set(ses, containerId);
 
   // Set User-Agent to match Chrome - this is the KEY fix for website compatibility
-  defaultSession.setUserAgent(CHROME_USER_AGENT);
+  ses.setUserAgent(CHROME_USER_AGENT);
 
   // Set proper web request headers to appear as a normal browser
-  defaultSession.webRequest.onBeforeSendHeaders((details, callback) => {
+  ses.webRequest.onBeforeSendHeaders((details, callback) => {
     details.requestHeaders['User-Agent'] = CHROME_USER_AGENT;
     // Remove Electron-specific headers that some sites block
     delete details.requestHeaders['X-Electron'];
+
+    // Shields: third-party cookies and fingerprinting client hints
+    const pageUrl = getRequestPageUrl(details);
+    if (adBlocker.shouldStripCookies(details.url, pageUrl)) {
+      delete details.requestHeaders['Cookie'];
+    }
+    adBlocker.stripFingerprintingHeaders(details.requestHeaders, pageUrl);
+
     callback({ requestHeaders: details.requestHeaders });
   });
 
+  ses.webRequest.onHeadersReceived((details, callback) => {
+    const pageUrl = getRequestPageUrl(details);
+    const responseHeaders = details.responseHeaders || {};
+
+    // Shields: don't let third parties set cookies
+    if (adBlocker.shouldStripCookies(details.url, pageUrl)) {
+      Object.keys(responseHeaders)
+        .filter(header => header.toLowerCase() === 'set-cookie')
+        .forEach(header => delete responseHeaders[header]);
+    }
+
+    // Shields: "Block scripts" also disables inline scripts on the site's documents
+    const isDocument = details.resourceType === 'mainFrame' || details.resourceType === 'subFrame';
+    const profile = adBlocker.getShieldsProfile(pageUrl);
+    if (isDocument && profile.enabled && profile.blockScripts) {
+      responseHeaders['Content-Security-Policy'] = [
+        ...(responseHeaders['Content-Security-Policy'] || []),
+        "script-src 'none'"
+      ];
+    }
+
+    callback({ responseHeaders });
+  });
+
   // ========================================
   // AD BLOCKER - Request Filtering
   // ========================================
-  defaultSession.webRequest.onBeforeRequest((details, callback) => {
-    // Skip if ad blocker is disabled
-    if (!adBlocker.enabled) {
+  ses.webRequest.onBeforeRequest((details, callback) => {
+    const url = details.url;
+    const resourceType = details.resourceType;
+
+    // Use the top-level page for whitelist, $domain= and $third-party checks
+    const pageUrl = getRequestPageUrl(details);
+
+    // Record the request corpus replayed by scripts/benchmark-adblock.js
+    requestRecorder?.write(JSON.stringify({ url, pageUrl, type: resourceType }) + '\n');
+
+    // HTTPS-Only mode: load http:// pages, frames and sub-resources over https:// instead
+    const upgradeUrl = httpsOnly.getUpgradeUrl(url, pageUrl);
+    if (upgradeUrl) {
+      if (resourceType !== 'mainFrame') {
+        httpsOnly.trackRequestUpgrade(details.id);
+      } else if (details.webContentsId) {
+        httpsOnly.trackUpgrade(details.webContentsId.toString(), url);
+      }
+      logRequest(details, pageUrl, { decision: 'allowed', reason: 'Upgraded to HTTPS' });
+      callback({ redirectURL: upgradeUrl });
+      return;
+    }
+
+    // Remember where pages and frames came from, to find their site data later
+    if ((resourceType === 'mainFrame' || resourceType === 'subFrame') && !privateBrowsing.isPrivateSession(ses)) {
+      siteOrigins.add(containerId || '', url);
+    }
+
+    // Skip if ad blocker is disabled (globally, or for this site)
+    if (!adBlocker.isEnabledFor(pageUrl)) {
+      logRequest(details, pageUrl, { decision: 'allowed', reason: 'Shields off' });
       callback({ cancel: false });
       return;
     }
 
-    const url = details.url;
-    const resourceType = details.resourceType;
+    // Strip tracking parameters from page and frame navigations (redirects to the clean URL)
+    if ((resourceType === 'mainFrame' || resourceType === 'subFrame') && details.method === 'GET') {
+      const cleaned = adBlocker.cleanUrl(url, pageUrl);
+      if (cleaned.removed.length > 0) {
+        const tabId = details.webContentsId?.toString() || 'unknown';
+        adBlocker.recordParamsRemoved(tabId, cleaned.removed.length);
+        logRequest(details, pageUrl, { decision: 'allowed', reason: `Removed ${cleaned.removed.join(', ')}` });
+        sendParamsRemoved(tabId, cleaned.removed);
+        callback({ redirectURL: cleaned.url });
+        return;
+      }
+    }
 
     // Skip first-party main frame requests
     if (resourceType === 'mainFrame') {
+      logRequest(details, pageUrl, { decision: 'allowed' });
       callback({ cancel: false });
       return;
     }
 
-    // Check if URL should be blocked
-    const shouldBlock = adBlocker.shouldBlock(url, details.referrer || '');
+    // Check if URL should be blocked (Shields settings of the page decide which rules apply)
+    const { blocked, category, filter } = adBlocker.evaluateRequest(url, pageUrl, resourceType);
+    logRequest(details, pageUrl, {
+      decision: blocked ? 'blocked' : 'allowed',
+      rule: filter?.raw || null,
+      category
+    });
 
-    if (shouldBlock) {
+    if (blocked) {
       // Record the blocked request
-      adBlocker.recordBlocked(details.webContentsId?.toString() || 'unknown');
-
-      // Send update to renderer
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('ad-blocked', {
-          url: url,
-          type: resourceType,
-          webContentsId: details.webContentsId?.toString() || null,
-          stats: adBlocker.getStats()
-        });
-      }
+      const tabId = details.webContentsId?.toString() || 'unknown';
+      adBlocker.recordBlocked(tabId, category);
+
+      // Send update to the tab's window
+      getBrowserUi(details.webContents)?.send('ad-blocked', {
+        url: url,
+        type: resourceType,
+        category,
+        webContentsId: details.webContentsId?.toString() || null,
+        stats: adBlocker.getStats(tabId)
+      });
 
       callback({ cancel: true });
       return;
@@ -321,10 +631,127 @@ app.whenReady().then(async () => {
     callback({ cancel: false });
   });
 
-  // Handle certificate errors more gracefully (like Chrome does)
-  defaultSession.setCertificateVerifyProc((request, callback) => {
-    // Accept valid certificates
-    callback(0); // 0 means success, -2 means reject, -3 means use default behavior
+  // An upgraded request went through: nothing to fall back from
+  ses.webRequest.onCompleted({ urls: ['https://*/*', 'wss://*/*'] }, (details) => {
+    if (details.resourceType !== 'mainFrame') {
+      httpsOnly.takeRequestUpgrade(details.id);
+    } else if (details.webContentsId) {
+      httpsOnly.clearUpgrade(details.webContentsId.toString());
+    }
+  });
+
+  // A page load failed in a way the user can override: show an interstitial
+  ses.webRequest.onErrorOccurred((details) => {
+    // Upgraded frames and sub-resources have no HTTP fallback: they stay blocked
+    if (details.resourceType !== 'mainFrame') {
+      if (httpsOnly.takeRequestUpgrade(details.id) && details.error !== 'net::ERR_ABORTED') {
+        logRequest(details, getRequestPageUrl(details), { decision: 'blocked', reason: 'HTTPS upgrade failed' });
+      }
+      return;
+    }
+    if (!details.webContentsId) return;
+
+    const contents = webContents.fromId(details.webContentsId);
+    if (!contents || contents.isDestroyed()) return;
+
+    // An upgraded page load failed: offer to continue over HTTP
+    const httpUrl = httpsOnly.takeFailedUpgrade(details.webContentsId.toString(), details.url, details.error);
+    if (httpUrl) {
+      showInterstitial(contents, 'https-only', httpUrl, details.error);
+      return;
+    }
+
+    // Invalid certificate: warn, with the option to proceed anyway
+    if (details.error.startsWith('net::ERR_CERT_')) {
+      showInterstitial(contents, 'certificate', details.url, details.error);
+    }
+  });
+
+  // Site permissions: tabs follow the site settings and ask through the prompt under
+  // the URL bar; the browser's own windows keep Electron's default
+  ses.setPermissionRequestHandler((contents, permission, callback, details) => {
+    // The browser UI gets what it asks for
+    if (contents.getType() !== 'webview') {
+      callback(true);
+      return;
+    }
+
+    const types = getPermissionTypes(permission, details);
+    if (!types) {
+      callback(isAlwaysAllowed(permission));
+      return;
+    }
+
+    const origin = getOrigin(details.requestingUrl || contents.getURL());
+    const decision = origin ? permissions.decide(origin, types) : 'block';
+    const ui = getBrowserUi(contents);
+    if (decision !== 'ask' || !ui) {
+      callback(decision === 'allow');
+      return;
+    }
+
+    const request = permissions.addRequest({
+      webContentsId: contents.id,
+      origin,
+      types,
+      callback,
+      // Decisions made in private windows only last for the prompt
+      temporary: privateBrowsing.isPrivateSession(ses)
+    });
+    ui.send('permission-request', {
+      id: request.id,
+      webContentsId: contents.id.toString(),
+      origin,
+      types
+    });
+  });
+
+  ses.setPermissionCheckHandler((contents, permission, requestingOrigin, details) => {
+    if (contents && contents.getType() !== 'webview') return true;
+    return permissions.check(getOrigin(requestingOrigin), permission, details);
+  });
+
+  // Chromium verifies every certificate; an invalid one fails the request unless the
+  // user chose "proceed anyway" for that certificate on the interstitial
+  ses.setCertificateVerifyProc((request, callback) => {
+    const { hostname, certificate, verificationResult } = request;
+    certificates.record(hostname, certificate, verificationResult);
+
+    if (verificationResult !== 'net::OK' && certificates.isAllowed(hostname, certificate)) {
+      callback(0); // 0 = trust the certificate
+      return;
+    }
+    callback(-3); // -3 = use Chromium's verification result
+  });
+
+  setupDownloadHandler(ses);
+}
+
+app.whenReady().then(async () => {
+  // Initialize Password Protection
+  passwordProtection = new PasswordProtection(app.getPath('userData'));
+  console.log('[YarvixBrowser] Password Protection initialized');
+
+  // Initialize Credential Manager with user data path
+  credentialManager = new CredentialManager(app.getPath('userData'));
+  console.log('[YarvixBrowser] Credential Manager initialized');
+
+  // Load the subscribed filter lists (and lists dropped into <userData>/filter-lists)
+  filterListManager = new FilterListManager(adBlocker, path.join(app.getPath('userData'), 'filter-lists'));
+  filterListManager.load();
+
+  // Memory use of the tabs, for their tooltips and the memory saver
+  setInterval(sendTabMemory, MEMORY_CHECK_INTERVAL);
+
+  // Show lock screen first
+  createLockWindow();
+
+  // Configure the default session to behave like a normal browser
+  configureSession(session.defaultSession);
+
+  // Container tabs get the same request filtering, permissions and downloads
+  containers.getContainers().forEach(container => {
+    configureSession(session.fromPartition(containers.getPartition(container.id)), container.id);
   });
 
   // Don't create main window here - wait for password unlock
@@ -333,13 +760,50 @@ app.whenReady().then(async () => {
   // Listen for keyboard shortcuts from ALL webContents (including webviews)
   // This is the reliable way to capture shortcuts when focus is inside a webview
   app.on('web-contents-created', (_event, contents) => {
+    // Start a fresh request log and blocked counts for every new page
+    const contentsId = contents.id.toString();
+    contents.on('did-start-navigation', (_e, _url, isInPlace, isMainFrame) => {
+      if (isMainFrame && !isInPlace) {
+        requestLog.clear(contentsId);
+        adBlocker.resetTabStats(contentsId);
+        cancelPermissionRequests(contents.id);
+
+        // Parameters already removed from a URL typed in the URL bar belong to this page
+        const pendingParams = pendingParamsRemoved.get(contentsId);
+        if (pendingParams) {
+          pendingParamsRemoved.delete(contentsId);
+          adBlocker.recordParamsRemoved(contentsId, pendingParams);
+        }
+      }
+    });
+    contents.on('destroyed', () => {
+      requestLog.clear(contentsId);
+      adBlocker.resetTabStats(contentsId);
+      pendingParamsRemoved.delete(contentsId);
+      httpsOnly.clearUpgrade(contentsId);
+      interstitials.delete(contents.id);
+      cancelPermissionRequests(contents.id);
+    });
+
+    // Element hiding rules for the page, applied as soon as the DOM is ready
+    if (contents.getType() === 'webview') {
+      contents.on('dom-ready', () => injectCosmeticFilters(contents));
+
+      // Links and redirects to a site that always opens in another container
+      contents.on('will-navigate', (event) => redirectToContainer(contents, event));
+      contents.on('will-redirect', (event) => {
+        if (event.isMainFrame) redirectToContainer(contents, event);
+      });
+    }
+
     // Handle new window requests (Cmd+click, target="_blank", window.open)
     // This intercepts ALL new window requests from webviews and opens them in a new tab instead
     contents.setWindowOpenHandler(({ url }) => {
-      // Send the URL to the renderer to create a new tab
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('create-tab-with-url', url);
-      }
+      // Send the URL to the renderer of the same window to create a new tab
+      // (in the opener's container)
+      getBrowserUi(contents)?.send('create-tab-with-url', url, {
+        containerId: configuredSessions.get(contents.session) || null
+      });
       return { action: 'deny' }; // Prevent the new window from being created
     });
 
@@ -355,11 +819,15 @@ app.whenReady().then(async () => {
         { key: 't', cmdCtrl: true, shift: false },
         { key: 'w', cmdCtrl: true, shift: false },
         { key: 't', cmdCtrl: true, shift: true },
+        { key: 'p', cmdCtrl: true, shift: true },
+        { key: 'g', cmdCtrl: true, shift: true },
+        { key: 'e', cmdCtrl: true, shift: true },
         { key: 'r', cmdCtrl: true, shift: false },
         { key: 'l', cmdCtrl: true, shift: false },
         { key: 'd', cmdCtrl: true, shift: false },
         { key: 'f', cmdCtrl: true, shift: false },
         { key: 'n', cmdCtrl: true, shift: false },
+        { key: 'n', cmdCtrl: true, shift: true },
         { key: 'tab', cmdCtrl: true, shift: false },
         { key: 'tab', cmdCtrl: true, shift: true },
         { key: '1', cmdCtrl: true, shift: false },
@@ -375,9 +843,10 @@ app.whenReady().then(async () => {
 
       for (const shortcut of shortcuts) {
         if (key === shortcut.key && cmdOrCtrl === shortcut.cmdCtrl && shift === shortcut.shift) {
-          // Send to the main window's renderer
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('browser-shortcut', { key, cmdOrCtrl, shift });
+          // Send to the renderer of the tab's window
+          const ui = getBrowserUi(contents);
+          if (ui) {
+            ui.send('browser-shortcut', { key, cmdOrCtrl, shift });
             event.preventDefault();
           }
           return;
@@ -386,30 +855,40 @@ app.whenReady().then(async () => {
     });
   });
   
-  // Clear corrupted service worker data immediately on startup
-  // This helps prevent the "Failed to delete the database: Database IO error" issue
-  try {
-    const sessions = [session.defaultSession];
-    for (const sess of sessions) {
-      try {
-        await sess.clearStorageData({
-          storages: ['serviceworkers', 'indexdb', 'cachestorage']
-        });
-        console.log('Service worker data cleared on startup');
-      } catch (err) {
-        // Ignore errors during startup clearing - the error might persist but won't crash
-        console.warn('Startup service worker clear warning:', err.message);
-      }
-    }
-  } catch (err) {
-    console.warn('Failed to clear service worker data on startup:', err.message);
-  }
 });
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
+// Delete the "clear on exit" categories and the sites marked "clear on exit"
+// before the sessions go away, then quit for real
+app.on('before-quit', (event) => {
+  appQuitting = true;
+  if (exitCleanupDone) return;
+
+  const categories = clearOnExit.getCategories();
+  const sites = siteDataRules.getSitesToClear();
+  if (categories.length === 0 && sites.length === 0) return;
+
+  event.preventDefault();
+  exitCleanupDone = true;
+  runExitCleanup(categories, sites).finally(() => app.quit());
+});
+
+app.on('will-quit', () => {
+  // Write the batched lifetime counters
+  adBlocker.flushSettings();
+  siteOrigins.flush();
+
+  // Every window has closed by now, so nothing adds its tabs back
+  if (clearOnExit.getCategories().includes('sessionTabs')) {
+    sessionRestore.clear();
+    recentlyClosed.clear();
+  }
+  sessionRestore.markCleanExit();
+});
+
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) {
     // If unlocked, show main window; otherwise show lock screen
@@ -421,10 +900,10 @@ app.on('activate', () => {
   }
 });
 
-// IPC Handler for creating new window
-ipcMain.on('create-new-window', () => {
+// IPC Handler for creating new window (or a private window with { private: true })
+ipcMain.on('create-new-window', (_event, { private: isPrivate = false } = {}) => {
   if (isUnlocked) {
-    createWindow();
+    createWindow({ isPrivate });
   }
 });
 
@@ -445,7 +924,7 @@ ipcMain.on('password-verify', (_event, password) => {
       lockWindow.webContents.send('password-result', result);
       setTimeout(() => {
         lockWindow.close();
-        createWindow();
+        restoreSession();
       }, 300);
     }
   } else if (result.shouldWipe) {
@@ -487,6 +966,10 @@ ipcMain.on('start-data-wipe', async () => {
     if (credentialManager) {
       credentialManager.clearAllCredentials();
     }
+    // Whitelist and per-site overrides reveal visited sites, and so do saved tabs
+    adBlocker.resetSettings();
+    sessionRestore.clear();
+    recentlyClosed.clear();
     await new Promise(r => setTimeout(r, 300));
 
     // Step 3: Clear site data (cookies, localStorage, etc.)
@@ -579,9 +1062,6 @@ ipcMain.on('password-change', (_event, { currentPassword, newPassword }) => {
     mainWindow.webContents.send('password-change-result', result);
   }
 });
-ipcMain.on("close-app", () => {
-    app.quit();
-});
 ipcMain.on("log", (_, msg) => {
   console.log("[Renderer]:", msg);
 });
@@ -643,9 +1123,14 @@ ipcMain.on('adblock-toggle', () => {
   });
 });
 
-// Get ad blocker stats
-ipcMain.on('adblock-get-stats', () => {
-  mainWindow?.webContents.send('adblock-stats', adBlocker.getStats());
+// Get ad blocker stats (with the counts of one tab when its webContents ID is given)
+ipcMain.on('adblock-get-stats', (_event, tabId) => {
+  mainWindow?.webContents.send('adblock-stats', adBlocker.getStats(tabId ? tabId.toString() : null));
+});
+
+// Switch a blocking category (ads, trackers, social, ...) on or off for all sites
+ipcMain.on('adblock-set-category', (_event, { category, enabled } = {}) => {
+  adBlocker.setCategoryEnabled(category, enabled);
 });
 
 // Add domain to whitelist
@@ -671,76 +1156,1043 @@ ipcMain.on('adblock-get-whitelist', () => {
   });
 });
 
-// Get content script for injection
-ipcMain.on('adblock-get-content-script', () => {
-  mainWindow?.webContents.send('adblock-content-script', {
-    script: adBlocker.getContentScript(),
-    css: adBlocker.getCosmeticFilterCSS(),
-    enabled: adBlocker.enabled
-  });
+// Scriptlets for a page, requested synchronously by the webview preload before page scripts run
+ipcMain.on('adblock-get-scriptlets', (event, pageUrl) => {
+  try {
+    event.returnValue = /^https?:/.test(pageUrl) ? adBlocker.getScriptlets(pageUrl) : '';
+  } catch (err) {
+    console.error('[AdBlocker] Failed to build scriptlets:', err);
+    event.returnValue = '';
+  }
 });
 
-// IPC Handler for clearing all site data (cookies, sessions, storage)
-ipcMain.on('clear-site-data', async () => {
+// Fingerprinting protection script for a page, run by the tab preload before page scripts
+// (sync; empty when Shields or its fingerprinting protection is off for the site)
+ipcMain.on('fingerprint-get-script', (event, pageUrl) => {
   try {
-    const defaultSession = session.defaultSession;
-
-    // Clear all storage data
-    await defaultSession.clearStorageData({
-      storages: [
-        'cookies',
-        'localstorage',
-        'sessionstorage',
-        'indexdb',
-        'websql',
-        'serviceworkers',
-        'cachestorage'
-      ]
-    });
-
-    // Clear cache
-    await defaultSession.clearCache();
+    const profile = /^https?:/.test(pageUrl) ? adBlocker.getShieldsProfile(pageUrl) : null;
+    event.returnValue = profile && profile.enabled && profile.fingerprinting
+      ? fingerprintProtection.getScript(event.sender.session, pageUrl)
+      : '';
+  } catch (err) {
+    console.error('[Fingerprinting] Failed to build protection script:', err);
+    event.returnValue = '';
+  }
+});
 
-    // Clear auth cache
-    await defaultSession.clearAuthCache();
+// User agent for the tabs (sync, needed when a tab is created)
+ipcMain.on('get-user-agent', (event) => {
+  event.returnValue = CHROME_USER_AGENT;
+});
 
-    console.log('[YarvixBrowser] All site data cleared successfully');
-    mainWindow?.webContents.send('site-data-cleared', { success: true });
-  } catch (error) {
-    console.error('[YarvixBrowser] Error clearing site data:', error);
-    mainWindow?.webContents.send('site-data-cleared', { success: false, error: error.message });
+// Clean a URL typed in the URL bar before the tab loads it (returns { url, removed })
+ipcMain.on('adblock-clean-url', (event, { url, tabId } = {}) => {
+  try {
+    const cleaned = adBlocker.cleanUrl(url);
+    if (cleaned.removed.length > 0 && tabId) {
+      pendingParamsRemoved.set(tabId.toString(), cleaned.removed.length);
+    }
+    event.returnValue = cleaned;
+  } catch (err) {
+    console.error('[AdBlocker] Failed to clean URL:', err);
+    event.returnValue = { url, removed: [] };
   }
 });
 
-// ========================================
-// CREDENTIAL MANAGER IPC HANDLERS
-// ========================================
+// Tracking parameter rules (Shields > Tracking parameters)
+ipcMain.on('adblock-get-param-rules', () => {
+  sendParamRules();
+});
 
-// Get form detection script for injection
-ipcMain.on('credential-get-script', () => {
-  mainWindow?.webContents.send('credential-script', {
-    script: FORM_DETECTION_SCRIPT
+ipcMain.on('adblock-set-param-rules', (_event, rules) => {
+  if (!Array.isArray(rules)) return;
+  sendParamRules(adBlocker.setParamRules(rules));
+});
+
+ipcMain.on('adblock-reset-param-rules', () => {
+  adBlocker.resetParamRules();
+  sendParamRules();
+});
+
+function sendParamRules(invalid = []) {
+  mainWindow?.webContents.send('adblock-param-rules', { rules: adBlocker.getParamRules(), invalid });
+}
+
+/**
+ * Tell the renderer that tracking parameters were removed from a tab's navigation
+ * @param {string} tabId - webContents ID of the tab
+ * @param {string[]} removed - Names of the removed parameters
+ */
+function sendParamsRemoved(tabId, removed) {
+  getBrowserUi(webContents.fromId(Number(tabId)))?.send('url-params-removed', {
+    webContentsId: tabId,
+    removed,
+    stats: adBlocker.getStats(tabId)
+  });
+}
+
+// Send a tab's request log and stream new entries until unwatched
+ipcMain.on('request-log-watch', (_event, tabId) => {
+  requestLogWatchedTab = tabId ? tabId.toString() : null;
+  if (!requestLogWatchedTab) return;
+
+  mainWindow?.webContents.send('request-log', {
+    tabId: requestLogWatchedTab,
+    entries: requestLog.getEntries(requestLogWatchedTab),
+    userRules: adBlocker.getUserRules()
   });
 });
 
-// Check if credentials exist for URL
-ipcMain.on('credential-check', (_event, { url, username, password }) => {
-  if (!credentialManager) return;
+ipcMain.on('request-log-clear', (_event, tabId) => {
+  requestLog.clear(tabId.toString());
+});
 
-  const shouldPrompt = credentialManager.shouldPromptSave(url);
-  const existingCheck = credentialManager.checkExistingCredential(url, username, password);
+// "Allow this request on this site"
+ipcMain.on('request-log-allow', (_event, { url, pageUrl }) => {
+  const rule = adBlocker.createAllowRule(url, pageUrl);
+  if (!rule || !adBlocker.addUserRule(rule)) return;
+  mainWindow?.webContents.send('request-log-rules-updated', {
+    added: rule,
+    userRules: adBlocker.getUserRules()
+  });
+  sendUserRules();
+});
 
-  mainWindow?.webContents.send('credential-check-result', {
-    url,
-    username,
-    shouldPrompt,
-    ...existingCheck
+ipcMain.on('request-log-remove-rule', (_event, rule) => {
+  adBlocker.removeUserRule(rule);
+  mainWindow?.webContents.send('request-log-rules-updated', {
+    removed: rule,
+    userRules: adBlocker.getUserRules()
   });
+  sendUserRules();
 });
 
-// Save credential
-ipcMain.on('credential-save', (_event, { url, username, password }) => {
-  if (!credentialManager) return;
+// Custom rules (element picker rules, allowed requests) listed in the Shields panel
+ipcMain.on('adblock-get-user-rules', () => {
+  sendUserRules();
+});
+
+// Save an element picked with the element zapper as a site-scoped hide rule
+ipcMain.on('adblock-add-cosmetic-rule', (_event, { hostname, selector }) => {
+  if (!hostname || !selector) return;
+  if (!adBlocker.addUserRule(`${hostname}##${selector}`)) {
+    mainWindow?.webContents.send('adblock-user-rule-error', { rule: `${hostname}##${selector}` });
+    return;
+  }
+  sendUserRules();
+});
+
+ipcMain.on('adblock-update-user-rule', (_event, { oldRule, newRule }) => {
+  if (!adBlocker.updateUserRule(oldRule, newRule)) {
+    mainWindow?.webContents.send('adblock-user-rule-error', { rule: newRule });
+  }
+  sendUserRules();
+});
+
+ipcMain.on('adblock-remove-user-rule', (_event, rule) => {
+  adBlocker.removeUserRule(rule);
+  sendUserRules();
+});
+
+function sendUserRules() {
+  mainWindow?.webContents.send('adblock-user-rules', { rules: adBlocker.getUserRules() });
+}
+
+// Get the Shields profile for a site (shown for the active tab)
+ipcMain.on('shields-get-site', (_event, hostname) => {
+  sendShieldsSiteProfile(hostname);
+});
+
+// Change one Shields setting for a site
+ipcMain.on('shields-set-site', (_event, { hostname, key, value }) => {
+  if (!hostname || !adBlocker.setSiteShield(hostname, key, value)) return;
+  sendShieldsSiteProfile(hostname);
+});
+
+// Reset a site back to the default Shields settings
+ipcMain.on('shields-reset-site', (_event, hostname) => {
+  if (!hostname) return;
+  adBlocker.removeSiteOverride(hostname);
+  adBlocker.removeFromWhitelist(hostname);
+  sendShieldsSiteProfile(hostname);
+});
+
+function sendShieldsSiteProfile(hostname) {
+  mainWindow?.webContents.send('shields-site-profile', {
+    hostname,
+    profile: adBlocker.getShieldsProfile(hostname),
+    customized: adBlocker.siteOverrides.has(hostname) || adBlocker.whitelist.has(hostname)
+  });
+}
+
+// ========================================
+// HTTPS-ONLY MODE, CERTIFICATES AND INTERSTITIALS
+// ========================================
+
+/**
+ * Replace a tab's page with the local interstitial page
+ * @param {Electron.WebContents} contents - The tab's webContents
+ * @param {string} type - Interstitial type (`https-only` or `certificate`)
+ * @param {string} url - The page that was not loaded (opened by "proceed")
+ * @param {string} error - Network error shown on the page
+ */
+function showInterstitial(contents, type, url, error = '') {
+  interstitials.set(contents.id, { type, url });
+  contents.loadFile(path.join(__dirname, 'interstitial.html'), { query: { type, url, error } });
+}
+
+// "Continue to HTTP site" (and other proceed buttons) on an interstitial page
+ipcMain.on('interstitial-proceed', (event) => {
+  const interstitial = interstitials.get(event.sender.id);
+  if (!interstitial) return;
+  interstitials.delete(event.sender.id);
+
+  const hostname = new URL(interstitial.url).hostname;
+  if (interstitial.type === 'https-only') {
+    httpsOnly.addException(hostname);
+    sendHttpsOnlyState();
+  } else if (interstitial.type === 'certificate') {
+    certificates.allow(hostname);
+  }
+  event.sender.loadURL(interstitial.url);
+});
+
+ipcMain.on('interstitial-go-back', (event) => {
+  interstitials.delete(event.sender.id);
+  if (event.sender.canGoBack()) {
+    event.sender.goBack();
+  } else {
+    event.sender.loadFile(path.join(__dirname, 'homepage.html'));
+  }
+});
+
+// Certificate of a page, for the certificate viewer behind the URL bar security icon
+ipcMain.on('certificate-get', (_event, url) => {
+  let hostname = '';
+  let isHttps = false;
+  try {
+    const parsed = new URL(url);
+    hostname = parsed.hostname;
+    isHttps = parsed.protocol === 'https:';
+  } catch {
+    // Not a web page
+  }
+
+  mainWindow?.webContents.send('certificate-info', {
+    url,
+    hostname,
+    isHttps,
+    result: isHttps ? certificates.get(hostname) : null
+  });
+});
+
+ipcMain.on('https-only-get', () => {
+  sendHttpsOnlyState();
+});
+
+ipcMain.on('https-only-set-enabled', (_event, enabled) => {
+  httpsOnly.setEnabled(enabled);
+  sendHttpsOnlyState();
+});
+
+// Upgrade a site to HTTPS again
+ipcMain.on('https-only-remove-exception', (_event, hostname) => {
+  httpsOnly.removeException(hostname);
+  sendHttpsOnlyState();
+});
+
+function sendHttpsOnlyState() {
+  mainWindow?.webContents.send('https-only-state', httpsOnly.getState());
+}
+
+// ========================================
+// SITE PERMISSIONS
+// ========================================
+
+// Answer from the permission prompt
+ipcMain.on('permission-response', (_event, { id, allow, remember } = {}) => {
+  const request = permissions.resolveRequest(id, allow, remember);
+  if (request && remember) sendPermissions();
+});
+
+ipcMain.on('permissions-get', () => {
+  sendPermissions();
+});
+
+ipcMain.on('permissions-set-default', (_event, { type, value } = {}) => {
+  if (permissions.setDefault(type, value)) sendPermissions();
+});
+
+ipcMain.on('permissions-set-site', (_event, { origin, type, value } = {}) => {
+  if (permissions.setSitePermission(origin, type, value)) sendPermissions();
+});
+
+// Forget every permission decision for a site
+ipcMain.on('permissions-reset-site', (_event, origin) => {
+  permissions.resetSite(origin);
+  sendPermissions();
+});
+
+function sendPermissions() {
+  mainWindow?.webContents.send('permissions', permissions.getState());
+}
+
+/**
+ * Deny the open permission prompts of a tab and take them off screen
+ * @param {number} webContentsId - The tab's webContents ID
+ */
+function cancelPermissionRequests(webContentsId) {
+  const cancelled = permissions.cancelRequests(webContentsId);
+  if (cancelled.length > 0) {
+    sendToAllWindows('permission-requests-cancelled', { ids: cancelled });
+  }
+}
+
+// ========================================
+// SITE INFORMATION (URL bar security icon)
+// ========================================
+
+/**
+ * Get a tab's webContents from the ID the renderer uses
+ * @param {string} tabId - webContents ID of the tab
+ * @returns {Electron.WebContents|null}
+ */
+function getTabContents(tabId) {
+  const contents = webContents.fromId(Number(tabId));
+  return contents && !contents.isDestroyed() ? contents : null;
+}
+
+/**
+ * Collect what the browser knows about a tab's site and send it to the site info popover
+ * @param {string} url - The page URL
+ * @param {string} tabId - webContents ID of the tab
+ */
+async function sendSiteInfo(url, tabId) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    // Not a web page
+  }
+
+  const isWeb = Boolean(parsed) && (parsed.protocol === 'https:' || parsed.protocol === 'http:');
+  if (!isWeb) {
+    mainWindow?.webContents.send('site-info', { url, isWeb: false });
+    return;
+  }
+
+  const contents = getTabContents(tabId);
+  const hostname = parsed.hostname;
+  const origin = parsed.origin;
+  const tabStats = tabId ? adBlocker.getTabStats(tabId) : { blocked: 0, paramsRemoved: 0 };
+
+  let siteData = { cookies: 0, storageUsage: null };
+  try {
+    siteData = await getSiteData(contents?.session || session.defaultSession, url, contents);
+  } catch (error) {
+    console.error('[YarvixBrowser] Could not read site data:', error);
+  }
+
+  mainWindow?.webContents.send('site-info', {
+    url,
+    isWeb: true,
+    hostname,
+    origin,
+    isHttps: parsed.protocol === 'https:',
+    httpsOnlyException: httpsOnly.exceptions.has(hostname),
+    certificate: parsed.protocol === 'https:' ? certificates.get(hostname) : null,
+    siteData,
+    permissions: permissions.getSitePermissions(origin),
+    shields: {
+      enabled: adBlocker.isEnabledFor(url),
+      blocked: tabStats.blocked,
+      paramsRemoved: tabStats.paramsRemoved
+    },
+    // Masked usernames only, never passwords
+    credentials: credentialManager ? credentialManager.getCredentials(url).map(c => c.displayName) : []
+  });
+}
+
+ipcMain.on('site-info-get', (_event, { url, tabId } = {}) => {
+  sendSiteInfo(url, tabId);
+});
+
+// Delete the cookies and storage of the tab's site
+ipcMain.on('site-info-clear-data', async (_event, { url, tabId } = {}) => {
+  const contents = getTabContents(tabId);
+  try {
+    await clearSiteData(contents?.session || session.defaultSession, url);
+    mainWindow?.webContents.send('site-info-cleared', { success: true, forgotten: false });
+  } catch (error) {
+    console.error('[YarvixBrowser] Error clearing data of site:', error);
+    mainWindow?.webContents.send('site-info-cleared', { success: false, error: error.message });
+  }
+  sendSiteInfo(url, tabId);
+});
+
+// Forget the tab's site: its data, saved passwords, permissions, Shields settings,
+// HTTPS-Only exception and accepted certificates (history is removed by the renderer)
+ipcMain.on('site-info-forget', async (_event, { url, tabId } = {}) => {
+  const contents = getTabContents(tabId);
+  try {
+    const { hostname, origin } = new URL(url);
+    await clearSiteData(contents?.session || session.defaultSession, url);
+
+    credentialManager?.deleteAllForOrigin(url);
+    permissions.resetSite(origin);
+    adBlocker.removeSiteOverride(hostname);
+    adBlocker.removeFromWhitelist(hostname);
+    httpsOnly.removeException(hostname);
+    certificates.revoke(hostname);
+
+    console.log('[YarvixBrowser] Forgot a site');
+    mainWindow?.webContents.send('site-info-cleared', { success: true, forgotten: true, hostname });
+    sendPermissions();
+    sendHttpsOnlyState();
+    sendShieldsSiteProfile(hostname);
+  } catch (error) {
+    console.error('[YarvixBrowser] Error forgetting site:', error);
+    mainWindow?.webContents.send('site-info-cleared', { success: false, error: error.message });
+  }
+  sendSiteInfo(url, tabId);
+});
+
+// ========================================
+// CONTAINER TABS
+// ========================================
+
+/**
+ * Stop a tab's navigation to a site that always opens in another container, and
+ * have the tab's window open it there instead
+ * @param {Electron.WebContents} contents - The tab
+ * @param {Electron.Event} event - will-navigate or will-redirect event (has `url`)
+ */
+function redirectToContainer(contents, event) {
+  if (privateBrowsing.isPrivateSession(contents.session)) return;
+
+  const containerId = containers.getContainerForUrl(event.url);
+  if (!containerId || containerId === configuredSessions.get(contents.session)) return;
+
+  event.preventDefault();
+  getBrowserUi(contents)?.send('open-in-container', {
+    url: event.url,
+    containerId,
+    webContentsId: contents.id.toString()
+  });
+}
+
+// Containers and rules (sync: tabs need their partition before they are created)
+ipcMain.on('containers-get', (event) => {
+  event.returnValue = containers.getState();
+});
+
+ipcMain.on('containers-add', (_event, { name, color } = {}) => {
+  const container = containers.addContainer(name, color);
+  if (!container) return;
+
+  configureSession(session.fromPartition(containers.getPartition(container.id)), container.id);
+  sendContainers();
+});
+
+// Delete a container and everything its tabs stored (the renderer closes its tabs first)
+ipcMain.on('containers-remove', async (_event, containerId) => {
+  if (!containers.removeContainer(containerId)) return;
+  sendContainers();
+
+  try {
+    const ses = session.fromPartition(containers.getPartition(containerId));
+    await ses.clearStorageData();
+    await ses.clearCache();
+    siteOrigins.clear(containerId);
+    console.log(`[Containers] Removed container ${containerId} and its data`);
+  } catch (error) {
+    console.error('[Containers] Failed to clear container data:', error);
+  }
+});
+
+// Always open a site in a container (containerId null removes the rule)
+ipcMain.on('containers-set-site-rule', (_event, { hostname, containerId } = {}) => {
+  if (containers.setSiteRule(hostname, containerId || null)) sendContainers();
+});
+
+// Container a URL must open in (sync, checked before the URL bar loads a page)
+ipcMain.on('containers-match-url', (event, url) => {
+  event.returnValue = containers.getContainerForUrl(url);
+});
+
+function sendContainers() {
+  sendToAllWindows('containers', containers.getState());
+}
+
+// ========================================
+// SITE DATA MANAGER (cookies and storage by site)
+// ========================================
+
+/**
+ * Get the session the site data manager is looking at
+ * @param {string|null} containerId - Container ID, or null (or '') for the default session
+ * @returns {Electron.Session|null} - null if the container doesn't exist
+ */
+function getSiteDataSession(containerId) {
+  if (!containerId) return session.defaultSession;
+  return containers.getContainer(containerId) ? session.fromPartition(containers.getPartition(containerId)) : null;
+}
+
+/**
+ * Get the sessions whose site data is kept on disk, by their SiteOrigins key
+ * @returns {string[]} - '' for the default session, then the container IDs
+ */
+function getSiteDataKeys() {
+  return ['', ...containers.getContainers().map(container => container.id)];
+}
+
+/**
+ * Send a session's sites, with their cookies and storage usage, to the site data manager
+ * @param {Electron.WebContents} target - The browser UI asking
+ * @param {string|null} containerId - Container ID, or null for the default session
+ */
+async function sendSiteDataSites(target, containerId) {
+  const ses = getSiteDataSession(containerId);
+  if (!ses || target.isDestroyed()) return;
+
+  try {
+    const [sites, storageSize, cacheSize] = await Promise.all([
+      listSiteData(ses, siteOrigins.get(containerId || '')),
+      getStorageSize(ses),
+      ses.getCacheSize()
+    ]);
+    if (target.isDestroyed()) return;
+    target.send('site-data-sites', {
+      containerId: containerId || null,
+      sites,
+      storageSize,
+      cacheSize,
+      rules: siteDataRules.getState()
+    });
+  } catch (error) {
+    console.error('[SiteData] Could not list site data:', error);
+  }
+}
+
+/**
+ * Delete the data of the sites marked "clear on exit", in the default and container sessions
+ * @param {string[]} sites - Sites to clear
+ * @returns {Promise<void>}
+ */
+async function clearSitesOnExit(sites) {
+  for (const key of getSiteDataKeys()) {
+    const ses = getSiteDataSession(key);
+    for (const site of sites) {
+      try {
+        await clearSite(ses, site, siteOrigins.get(key));
+        siteOrigins.removeSite(key, site);
+      } catch (error) {
+        console.error('[SiteData] Failed to clear a site on exit:', error);
+      }
+    }
+  }
+}
+
+ipcMain.on('site-data-list', (event, { containerId } = {}) => {
+  sendSiteDataSites(event.sender, containerId);
+});
+
+// Delete one cookie ({ name, domain, path, secure } from the list)
+ipcMain.on('site-data-delete-cookie', async (event, { containerId, cookie } = {}) => {
+  const ses = getSiteDataSession(containerId);
+  if (!ses || !cookie) return;
+
+  try {
+    await ses.cookies.remove(getCookieUrl(cookie), cookie.name);
+  } catch (error) {
+    console.error('[SiteData] Failed to delete cookie:', error);
+  }
+  sendSiteDataSites(event.sender, containerId);
+});
+
+// Delete everything a site stored
+ipcMain.on('site-data-delete-site', async (event, { containerId, site } = {}) => {
+  const ses = getSiteDataSession(containerId);
+  if (!ses || !site) return;
+
+  try {
+    await clearSite(ses, site, siteOrigins.get(containerId || ''));
+    siteOrigins.removeSite(containerId || '', site);
+  } catch (error) {
+    console.error('[SiteData] Failed to delete site data:', error);
+  }
+  sendSiteDataSites(event.sender, containerId);
+});
+
+// Keep or clear a site's data when the browser quits (rule null removes it)
+ipcMain.on('site-data-set-rule', (_event, { site, rule } = {}) => {
+  if (!siteDataRules.setRule(site, rule || null)) return;
+  sendToAllWindows('site-data-rules', siteDataRules.getState());
+});
+
+// ========================================
+// CLEAR ON EXIT
+// ========================================
+
+/**
+ * Delete the browsing data selected in the settings and the sites marked "clear on exit".
+ * Gives up after EXIT_CLEANUP_TIMEOUT so a stuck step never keeps the browser open
+ * @param {string[]} categories - Enabled clear on exit categories
+ * @param {string[]} sites - Sites marked "clear on exit"
+ * @returns {Promise<void>}
+ */
+async function runExitCleanup(categories, sites) {
+  console.log(`[ClearOnExit] Clearing ${categories.join(', ') || 'no categories'} and ${sites.length} sites`);
+
+  const cleanup = async () => {
+    clearUiDataOnExit(categories.filter(category => UI_CATEGORIES.includes(category)));
+
+    if (categories.includes('credentials')) {
+      credentialManager?.clearAllCredentials();
+    }
+
+    await clearSitesOnExit(sites);
+
+    const keptSites = siteDataRules.getKeptSites();
+    for (const key of getSiteDataKeys()) {
+      try {
+        await clearSessionOnExit(getSiteDataSession(key), categories, keptSites, siteOrigins.get(key));
+        if (categories.includes('cookies')) siteOrigins.retainSites(key, keptSites);
+      } catch (error) {
+        console.error('[ClearOnExit] Failed to clear session:', error);
+      }
+    }
+  };
+
+  let timer = null;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      console.warn('[ClearOnExit] Cleanup timed out, quitting anyway');
+      resolve();
+    }, EXIT_CLEANUP_TIMEOUT);
+  });
+
+  try {
+    await Promise.race([cleanup(), timeout]);
+  } catch (error) {
+    console.error('[ClearOnExit] Cleanup failed:', error);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Leave the history and downloads list for the next browser window to clear when
+ * no window is open to do it (open windows clear them as they close)
+ * @param {string[]} categories - UI categories to clear
+ */
+function clearUiDataOnExit(categories) {
+  if (categories.length > 0 && getBrowserWindows().length === 0) {
+    clearOnExit.setPendingUi(categories);
+  }
+}
+
+/**
+ * Get the open browser windows (not the lock screen)
+ * @returns {Electron.BrowserWindow[]}
+ */
+function getBrowserWindows() {
+  return BrowserWindow.getAllWindows().filter(win => win !== lockWindow && !win.isDestroyed());
+}
+
+// Settings for the homepage settings panel
+ipcMain.on('clear-on-exit-get', (event) => {
+  event.sender.send('clear-on-exit-state', clearOnExit.getState());
+});
+
+ipcMain.on('clear-on-exit-set', (event, { category, enabled } = {}) => {
+  if (!clearOnExit.setCategory(category, enabled)) return;
+  event.sender.send('clear-on-exit-state', clearOnExit.getState());
+});
+
+// UI data the last quit couldn't clear (sync: the browser UI reads it before loading history)
+ipcMain.on('clear-on-exit-pending', (event) => {
+  event.returnValue = clearOnExit.takePendingUi();
+});
+
+// A browser window is closing (sync): the UI data it must clear if the browser is quitting,
+// or this is the last window and the browser quits with it. All windows share the UI's
+// localStorage, so clearing from the last one is enough
+ipcMain.on('clear-on-exit-window-closing', (event) => {
+  const lastWindow = getBrowserWindows().length <= 1 && process.platform !== 'darwin';
+  event.returnValue = appQuitting || lastWindow
+    ? clearOnExit.getCategories().filter(category => UI_CATEGORIES.includes(category))
+    : [];
+});
+
+// ========================================
+// SESSION RESTORE
+// ========================================
+
+/**
+ * Open the browser windows after unlocking: the previous session's windows after a
+ * clean quit, or one window offering to restore them after a crash
+ */
+function restoreSession() {
+  const windows = sessionRestore.getPreviousWindows();
+
+  if (clearOnExit.getCategories().includes('sessionTabs')) {
+    // The session wasn't cleared at exit (the browser crashed)
+    sessionRestore.clear();
+    createWindow();
+    return;
+  }
+
+  if (windows.length === 0) {
+    createWindow();
+    return;
+  }
+
+  if (sessionRestore.wasUncleanExit()) {
+    const win = createWindow();
+    const tabCount = windows.reduce((count, state) => count + state.tabs.length, 0);
+    win.webContents.once('did-finish-load', () => {
+      win.webContents.send('session-restore-offer', { windows: windows.length, tabs: tabCount });
+    });
+    return;
+  }
+
+  windows.forEach(sessionWindow => createWindow({ sessionWindow }));
+  sessionRestore.finishRestore();
+  console.log(`[SessionRestore] Restored ${windows.length} window(s)`);
+}
+
+// Tabs a new browser window opens with (sync: asked before its first tab is created)
+ipcMain.on('session-get-window', (event) => {
+  const sessionWindow = restoringWindows.get(event.sender.id) || null;
+  restoringWindows.delete(event.sender.id);
+  event.returnValue = sessionWindow;
+});
+
+// Latest tabs of a browser window
+ipcMain.on('session-update', (event, state) => {
+  if (privateBrowsing.isPrivate(event.sender)) return;
+
+  const win = BrowserWindow.fromWebContents(event.sender);
+  if (!win || win.isDestroyed()) return;
+  sessionRestore.updateWindow(event.sender.id, {
+    ...state,
+    bounds: win.getNormalBounds(),
+    maximized: win.isMaximized()
+  });
+});
+
+// "Restore pages?" answered after a crash: the asking window takes the first
+// saved window's tabs, the others open in new windows
+ipcMain.on('session-restore-accept', (event) => {
+  const [first, ...others] = sessionRestore.getPreviousWindows();
+  if (!first) return;
+
+  event.sender.send('session-restore-window', first);
+  others.forEach(sessionWindow => createWindow({ sessionWindow }));
+  sessionRestore.finishRestore();
+});
+
+ipcMain.on('session-restore-dismiss', () => {
+  sessionRestore.finishRestore();
+});
+
+/**
+ * Change the recently closed entries and show the new list in every browser window
+ * @param {Function} change - Updates `recentlyClosed`
+ */
+function updateRecentlyClosed(change) {
+  change();
+  sendToAllWindows('recently-closed', recentlyClosed.getItems());
+}
+
+ipcMain.on('recently-closed-get', (event) => {
+  event.sender.send('recently-closed', recentlyClosed.getItems());
+});
+
+// A tab closed in a browser window (private windows keep theirs)
+ipcMain.on('recently-closed-add-tab', (event, state) => {
+  if (privateBrowsing.isPrivate(event.sender)) return;
+  updateRecentlyClosed(() => recentlyClosed.addTab(state));
+});
+
+// Reopen an entry (null: the most recently closed) - tabs in the asking window,
+// windows as a new window
+ipcMain.on('recently-closed-restore', (event, id = null) => {
+  const entry = recentlyClosed.take(id);
+  if (!entry) return;
+
+  if (entry.type === 'tab') {
+    event.sender.send('recently-closed-open-tab', entry.tab);
+  } else {
+    createWindow({ sessionWindow: entry.window });
+  }
+  sendToAllWindows('recently-closed', recentlyClosed.getItems());
+});
+
+// ========================================
+// TAB DRAG AND DROP
+// ========================================
+
+// Tab being dragged out of its window: { contentsId, tabId, state, forms, isPrivate }.
+// A webview's page can't be handed to another window (guests stay with the window
+// that created them), so a moved tab is reopened from its saved state where it's
+// dropped: current page, back/forward history (loaded when visited), scroll, zoom,
+// container and edited form fields. Anything else live in the page is reloaded
+let draggedTab = null;
+
+// Most form fields a moved tab carries, and the longest value kept
+const MAX_DRAGGED_FORM_FIELDS = 200;
+const MAX_DRAGGED_FORM_VALUE_LENGTH = 10000;
+
+/**
+ * Keep the valid form fields sent by a dragged tab
+ * @param {Array} forms - [{ index, name, value }] (value is a string, or a boolean for checkboxes)
+ * @returns {Array}
+ */
+function sanitizeDraggedForms(forms) {
+  if (!Array.isArray(forms)) return [];
+  return forms
+    .filter(field => field && Number.isInteger(field.index) && field.index >= 0
+      && typeof field.name === 'string' && field.name.length <= MAX_DRAGGED_FORM_VALUE_LENGTH
+      && (typeof field.value === 'boolean' || typeof field.value === 'string'))
+    .slice(0, MAX_DRAGGED_FORM_FIELDS)
+    .map(({ index, name, value }) => ({
+      index,
+      name,
+      value: typeof value === 'string' ? value.slice(0, MAX_DRAGGED_FORM_VALUE_LENGTH) : value
+    }));
+}
+
+ipcMain.on('tab-drag-start', (event, { tabId, state }) => {
+  const tab = sanitizeTab(state);
+  draggedTab = tab ? {
+    contentsId: event.sender.id,
+    tabId,
+    state: tab,
+    forms: [],
+    isPrivate: privateBrowsing.isPrivate(event.sender)
+  } : null;
+});
+
+// The dragged page's edited form fields (read from the page after the drag started)
+ipcMain.on('tab-drag-forms', (event, { tabId, forms }) => {
+  if (draggedTab?.contentsId !== event.sender.id || draggedTab.tabId !== tabId) return;
+  draggedTab.forms = sanitizeDraggedForms(forms);
+});
+
+// Drag cancelled, or the tab dropped back on its own tab strip
+ipcMain.on('tab-drag-end', (event, tabId) => {
+  if (draggedTab?.contentsId === event.sender.id && draggedTab.tabId === tabId) draggedTab = null;
+});
+
+// Dropped on the tab strip of another window: the tab moves there
+ipcMain.on('tab-drag-drop', (event, { index }) => {
+  const tab = draggedTab;
+  draggedTab = null;
+  if (!tab || tab.contentsId === event.sender.id) return;
+  // Private tabs only move between private windows
+  if (tab.isPrivate !== privateBrowsing.isPrivate(event.sender)) return;
+
+  const source = webContents.fromId(tab.contentsId);
+  if (!source || source.isDestroyed()) return;
+
+  event.sender.send('tab-move-in', { state: { ...tab.state, forms: tab.forms }, index });
+  source.send('tab-move-out', tab.tabId);
+});
+
+// Dropped outside every tab strip: the tab moves to a new window where it was dropped
+ipcMain.on('tab-tear-off', (event, { tabId, x, y }) => {
+  const tab = draggedTab;
+  if (!tab || tab.contentsId !== event.sender.id || tab.tabId !== tabId) return;
+  draggedTab = null;
+  const source = BrowserWindow.fromWebContents(event.sender);
+  if (!source || source.isDestroyed()) return;
+
+  const { width, height } = source.getNormalBounds();
+  const sessionWindow = sanitizeWindow({ tabs: [tab.state], bounds: { x, y, width, height } });
+  sessionWindow.tabs[0].forms = tab.forms;
+  createWindow({ isPrivate: tab.isPrivate, sessionWindow });
+  event.sender.send('tab-move-out', tabId);
+});
+
+// ========================================
+// MEMORY SAVER
+// ========================================
+
+/**
+ * Send every browser window the memory use of its tabs, and whether the system is
+ * low on memory (windows then discard a background tab)
+ */
+function sendTabMemory() {
+  const windows = getBrowserWindows();
+  if (windows.length === 0) return;
+
+  // Tabs of the same site can share a process: each of them shows the process's memory
+  const processMemory = new Map(app.getAppMetrics()
+    .map(metric => [metric.pid, metric.memory.workingSetSize * 1024]));
+  const lowOnMemory = isLowOnMemory(process.getSystemMemoryInfo());
+  const tabContents = webContents.getAllWebContents()
+    .filter(contents => !contents.isDestroyed() && contents.getType() === 'webview');
+
+  windows.forEach(win => {
+    const usage = {};
+    tabContents
+      .filter(contents => contents.hostWebContents?.id === win.webContents.id)
+      .forEach(contents => {
+        const memory = processMemory.get(contents.getOSProcessId());
+        if (memory) usage[contents.id] = memory;
+      });
+    win.webContents.send('tab-memory', { usage, lowOnMemory });
+  });
+}
+
+ipcMain.on('memory-saver-get', (event) => {
+  event.sender.send('memory-saver', memorySaver.getState());
+});
+
+ipcMain.on('memory-saver-set', (_event, { enabled, discardAfter } = {}) => {
+  if (typeof enabled === 'boolean') memorySaver.setEnabled(enabled);
+  if (discardAfter !== undefined) memorySaver.setDiscardAfter(Number(discardAfter));
+  sendToAllWindows('memory-saver', memorySaver.getState());
+});
+
+// Never discard a site's tabs ({ never: false } allows it again)
+ipcMain.on('memory-saver-set-site', (_event, { hostname, never } = {}) => {
+  if (!memorySaver.setNeverDiscard(hostname, Boolean(never))) return;
+  sendToAllWindows('memory-saver', memorySaver.getState());
+});
+
+// Filter list subscriptions (Shields > Filter lists)
+ipcMain.on('filter-lists-get', () => {
+  sendFilterLists();
+});
+
+ipcMain.on('filter-lists-set-enabled', (_event, { id, enabled }) => {
+  filterListManager?.setEnabled(id, enabled);
+  sendFilterLists();
+});
+
+ipcMain.on('filter-lists-import-file', async () => {
+  if (!filterListManager || !mainWindow) return;
+
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import filter list',
+    properties: ['openFile'],
+    filters: [
+      { name: 'Filter lists', extensions: ['txt'] },
+      { name: 'All files', extensions: ['*'] }
+    ]
+  });
+  if (result.canceled || result.filePaths.length === 0) return;
+
+  runFilterListTask(() => filterListManager.importFile(result.filePaths[0]));
+});
+
+ipcMain.on('filter-lists-import-url', (_event, url) => {
+  runFilterListTask(() => filterListManager.importUrl(url));
+});
+
+ipcMain.on('filter-lists-update', (_event, id) => {
+  runFilterListTask(() => filterListManager.update(id));
+});
+
+ipcMain.on('filter-lists-remove', (_event, id) => {
+  filterListManager?.remove(id);
+  sendFilterLists();
+});
+
+/**
+ * Run an import/update and report the outcome to the Shields panel
+ * @param {Function} task - Returns the list metadata (or a promise of it)
+ */
+async function runFilterListTask(task) {
+  if (!filterListManager) return;
+
+  try {
+    const list = await task();
+    mainWindow?.webContents.send('filter-lists-updated', { title: list.title, ruleCount: list.ruleCount });
+  } catch (err) {
+    console.warn('[FilterLists] Import failed:', err.message);
+    mainWindow?.webContents.send('filter-lists-error', { message: err.message });
+  }
+  sendFilterLists();
+}
+
+function sendFilterLists() {
+  mainWindow?.webContents.send('filter-lists', {
+    lists: filterListManager ? filterListManager.getLists() : []
+  });
+}
+
+// IPC Handler for clearing all site data (cookies, sessions, storage)
+ipcMain.on('clear-site-data', async () => {
+  // The default session, every container and the open private windows
+  const sessions = getSiteDataKeys().map(getSiteDataSession);
+  const privateSession = privateBrowsing.getOpenSession();
+  if (privateSession) sessions.push(privateSession);
+
+  try {
+    for (const ses of sessions) {
+      // Clear all storage data
+      await ses.clearStorageData({
+        storages: [
+          'cookies',
+          'localstorage',
+          'sessionstorage',
+          'indexdb',
+          'websql',
+          'serviceworkers',
+          'cachestorage'
+        ]
+      });
+
+      // Clear cache
+      await ses.clearCache();
+
+      // Clear auth cache
+      await ses.clearAuthCache();
+    }
+
+    getSiteDataKeys().forEach(key => siteOrigins.clear(key));
+    console.log(`[YarvixBrowser] All site data cleared in ${sessions.length} sessions`);
+    mainWindow?.webContents.send('site-data-cleared', { success: true });
+  } catch (error) {
+    console.error('[YarvixBrowser] Error clearing site data:', error);
+    mainWindow?.webContents.send('site-data-cleared', { success: false, error: error.message });
+  }
+});
+
+// ========================================
+// CREDENTIAL MANAGER IPC HANDLERS
+// ========================================
+
+// Get form detection script for injection
+ipcMain.on('credential-get-script', () => {
+  mainWindow?.webContents.send('credential-script', {
+    script: FORM_DETECTION_SCRIPT
+  });
+});
+
+// Check if credentials exist for URL
+ipcMain.on('credential-check', (event, { url, username, password }) => {
+  // Private windows never offer to save passwords
+  if (!credentialManager || privateBrowsing.isPrivate(event.sender)) return;
+
+  const shouldPrompt = credentialManager.shouldPromptSave(url);
+  const existingCheck = credentialManager.checkExistingCredential(url, username, password);
+
+  mainWindow?.webContents.send('credential-check-result', {
+    url,
+    username,
+    shouldPrompt,
+    ...existingCheck
+  });
+});
+
+// Save credential
+ipcMain.on('credential-save', (event, { url, username, password }) => {
+  if (!credentialManager || privateBrowsing.isPrivate(event.sender)) return;
 
   const success = credentialManager.saveCredential(url, username, password);
   mainWindow?.webContents.send('credential-saved', {
@@ -0,0 +1,131 @@
+/**
+ * YarvixBrowser Memory Saver
+ * Discards background tabs so they stop using memory.
+ *
+ * - Browser windows discard the tabs left in the background longer than the
+ *   chosen time, and while the system is low on memory, their least recently
+ *   used background tab at every memory check
+ * - A discarded tab keeps its title, favicon and URL, and reloads its current
+ *   page when it's selected (its other back/forward pages load when visited)
+ * - Sites set to "never discard" (a site covers its subdomains) stay loaded, and
+ *   so do tabs playing sound, tabs with a focused or edited form field, a live
+ *   camera, microphone or call stream, or a page asking before it's left
+ */
+
+const { SettingsStore } = require('./settingsStore');
+const { getBaseDomain } = require('./filterParser');
+
+// Background minutes before a tab is discarded, offered in the settings
+const DISCARD_AFTER_OPTIONS = [5, 15, 30, 60, 120, 240];
+const DEFAULT_DISCARD_AFTER = 30;
+
+// Free share of the system memory under which memory is considered low
+const LOW_MEMORY_RATIO = 0.1;
+
+/**
+ * Check whether the system is low on memory
+ * @param {Object} memoryInfo - process.getSystemMemoryInfo() (KB)
+ * @returns {boolean}
+ */
+function isLowOnMemory(memoryInfo) {
+  if (!memoryInfo || !(memoryInfo.total > 0)) return false;
+  // `free` leaves out memory the system can reclaim on Linux
+  const available = Number.isFinite(memoryInfo.available) ? memoryInfo.available : memoryInfo.free;
+  return available / memoryInfo.total < LOW_MEMORY_RATIO;
+}
+
+/**
+ * MemorySaver class - the discarding settings and the sites never discarded
+ */
+class MemorySaver {
+  /**
+   * @param {string} settingsFile - JSON file for the settings (kept in memory only when omitted)
+   */
+  constructor(settingsFile = null) {
+    this.enabled = true;
+    this.discardAfter = DEFAULT_DISCARD_AFTER;
+    // Sites whose tabs are never discarded
+    this.neverDiscard = new Set();
+
+    this.store = settingsFile ? new SettingsStore(settingsFile, {
+      name: 'MemorySaver',
+      version: 1,
+      defaults: { enabled: true, discardAfter: DEFAULT_DISCARD_AFTER, neverDiscard: [] }
+    }) : null;
+
+    this.load();
+  }
+
+  load() {
+    if (!this.store) return;
+
+    const settings = this.store.load();
+    this.enabled = settings.enabled !== false;
+    this.discardAfter = DISCARD_AFTER_OPTIONS.includes(settings.discardAfter) ? settings.discardAfter : DEFAULT_DISCARD_AFTER;
+    this.neverDiscard = new Set((Array.isArray(settings.neverDiscard) ? settings.neverDiscard : [])
+      .filter(site => typeof site === 'string' && site));
+  }
+
+  save() {
+    this.store?.save({
+      enabled: this.enabled,
+      discardAfter: this.discardAfter,
+      neverDiscard: Array.from(this.neverDiscard)
+    });
+  }
+
+  /**
+   * Turn discarding on or off
+   * @param {boolean} enabled - Discard background tabs
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    this.save();
+  }
+
+  /**
+   * Set how long a tab stays loaded in the background
+   * @param {number} minutes - One of DISCARD_AFTER_OPTIONS
+   * @returns {boolean} - False if the value isn't offered
+   */
+  setDiscardAfter(minutes) {
+    if (!DISCARD_AFTER_OPTIONS.includes(minutes)) return false;
+    this.discardAfter = minutes;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Never discard a site's tabs, or allow it again
+   * @param {string} hostname - Site or any hostname of it
+   * @param {boolean} never - Keep its tabs loaded
+   * @returns {boolean} - False if the hostname is invalid
+   */
+  setNeverDiscard(hostname, never) {
+    const site = getBaseDomain(hostname);
+    if (!site) return false;
+
+    if (never) {
+      this.neverDiscard.add(site);
+    } else {
+      this.neverDiscard.delete(site);
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Settings for the browser UI
+   * @returns {{enabled: boolean, discardAfter: number, options: number[], neverDiscard: string[]}}
+   */
+  getState() {
+    return {
+      enabled: this.enabled,
+      discardAfter: this.discardAfter,
+      options: DISCARD_AFTER_OPTIONS,
+      neverDiscard: Array.from(this.neverDiscard).sort()
+    };
+  }
+}
+
+module.exports = { MemorySaver, DISCARD_AFTER_OPTIONS, isLowOnMemory };
@@ -0,0 +1,300 @@
+/**
+ * YarvixBrowser Site Permissions
+ * Decides what websites may use: camera, microphone, location, notifications,
+ * reading the clipboard, and the less common powerful features (MIDI devices,
+ * screen sharing, other apps, ...).
+ *
+ * - Every permission type has a global default: ask, allow or block
+ * - Sites (keyed by origin, e.g. `https://meet.example.com`) can override the
+ *   default; "ask" decisions made in the prompt are saved as a site override
+ *   when the user chooses to remember them
+ * - Requests that need a prompt are kept here until the browser UI answers,
+ *   or the tab navigates away or closes (they are then denied)
+ * - The harmless permissions in ALWAYS_ALLOWED_PERMISSIONS are granted without
+ *   asking; unknown ones are denied (the browser UI itself gets every permission)
+ */
+
+const { SettingsStore } = require('./settingsStore');
+
+// Permission types managed by the browser, in display order
+const PERMISSION_TYPES = [
+  'camera', 'microphone', 'geolocation', 'notifications', 'clipboard',
+  'midi', 'screen', 'speakers', 'windowManagement', 'idleDetection', 'storageAccess', 'externalApps'
+];
+
+// Values of a default or a site setting
+const PERMISSION_VALUES = ['ask', 'allow', 'block'];
+
+// Electron permissions sites get without being asked: they expose nothing and the
+// user can always leave them (Esc ends fullscreen, pointer and keyboard lock).
+// mediaKeySystem is protected media playback (DRM), which video sites need
+const ALWAYS_ALLOWED_PERMISSIONS = [
+  'fullscreen', 'clipboard-sanitized-write', 'pointerLock', 'keyboardLock', 'mediaKeySystem'
+];
+
+/**
+ * Map an Electron permission to the browser's permission types
+ * @param {string} permission - Electron permission name (`media`, `geolocation`, ...)
+ * @param {Object} details - Request details (`mediaTypes`) or check details (`mediaType`)
+ * @returns {string[]|null} - Permission types, or null if the permission isn't managed
+ */
+function getPermissionTypes(permission, details = {}) {
+  switch (permission) {
+    case 'media': {
+      const mediaTypes = details.mediaTypes || (details.mediaType ? [details.mediaType] : []);
+      const types = [];
+      if (mediaTypes.includes('video')) types.push('camera');
+      if (mediaTypes.includes('audio')) types.push('microphone');
+      // Unknown media type (e.g. a device list check): both must be allowed
+      return types.length > 0 ? types : ['camera', 'microphone'];
+    }
+    case 'geolocation':
+      return ['geolocation'];
+    case 'notifications':
+      return ['notifications'];
+    case 'clipboard-read':
+      return ['clipboard'];
+    case 'midi':
+    case 'midiSysex':
+      return ['midi'];
+    case 'display-capture':
+      return ['screen'];
+    case 'speaker-selection':
+      return ['speakers'];
+    case 'window-management':
+      return ['windowManagement'];
+    case 'idle-detection':
+      return ['idleDetection'];
+    case 'storage-access':
+    case 'top-level-storage-access':
+      return ['storageAccess'];
+    case 'openExternal':
+      return ['externalApps'];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether sites get an Electron permission the browser doesn't manage
+ * @param {string} permission - Electron permission name
+ * @returns {boolean}
+ */
+function isAlwaysAllowed(permission) {
+  return ALWAYS_ALLOWED_PERMISSIONS.includes(permission);
+}
+
+/**
+ * Get the origin of a URL
+ * @param {string} url - Page or frame URL
+ * @returns {string} - e.g. `https://example.com` ('' for URLs without an origin)
+ */
+function getOrigin(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? '' : origin;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * PermissionManager class - defaults, per-site decisions and pending prompts
+ */
+class PermissionManager {
+  /**
+   * @param {string} settingsFile - JSON file for the defaults and site decisions
+   *   (kept in memory only when omitted)
+   */
+  constructor(settingsFile = null) {
+    this.defaults = Object.fromEntries(PERMISSION_TYPES.map(type => [type, 'ask']));
+    // Origin -> { type: 'allow' | 'block' }
+    this.sites = new Map();
+    // Prompt ID -> { id, webContentsId, origin, types, callback, temporary }
+    this.pending = new Map();
+    this.nextRequestId = 1;
+
+    this.store = settingsFile ? new SettingsStore(settingsFile, {
+      name: 'Permissions',
+      version: 1,
+      defaults: { defaults: { ...this.defaults }, sites: {} }
+    }) : null;
+
+    this.load();
+  }
+
+  load() {
+    if (!this.store) return;
+
+    const settings = this.store.load();
+    for (const type of PERMISSION_TYPES) {
+      if (PERMISSION_VALUES.includes(settings.defaults?.[type])) {
+        this.defaults[type] = settings.defaults[type];
+      }
+    }
+    this.sites = new Map(Object.entries(settings.sites || {}));
+  }
+
+  save() {
+    this.store?.save({
+      defaults: { ...this.defaults },
+      sites: Object.fromEntries(this.sites)
+    });
+  }
+
+  /**
+   * Get the setting that applies to one permission on a site
+   * @param {string} origin - Site origin
+   * @param {string} type - Permission type
+   * @returns {string} - 'ask', 'allow' or 'block'
+   */
+  getDecision(origin, type) {
+    return this.sites.get(origin)?.[type] || this.defaults[type] || 'ask';
+  }
+
+  /**
+   * Decide a request for one or more permissions (camera and microphone come together)
+   * @param {string} origin - Site origin
+   * @param {string[]} types - Permission types
+   * @returns {string} - 'block' if any is blocked, 'allow' if all are allowed, otherwise 'ask'
+   */
+  decide(origin, types) {
+    const decisions = types.map(type => this.getDecision(origin, type));
+    if (decisions.includes('block')) return 'block';
+    if (decisions.every(decision => decision === 'allow')) return 'allow';
+    return 'ask';
+  }
+
+  /**
+   * Answer a synchronous permission check (navigator.permissions, device lists)
+   * @param {string} origin - Site origin
+   * @param {string} permission - Electron permission name
+   * @param {Object} details - Check details
+   * @returns {boolean}
+   */
+  check(origin, permission, details = {}) {
+    const types = getPermissionTypes(permission, details);
+    if (!types) return isAlwaysAllowed(permission);
+    return Boolean(origin) && this.decide(origin, types) === 'allow';
+  }
+
+  /**
+   * Change the global default of a permission type
+   * @param {string} type - Permission type
+   * @param {string} value - 'ask', 'allow' or 'block'
+   * @returns {boolean} - False if the type or value is unknown
+   */
+  setDefault(type, value) {
+    if (!PERMISSION_TYPES.includes(type) || !PERMISSION_VALUES.includes(value)) return false;
+
+    this.defaults[type] = value;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Change one permission for a site ('ask' removes the override)
+   * @param {string} origin - Site origin
+   * @param {string} type - Permission type
+   * @param {string} value - 'ask', 'allow' or 'block'
+   * @returns {boolean} - False if the type or value is unknown
+   */
+  setSitePermission(origin, type, value) {
+    if (!origin || !PERMISSION_TYPES.includes(type) || !PERMISSION_VALUES.includes(value)) return false;
+
+    const site = { ...this.sites.get(origin) };
+    if (value === 'ask') {
+      delete site[type];
+    } else {
+      site[type] = value;
+    }
+
+    if (Object.keys(site).length === 0) {
+      this.sites.delete(origin);
+    } else {
+      this.sites.set(origin, site);
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Forget every decision made for a site
+   * @param {string} origin - Site origin
+   */
+  resetSite(origin) {
+    if (this.sites.delete(origin)) this.save();
+  }
+
+  /**
+   * Get the permissions a site has been given or denied
+   * @param {string} origin - Site origin
+   * @returns {Object} - { type: 'allow' | 'block' }
+   */
+  getSitePermissions(origin) {
+    return { ...this.sites.get(origin) };
+  }
+
+  /**
+   * Queue a request that needs the user's answer
+   * @param {Object} request - { webContentsId, origin, types, callback, temporary } where
+   *   `temporary` requests (private windows) are never remembered
+   * @returns {Object} - The request with its prompt `id`
+   */
+  addRequest(request) {
+    const entry = { ...request, id: this.nextRequestId++ };
+    this.pending.set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Answer a prompt
+   * @param {number} id - Prompt ID
+   * @param {boolean} allow - Grant the permissions
+   * @param {boolean} remember - Save the answer for the site
+   * @returns {Object|null} - The answered request, or null if it no longer exists
+   */
+  resolveRequest(id, allow, remember) {
+    const request = this.pending.get(id);
+    if (!request) return null;
+    this.pending.delete(id);
+
+    if (remember && !request.temporary) {
+      request.types.forEach(type => this.setSitePermission(request.origin, type, allow ? 'allow' : 'block'));
+    }
+    request.callback(Boolean(allow));
+    return request;
+  }
+
+  /**
+   * Deny the open prompts of a tab (it navigated away or closed)
+   * @param {number} webContentsId - The tab's webContents ID
+   * @returns {number[]} - IDs of the cancelled prompts
+   */
+  cancelRequests(webContentsId) {
+    const cancelled = [];
+    for (const request of this.pending.values()) {
+      if (request.webContentsId !== webContentsId) continue;
+      this.pending.delete(request.id);
+      request.callback(false);
+      cancelled.push(request.id);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Defaults and site decisions for the site permissions panel
+   * @returns {{types: string[], defaults: Object, sites: Object[]}} - sites as { origin, permissions }
+   */
+  getState() {
+    return {
+      types: PERMISSION_TYPES,
+      defaults: { ...this.defaults },
+      sites: Array.from(this.sites.entries())
+        .map(([origin, permissions]) => ({ origin, permissions: { ...permissions } }))
+        .sort((a, b) => a.origin.localeCompare(b.origin))
+    };
+  }
+}
+
+module.exports = { PermissionManager, PERMISSION_TYPES, getPermissionTypes, isAlwaysAllowed, getOrigin };
@@ -0,0 +1,105 @@
+/**
+ * YarvixBrowser Private Browsing
+ * Private windows load their tabs in an in-memory session partition, so cookies,
+ * storage and cache never reach the disk.
+ *
+ * - All private windows open at the same time share one partition (like other browsers)
+ * - When the last private window closes, the partition is wiped and the next
+ *   private window starts with a new one
+ * - The browser UI of a private window doesn't write history or save passwords
+ */
+
+const { session } = require('electron');
+
+/**
+ * PrivateBrowsing class - private window bookkeeping and the private session
+ */
+class PrivateBrowsing {
+  constructor() {
+    // Incremented every time the last private window closes
+    this.generation = 1;
+    // webContents IDs of the private windows' browser UI
+    this.windows = new Set();
+    // Sessions that have been used by private windows
+    this.sessions = new Set();
+  }
+
+  /**
+   * Get the partition of the current private session
+   * @returns {string} - Partition name (no `persist:` prefix, so it lives in memory)
+   */
+  getPartition() {
+    return `private-${this.generation}`;
+  }
+
+  /**
+   * Get the current private session
+   * @returns {Electron.Session}
+   */
+  getSession() {
+    const ses = session.fromPartition(this.getPartition());
+    this.sessions.add(ses);
+    return ses;
+  }
+
+  /**
+   * Get the private session while private windows are open
+   * @returns {Electron.Session|null}
+   */
+  getOpenSession() {
+    return this.windows.size > 0 ? this.getSession() : null;
+  }
+
+  /**
+   * Check whether a session belongs to private windows
+   * @param {Electron.Session} ses - The session
+   * @returns {boolean}
+   */
+  isPrivateSession(ses) {
+    return this.sessions.has(ses);
+  }
+
+  /**
+   * Check whether a webContents is the UI of a private window or one of its tabs
+   * @param {Electron.WebContents} contents - The webContents
+   * @returns {boolean}
+   */
+  isPrivate(contents) {
+    if (!contents || contents.isDestroyed()) return false;
+    return this.windows.has(contents.id) || this.isPrivateSession(contents.session);
+  }
+
+  /**
+   * Register a new private window
+   * @param {Electron.WebContents} contents - The window's webContents
+   */
+  addWindow(contents) {
+    this.windows.add(contents.id);
+  }
+
+  /**
+   * Unregister a closed private window, wiping the private session if it was the last one
+   * @param {number} webContentsId - The window's webContents ID
+   * @returns {Promise<boolean>} - True if the session was wiped
+   */
+  async removeWindow(webContentsId) {
+    this.windows.delete(webContentsId);
+    if (this.windows.size > 0) return false;
+
+    const ses = session.fromPartition(this.getPartition());
+    this.generation++;
+
+    try {
+      await ses.clearStorageData();
+      await ses.clearCache();
+      await ses.clearAuthCache();
+      await ses.clearHostResolverCache();
+      console.log('[PrivateBrowsing] Last private window closed, private session wiped');
+    } catch (error) {
+      console.error('[PrivateBrowsing] Failed to wipe private session:', error);
+    }
+    return true;
+  }
+}
+
+module.exports = { PrivateBrowsing };
@@ -0,0 +1,141 @@
+/**
+ * YarvixBrowser Recently Closed
+ * Tabs and windows the user closed, newest first, so they can be reopened with
+ * their back/forward history (History panel → Recently closed, Cmd/Ctrl+Shift+T).
+ *
+ * - Kept across restarts, up to MAX_ENTRIES
+ * - A closed window that had a single tab is stored as a closed tab
+ * - Private windows never add to it (they remember their closed tabs in memory)
+ */
+
+const { SettingsStore } = require('./settingsStore');
+const { sanitizeTab, sanitizeWindow } = require('./sessionRestore');
+
+// Closed tabs and windows remembered
+const MAX_ENTRIES = 25;
+
+/**
+ * RecentlyClosed class - closed tabs and windows with their saved state
+ */
+class RecentlyClosed {
+  /**
+   * @param {string} settingsFile - JSON file for the entries (kept in memory only when omitted)
+   */
+  constructor(settingsFile = null) {
+    // { id, type: 'tab' | 'window', closedAt, tab | window }, newest first
+    this.entries = [];
+    this.nextId = 1;
+
+    this.store = settingsFile ? new SettingsStore(settingsFile, {
+      name: 'RecentlyClosed',
+      version: 1,
+      defaults: { entries: [] }
+    }) : null;
+
+    this.load();
+  }
+
+  load() {
+    if (!this.store) return;
+
+    const settings = this.store.load();
+    this.entries = (Array.isArray(settings.entries) ? settings.entries : [])
+      .map(entry => {
+        const closedAt = Number.isFinite(entry?.closedAt) ? entry.closedAt : Date.now();
+        if (entry?.type === 'tab') {
+          const tab = sanitizeTab(entry.tab);
+          return tab ? { type: 'tab', closedAt, tab } : null;
+        }
+        if (entry?.type === 'window') {
+          const windowState = sanitizeWindow(entry.window);
+          return windowState.tabs.length > 0 ? { type: 'window', closedAt, window: windowState } : null;
+        }
+        return null;
+      })
+      .filter(Boolean)
+      .slice(0, MAX_ENTRIES)
+      // IDs only identify entries while the browser runs
+      .map(entry => ({ ...entry, id: this.nextId++ }));
+  }
+
+  save() {
+    this.store?.save({ entries: this.entries.map(({ id, ...entry }) => entry) });
+  }
+
+  /**
+   * Remember a closed entry
+   * @param {Object} entry - { type, tab | window }
+   * @returns {Object} - The entry with its `id`
+   */
+  add(entry) {
+    const added = { ...entry, id: this.nextId++, closedAt: Date.now() };
+    this.entries.unshift(added);
+    this.entries = this.entries.slice(0, MAX_ENTRIES);
+    this.save();
+    return added;
+  }
+
+  /**
+   * Remember a closed tab
+   * @param {Object} state - Tab snapshot ({ url, title, containerId, history, scroll, zoom })
+   * @returns {Object|null} - The entry, or null if the tab had no URL
+   */
+  addTab(state) {
+    const tab = sanitizeTab(state);
+    return tab ? this.add({ type: 'tab', tab }) : null;
+  }
+
+  /**
+   * Remember a closed window
+   * @param {Object} state - Window snapshot ({ tabs, activeTab, groups, bounds, maximized })
+   * @returns {Object|null} - The entry, or null if the window had no tabs
+   */
+  addWindow(state) {
+    const windowState = sanitizeWindow(state);
+    if (windowState.tabs.length === 0) return null;
+    if (windowState.tabs.length === 1) return this.addTab(windowState.tabs[0]);
+    return this.add({ type: 'window', window: windowState });
+  }
+
+  /**
+   * Take an entry out to reopen it
+   * @param {number|null} id - Entry ID, or null for the most recently closed
+   * @returns {Object|null} - The entry, or null if it doesn't exist
+   */
+  take(id = null) {
+    const index = id === null ? 0 : this.entries.findIndex(entry => entry.id === id);
+    if (index === -1 || index >= this.entries.length) return null;
+
+    const [entry] = this.entries.splice(index, 1);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Forget every entry (clear on exit, data wipe)
+   */
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+
+  /**
+   * Entries for the Recently closed menu
+   * @returns {Object[]} - { id, type, closedAt, title, url, tabCount }
+   */
+  getItems() {
+    return this.entries.map(entry => {
+      const tab = entry.type === 'tab' ? entry.tab : entry.window.tabs[entry.window.activeTab];
+      return {
+        id: entry.id,
+        type: entry.type,
+        closedAt: entry.closedAt,
+        title: tab.title || tab.url,
+        url: tab.url,
+        tabCount: entry.type === 'tab' ? 1 : entry.window.tabs.length
+      };
+    });
+  }
+}
+
+module.exports = { RecentlyClosed, MAX_ENTRIES };
@@ -7,9 +7,49 @@ let tabs = [];
 let activeTabId = null;
 let tabCounter = 0;
 let tabManager = null;
+// Tab groups of this window: group ID -> { id, name, color, collapsed }
+let tabGroups = new Map();
+// localStorage keys of the browser UI data cleared on exit, by category
+const CLEAR_ON_EXIT_KEYS = {
+    history: ['browserHistory'],
+    downloads: ['downloadHistory']
+};
+
+// Data the last quit couldn't clear because no browser window was open
+clearBrowsingDataOnExit(ipcRenderer.sendSync('clear-on-exit-pending'));
+
 let history = JSON.parse(localStorage.getItem('browserHistory') || '[]');
 let bookmarks = JSON.parse(localStorage.getItem('bookmarks') || '[]');
-let recentlyClosedTabs = []; // Track recently closed tabs for Cmd/Ctrl+Shift+T
+let downloadHistory = JSON.parse(localStorage.getItem('downloadHistory') || '[]'); // Finished downloads, newest first
+// Recently closed tabs and windows ({ id, type, closedAt, title, url, tabCount }, newest first):
+// mirrors the main process, except in private windows, which keep their closed tabs
+// here (with the tab's state in `tab`) and never save them
+let recentlyClosed = [];
+let nextPrivateClosedId = 1;
+// Closed tabs a private window remembers
+const MAX_PRIVATE_CLOSED_TABS = 25;
+let httpsOnlyState = { enabled: true, exceptions: [] }; // Mirrors the main process
+
+// In-memory session partition of a private window (null in normal windows)
+const privatePartition = new URLSearchParams(window.location.search).get('private');
+
+// User agent of the tabs, from the main process
+const userAgent = ipcRenderer.sendSync('get-user-agent');
+
+// Saved tabs this window opens with ({ tabs, activeTab, groups }: previous session,
+// Recently closed or a torn-off tab), from the main process
+const restoredWindow = ipcRenderer.sendSync('session-get-window');
+// Delay before tab changes are sent to the main process (batches bursts like restoring)
+const SESSION_SNAPSHOT_DELAY = 1000;
+// How often scroll positions are read (pages don't report scrolling)
+const SESSION_SCROLL_INTERVAL = 15000;
+// Back/forward entries tracked per tab (the saved session keeps the ones around the current entry)
+const MAX_TAB_HISTORY = 50;
+let sessionSnapshotTimer = null;
+let lastSessionSnapshot = '';
+
+// Container tabs: { containers: [{ id, name, color, partition }], siteRules, colors } from the main process
+let containersState = { containers: [], siteRules: [], colors: {} };
 
 // Settings
 const settings = {
@@ -24,25 +64,137 @@ const settings = {
  * Tab Manager Class
  */
 class TabManager {
-    createTab(url = settings.homePage) {
+    /**
+     * Open a tab
+     * @param {string} url - Page to load
+     * @param {Object} options - { containerId } to open it in a container; the site's
+     *   "always open in" rule wins unless `useRules` is false
+     * @returns {number} - The tab ID
+     */
+    createTab(url = settings.homePage, { containerId = null, useRules = true } = {}) {
         tabCounter++;
         const tabId = tabCounter;
 
+        // Containers don't exist in private windows
+        if (privatePartition) {
+            containerId = null;
+        } else if (useRules) {
+            containerId = getRuleContainerId(url) || containerId;
+        }
+        const container = getContainer(containerId);
+
         // First, deactivate ALL existing webviews and tabs
         tabs.forEach(t => {
             t.webview.classList.remove('active');
             t.tabElement.classList.remove('active');
         });
 
+        const webview = this.createWebview(tabId, url, privatePartition || container?.partition || null);
+        webview.classList.add('active');
+
+        // Create Tab UI
+        const tabElement = document.createElement('div');
+        tabElement.className = 'tab active';
+        tabElement.id = `tab-${tabId}`;
+        tabElement.dataset.tabId = tabId;
+        // Focusable for keyboard use of the tab strip (context menu, arrow keys)
+        tabElement.tabIndex = 0;
+        tabElement.draggable = true;
+        tabElement.innerHTML = `
+            <span class="tab-favicon"><img
+        src="icon.svg"
+        alt="Capture alert"
+      /></span>
+            <span class="tab-title">Yarvix Browser</span>
+            <span class="tab-close" title="Close Tab"><i class="fas fa-xmark"></i></span>
+        `;
+
+        tabElement.addEventListener('click', (e) => {
+            if (!e.target.closest('.tab-close')) {
+                this.switchTab(tabId);
+            }
+        });
+
+        const closeBtn = tabElement.querySelector('.tab-close');
+        closeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closeTab(tabId);
+        });
+
+        document.getElementById('tabs-container').appendChild(tabElement);
+
+        // Store tab data
+        const tabData = {
+            id: tabId,
+            webview,
+            tabElement,
+            containerId: container ? container.id : null,
+            // Back/forward list as { entries: [{ url, title }], index } (webviews don't expose theirs)
+            navHistory: { entries: [], index: -1 },
+            // Entries the webview has in its own list; the others (saved by session restore
+            // or before discarding) are loaded when the user goes back or forward to them
+            webviewHistory: { start: 0, end: -1 },
+            // Entry being loaded from the saved ones
+            pendingHistoryIndex: null,
+            scroll: { x: 0, y: 0 },
+            pinned: false,
+            groupId: null,
+            // Memory saver: when the tab was last shown, its webview's memory use in bytes
+            lastActive: Date.now(),
+            memory: null,
+            discarded: false,
+            // Favicon URL of the page, kept while the tab is discarded
+            favicon: null
+        };
+        tabs.push(tabData);
+        updateTabContainer(tabData);
+
+        // Set as active
+        const previous = tabs.find(t => t.id === activeTabId);
+        if (previous) previous.lastActive = Date.now();
+        activeTabId = tabId;
+
+        // Update URL bar and focus it for new tabs
+        const urlInput = document.getElementById('url-input');
+
+        // Check if loading homepage - show empty URL bar for homepage
+        const isHomepage = url.includes('homepage.html') || url === settings.homePage;
+        try {
+            urlInput.value = isHomepage ? '' : (webview.getURL() || url);
+        } catch (e) {
+            urlInput.value = isHomepage ? '' : url;
+        }
+
+        // Focus the URL input and select all text for immediate typing
+        // Use setTimeout to ensure the DOM is ready and webview doesn't steal focus
+        setTimeout(() => {
+            urlInput.focus();
+            urlInput.select();
+        }, 100);
+
+        scheduleSessionSnapshot();
+        return tabId;
+    }
+
+    /**
+     * Create a tab's webview with its event listeners
+     * @param {number} tabId - The tab ID
+     * @param {string} url - Page to load
+     * @param {string|null} partition - Session partition (private window or container)
+     * @returns {HTMLElement} - The webview, added to the page
+     */
+    createWebview(tabId, url, partition) {
         // Create Webview with proper browser-like configuration
         const webview = document.createElement('webview');
+        if (partition) webview.setAttribute('partition', partition);
         webview.src = url;
         webview.setAttribute('allowpopups', '');
         webview.setAttribute('plugins', '');
         webview.setAttribute('webpreferences', 'contextIsolation=no, nodeIntegration=no, javascript=yes, webSecurity=yes, allowRunningInsecureContent=no');
-        // Use Chrome User-Agent for website compatibility
-        webview.setAttribute('useragent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        webview.classList.add('active');
+        // Runs ad blocking scriptlets before the page's own scripts
+        webview.setAttribute('preload', `file://${__dirname}/webviewPreload.js`);
+        // Use Chrome User-Agent for website compatibility (same as the sessions')
+        webview.setAttribute('useragent', userAgent);
 
         // Webview Event Listeners
         webview.addEventListener('did-start-loading', () => {
@@ -77,7 +229,7 @@ class TabManager {
                 const normalizeUrl = (url) => url.replace(/^https?:\/\//, '').replace(/^file:\/\//, '').replace(/^www\./, '').replace(/\/$/, '').toLowerCase();
                 const isHomepage = isCustomHomepage || normalizeUrl(currentUrl) === normalizeUrl(settings.homePage);
 
-                urlInput.value = isHomepage ? '' : currentUrl;
+                urlInput.value = isHomepage ? '' : getDisplayUrl(currentUrl);
 
                 // Fast loading bar completion
                 const loadingBar = document.getElementById('loading-bar');
@@ -91,24 +243,46 @@ class TabManager {
                 this.updateSecurityIcon(currentUrl);
                 this.updateBookmarkButton(currentUrl);
                 this.updateNavigationButtons(webview);
+                requestShieldsStats();
+                refreshSecurityPanels();
             }
 
             // Update favicon
-            const favicon = document.querySelector(`#tab-${tabId} .tab-favicon`);
-            if (favicon) {
-                favicon.innerHTML = '<span class="tab-favicon"><img src="icon.svg" alt="Capture alert"/></span>';
+            const loadedTab = tabs.find(t => t.id === tabId);
+            if (loadedTab) renderTabFavicon(loadedTab);
+
+            // Add to history (not the page a restored tab comes back on)
+            if (!tabs.find(t => t.id === tabId)?.restoring) {
+                this.addToHistory(webview.getURL(), title);
             }
+        });
+
+        // Follow the back/forward list for session restore
+        webview.addEventListener('did-navigate', (e) => {
+            const tab = tabs.find(t => t.id === tabId);
+            if (!tab) return;
+            this.recordNavigation(tab, e.url);
+            // The new page announces its own favicon, if it has one
+            tab.favicon = null;
+        });
 
-            // Add to history
-            this.addToHistory(webview.getURL(), title);
+        webview.addEventListener('page-favicon-updated', (e) => {
+            const tab = tabs.find(t => t.id === tabId);
+            const favicon = e.favicons.find(url => /^(https?|data):/i.test(url));
+            if (!tab || !favicon) return;
+            tab.favicon = favicon;
+            renderTabFavicon(tab);
+        });
 
-            // Inject ad blocker content script
-            this.injectAdBlocker(webview, tabId);
+        webview.addEventListener('did-navigate-in-page', (e) => {
+            const tab = tabs.find(t => t.id === tabId);
+            if (tab && e.isMainFrame) this.recordNavigation(tab, e.url, true);
         });
 
-        // Also inject on dom-ready for faster blocking
+        // Ad blocking scriptlets come from the preload and cosmetic filters from the
+        // main process; only the credential script is injected from here
         webview.addEventListener('dom-ready', () => {
-            this.injectAdBlocker(webview, tabId);
+            injectCredentialScript(webview, tabId);
         });
 
         webview.addEventListener('did-fail-load', (e) => {
@@ -123,6 +297,10 @@ class TabManager {
 
             // Only show error for main frame failures, not subframes
             if (e.isMainFrame && e.errorCode !== -3) { // -3 is aborted, ignore it
+                // A saved entry that failed to load still becomes the current one
+                const tab = tabs.find(t => t.id === tabId);
+                if (tab && tab.pendingHistoryIndex !== null) this.recordNavigation(tab, e.validatedURL);
+
                 console.log(`Page failed to load: ${e.errorDescription} (${e.errorCode})`);
                 const tabTitleEl = document.querySelector(`#tab-${tabId} .tab-title`);
                 if (tabTitleEl) {
@@ -134,6 +312,11 @@ class TabManager {
         webview.addEventListener('page-title-updated', (e) => {
             const tabTitleEl = document.querySelector(`#tab-${tabId} .tab-title`);
             if (tabTitleEl) tabTitleEl.innerText = e.title;
+
+            const tab = tabs.find(t => t.id === tabId);
+            const entry = tab && !tab.restoring && tab.navHistory.entries[tab.navHistory.index];
+            if (entry) entry.title = e.title;
+            scheduleSessionSnapshot();
         });
 
         document.getElementById('webview-container').appendChild(webview);
@@ -143,64 +326,211 @@ class TabManager {
             window.setupWebviewListeners(webview);
         }
 
-        // Create Tab UI
-        const tabElement = document.createElement('div');
-        tabElement.className = 'tab active';
-        tabElement.id = `tab-${tabId}`;
-        tabElement.innerHTML = `
-            <span class="tab-favicon"><img
-        src="icon.svg"
-        alt="Capture alert"
-      /></span>
-            <span class="tab-title">Yarvix Browser</span>
-            <span class="tab-close" title="Close Tab"><i class="fas fa-xmark"></i></span>
-        `;
+        return webview;
+    }
 
-        tabElement.addEventListener('click', (e) => {
-            if (!e.target.closest('.tab-close')) {
-                this.switchTab(tabId);
-            }
-        });
+    /**
+     * Reopen a tab of a saved session, or one moved from another window
+     * @param {Object} state - { title, containerId, pinned, groupId, history: { entries, index }, scroll, zoom, forms }
+     * @returns {number} - The tab ID
+     */
+    restoreTab(state) {
+        const { entries, index } = state.history;
+        const tabId = this.createTab(entries[index].url, { containerId: state.containerId, useRules: false });
+        const tab = tabs.find(t => t.id === tabId);
+        tab.tabElement.querySelector('.tab-title').innerText = state.title || entries[index].title || 'Yarvix Browser';
+
+        // Back into its group if the group is still in this window
+        tab.pinned = Boolean(state.pinned);
+        tab.groupId = !tab.pinned && tabGroups.has(state.groupId) ? state.groupId : null;
+        this.arrangeTabs();
+
+        this.restoreHistory(tab, state);
+        // Form fields edited before the tab was moved from another window
+        if (state.forms?.length > 0) {
+            tab.webview.addEventListener('did-finish-load', () => fillFormFields(tab, state.forms), { once: true });
+        }
+        return tabId;
+    }
 
-        const closeBtn = tabElement.querySelector('.tab-close');
-        closeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.closeTab(tabId);
-        });
+    /**
+     * Give a tab its saved back/forward history, in its new webview (which starts on the
+     * current entry): only that entry is loaded, the others when the user goes back or
+     * forward to them. The page then gets its zoom and scroll position back
+     * @param {Object} tab - The tab
+     * @param {Object} state - { history: { entries, index }, scroll, zoom }
+     */
+    restoreHistory(tab, state) {
+        const { entries, index } = state.history;
+        const { webview } = tab;
+
+        // Saved state stands in for the tab until its page is loaded
+        tab.restoring = true;
+        tab.restoreState = state;
+        tab.navHistory = { entries: entries.map(entry => ({ ...entry })), index };
+        tab.webviewHistory = { start: index, end: index };
+        tab.pendingHistoryIndex = index;
+
+        const finish = (e) => {
+            if (e.type === 'did-fail-load' && (!e.isMainFrame || e.errorCode === -3)) return;
+            webview.removeEventListener('did-finish-load', finish);
+            webview.removeEventListener('did-fail-load', finish);
+
+            tab.restoring = false;
+            tab.restoreState = null;
+            tab.scroll = { ...state.scroll };
+            if (e.type === 'did-finish-load') {
+                webview.setZoomFactor(state.zoom);
+                if (state.scroll.x || state.scroll.y) {
+                    webview.executeJavaScript(`window.scrollTo(${Number(state.scroll.x)}, ${Number(state.scroll.y)})`).catch(() => {});
+                }
+            }
+            if (activeTabId === tab.id) this.updateNavigationButtons(webview);
+            scheduleSessionSnapshot();
+        };
+        webview.addEventListener('did-finish-load', finish);
+        webview.addEventListener('did-fail-load', finish);
+    }
 
-        document.getElementById('tabs-container').appendChild(tabElement);
+    /**
+     * Discard a background tab to free its memory: its webview is removed, and the tab
+     * keeps its title, favicon and saved state until it's selected again
+     * @param {number} tabId - The tab ID
+     * @returns {boolean} - False if the tab is the active one or already discarded
+     */
+    discardTab(tabId) {
+        const tab = tabs.find(t => t.id === tabId);
+        if (!tab || tab.id === activeTabId || tab.discarded) return false;
+
+        // Saved state stands in for the tab, as while restoring
+        const state = { ...getTabSessionState(tab), favicon: tab.favicon };
+        tab.webview.remove();
+        tab.discarded = true;
+        tab.restoring = true;
+        tab.restoreState = state;
+        tab.memory = null;
+        tab.tabElement.classList.add('discarded');
+        updateTabTooltip(tab);
+        return true;
+    }
 
-        // Store tab data
-        const tabData = { id: tabId, webview, tabElement };
-        tabs.push(tabData);
+    /**
+     * Load a discarded tab again in a new webview: only its current page, the rest of
+     * its back/forward history when the user goes back or forward
+     * @param {Object} tab - The tab
+     */
+    reloadDiscardedTab(tab) {
+        const state = tab.restoreState;
+        const { entries, index } = state.history;
+        tab.discarded = false;
+        // Shown until the page loads and announces its favicon again
+        tab.favicon = state.favicon || null;
+        renderTabFavicon(tab);
+        tab.webview = this.createWebview(tab.id, entries[index].url,
+            privatePartition || getContainer(tab.containerId)?.partition || null);
+        tab.tabElement.classList.remove('discarded');
+        updateTabTooltip(tab);
+        this.restoreHistory(tab, state);
+    }
 
-        // Set as active
-        activeTabId = tabId;
+    /**
+     * Update a tab's back/forward list after a navigation. Where the webview now is in
+     * its own list tells history navigations apart from new ones, which drop the
+     * forward entries
+     * @param {Object} tab - The tab
+     * @param {string} url - URL the tab navigated to
+     * @param {boolean} inPage - Same-document navigation (anchors, pushState)
+     */
+    recordNavigation(tab, url, inPage = false) {
+        const { webview } = tab;
+        const nav = tab.navHistory;
+
+        // A saved entry the webview didn't have: its own list starts again from there
+        if (tab.pendingHistoryIndex !== null) {
+            nav.index = Math.min(tab.pendingHistoryIndex, nav.entries.length);
+            nav.entries[nav.index] = { title: '', ...nav.entries[nav.index], url };
+            tab.pendingHistoryIndex = null;
+            tab.webviewHistory = { start: nav.index, end: nav.index };
+            webview.clearHistory();
+            scheduleSessionSnapshot();
+            return;
+        }
 
-        // Update URL bar and focus it for new tabs
-        const urlInput = document.getElementById('url-input');
+        const back = countHistoryOffsets(webview, -1);
+        const forward = countHistoryOffsets(webview, 1);
+        const index = tab.webviewHistory.start + back;
+        const entry = nav.entries[index];
+
+        if (index === nav.index && entry && (entry.url === url || inPage)) {
+            // Reload, or a page replacing its own entry
+            entry.url = url;
+        } else if (index !== nav.index && entry && index <= tab.webviewHistory.end && (forward > 0 || entry.url === url)) {
+            // Back or forward within the webview's list
+            nav.index = index;
+            entry.url = url;
+        } else {
+            nav.entries = nav.entries.slice(0, nav.index + 1);
+            nav.entries.push({ url, title: '' });
+            nav.index = nav.entries.length - 1;
+        }
 
-        // Check if loading homepage - show empty URL bar for homepage
-        const isHomepage = url.includes('homepage.html') || url === settings.homePage;
-        try {
-            urlInput.value = isHomepage ? '' : (webview.getURL() || url);
-        } catch (e) {
-            urlInput.value = isHomepage ? '' : url;
+        // Saved entries go first when the list is too long
+        if (nav.entries.length > MAX_TAB_HISTORY) {
+            const dropped = nav.entries.length - MAX_TAB_HISTORY;
+            nav.entries = nav.entries.slice(dropped);
+            nav.index = Math.max(nav.index - dropped, 0);
         }
+        tab.webviewHistory = { start: nav.index - back, end: nav.index + forward };
 
-        // Focus the URL input and select all text for immediate typing
-        // Use setTimeout to ensure the DOM is ready and webview doesn't steal focus
-        setTimeout(() => {
-            urlInput.focus();
-            urlInput.select();
-        }, 100);
+        scheduleSessionSnapshot();
+    }
 
-        return tabId;
+    /**
+     * Check whether a tab has an entry to go back (-1) or forward (1) to
+     * @param {Object} tab - The tab
+     * @param {number} offset - -1 or 1
+     * @returns {boolean}
+     */
+    canGoToOffset(tab, offset) {
+        const target = tab.navHistory.index + offset;
+        return target >= 0 && target < tab.navHistory.entries.length;
+    }
+
+    /**
+     * Go back (-1) or forward (1) in a tab: through the webview's own list when it has
+     * the entry, otherwise by loading the saved entry
+     * @param {Object} tab - The tab
+     * @param {number} offset - -1 or 1
+     */
+    goToOffset(tab, offset) {
+        if (!this.canGoToOffset(tab, offset)) return;
+
+        const target = tab.navHistory.index + offset;
+        const { start, end } = tab.webviewHistory;
+        if (target >= start && target <= end && tab.webview.canGoToOffset(offset)) {
+            tab.webview.goToOffset(offset);
+            return;
+        }
+
+        tab.pendingHistoryIndex = target;
+        tab.webview.loadURL(tab.navHistory.entries[target].url).catch(() => {});
     }
 
     switchTab(tabId) {
+        // A tab in a collapsed group can't be shown without its group
+        const group = tabGroups.get(tabs.find(t => t.id === tabId)?.groupId);
+        if (group?.collapsed) {
+            group.collapsed = false;
+            this.arrangeTabs();
+        }
+
         if (activeTabId === tabId) return;
 
+        const previous = tabs.find(t => t.id === activeTabId);
+        if (previous) previous.lastActive = Date.now();
+        const target = tabs.find(t => t.id === tabId);
+        if (target?.discarded) this.reloadDiscardedTab(target);
+
         activeTabId = tabId;
 
         tabs.forEach(t => {
@@ -217,7 +547,7 @@ class TabManager {
                     const normalizeUrl = (u) => u.replace(/^https?:\/\//, '').replace(/^file:\/\//, '').replace(/^www\./, '').replace(/\/$/, '').toLowerCase();
                     const isHomepage = isCustomHomepage || normalizeUrl(url) === normalizeUrl(settings.homePage);
 
-                    urlInput.value = isHomepage ? '' : url;
+                    urlInput.value = isHomepage ? '' : getDisplayUrl(url);
                     this.updateSecurityIcon(url);
                     this.updateBookmarkButton(url);
                     this.updateNavigationButtons(t.webview);
@@ -229,40 +559,68 @@ class TabManager {
                 t.tabElement.classList.remove('active');
             }
         });
+
+        // Keep the Shields panel and request log on the active tab's site
+        if (!document.getElementById('shields-panel').classList.contains('hidden')) {
+            refreshShieldsPanel();
+        } else {
+            requestShieldsStats();
+        }
+        if (!document.getElementById('request-log-panel').classList.contains('hidden')) {
+            openRequestLog();
+        }
+        refreshSecurityPanels();
+        showPermissionPrompt();
+        scheduleSessionSnapshot();
     }
 
-    closeTab(tabId) {
+    closeTab(tabId, { remember = true } = {}) {
         const index = tabs.findIndex(t => t.id === tabId);
         if (index === -1) return;
 
         const tabToDelete = tabs[index];
-        
-        // Track the closed tab URL for Cmd/Ctrl+Shift+T
-        try {
-            const closedUrl = tabToDelete.webview.getURL();
-            if (closedUrl && closedUrl !== 'about:blank' && !closedUrl.includes('homepage.html')) {            
-                recentlyClosedTabs.push({ url: closedUrl, timestamp: Date.now() });
-                // Keep only last 10 closed tabs
-                if (recentlyClosedTabs.length > 10) {
-                    recentlyClosedTabs.shift();
-                }
-            }
-        } catch (e) {
-             ipcRenderer.send("log", `${e} "e"`);
-            // Ignore errors when getting URL
-        }
+
+        // Keep the tab for Recently closed and Cmd/Ctrl+Shift+T (not when it moved to another window)
+        if (remember) addRecentlyClosedTab(getTabSessionState(tabToDelete));
 
         tabToDelete.webview.remove();
         tabToDelete.tabElement.remove();
         tabs.splice(index, 1);
+        if (tabToDelete.groupId) {
+            removeEmptyTabGroups();
+            this.arrangeTabs();
+        }
 
         if (activeTabId === tabId && tabs.length > 0) {
             // Switch to the tab before or after
             const newIndex = Math.min(index, tabs.length - 1);
             this.switchTab(tabs[newIndex].id);
         } else if (tabs.length === 0) {
-            ipcRenderer.send('close-app')
-            // this.createTab();
+            // Closing the last tab closes the window (the browser quits with its last window)
+            sendSessionSnapshot();
+            window.close();
+            return;
+        }
+        scheduleSessionSnapshot();
+    }
+
+    /**
+     * Close the active tab from the keyboard (Cmd/Ctrl+W). Pinned tabs stay open:
+     * the first unpinned tab is shown instead, or a new tab when there is none
+     */
+    closeActiveTab() {
+        const tab = tabs.find(t => t.id === activeTabId);
+        if (!tab) return;
+        if (!tab.pinned) {
+            this.closeTab(tab.id);
+            return;
+        }
+
+        const unpinned = tabs.find(t => !t.pinned);
+        if (unpinned) {
+            this.switchTab(unpinned.id);
+        } else {
+            this.createTab(settings.homePage);
         }
     }
 
@@ -270,14 +628,225 @@ class TabManager {
         return tabs.find(t => t.id === activeTabId)?.webview;
     }
 
+    /**
+     * Put the tabs in order (pinned tabs first, then each group's tabs together after
+     * the group's header) and update how they look
+     */
+    arrangeTabs() {
+        const pinned = tabs.filter(t => t.pinned);
+        const others = tabs.filter(t => !t.pinned);
+        const ordered = [];
+        others.forEach(tab => {
+            if (ordered.includes(tab)) return;
+            ordered.push(...(tab.groupId ? others.filter(t => t.groupId === tab.groupId) : [tab]));
+        });
+        tabs = [...pinned, ...ordered];
+
+        const container = document.getElementById('tabs-container');
+        container.querySelectorAll('.tab-group-header').forEach(header => header.remove());
+
+        let previousGroupId = null;
+        tabs.forEach(tab => {
+            const group = tabGroups.get(tab.groupId) || null;
+            if (group && group.id !== previousGroupId) container.appendChild(createTabGroupHeader(group));
+            previousGroupId = group ? group.id : null;
+
+            const { tabElement } = tab;
+            tabElement.classList.toggle('pinned', tab.pinned);
+            tabElement.classList.toggle('grouped', Boolean(group));
+            tabElement.classList.toggle('group-collapsed', Boolean(group?.collapsed));
+            if (group) {
+                tabElement.style.setProperty('--group-color', TAB_GROUP_COLORS[group.color]);
+            } else {
+                tabElement.style.removeProperty('--group-color');
+            }
+            // Moving the tab element leaves its webview alone (moving a webview reloads it)
+            container.appendChild(tabElement);
+        });
+
+        scheduleSessionSnapshot();
+    }
+
+    /**
+     * Pin or unpin a tab. Pinned tabs are compact, stay on the left, are never in a
+     * group and aren't closed by Cmd/Ctrl+W
+     * @param {number} tabId - The tab ID
+     * @param {boolean} pinned - Pin it
+     */
+    pinTab(tabId, pinned) {
+        const tab = tabs.find(t => t.id === tabId);
+        if (!tab || tab.pinned === pinned) return;
+
+        tabs.splice(tabs.indexOf(tab), 1);
+        tab.pinned = pinned;
+        tab.groupId = null;
+        // Last of the pinned tabs, or first of the others
+        tabs.splice(tabs.filter(t => t.pinned).length, 0, tab);
+
+        removeEmptyTabGroups();
+        this.arrangeTabs();
+    }
+
+    /**
+     * Move a tab to the end of a group, or out of its group
+     * @param {number} tabId - The tab ID
+     * @param {string|null} groupId - Group ID, or null to leave the group
+     */
+    setTabGroup(tabId, groupId) {
+        const tab = tabs.find(t => t.id === tabId);
+        if (!tab || tab.groupId === groupId || (groupId && !tabGroups.has(groupId))) return;
+
+        // Right after the group it joins or leaves
+        const anchorGroupId = groupId || tab.groupId;
+        const index = tabs.indexOf(tab);
+        tabs.splice(index, 1);
+        const lastIndex = tabs.map(t => t.groupId).lastIndexOf(anchorGroupId);
+        tabs.splice(lastIndex === -1 ? index : lastIndex + 1, 0, tab);
+        tab.pinned = false;
+        tab.groupId = groupId;
+
+        removeEmptyTabGroups();
+        this.arrangeTabs();
+    }
+
+    /**
+     * Move a tab to another place in the tab strip. Pinned tabs stay among the pinned
+     * ones; other tabs join the group they are dropped inside, and leave theirs when
+     * dropped away from it
+     * @param {number} tabId - The tab ID
+     * @param {number} index - Position among the other tabs
+     */
+    moveTab(tabId, index) {
+        const tab = tabs.find(t => t.id === tabId);
+        if (!tab) return;
+
+        tabs.splice(tabs.indexOf(tab), 1);
+        const pinnedCount = tabs.filter(t => t.pinned).length;
+        const position = tab.pinned
+            ? Math.min(index, pinnedCount)
+            : Math.max(Math.min(index, tabs.length), pinnedCount);
+
+        if (!tab.pinned) {
+            const previous = tabs[position - 1];
+            const next = tabs[position];
+            if (previous?.groupId && previous.groupId === next?.groupId) {
+                tab.groupId = previous.groupId;
+            } else if (previous?.groupId !== tab.groupId && next?.groupId !== tab.groupId) {
+                tab.groupId = null;
+            }
+        }
+        tabs.splice(position, 0, tab);
+
+        removeEmptyTabGroups();
+        this.arrangeTabs();
+    }
+
+    /**
+     * Start a new group with a tab
+     * @param {number} tabId - The tab ID
+     * @returns {string|null} - The group ID
+     */
+    createTabGroup(tabId) {
+        if (!tabs.some(t => t.id === tabId)) return null;
+
+        // A color no other group uses, if there is one left
+        const usedColors = Array.from(tabGroups.values()).map(group => group.color);
+        const color = Object.keys(TAB_GROUP_COLORS).find(c => !usedColors.includes(c)) || 'grey';
+        const group = { id: `group-${Date.now().toString(36)}-${++tabGroupCounter}`, name: '', color, collapsed: false };
+        tabGroups.set(group.id, group);
+
+        this.setTabGroup(tabId, group.id);
+        return group.id;
+    }
+
+    /**
+     * Rename, recolor, collapse or expand a group
+     * @param {string} groupId - Group ID
+     * @param {Object} changes - { name, color, collapsed }
+     */
+    updateTabGroup(groupId, { name, color, collapsed } = {}) {
+        const group = tabGroups.get(groupId);
+        if (!group) return;
+
+        if (typeof name === 'string') group.name = name.slice(0, MAX_TAB_GROUP_NAME_LENGTH);
+        if (TAB_GROUP_COLORS[color]) group.color = color;
+        if (typeof collapsed === 'boolean') group.collapsed = collapsed;
+
+        // The active tab can't hide in a collapsed group: show the next visible tab
+        const active = tabs.find(t => t.id === activeTabId);
+        if (group.collapsed && active?.groupId === groupId) {
+            const index = tabs.indexOf(active);
+            const isVisible = t => t.groupId !== groupId && !tabGroups.get(t.groupId)?.collapsed;
+            const next = tabs.slice(index).find(isVisible) || tabs.slice(0, index).reverse().find(isVisible);
+            if (next) {
+                this.switchTab(next.id);
+            } else {
+                this.createTab(settings.homePage);
+            }
+        }
+
+        this.arrangeTabs();
+    }
+
+    /**
+     * Take every tab out of a group and delete it
+     * @param {string} groupId - Group ID
+     */
+    ungroupTabs(groupId) {
+        tabs.forEach(t => {
+            if (t.groupId === groupId) t.groupId = null;
+        });
+        tabGroups.delete(groupId);
+        this.arrangeTabs();
+    }
+
+    /**
+     * Close every tab of a group
+     * @param {string} groupId - Group ID
+     */
+    closeTabGroup(groupId) {
+        tabs.filter(t => t.groupId === groupId).forEach(t => this.closeTab(t.id));
+    }
+
+    /**
+     * Load a URL in the active tab, or in a new container tab when the site always
+     * opens in another container
+     * @param {string} url - Page to load
+     */
+    loadUrl(url) {
+        const tab = tabs.find(t => t.id === activeTabId);
+        if (!tab) return;
+
+        const containerId = privatePartition ? null : getRuleContainerId(url);
+        if (containerId && containerId !== tab.containerId) {
+            openInContainer(url, containerId, tab.id);
+            return;
+        }
+        tab.webview.loadURL(url);
+    }
+
     updateSecurityIcon(url) {
         const icon = document.getElementById('security-icon');
-        if (url.startsWith('https://')) {
+        if (isInterstitialUrl(url)) {
+            icon.className = 'fas fa-triangle-exclamation';
+            icon.title = 'Not loaded: the connection to this site is not secure';
+        } else if (url.startsWith('https://')) {
             icon.className = 'fas fa-shield-halved secure';
+            icon.title = 'Connection is secure';
         } else if (url.startsWith('http://')) {
             icon.className = 'fas fa-triangle-exclamation';
+            let hostname = '';
+            try {
+                hostname = new URL(url).hostname;
+            } catch {
+                // Keep the generic message
+            }
+            icon.title = httpsOnlyState.enabled && httpsOnlyState.exceptions.includes(hostname)
+                ? 'Not secure: HTTPS-Only Mode is off for this site'
+                : 'Not secure';
         } else {
             icon.className = 'fas fa-circle-info';
+            icon.title = '';
         }
     }
 
@@ -296,6 +865,9 @@ class TabManager {
     addToHistory(url, title) {
         if (!url || url === 'about:blank') return;
 
+        // Private windows keep no history
+        if (privatePartition) return;
+
         // Don't store app's static pages in history (homepage and other local files)
         if (url.startsWith('file://')) {
             return;
@@ -321,9 +893,10 @@ class TabManager {
         const backBtn = document.getElementById('back-btn');
         const forwardBtn = document.getElementById('forward-btn');
 
-        if (webview) {
-            backBtn.disabled = !webview.canGoBack();
-            forwardBtn.disabled = !webview.canGoForward();
+        const tab = webview && tabs.find(t => t.webview === webview);
+        if (tab) {
+            backBtn.disabled = !this.canGoToOffset(tab, -1);
+            forwardBtn.disabled = !this.canGoToOffset(tab, 1);
         } else {
             backBtn.disabled = true;
             forwardBtn.disabled = true;
@@ -379,274 +952,7 @@ class TabManager {
         }
         return 0;
     }
-
-    /**
-     * Inject ad blocker content script into webview
-     * @param {HTMLElement} webview - The webview element
-     * @param {number} tabId - The tab ID
-     */
-    injectAdBlocker(webview, tabId) {
-        try {
-            const currentUrl = webview.getURL();
-
-            // Skip injection for local files and homepage
-            if (!currentUrl || currentUrl.startsWith('file://') || currentUrl === 'about:blank') {
-                return;
-            }
-
-            // Inject the YouTube ad blocker script
-            const youtubeAdBlockScript = `
-                (function() {
-                    // Skip if already injected
-                    if (window.__yarvixAdBlockerInjected) return;
-                    window.__yarvixAdBlockerInjected = true;
-
-                    const isYouTube = window.location.hostname.includes('youtube.com');
-
-                    if (isYouTube) {
-                        console.log('[YarvixBrowser] YouTube Ad Blocker Active');
-
-                        // CSS to hide ad overlays ONLY (not the video player itself!)
-                        const style = document.createElement('style');
-                        style.textContent = \`
-                            /* Hide ad overlays and banners - BUT NOT the video player */
-                            .ytp-ad-overlay-container,
-                            .ytp-ad-text-overlay,
-                            .ytp-ad-overlay-slot,
-                            .ytp-ad-overlay-image,
-                            .ytp-ad-image-overlay,
-                            .ytp-ad-preview-container,
-                            .ytp-ad-preview-slot,
-                            .ytp-ad-message-container,
-                            #player-ads,
-                            #masthead-ad,
-                            ytd-ad-slot-renderer,
-                            ytd-banner-promo-renderer,
-                            ytd-video-masthead-ad-v3-renderer,
-                            ytd-in-feed-ad-layout-renderer,
-                            ytd-display-ad-renderer,
-                            ytd-companion-slot-renderer,
-                            ytd-promoted-sparkles-web-renderer,
-                            ytd-promoted-video-renderer,
-                            ytd-search-pyv-renderer,
-                            .ytd-mealbar-promo-renderer,
-                            .ytd-statement-banner-renderer,
-                            #merch-shelf,
-                            ytd-merch-shelf-renderer,
-                            .ytp-suggested-action,
-                            .ytp-suggested-action-badge,
-                            .ytp-cards-teaser,
-                            .iv-branding,
-                            .annotation,
-                            ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-ads"],
-                            yt-mealbar-promo-renderer,
-                            #related ytd-promoted-sparkles-web-renderer,
-                            #related ytd-display-ad-renderer,
-                            ytd-search ytd-ad-slot-renderer,
-                            ytd-rich-item-renderer:has(ytd-ad-slot-renderer),
-                            ytd-rich-section-renderer:has(ytd-ad-slot-renderer)
-                            { display: none !important; }
-                        \`;
-                        document.head.appendChild(style);
-
-                        // Track state for ad skipping
-                        let adState = {
-                            wasAdPlaying: false,
-                            originalMuted: false,
-                            originalVolume: 1,
-                            skipAttempts: 0
-                        };
-
-                        // Function to check if ad is playing
-                        const isAdPlaying = () => {
-                            const player = document.querySelector('.html5-video-player');
-                            return player && player.classList.contains('ad-showing');
-                        };
-
-                        // Function to skip/handle ads
-                        const handleAd = () => {
-                            const video = document.querySelector('video');
-                            const player = document.querySelector('.html5-video-player');
-
-                            if (!video || !player) return;
-
-                            const adPlaying = isAdPlaying();
-
-                            if (adPlaying) {
-                                // Ad is playing
-                                if (!adState.wasAdPlaying) {
-                                    // Just started - save original state
-                                    adState.wasAdPlaying = true;
-                                    adState.originalMuted = video.muted;
-                                    adState.originalVolume = video.volume;
-                                    adState.skipAttempts = 0;
-                                    console.log('[YarvixBrowser] Ad detected, attempting to skip...');
-                                }
-
-                                // Method 1: Click skip button (best method)
-                                const skipBtn = document.querySelector(
-                                    '.ytp-ad-skip-button, ' +
-                                    '.ytp-ad-skip-button-modern, ' +
-                                    '.ytp-skip-ad-button, ' +
-                                    '.ytp-ad-skip-button-slot button, ' +
-                                    'button[class*="skip"]'
-                                );
-                                if (skipBtn && skipBtn.offsetParent !== null) {
-                                    skipBtn.click();
-                                    console.log('[YarvixBrowser] Clicked skip button');
-                                    return;
-                                }
-
-                                // Method 2: Mute and speed up the ad (let it play fast)
-                                video.muted = true;
-                                video.playbackRate = 16;
-
-                                // Method 3: If video has duration, skip near end
-                                // BUT don't skip to exact end to avoid "ended" state
-                                adState.skipAttempts++;
-                                if (adState.skipAttempts > 5 && video.duration && isFinite(video.duration) && video.duration > 1) {
-                                    // Skip to 0.5 seconds before end to trigger natural transition
-                                    const targetTime = Math.max(0, video.duration - 0.5);
-                                    if (video.currentTime < targetTime) {
-                                        video.currentTime = targetTime;
-                                        console.log('[YarvixBrowser] Fast-forwarding ad');
-                                    }
-                                }
-
-                            } else if (adState.wasAdPlaying) {
-                                // Ad just ended - restore normal playback
-                                console.log('[YarvixBrowser] Ad ended, restoring playback');
-                                adState.wasAdPlaying = false;
-
-                                // Restore video settings
-                                video.playbackRate = 1;
-                                video.muted = adState.originalMuted;
-                                video.volume = adState.originalVolume;
-
-                                // Make sure video plays
-                                setTimeout(() => {
-                                    const v = document.querySelector('video');
-                                    if (v) {
-                                        v.playbackRate = 1;
-                                        v.muted = adState.originalMuted;
-                                        if (v.paused) {
-                                            v.play().catch(() => {
-                                                // Click play button as fallback
-                                                const playBtn = document.querySelector('.ytp-play-button');
-                                                if (playBtn) playBtn.click();
-                                            });
-                                        }
-                                    }
-                                }, 100);
-
-                            } else {
-                                // No ad - ensure normal playback
-                                if (video.playbackRate > 1) {
-                                    video.playbackRate = 1;
-                                }
-                            }
-
-                            // Remove overlay ads
-                            document.querySelectorAll(
-                                '.ytp-ad-overlay-container, .ytp-ad-text-overlay'
-                            ).forEach(el => el.remove());
-                        };
-
-                        // Run ad handler frequently
-                        setInterval(handleAd, 250);
-
-                        // Also run on mutations
-                        const adObserver = new MutationObserver(() => {
-                            handleAd();
-                        });
-                        adObserver.observe(document.body, {
-                            childList: true,
-                            subtree: true,
-                            attributes: true,
-                            attributeFilter: ['class']
-                        });
-
-                        // Override YouTube's ad data on page load
-                        const blockAdData = () => {
-                            try {
-                                if (window.ytInitialPlayerResponse) {
-                                    if (window.ytInitialPlayerResponse.adPlacements) {
-                                        window.ytInitialPlayerResponse.adPlacements = [];
-                                    }
-                                    if (window.ytInitialPlayerResponse.playerAds) {
-                                        window.ytInitialPlayerResponse.playerAds = [];
-                                    }
-                                    if (window.ytInitialPlayerResponse.adSlots) {
-                                        window.ytInitialPlayerResponse.adSlots = [];
-                                    }
-                                }
-                            } catch(e) {}
-                        };
-
-                        blockAdData();
-
-                        // Re-run on SPA navigation
-                        let lastUrl = location.href;
-                        setInterval(() => {
-                            if (location.href !== lastUrl) {
-                                lastUrl = location.href;
-                                blockAdData();
-                                // Reset ad state on navigation
-                                adState.wasAdPlaying = false;
-                            }
-                        }, 1000);
-
-                    } else {
-                        // Generic ad blocking for other sites
-                        const style = document.createElement('style');
-                        style.textContent = \`
-                            [id*="google_ads"], [id*="doubleclick"], [class*="ad-container"],
-                            [class*="ad-wrapper"], [class*="ad-banner"], [class*="ad-slot"],
-                            [class*="advertisement"], [data-ad], [data-ad-slot],
-                            .adsbygoogle, .ad-placement, .sponsored, .promoted,
-                            iframe[src*="doubleclick"], iframe[src*="googlesyndication"],
-                            iframe[src*="adservice"]
-                            { display: none !important; }
-                        \`;
-                        document.head.appendChild(style);
-
-                        // Remove ad elements
-                        const removeAds = () => {
-                            document.querySelectorAll(
-                                '[id*="google_ads"], [class*="ad-container"], [class*="ad-banner"], ' +
-                                '.adsbygoogle, [data-ad], iframe[src*="doubleclick"]'
-                            ).forEach(el => el.remove());
-                        };
-
-                        removeAds();
-
-                        const observer = new MutationObserver(removeAds);
-                        observer.observe(document.body, { childList: true, subtree: true });
-                    }
-
-                    // Block popup windows
-                    const origOpen = window.open;
-                    window.open = function(url) {
-                        if (url && (url.includes('ad') || url.includes('popup') || url.includes('sponsor'))) {
-                            console.log('[YarvixBrowser] Blocked popup:', url);
-                            return null;
-                        }
-                        return origOpen.apply(window, arguments);
-                    };
-
-                    console.log('[YarvixBrowser] Ad Blocker Injection Complete');
-                })();
-            `;
-
-            webview.executeJavaScript(youtubeAdBlockScript).catch(err => {
-                // Silently fail - some pages may block script execution
-            });
-
-        } catch (err) {
-            console.error('Failed to inject ad blocker:', err);
-        }
-    }
-}
+}
 
 /**
  * Initialize when DOM is ready
@@ -655,6 +961,14 @@ document.addEventListener('DOMContentLoaded', () => {
     tabManager = new TabManager();
     window.tabManager = tabManager;
 
+    if (privatePartition) {
+        document.body.classList.add('private-window');
+        document.title = 'YarvixBrowser - Private Window';
+        document.getElementById('private-indicator').classList.remove('hidden');
+        // Permission decisions aren't remembered in private windows
+        document.querySelector('.permission-prompt-remember').classList.add('hidden');
+    }
+
     // Apply theme and color theme
     applyTheme(settings.theme, settings.colorTheme);
 
@@ -672,20 +986,38 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize Ad Blocker UI and listeners
     setupShieldButton();
     setupShieldsPanelListeners();
+    setupRequestLogPanel();
+    setupUserRules();
+    setupFilterLists();
+    setupParamRules();
+    setupHttpsOnly();
+    setupSiteInfo();
+    setupCertificateViewer();
+    setupPermissions();
+    setupContainers();
+    setupSiteData();
+    setupSessionRestore();
+    setupRecentlyClosed();
+    setupTabStrip();
+    setupMemorySaver();
     setupAdBlockerListeners();
 
-    // Create first tab
-    tabManager.createTab();
+    // Reopen the previous session's tabs, or create the first tab
+    if (restoredWindow && restoredWindow.tabs.length > 0) {
+        restoreWindowTabs(restoredWindow);
+    } else {
+        tabManager.createTab();
+    }
 
     // Navigation Controls
     document.getElementById('back-btn').addEventListener('click', () => {
-        const wv = tabManager.getActiveWebview();
-        if (wv && wv.canGoBack()) wv.goBack();
+        const tab = tabs.find(t => t.id === activeTabId);
+        if (tab) tabManager.goToOffset(tab, -1);
     });
 
     document.getElementById('forward-btn').addEventListener('click', () => {
-        const wv = tabManager.getActiveWebview();
-        if (wv && wv.canGoForward()) wv.goForward();
+        const tab = tabs.find(t => t.id === activeTabId);
+        if (tab) tabManager.goToOffset(tab, 1);
     });
 
     document.getElementById('refresh-btn').addEventListener('click', () => {
@@ -700,6 +1032,10 @@ document.addEventListener('DOMContentLoaded', () => {
         tabManager.createTab(settings.homePage);
     });
 
+    document.getElementById('private-window-btn').addEventListener('click', () => {
+        ipcRenderer.send('create-new-window', { private: true });
+    });
+
     // URL Bar
     document.getElementById('url-input').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
@@ -716,9 +1052,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
             if (isUrl) {
                 if (!input.startsWith('http')) input = 'https://' + input;
-                wv.loadURL(input);
+                // Drop tracking parameters before the page sees them
+                const cleaned = ipcRenderer.sendSync('adblock-clean-url', {
+                    url: input,
+                    tabId: getActiveWebContentsId()
+                });
+                if (cleaned && cleaned.url) input = cleaned.url;
+                e.target.value = input;
+                tabManager.loadUrl(input);
             } else {
-                wv.loadURL(settings.searchEngine + encodeURIComponent(input));
+                tabManager.loadUrl(settings.searchEngine + encodeURIComponent(input));
             }
 
             // Blur the input after navigation
@@ -766,7 +1109,7 @@ document.addEventListener('DOMContentLoaded', () => {
     document.querySelectorAll('.bookmark-item').forEach(item => {
         item.addEventListener('click', () => {
             const url = item.dataset.url;
-            tabManager.getActiveWebview()?.loadURL(url);
+            tabManager.loadUrl(url);
         });
     });
 
@@ -774,6 +1117,7 @@ document.addEventListener('DOMContentLoaded', () => {
     setupPanelToggle('downloads-btn', 'downloads-panel', 'close-downloads');
     setupPanelToggle('history-btn', 'history-panel', 'close-history');
     setupPanelToggle('bookmarks-btn', 'bookmarks-panel', 'close-bookmarks');
+    setupPanelToggle('site-settings-btn', 'site-settings-panel', 'close-site-settings');
 
     // Clear history
     document.getElementById('clear-history-btn').addEventListener('click', () => {
@@ -837,32 +1181,33 @@ document.addEventListener('DOMContentLoaded', () => {
         const cmdOrCtrl = e.metaKey || e.ctrlKey;
 
         // Cmd/Ctrl + N - New Window
-        if (cmdOrCtrl && e.key === 'n') {
+        if (cmdOrCtrl && e.key === 'n' && !e.shiftKey) {
             e.preventDefault();
             ipcRenderer.send('create-new-window');
         }
 
+        // Cmd/Ctrl + Shift + N - New Private Window
+        if (cmdOrCtrl && e.shiftKey && e.key.toLowerCase() === 'n') {
+            e.preventDefault();
+            ipcRenderer.send('create-new-window', { private: true });
+        }
+
         // Cmd/Ctrl + T - New Tab
         if (cmdOrCtrl && e.key === 't') {
             e.preventDefault();
             tabManager.createTab(settings.homePage);
         }
 
-        // Cmd/Ctrl + W - Close Tab
+        // Cmd/Ctrl + W - Close Tab (pinned tabs stay open)
         if (cmdOrCtrl && e.key === 'w') {
             e.preventDefault();
-            if (activeTabId !== null) {
-                tabManager.closeTab(activeTabId);
-            }
+            tabManager.closeActiveTab();
         }
 
-        // Cmd/Ctrl + Shift + T - Reopen Last Closed Tab
-        if (cmdOrCtrl && e.shiftKey && e.key === 't') {
+        // Cmd/Ctrl + Shift + T - Reopen Last Closed Tab or Window
+        if (cmdOrCtrl && e.shiftKey && e.key.toLowerCase() === 't') {
             e.preventDefault();
-            if (recentlyClosedTabs.length > 0) {
-                const lastClosed = recentlyClosedTabs.pop();
-                tabManager.createTab(lastClosed.url);
-            }
+            reopenRecentlyClosed();
         }
 
         // Cmd/Ctrl + R - Refresh Page
@@ -1012,8 +1357,8 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Listen for requests to create a new tab with URL (from Cmd+click handling in main process)
-    ipcRenderer.on('create-tab-with-url', (_event, url) => {
-        tabManager.createTab(url);
+    ipcRenderer.on('create-tab-with-url', (_event, url, options = {}) => {
+        tabManager.createTab(url, { containerId: options.containerId });
     });
 
     // Listen for keyboard shortcuts from main process (works even when webview has focus)
@@ -1023,19 +1368,36 @@ document.addEventListener('DOMContentLoaded', () => {
             tabManager.createTab(settings.homePage);
         }
 
-        // Cmd/Ctrl + W - Close Tab
+        // Cmd/Ctrl + W - Close Tab (pinned tabs stay open)
         if (cmdOrCtrl && key === 'w') {
-            if (activeTabId !== null) {
-                tabManager.closeTab(activeTabId);
+            tabManager.closeActiveTab();
+        }
+
+        // Cmd/Ctrl + Shift + P - Pin/Unpin Tab
+        if (cmdOrCtrl && shift && key === 'p') {
+            const tab = tabs.find(t => t.id === activeTabId);
+            if (tab) tabManager.pinTab(tab.id, !tab.pinned);
+        }
+
+        // Cmd/Ctrl + Shift + G - Add Tab to a New Group, or Remove It from Its Group
+        if (cmdOrCtrl && shift && key === 'g') {
+            const tab = tabs.find(t => t.id === activeTabId);
+            if (tab?.groupId) {
+                tabManager.setTabGroup(tab.id, null);
+            } else if (tab) {
+                openTabGroupMenu(tabManager.createTabGroup(tab.id));
             }
         }
 
-        // Cmd/Ctrl + Shift + T - Reopen Last Closed Tab
+        // Cmd/Ctrl + Shift + E - Collapse the Tab's Group
+        if (cmdOrCtrl && shift && key === 'e') {
+            const tab = tabs.find(t => t.id === activeTabId);
+            if (tab?.groupId) tabManager.updateTabGroup(tab.groupId, { collapsed: true });
+        }
+
+        // Cmd/Ctrl + Shift + T - Reopen Last Closed Tab or Window
         if (cmdOrCtrl && shift && key === 't') {
-            if (recentlyClosedTabs.length > 0) {
-                const lastClosed = recentlyClosedTabs.pop();
-                tabManager.createTab(lastClosed.url);
-            }
+            reopenRecentlyClosed();
         }
 
         // Cmd/Ctrl + R - Refresh Page
@@ -1051,10 +1413,15 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Cmd/Ctrl + N - New Window
-        if (cmdOrCtrl && key === 'n') {
+        if (cmdOrCtrl && key === 'n' && !shift) {
             ipcRenderer.send('create-new-window');
         }
 
+        // Cmd/Ctrl + Shift + N - New Private Window
+        if (cmdOrCtrl && key === 'n' && shift) {
+            ipcRenderer.send('create-new-window', { private: true });
+        }
+
         // Cmd/Ctrl + D - Bookmark
         if (cmdOrCtrl && key === 'd') {
             document.getElementById('bookmark-btn').click();
@@ -1127,23 +1494,41 @@ document.addEventListener('DOMContentLoaded', () => {
     const downloadList = document.getElementById('download-list');
     const downloadsPanel = document.getElementById('downloads-panel');
 
-    ipcRenderer.on('download-start', (event, data) => {
+    function createDownloadItem(fileName) {
         // Hide empty state when download starts
         const emptyState = document.getElementById('downloads-empty');
         if (emptyState) emptyState.style.display = 'none';
 
         const item = document.createElement('div');
         item.className = 'download-item';
-        item.id = `dl-${data.fileName.replace(/[^a-zA-Z0-9]/g, '_')}`;
+        item.id = `dl-${fileName.replace(/[^a-zA-Z0-9]/g, '_')}`;
         item.innerHTML = `
             <div class="download-item-icon"><i class="fas fa-file-download"></i></div>
             <div class="download-item-info">
-                <div class="download-item-name">${data.fileName}</div>
+                <div class="download-item-name">${escapeHtml(fileName)}</div>
                 <div class="download-item-status">Starting...</div>
                 <div class="download-progress"><div class="download-progress-bar" style="width: 0%"></div></div>
             </div>
         `;
-        downloadList.prepend(item);
+        return item;
+    }
+
+    function showDownloadComplete(item, filePath) {
+        item.querySelector('.download-item-status').innerHTML = '<span style="color: var(--success-color)">Complete</span>';
+        item.querySelector('.download-progress')?.remove();
+        item.style.cursor = 'pointer';
+        item.addEventListener('click', () => shell.showItemInFolder(filePath));
+    }
+
+    // Downloads finished in earlier sessions
+    downloadHistory.forEach(download => {
+        const item = createDownloadItem(download.fileName);
+        showDownloadComplete(item, download.path);
+        downloadList.appendChild(item);
+    });
+
+    ipcRenderer.on('download-start', (event, data) => {
+        downloadList.prepend(createDownloadItem(data.fileName));
         downloadsPanel.classList.remove('hidden');
     });
 
@@ -1158,11 +1543,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
     ipcRenderer.on('download-complete', (event, data) => {
         const item = document.getElementById(`dl-${data.fileName.replace(/[^a-zA-Z0-9]/g, '_')}`);
-        if (item) {
-            item.querySelector('.download-item-status').innerHTML = '<span style="color: var(--success-color)">Complete</span>';
-            item.querySelector('.download-progress').remove();
-            item.style.cursor = 'pointer';
-            item.addEventListener('click', () => shell.showItemInFolder(data.path));
+        if (item) showDownloadComplete(item, data.path);
+
+        // Private windows don't keep a downloads list
+        if (!privatePartition) {
+            downloadHistory = [{ fileName: data.fileName, path: data.path, timestamp: Date.now() }, ...downloadHistory].slice(0, 50);
+            localStorage.setItem('downloadHistory', JSON.stringify(downloadHistory));
         }
     });
 
@@ -1197,6 +1583,16 @@ document.addEventListener('DOMContentLoaded', () => {
                         handleClearAllData(data.data);
                     } else if (data.action === 'change-password') {
                         handlePasswordChange(data.data);
+                    } else if (data.action === 'get-clear-on-exit') {
+                        ipcRenderer.send('clear-on-exit-get');
+                    } else if (data.action === 'set-clear-on-exit') {
+                        ipcRenderer.send('clear-on-exit-set', data.data);
+                    } else if (data.action === 'get-memory-saver') {
+                        ipcRenderer.send('memory-saver-get');
+                    } else if (data.action === 'set-memory-saver') {
+                        ipcRenderer.send('memory-saver-set', data.data);
+                    } else if (data.action === 'set-memory-saver-site') {
+                        ipcRenderer.send('memory-saver-set-site', data.data);
                     }
                 }
             } catch (e) {
@@ -1283,6 +1679,21 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Forward the clear on exit settings to the homepage settings panel
+    ipcRenderer.on('clear-on-exit-state', (event, state) => {
+        const activeTab = tabs.find(t => t.id === activeTabId);
+        activeTab?.webview.executeJavaScript(`
+            window.postMessage(${JSON.stringify({ type: 'clear-on-exit-state', ...state })}, '*');
+        `);
+    });
+
+    // When the browser quits, the closing windows delete the history and downloads
+    // list if they are set to be cleared on exit
+    window.addEventListener('beforeunload', () => {
+        sendSessionSnapshot();
+        clearBrowsingDataOnExit(ipcRenderer.sendSync('clear-on-exit-window-closing'));
+    });
+
     // Make setupWebviewListeners available globally for new tabs
     window.setupWebviewListeners = setupWebviewListeners;
 
@@ -1298,6 +1709,16 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
+/**
+ * Delete the browser UI data of "clear on exit" categories
+ * @param {string[]} categories - 'history' and/or 'downloads' (others are cleared by the main process)
+ */
+function clearBrowsingDataOnExit(categories) {
+    (categories || []).forEach(category => {
+        (CLEAR_ON_EXIT_KEYS[category] || []).forEach(key => localStorage.removeItem(key));
+    });
+}
+
 /**
  * Helper Functions
  */
@@ -1318,244 +1739,2885 @@ function setupPanelToggle(btnId, panelId, closeId) {
             if (panelId === 'history-panel') renderHistory();
             if (panelId === 'bookmarks-panel') renderBookmarks();
             if (panelId === 'shields-panel') refreshShieldsPanel();
+            if (panelId === 'site-settings-panel') ipcRenderer.send('permissions-get');
+        }
+    });
+
+    closeBtn.addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+}
+
+/**
+ * Shield button click handler - toggle shields panel
+ */
+function setupShieldButton() {
+    const shieldBtn = document.getElementById('shield-btn');
+    const closeBtn = document.getElementById('close-shields');
+
+    shieldBtn.addEventListener('click', () => {
+        // Close other panels
+        document.querySelectorAll('.panel').forEach(p => {
+            if (p.id !== 'shields-panel') p.classList.add('hidden');
+        });
+        document.getElementById('shields-panel').classList.toggle('hidden');
+        
+        // Refresh shields panel when opening
+        if (!document.getElementById('shields-panel').classList.contains('hidden')) {
+            refreshShieldsPanel();
+        }
+    });
+
+    closeBtn.addEventListener('click', () => {
+        document.getElementById('shields-panel').classList.add('hidden');
+    });
+}
+
+/**
+ * Get the webContents ID of the active tab (the ID the main process uses for per-tab stats)
+ * @returns {string|null}
+ */
+function getActiveWebContentsId() {
+    const webview = tabManager?.getActiveWebview();
+    if (!webview) return null;
+    try {
+        return webview.getWebContentsId().toString();
+    } catch {
+        // Webview not attached yet
+        return null;
+    }
+}
+
+/**
+ * Ask the main process for the ad blocker stats, including the active tab's counts
+ */
+function requestShieldsStats() {
+    ipcRenderer.send('adblock-get-stats', getActiveWebContentsId());
+}
+
+/**
+ * Refresh the shields panel with current data
+ */
+function refreshShieldsPanel() {
+    // Request current stats from main process
+    requestShieldsStats();
+    ipcRenderer.send('adblock-get-whitelist');
+    ipcRenderer.send('adblock-get-user-rules');
+    ipcRenderer.send('filter-lists-get');
+    
+    // Update current site display
+    const siteLabel = document.getElementById('shields-current-site');
+    let siteHostname = null;
+    const activeWebview = tabManager.getActiveWebview();
+    if (activeWebview) {
+        try {
+            const url = activeWebview.getURL();
+            if (url && url !== 'about:blank') {
+                try {
+                    const parsed = new URL(url);
+                    siteLabel.textContent = parsed.hostname || 'All sites';
+                    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+                        siteHostname = parsed.hostname;
+                    }
+                } catch {
+                    siteLabel.textContent = 'All sites';
+                }
+            } else {
+                siteLabel.textContent = 'New Tab';
+            }
+        } catch {
+            siteLabel.textContent = 'All sites';
+        }
+    }
+
+    // Per-site settings only make sense for web pages
+    const siteSection = document.getElementById('shields-site-section');
+    if (siteHostname) {
+        siteSection.dataset.hostname = siteHostname;
+        ipcRenderer.send('shields-get-site', siteHostname);
+    } else {
+        delete siteSection.dataset.hostname;
+        siteSection.classList.add('hidden');
+    }
+}
+
+/**
+ * Show the Shields settings of the active tab's site
+ * @param {Object} data - { hostname, profile, customized }
+ */
+function renderShieldsSiteProfile(data) {
+    const siteSection = document.getElementById('shields-site-section');
+    if (!siteSection || siteSection.dataset.hostname !== data.hostname) return;
+
+    siteSection.querySelectorAll('.shields-site-toggle').forEach(toggle => {
+        toggle.checked = data.profile[toggle.dataset.shield] === true;
+    });
+    siteSection.classList.toggle('shields-down', !data.profile.enabled);
+    document.getElementById('shields-site-reset').classList.toggle('hidden', !data.customized);
+    siteSection.classList.remove('hidden');
+}
+
+/**
+ * Update shield button UI based on state
+ * @param {boolean} enabled - Whether ad blocker is enabled
+ * @param {number} count - Number of blocked ads in current tab
+ */
+function updateShieldUI(enabled, count = 0) {
+    const shieldBtn = document.getElementById('shield-btn');
+    const shieldToggle = document.getElementById('shields-toggle');
+    const shieldStatus = document.getElementById('shields-status');
+    
+    // Update button style
+    if (enabled) {
+        shieldBtn.classList.remove('shield-disabled');
+        shieldBtn.classList.add('shield-active');
+    } else {
+        shieldBtn.classList.remove('shield-active');
+        shieldBtn.classList.add('shield-disabled');
+    }
+    
+    // Update toggle switch
+    if (shieldToggle) {
+        shieldToggle.checked = enabled;
+    }
+    
+    // Update status text
+    if (shieldStatus) {
+        if (enabled) {
+            shieldStatus.innerHTML = '<i class="fas fa-check-circle"></i> Protection active';
+            shieldStatus.classList.remove('disabled');
+        } else {
+            shieldStatus.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Protection disabled';
+            shieldStatus.classList.add('disabled');
         }
+    }
+    
+    // Update shield count
+    updateShieldButtonCount(count);
+}
+
+/**
+ * Update shield button count badge
+ * @param {number} count - Number of blocked ads
+ */
+function updateShieldButtonCount(count) {
+    const shieldCount = document.getElementById('shield-count');
+    if (shieldCount) {
+        shieldCount.textContent = count > 0 ? count : '0';
+        shieldCount.classList.toggle('visible', count > 0);
+    }
+}
+
+/**
+ * Render whitelist in shields panel
+ * @param {Array} whitelist - List of whitelisted domains
+ */
+function renderWhitelist(whitelist) {
+    const container = document.getElementById('shields-whitelist-list');
+    const countEl = document.getElementById('shields-whitelist-count');
+    
+    if (!container) return;
+    
+    // Update count
+    if (countEl) {
+        countEl.textContent = `${whitelist.length} site${whitelist.length !== 1 ? 's' : ''}`;
+    }
+    
+    if (whitelist.length === 0) {
+        container.innerHTML = '<div class="shields-whitelist-empty">No whitelisted sites</div>';
+        return;
+    }
+    
+    container.innerHTML = whitelist.map(domain => `
+        <div class="shields-whitelist-item" data-domain="${domain}">
+            <span class="shields-whitelist-domain">
+                <i class="fas fa-globe"></i>
+                ${domain}
+            </span>
+            <button class="shields-whitelist-remove" title="Remove from whitelist">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `).join('');
+    
+    // Add remove handlers
+    container.querySelectorAll('.shields-whitelist-remove').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const domain = btn.closest('.shields-whitelist-item').dataset.domain;
+            ipcRenderer.send('adblock-whitelist-remove', domain);
+        });
     });
+}
+
+/**
+ * Add current site to whitelist
+ */
+function whitelistCurrentSite() {
+    const activeWebview = tabManager.getActiveWebview();
+    if (!activeWebview) return;
+    
+    try {
+        const url = activeWebview.getURL();
+        if (!url || url === 'about:blank' || url.includes('homepage.html')) {
+            alert('Cannot whitelist this page');
+            return;
+        }
+        
+        const hostname = new URL(url).hostname;
+        ipcRenderer.send('adblock-whitelist-add', hostname);
+        
+        // Update UI
+        const btn = document.getElementById('shields-whitelist-site');
+        if (btn) {
+            const originalText = btn.innerHTML;
+            btn.innerHTML = '<i class="fas fa-check"></i> Added!';
+            btn.disabled = true;
+            setTimeout(() => {
+                btn.innerHTML = originalText;
+                btn.disabled = false;
+            }, 1500);
+        }
+    } catch (err) {
+        console.error('Failed to whitelist site:', err);
+    }
+}
+
+/**
+ * Check whether a tab shows the local interstitial page (HTTPS-Only fallback)
+ * @param {string} url - The tab URL
+ * @returns {boolean}
+ */
+function isInterstitialUrl(url) {
+    return url.startsWith('file://') && url.includes('/interstitial.html?');
+}
+
+/**
+ * URL to show in the URL bar: an interstitial shows the page it stands in for
+ * @param {string} url - The tab URL
+ * @returns {string}
+ */
+function getDisplayUrl(url) {
+    if (!isInterstitialUrl(url)) return url;
+    try {
+        return new URL(url).searchParams.get('url') || url;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Update shields stats display
+ * @param {Object} stats - Ad blocker stats
+ */
+function updateShieldsStats(stats) {
+    // Update shields panel stats
+    const blockedCount = document.getElementById('shields-blocked-count');
+    const totalBlocked = document.getElementById('shields-total-blocked');
+    const paramsRemoved = document.getElementById('shields-params-removed');
+    
+    if (blockedCount) {
+        blockedCount.textContent = stats.sessionBlocked || 0;
+    }
+    
+    if (totalBlocked) {
+        totalBlocked.textContent = stats.totalBlocked || 0;
+    }
+
+    // Tracking parameters removed on the active tab's page
+    if (paramsRemoved && stats.tab && stats.tab.id === getActiveWebContentsId()) {
+        paramsRemoved.textContent = stats.tab?.paramsRemoved || 0;
+    }
+
+    renderCategoryStats(stats);
+    
+    // Update shield button count with current tab's stats
+    if (stats.tab && stats.tab.id === getActiveWebContentsId()) {
+        updateShieldButtonCount(stats.tab.blocked);
+    } else if (!stats.tab) {
+        updateShieldButtonCount(tabManager.getCurrentTabShieldCount());
+    }
+}
+
+// Blocking categories shown in the Shields panel; the first five can be switched off
+const BLOCKING_CATEGORY_LABELS = {
+    ads: 'Ads',
+    trackers: 'Trackers',
+    social: 'Social widgets',
+    cryptominers: 'Cryptominers',
+    annoyances: 'Annoyances',
+    fingerprinting: 'Fingerprinting',
+    scripts: 'Scripts',
+    user: 'Custom rules'
+};
+
+/**
+ * Render blocked counts per category (this page and this session) with the
+ * global on/off switch of each category
+ * @param {Object} stats - Ad blocker stats
+ */
+function renderCategoryStats(stats) {
+    const container = document.getElementById('shields-category-stats');
+    if (!container || !stats.categories) return;
+
+    const pageCounts = stats.tab?.byCategory || {};
+    const sessionCounts = stats.sessionByCategory || {};
+
+    // Switchable categories are always listed, the others once something was blocked
+    const categories = Object.keys(BLOCKING_CATEGORY_LABELS).filter(category =>
+        category in stats.categories || pageCounts[category] || sessionCounts[category]
+    );
+
+    container.innerHTML = categories.map(category => {
+        const switchable = category in stats.categories;
+        return `
+            <div class="shields-category-row${switchable && !stats.categories[category] ? ' off' : ''}">
+                <span class="shields-site-label">${BLOCKING_CATEGORY_LABELS[category]}</span>
+                <span class="shields-category-count" title="Blocked on this page">${pageCounts[category] || 0}</span>
+                <span class="shields-category-count" title="Blocked this session">${sessionCounts[category] || 0}</span>
+                ${switchable ? `
+                    <label class="toggle-switch small" title="Block ${BLOCKING_CATEGORY_LABELS[category].toLowerCase()} on all sites">
+                        <input type="checkbox" class="shields-category-toggle" data-category="${category}" ${stats.categories[category] ? 'checked' : ''}>
+                        <span class="toggle-slider"></span>
+                    </label>
+                ` : '<span class="shields-category-toggle-placeholder"></span>'}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Pulse animation when ad is blocked
+ */
+function pulseShieldCount() {
+    const shieldCount = document.getElementById('shield-count');
+    if (shieldCount) {
+        shieldCount.classList.add('pulse');
+        setTimeout(() => shieldCount.classList.remove('pulse'), 300);
+    }
+}
+
+/**
+ * Setup shield panel event listeners
+ */
+function setupShieldsPanelListeners() {
+    // Toggle switch handler
+    const shieldsToggle = document.getElementById('shields-toggle');
+    if (shieldsToggle) {
+        shieldsToggle.addEventListener('change', () => {
+            ipcRenderer.send('adblock-toggle');
+        });
+    }
+    
+    // Whitelist current site button
+    const whitelistBtn = document.getElementById('shields-whitelist-site');
+    if (whitelistBtn) {
+        whitelistBtn.addEventListener('click', whitelistCurrentSite);
+    }
+
+    // Per-site Shields toggles - the page is reloaded so the new settings apply
+    const siteSection = document.getElementById('shields-site-section');
+    siteSection.querySelectorAll('.shields-site-toggle').forEach(toggle => {
+        toggle.addEventListener('change', () => {
+            const hostname = siteSection.dataset.hostname;
+            if (!hostname) return;
+            ipcRenderer.send('shields-set-site', {
+                hostname,
+                key: toggle.dataset.shield,
+                value: toggle.checked
+            });
+            tabManager.getActiveWebview()?.reload();
+        });
+    });
+
+    document.getElementById('shields-site-reset').addEventListener('click', () => {
+        const hostname = siteSection.dataset.hostname;
+        if (!hostname) return;
+        ipcRenderer.send('shields-reset-site', hostname);
+        tabManager.getActiveWebview()?.reload();
+    });
+
+    // Global category toggles (rendered with the stats) - sites without an override follow them
+    document.getElementById('shields-category-stats').addEventListener('change', (e) => {
+        const toggle = e.target.closest('.shields-category-toggle');
+        if (!toggle) return;
+        ipcRenderer.send('adblock-set-category', {
+            category: toggle.dataset.category,
+            enabled: toggle.checked
+        });
+        refreshShieldsPanel();
+        tabManager.getActiveWebview()?.reload();
+    });
+}
+
+/**
+ * Element Zapper - pick an element in the page and save a hide rule for it
+ */
+const ELEMENT_PICKER_SCRIPT = `
+    new Promise((resolve) => {
+        if (window.__yarvixPickerActive) return resolve(null);
+        window.__yarvixPickerActive = true;
+
+        const highlight = document.createElement('div');
+        highlight.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;' +
+            'background:rgba(99,102,241,0.25);border:2px solid #6366f1;border-radius:3px;transition:all 0.05s;';
+        const label = document.createElement('div');
+        label.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;padding:3px 6px;' +
+            'background:#6366f1;color:#fff;font:11px monospace;border-radius:3px;max-width:60vw;' +
+            'overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+        document.documentElement.append(highlight, label);
+
+        // Ids/classes with long digit runs or hashes are usually generated and change between loads
+        const isStable = (name) => name && !/\\d{3,}|[a-f0-9]{8,}|^(is|has)-|active|hover|focus|selected|open/i.test(name);
+
+        const describe = (el) => {
+            if (el.id && isStable(el.id)) return '#' + CSS.escape(el.id);
+            let part = el.localName;
+            const classes = Array.from(el.classList).filter(isStable).slice(0, 3);
+            if (classes.length) part += '.' + classes.map(c => CSS.escape(c)).join('.');
+            const parent = el.parentElement;
+            if (parent) {
+                const siblings = Array.from(parent.children).filter(c => c.localName === el.localName);
+                if (siblings.length > 1 && parent.querySelectorAll(':scope > ' + part).length > 1) {
+                    part += ':nth-of-type(' + (siblings.indexOf(el) + 1) + ')';
+                }
+            }
+            return part;
+        };
+
+        // Walk up until the selector matches only the picked element (max 5 levels)
+        const buildSelector = (el) => {
+            const parts = [];
+            let current = el;
+            while (current && current !== document.documentElement && parts.length < 5) {
+                parts.unshift(describe(current));
+                const selector = parts.join(' > ');
+                if (parts[0].startsWith('#') || document.querySelectorAll(selector).length === 1) return selector;
+                current = current.parentElement;
+            }
+            return parts.join(' > ');
+        };
+
+        let target = null;
+        const onMove = (e) => {
+            const el = document.elementFromPoint(e.clientX, e.clientY);
+            if (!el || el === target || el === document.documentElement || el === document.body) return;
+            target = el;
+            const rect = el.getBoundingClientRect();
+            Object.assign(highlight.style, {
+                left: rect.left + 'px', top: rect.top + 'px',
+                width: rect.width + 'px', height: rect.height + 'px'
+            });
+            label.textContent = buildSelector(el);
+            label.style.left = Math.max(0, rect.left) + 'px';
+            label.style.top = Math.max(0, rect.top - 22) + 'px';
+        };
+
+        const finish = (result) => {
+            document.removeEventListener('mousemove', onMove, true);
+            document.removeEventListener('click', onClick, true);
+            document.removeEventListener('keydown', onKey, true);
+            highlight.remove();
+            label.remove();
+            window.__yarvixPickerActive = false;
+            resolve(result);
+        };
+
+        const onClick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (!target) return finish(null);
+            const selector = buildSelector(target);
+            target.style.setProperty('display', 'none', 'important');
+            finish(selector);
+        };
+
+        const onKey = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(null);
+            }
+        };
+
+        document.addEventListener('mousemove', onMove, true);
+        document.addEventListener('click', onClick, true);
+        document.addEventListener('keydown', onKey, true);
+    })
+`;
+
+/**
+ * Start the element zapper in the active tab
+ */
+function startElementZapper() {
+    const webview = tabManager.getActiveWebview();
+    if (!webview) return;
+
+    let hostname;
+    try {
+        const url = new URL(webview.getURL());
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Not a web page');
+        hostname = url.hostname;
+    } catch {
+        showToast('Elements can only be hidden on web pages');
+        return;
+    }
+
+    document.getElementById('shields-panel').classList.add('hidden');
+    webview.focus();
+    showToast('Click an element to hide it (Esc to cancel)');
+
+    webview.executeJavaScript(ELEMENT_PICKER_SCRIPT).then(selector => {
+        if (!selector) return;
+        ipcRenderer.send('adblock-add-cosmetic-rule', { hostname, selector });
+        showToast(`Hidden on ${hostname}`);
+    }).catch(err => {
+        console.error('Element picker failed:', err);
+    });
+}
+
+/**
+ * Render the custom rules list in the Shields panel
+ * @param {string[]} rules - Rule texts
+ */
+function renderUserRules(rules) {
+    const container = document.getElementById('shields-user-rules');
+    const countEl = document.getElementById('shields-user-rules-count');
+    if (!container) return;
+
+    countEl.textContent = `${rules.length} rule${rules.length !== 1 ? 's' : ''}`;
+
+    if (rules.length === 0) {
+        container.innerHTML = '<div class="shields-whitelist-empty">No custom rules. Use "Hide an element" to add one.</div>';
+        return;
+    }
+
+    container.innerHTML = rules.map(rule => `
+        <div class="shields-user-rule" data-rule="${escapeHtml(rule).replace(/"/g, '&quot;')}">
+            <span class="shields-user-rule-text" title="${escapeHtml(rule).replace(/"/g, '&quot;')}">${escapeHtml(rule)}</span>
+            <button class="shields-user-rule-edit" title="Edit rule"><i class="fas fa-pen"></i></button>
+            <button class="shields-user-rule-delete" title="Delete rule"><i class="fas fa-times"></i></button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Turn a custom rule row into an inline editor
+ * @param {HTMLElement} row - The .shields-user-rule element
+ */
+function editUserRule(row) {
+    const oldRule = row.dataset.rule;
+    const textEl = row.querySelector('.shields-user-rule-text');
+    if (!textEl) return;
+
+    const input = document.createElement('input');
+    input.className = 'shields-user-rule-input';
+    input.value = oldRule;
+    input.spellcheck = false;
+    textEl.replaceWith(input);
+    input.focus();
+
+    let done = false;
+    const save = () => {
+        if (done) return;
+        done = true;
+        const newRule = input.value.trim();
+        if (newRule && newRule !== oldRule) {
+            ipcRenderer.send('adblock-update-user-rule', { oldRule, newRule });
+        } else {
+            ipcRenderer.send('adblock-get-user-rules');
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') {
+            done = true;
+            ipcRenderer.send('adblock-get-user-rules');
+        }
+    });
+    input.addEventListener('blur', save);
+}
+
+function setupUserRules() {
+    document.getElementById('shields-zap-element').addEventListener('click', startElementZapper);
+
+    document.getElementById('shields-user-rules').addEventListener('click', (e) => {
+        const row = e.target.closest('.shields-user-rule');
+        if (!row) return;
+        if (e.target.closest('.shields-user-rule-delete')) {
+            ipcRenderer.send('adblock-remove-user-rule', row.dataset.rule);
+        } else if (e.target.closest('.shields-user-rule-edit')) {
+            editUserRule(row);
+        }
+    });
+
+    ipcRenderer.on('adblock-user-rules', (event, data) => {
+        renderUserRules(data.rules || []);
+    });
+
+    ipcRenderer.on('adblock-user-rule-error', (event, data) => {
+        showToast(`Invalid rule: ${escapeHtml(data.rule)}`);
+    });
+
+    ipcRenderer.send('adblock-get-user-rules');
+}
+
+/**
+ * Filter Lists - subscriptions shown in the Shields panel
+ * @param {Object[]} lists - List metadata from the main process
+ */
+function renderFilterLists(lists) {
+    const container = document.getElementById('shields-filter-lists');
+    const countEl = document.getElementById('shields-filter-lists-count');
+    if (!container) return;
+
+    countEl.textContent = `${lists.length} list${lists.length !== 1 ? 's' : ''}`;
+
+    if (lists.length === 0) {
+        container.innerHTML = '<div class="shields-whitelist-empty">No filter lists. Add one by URL or import a file.</div>';
+        return;
+    }
+
+    container.innerHTML = lists.map(list => {
+        const title = escapeHtml(list.title);
+        const details = [
+            list.version ? `v${escapeHtml(list.version)}` : null,
+            `${(list.ruleCount || 0).toLocaleString()} rules`,
+            list.lastUpdated ? `updated ${new Date(list.lastUpdated).toLocaleDateString()}` : null
+        ].filter(Boolean).join(' · ');
+        const source = escapeHtml(list.sourceUrl || list.sourceFile || `${list.id}.txt`).replace(/"/g, '&quot;');
+
+        return `
+            <div class="shields-filter-list${list.enabled ? '' : ' disabled'}" data-id="${escapeHtml(list.id).replace(/"/g, '&quot;')}">
+                <div class="shields-filter-list-info">
+                    <span class="shields-filter-list-title">
+                        ${/^https?:\/\//.test(list.homepage || '') ? `<a href="#" data-homepage="${escapeHtml(list.homepage).replace(/"/g, '&quot;')}" title="${source}">${title}</a>` : `<span title="${source}">${title}</span>`}
+                    </span>
+                    <span class="shields-filter-list-meta">${details}</span>
+                </div>
+                <button class="shields-filter-list-update" title="Update from ${list.sourceUrl ? 'URL' : 'file'}"><i class="fas fa-rotate"></i></button>
+                <button class="shields-filter-list-remove" title="Remove list"><i class="fas fa-times"></i></button>
+                <label class="toggle-switch small" title="Use this list">
+                    <input type="checkbox" class="shields-filter-list-toggle" ${list.enabled ? 'checked' : ''}>
+                    <span class="toggle-slider"></span>
+                </label>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Wire up the Filter lists section (toggle, update, remove, import by URL or file)
+ */
+function setupFilterLists() {
+    const container = document.getElementById('shields-filter-lists');
+    const urlInput = document.getElementById('filter-list-url');
+
+    container.addEventListener('click', (e) => {
+        const row = e.target.closest('.shields-filter-list');
+        if (!row) return;
+
+        const homepageLink = e.target.closest('a[data-homepage]');
+        if (homepageLink) {
+            e.preventDefault();
+            tabManager.createTab(homepageLink.dataset.homepage);
+            return;
+        }
+
+        if (e.target.closest('.shields-filter-list-update')) {
+            row.querySelector('.shields-filter-list-update i').classList.add('fa-spin');
+            ipcRenderer.send('filter-lists-update', row.dataset.id);
+        } else if (e.target.closest('.shields-filter-list-remove')) {
+            ipcRenderer.send('filter-lists-remove', row.dataset.id);
+        }
+    });
+
+    container.addEventListener('change', (e) => {
+        const toggle = e.target.closest('.shields-filter-list-toggle');
+        if (!toggle) return;
+        ipcRenderer.send('filter-lists-set-enabled', {
+            id: toggle.closest('.shields-filter-list').dataset.id,
+            enabled: toggle.checked
+        });
+    });
+
+    const addUrl = () => {
+        const url = urlInput.value.trim();
+        if (!url) return;
+        ipcRenderer.send('filter-lists-import-url', url);
+        urlInput.value = '';
+        showToast('Downloading filter list...');
+    };
+    document.getElementById('filter-list-add-url').addEventListener('click', addUrl);
+    urlInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addUrl();
+    });
+
+    document.getElementById('filter-list-import-file').addEventListener('click', () => {
+        ipcRenderer.send('filter-lists-import-file');
+    });
+
+    ipcRenderer.on('filter-lists', (event, data) => {
+        renderFilterLists(data.lists || []);
+    });
+
+    ipcRenderer.on('filter-lists-updated', (event, data) => {
+        showToast(`${escapeHtml(data.title)}: ${(data.ruleCount || 0).toLocaleString()} rules loaded`);
+    });
+
+    ipcRenderer.on('filter-lists-error', (event, data) => {
+        showToast(`Filter list not loaded: ${escapeHtml(data.message)}`);
+    });
+
+    ipcRenderer.send('filter-lists-get');
+}
+
+/**
+ * Tracking parameters - the editable rule list of the URL cleaner (one rule per line)
+ */
+function setupParamRules() {
+    const textarea = document.getElementById('tracking-param-rules');
+    const countEl = document.getElementById('tracking-param-rules-count');
+
+    document.getElementById('tracking-param-rules-save').addEventListener('click', () => {
+        const rules = textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+        ipcRenderer.send('adblock-set-param-rules', rules);
+    });
+
+    document.getElementById('tracking-param-rules-reset').addEventListener('click', () => {
+        ipcRenderer.send('adblock-reset-param-rules');
+    });
+
+    ipcRenderer.on('adblock-param-rules', (event, data) => {
+        const rules = data.rules || [];
+        textarea.value = rules.join('\n');
+        countEl.textContent = `${rules.length} rule${rules.length !== 1 ? 's' : ''}`;
+        if (data.invalid && data.invalid.length) {
+            showToast(`Invalid rule${data.invalid.length !== 1 ? 's' : ''} skipped: ${escapeHtml(data.invalid.join(', '))}`);
+        }
+    });
+
+    ipcRenderer.send('adblock-get-param-rules');
+}
+
+/**
+ * HTTPS-Only Mode - global switch and the sites allowed to load over HTTP
+ */
+function setupHttpsOnly() {
+    const toggle = document.getElementById('https-only-toggle');
+    const container = document.getElementById('https-only-exceptions');
+
+    toggle.addEventListener('change', () => {
+        ipcRenderer.send('https-only-set-enabled', toggle.checked);
+    });
+
+    container.addEventListener('click', (e) => {
+        const btn = e.target.closest('.shields-whitelist-remove');
+        if (!btn) return;
+        ipcRenderer.send('https-only-remove-exception', btn.closest('.shields-whitelist-item').dataset.domain);
+    });
+
+    ipcRenderer.on('https-only-state', (event, state) => {
+        httpsOnlyState = state;
+        toggle.checked = state.enabled;
+        renderHttpsOnlyExceptions(state.exceptions);
+
+        const activeWebview = tabManager.getActiveWebview();
+        if (activeWebview) {
+            try {
+                tabManager.updateSecurityIcon(activeWebview.getURL() || '');
+            } catch {
+                // Webview not attached yet
+            }
+        }
+    });
+
+    ipcRenderer.send('https-only-get');
+}
+
+/**
+ * Render the HTTPS-Only exceptions in the Shields panel
+ * @param {string[]} exceptions - Hostnames allowed to load over HTTP
+ */
+function renderHttpsOnlyExceptions(exceptions) {
+    const container = document.getElementById('https-only-exceptions');
+    const countEl = document.getElementById('https-only-exceptions-count');
+    if (!container) return;
+
+    countEl.textContent = `${exceptions.length} exception${exceptions.length !== 1 ? 's' : ''}`;
+
+    if (exceptions.length === 0) {
+        container.innerHTML = '<div class="shields-whitelist-empty">Every site is upgraded to HTTPS</div>';
+        return;
+    }
+
+    container.innerHTML = exceptions.map(hostname => `
+        <div class="shields-whitelist-item" data-domain="${escapeHtml(hostname).replace(/"/g, '&quot;')}">
+            <span class="shields-whitelist-domain">
+                <i class="fas fa-unlock"></i>
+                ${escapeHtml(hostname)}
+            </span>
+            <button class="shields-whitelist-remove" title="Upgrade this site to HTTPS again">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Site Information - popover opened from the security icon in the URL bar: connection,
+ * site data, permissions, Shields counts and saved passwords of the active tab's site
+ */
+function setupSiteInfo() {
+    const panel = document.getElementById('site-info-panel');
+
+    document.getElementById('security-icon').addEventListener('click', () => {
+        document.querySelectorAll('.panel').forEach(p => {
+            if (p.id !== 'site-info-panel') p.classList.add('hidden');
+        });
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) refreshSiteInfo();
+    });
+
+    document.getElementById('close-site-info').addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+
+    document.getElementById('site-info-clear').addEventListener('click', () => {
+        const info = panel.dataset;
+        if (!info.url) return;
+        if (confirm(`Delete cookies and site data stored by ${info.hostname}? You may be signed out of the site.`)) {
+            ipcRenderer.send('site-info-clear-data', { url: info.url, tabId: getActiveWebContentsId() });
+        }
+    });
+
+    document.getElementById('site-info-forget').addEventListener('click', () => {
+        const info = panel.dataset;
+        if (!info.url) return;
+        if (confirm(`Forget ${info.hostname}? Its cookies, site data, history, saved passwords, permissions and Shields settings will be deleted.`)) {
+            ipcRenderer.send('site-info-forget', { url: info.url, tabId: getActiveWebContentsId() });
+        }
+    });
+
+    // Links to the full panels
+    panel.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-open]');
+        if (!link) return;
+        if (link.dataset.open === 'certificate-panel') {
+            panel.classList.add('hidden');
+            document.getElementById('certificate-panel').classList.remove('hidden');
+            refreshCertificateViewer();
+        } else if (link.dataset.open === 'site-data-panel') {
+            const activeTab = tabs.find(t => t.id === activeTabId);
+            openSiteDataManager(panel.dataset.hostname.replace(/^www\./, ''), activeTab?.containerId || null);
+        } else {
+            document.getElementById(link.dataset.open).click();
+        }
+    });
+
+    panel.addEventListener('change', (e) => {
+        if (e.target.id === 'site-info-container-rule') {
+            ipcRenderer.send('containers-set-site-rule', {
+                hostname: panel.dataset.hostname,
+                containerId: e.target.value || null
+            });
+            return;
+        }
+        if (e.target.id === 'site-info-container-reopen') {
+            if (e.target.value) {
+                openInContainer(panel.dataset.url, e.target.value === 'none' ? null : e.target.value, activeTabId);
+                panel.classList.add('hidden');
+            }
+            return;
+        }
+
+        const select = e.target.closest('.permission-select');
+        if (!select) return;
+        ipcRenderer.send('permissions-set-site', {
+            origin: select.dataset.origin,
+            type: select.dataset.type,
+            value: select.value
+        });
+    });
+
+    ipcRenderer.on('site-info', (event, info) => {
+        renderSiteInfo(info);
+    });
+
+    ipcRenderer.on('permissions', () => {
+        if (!panel.classList.contains('hidden')) refreshSiteInfo();
+    });
+
+    ipcRenderer.on('site-info-cleared', (event, result) => {
+        if (!result.success) {
+            showToast(`Could not clear site data: ${escapeHtml(result.error)}`);
+            return;
+        }
+        if (result.forgotten) {
+            history = history.filter(item => {
+                try {
+                    return new URL(item.url).hostname !== result.hostname;
+                } catch {
+                    return true;
+                }
+            });
+            localStorage.setItem('browserHistory', JSON.stringify(history));
+            renderHistory();
+            showToast(`Forgot ${escapeHtml(result.hostname)}`);
+        } else {
+            showToast('Site data cleared. Reload the page to sign in again');
+        }
+    });
+}
+
+/**
+ * Refresh the site info popover or certificate viewer, whichever is open, after the
+ * active tab changed page
+ */
+function refreshSecurityPanels() {
+    if (!document.getElementById('site-info-panel').classList.contains('hidden')) {
+        refreshSiteInfo();
+    }
+    if (!document.getElementById('certificate-panel').classList.contains('hidden')) {
+        refreshCertificateViewer();
+    }
+}
+
+/**
+ * Ask the main process about the active tab's site
+ */
+function refreshSiteInfo() {
+    let url = '';
+    try {
+        url = getDisplayUrl(tabManager.getActiveWebview()?.getURL() || '');
+    } catch {
+        // Webview not attached yet
+    }
+    ipcRenderer.send('site-info-get', { url, tabId: getActiveWebContentsId() });
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "1.2 MB"
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * Render the site info popover
+ * @param {Object} info - Site details from the main process (see sendSiteInfo in main.js)
+ */
+function renderSiteInfo(info) {
+    const panel = document.getElementById('site-info-panel');
+    const container = document.getElementById('site-info-details');
+    const actions = document.getElementById('site-info-actions');
+
+    if (!info.isWeb) {
+        panel.dataset.url = '';
+        panel.dataset.hostname = '';
+        document.getElementById('site-info-host').textContent = 'Site information';
+        actions.classList.add('hidden');
+        container.innerHTML = `
+            <div class="site-settings-section">
+                <div class="certificate-status">
+                    <i class="fas fa-circle-info"></i>
+                    <div>This is a browser page<small>It has no site data or permissions.</small></div>
+                </div>
+            </div>
+        `;
+        return;
+    }
+
+    panel.dataset.url = info.url;
+    panel.dataset.hostname = info.hostname;
+    document.getElementById('site-info-host').textContent = info.hostname;
+    actions.classList.remove('hidden');
+
+    // Connection
+    let connection;
+    if (!info.isHttps) {
+        connection = ['fa-triangle-exclamation', 'Connection is not secure', info.httpsOnlyException
+            ? 'You chose to load this site over HTTP in HTTPS-Only Mode.'
+            : 'This page is not loaded over HTTPS, so others on the network can see or change it.', true];
+    } else if (!info.certificate) {
+        connection = ['fa-lock', 'Connection is encrypted', 'Reload the page to see its certificate.', false];
+    } else if (info.certificate.error) {
+        connection = ['fa-triangle-exclamation', 'Certificate not trusted',
+            `You chose to proceed anyway (${escapeHtml(info.certificate.error)}).`, true];
+    } else {
+        const cert = info.certificate.certificate;
+        connection = ['fa-lock', 'Connection is secure',
+            `Verified by ${escapeHtml(cert.issuerOrganization || cert.issuer)}`, false];
+    }
+    const [icon, text, detail, warning] = connection;
+
+    const row = (label, value) => `
+        <div class="shields-site-row">
+            <span class="shields-site-label">${label}</span>
+            <span class="site-info-value">${value}</span>
+        </div>
+    `;
+    const link = (panelId, text) => `<button class="shields-link-btn" data-open="${panelId}">${text}</button>`;
+
+    // Permissions set for the site
+    const permissionTypes = Object.keys(PERMISSION_LABELS).filter(type => info.permissions[type]);
+    const permissionsHtml = permissionTypes.length === 0
+        ? '<div class="shields-whitelist-empty">No permissions allowed or blocked</div>'
+        : permissionTypes.map(type => `
+            <div class="shields-site-row">
+                <span class="shields-site-label"><i class="fas ${PERMISSION_LABELS[type].icon}"></i> ${PERMISSION_LABELS[type].name}</span>
+                ${renderPermissionSelect(type, info.permissions[type], info.origin)}
+            </div>
+        `).join('');
+
+    // Container of the tab, and the site's "always open in" rule
+    let containerHtml = '';
+    if (!privatePartition) {
+        const activeTab = tabs.find(t => t.id === activeTabId);
+        const tabContainer = getContainer(activeTab?.containerId);
+        const site = info.hostname.replace(/^www\./, '');
+        const rule = containersState.siteRules.find(r => r.site === site);
+        const options = (selectedId) => containersState.containers.map(c => `
+            <option value="${escapeHtml(c.id)}" ${c.id === selectedId ? 'selected' : ''}>${escapeHtml(c.name)}</option>
+        `).join('');
+
+        containerHtml = `
+            <div class="site-settings-section">
+                <div class="shields-section-header">
+                    <i class="fas fa-layer-group"></i> Container
+                    <span class="site-info-value">${tabContainer ? escapeHtml(tabContainer.name) : 'None'}</span>
+                </div>
+                <div class="shields-site-row">
+                    <span class="shields-site-label">Always open ${escapeHtml(site)} in</span>
+                    <select class="permission-select" id="site-info-container-rule">
+                        <option value="">Any container</option>
+                        ${options(rule?.containerId)}
+                    </select>
+                </div>
+                <div class="shields-site-row">
+                    <span class="shields-site-label">Reopen this page in</span>
+                    <select class="permission-select" id="site-info-container-reopen">
+                        <option value="">Choose...</option>
+                        ${tabContainer ? '<option value="none">No container</option>' : ''}
+                        ${options(null)}
+                    </select>
+                </div>
+            </div>
+        `;
+    }
+
+    const { cookies, storageUsage } = info.siteData;
+    const credentialsHtml = info.credentials.length === 0
+        ? '<div class="shields-whitelist-empty">No saved passwords</div>'
+        : info.credentials.map(name => row(`<i class="fas fa-user"></i> ${escapeHtml(name)}`, '')).join('');
+
+    container.innerHTML = `
+        <div class="site-settings-section">
+            <div class="certificate-status${warning ? ' warning' : ''}">
+                <i class="fas ${icon}"></i>
+                <div>${text}<small>${detail}</small></div>
+            </div>
+            ${info.isHttps ? link('certificate-panel', 'View certificate') : ''}
+        </div>
+        <div class="site-settings-section">
+            <div class="shields-section-header">
+                <i class="fas fa-cookie-bite"></i> Cookies and site data
+                ${link('site-data-panel', 'Manage')}
+            </div>
+            ${row('Cookies', cookies)}
+            ${row('Stored data', storageUsage === null ? '—' : formatBytes(storageUsage))}
+        </div>
+        <div class="site-settings-section">
+            <div class="shields-section-header">
+                <i class="fas fa-sliders"></i> Permissions
+                ${link('site-settings-btn', 'All sites')}
+            </div>
+            ${permissionsHtml}
+        </div>
+        <div class="site-settings-section">
+            <div class="shields-section-header">
+                <i class="fas fa-shield-halved"></i> Shields ${info.shields.enabled ? 'up' : 'down'}
+                ${link('shield-btn', 'Settings')}
+            </div>
+            ${row('Ads & trackers blocked', info.shields.blocked)}
+            ${row('Tracking parameters removed', info.shields.paramsRemoved)}
+        </div>
+        ${containerHtml}
+        <div class="site-settings-section">
+            <div class="shields-section-header">
+                <i class="fas fa-key"></i> Saved passwords
+                ${link('credentials-btn', 'Manage')}
+            </div>
+            ${credentialsHtml}
+        </div>
+    `;
+}
+
+/**
+ * Certificate Viewer - the active tab's connection and certificate, opened from
+ * the site info popover
+ */
+function setupCertificateViewer() {
+    const panel = document.getElementById('certificate-panel');
+
+    document.getElementById('close-certificate').addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+
+    ipcRenderer.on('certificate-info', (event, info) => {
+        renderCertificateInfo(info);
+    });
+}
+
+/**
+ * Ask the main process for the certificate of the active tab's page
+ */
+function refreshCertificateViewer() {
+    let url = '';
+    try {
+        url = getDisplayUrl(tabManager.getActiveWebview()?.getURL() || '');
+    } catch {
+        // Webview not attached yet
+    }
+    ipcRenderer.send('certificate-get', url);
+}
+
+/**
+ * Render the certificate viewer
+ * @param {Object} info - { url, hostname, isHttps, result } from the main process
+ */
+function renderCertificateInfo(info) {
+    const container = document.getElementById('certificate-details');
+    const status = (icon, text, detail, warning) => `
+        <div class="certificate-status${warning ? ' warning' : ''}">
+            <i class="fas ${icon}"></i>
+            <div>${text}${detail ? `<small>${detail}</small>` : ''}</div>
+        </div>
+    `;
+
+    if (!info.isHttps) {
+        container.innerHTML = /^http:/.test(info.url)
+            ? status('fa-triangle-exclamation', `The connection to ${escapeHtml(info.hostname)} is not secure`,
+                'This page is not loaded over HTTPS, so others on the network can see or change it.', true)
+            : status('fa-circle-info', 'This is a browser page', 'It has no certificate.', false);
+        return;
+    }
+
+    const result = info.result;
+    if (!result) {
+        container.innerHTML = status('fa-circle-info', escapeHtml(info.hostname),
+            'No certificate was checked for this site yet. Reload the page to see it.', false);
+        return;
+    }
+
+    let statusHtml;
+    if (!result.error) {
+        statusHtml = status('fa-lock', 'Connection is secure', 'The certificate is valid and trusted.', false);
+    } else if (result.allowed) {
+        statusHtml = status('fa-triangle-exclamation', 'Certificate not trusted',
+            `You chose to proceed anyway (${escapeHtml(result.error)}).`, true);
+    } else {
+        statusHtml = status('fa-triangle-exclamation', 'Certificate rejected', escapeHtml(result.error), true);
+    }
+
+    const cert = result.certificate;
+    const formatDate = (ms) => new Date(ms).toLocaleString();
+    const fields = [
+        ['Issued to', cert.subject],
+        ['Organization', cert.subjectOrganization],
+        ['Issued by', cert.issuer],
+        ['Issuer organization', cert.issuerOrganization],
+        ['Valid from', formatDate(cert.validStart)],
+        ['Valid until', formatDate(cert.validExpiry)],
+        ['Serial number', cert.serialNumber],
+        ['Fingerprint', cert.fingerprint]
+    ].filter(([, value]) => value);
+
+    const chain = [cert, ...cert.chain].map(entry => `<li>${escapeHtml(entry.subject)}</li>`).reverse().join('');
+
+    container.innerHTML = `
+        ${statusHtml}
+        ${fields.map(([label, value]) => `
+            <div class="certificate-field">
+                <span>${label}</span>
+                <span>${escapeHtml(value)}</span>
+            </div>
+        `).join('')}
+        <div class="certificate-chain">
+            Certification path
+            <ol>${chain}</ol>
+        </div>
+    `;
+}
+
+/**
+ * Container Tabs - tabs with their own cookie jar, the container menu next to the
+ * new tab button and the Containers panel
+ */
+function setupContainers() {
+    // Needed before the first tab is created
+    containersState = ipcRenderer.sendSync('containers-get');
+
+    const menu = document.getElementById('container-menu');
+    const panel = document.getElementById('containers-panel');
+
+    if (privatePartition) {
+        document.getElementById('container-tab-btn').classList.add('hidden');
+    }
+
+    document.getElementById('container-tab-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        renderContainerMenu();
+        menu.style.left = `${e.currentTarget.getBoundingClientRect().left}px`;
+        menu.classList.toggle('hidden');
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('#container-menu')) menu.classList.add('hidden');
+    });
+
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('.container-menu-item');
+        if (!item) return;
+        menu.classList.add('hidden');
+
+        if (item.dataset.action === 'manage') {
+            document.querySelectorAll('.panel').forEach(p => {
+                if (p.id !== 'containers-panel') p.classList.add('hidden');
+            });
+            panel.classList.remove('hidden');
+            renderContainersPanel();
+        } else {
+            tabManager.createTab(settings.homePage, { containerId: item.dataset.container || null, useRules: false });
+        }
+    });
+
+    document.getElementById('close-containers').addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+
+    document.getElementById('container-add').addEventListener('click', () => {
+        const input = document.getElementById('container-name');
+        const name = input.value.trim();
+        if (!name) return;
+        if (containersState.containers.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+            showToast(`A container named ${escapeHtml(name)} already exists`);
+            return;
+        }
+        ipcRenderer.send('containers-add', { name, color: document.getElementById('container-color').value });
+        input.value = '';
+    });
+
+    document.getElementById('container-name').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') document.getElementById('container-add').click();
+    });
+
+    panel.addEventListener('click', (e) => {
+        const newTabBtn = e.target.closest('.container-new-tab');
+        if (newTabBtn) {
+            tabManager.createTab(settings.homePage, { containerId: newTabBtn.dataset.container, useRules: false });
+            return;
+        }
+
+        const removeBtn = e.target.closest('.container-remove');
+        if (removeBtn) {
+            const container = getContainer(removeBtn.dataset.container);
+            if (!container) return;
+            if (!confirm(`Remove the ${container.name} container? Its tabs are closed and its cookies and site data are deleted.`)) return;
+
+            tabs.filter(t => t.containerId === container.id).forEach(t => tabManager.closeTab(t.id));
+            ipcRenderer.send('containers-remove', container.id);
+            return;
+        }
+
+        const ruleBtn = e.target.closest('.container-rule-remove');
+        if (ruleBtn) {
+            ipcRenderer.send('containers-set-site-rule', { hostname: ruleBtn.dataset.site, containerId: null });
+        }
+    });
+
+    ipcRenderer.on('containers', (event, state) => {
+        containersState = state;
+        tabs.forEach(updateTabContainer);
+        renderContainersPanel();
+        if (!document.getElementById('site-info-panel').classList.contains('hidden')) refreshSiteInfo();
+    });
+
+    // The tab navigated to a site that always opens in another container
+    ipcRenderer.on('open-in-container', (event, { url, containerId, webContentsId }) => {
+        const tab = tabs.find(t => {
+            try {
+                return t.webview.getWebContentsId().toString() === webContentsId;
+            } catch {
+                return false;
+            }
+        });
+        openInContainer(url, containerId, tab ? tab.id : null);
+    });
+
+    const colorSelect = document.getElementById('container-color');
+    colorSelect.innerHTML = Object.keys(containersState.colors).map(color => `
+        <option value="${color}">${color.charAt(0).toUpperCase() + color.slice(1)}</option>
+    `).join('');
+}
+
+/**
+ * Find a container
+ * @param {string|null} containerId - Container ID
+ * @returns {Object|null} - { id, name, color, partition }
+ */
+function getContainer(containerId) {
+    if (!containerId) return null;
+    return containersState.containers.find(c => c.id === containerId) || null;
+}
+
+/**
+ * Get the container a site always opens in
+ * @param {string} url - Page URL
+ * @returns {string|null} - Container ID
+ */
+function getRuleContainerId(url) {
+    if (privatePartition || containersState.siteRules.length === 0 || !/^https?:/i.test(url)) return null;
+    return ipcRenderer.sendSync('containers-match-url', url);
+}
+
+/**
+ * Show a tab's container color and name on its tab
+ * @param {Object} tab - Tab data
+ */
+function updateTabContainer(tab) {
+    const container = getContainer(tab.containerId);
+    tab.tabElement.classList.toggle('container-tab', Boolean(container));
+    if (container) {
+        tab.tabElement.style.setProperty('--container-color', containersState.colors[container.color]);
+    } else {
+        tab.tabElement.style.removeProperty('--container-color');
+    }
+    updateTabTooltip(tab);
+}
+
+/**
+ * Open a page in a container tab
+ * @param {string} url - Page to load
+ * @param {string|null} containerId - Container ID (null for no container)
+ * @param {number|null} replaceTabId - Tab the page came from; it is closed when it
+ *   has nothing else to show (new tab page or blank)
+ */
+function openInContainer(url, containerId, replaceTabId = null) {
+    tabManager.createTab(url, { containerId, useRules: false });
+
+    const oldTab = tabs.find(t => t.id === replaceTabId);
+    if (!oldTab) return;
+    let oldUrl = '';
+    try {
+        oldUrl = oldTab.webview.getURL();
+    } catch {
+        // Not attached yet: nothing loaded
+    }
+    if (!oldUrl || oldUrl === 'about:blank' || oldUrl.includes('homepage.html')) {
+        tabManager.closeTab(oldTab.id);
+    }
+}
+
+/**
+ * Build the container menu of the new tab button
+ */
+function renderContainerMenu() {
+    const dot = (color) => `<span class="container-dot" style="background: ${containersState.colors[color]}"></span>`;
+    document.getElementById('container-menu').innerHTML = `
+        <div class="container-menu-item" data-container="">
+            <i class="fas fa-plus"></i> New tab
+        </div>
+        ${containersState.containers.map(container => `
+            <div class="container-menu-item" data-container="${escapeHtml(container.id)}">
+                ${dot(container.color)} ${escapeHtml(container.name)}
+            </div>
+        `).join('')}
+        <div class="container-menu-separator"></div>
+        <div class="container-menu-item" data-action="manage">
+            <i class="fas fa-gear"></i> Manage containers
+        </div>
+    `;
+}
+
+/**
+ * Render the Containers panel
+ */
+function renderContainersPanel() {
+    const { containers, siteRules, colors } = containersState;
+    const dot = (color) => `<span class="container-dot" style="background: ${colors[color]}"></span>`;
+
+    document.getElementById('containers-count').textContent =
+        `${containers.length} container${containers.length !== 1 ? 's' : ''}`;
+    document.getElementById('containers-list').innerHTML = containers.length === 0
+        ? '<div class="shields-whitelist-empty">No containers yet</div>'
+        : containers.map(container => {
+            const openTabs = tabs.filter(t => t.containerId === container.id).length;
+            return `
+                <div class="shields-whitelist-item">
+                    <span class="shields-whitelist-domain">
+                        ${dot(container.color)} ${escapeHtml(container.name)}
+                        ${openTabs ? `<small class="container-tab-count">${openTabs} tab${openTabs !== 1 ? 's' : ''}</small>` : ''}
+                    </span>
+                    <button class="shields-link-btn container-new-tab" data-container="${escapeHtml(container.id)}" title="New tab in this container">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                    <button class="shields-whitelist-remove container-remove" data-container="${escapeHtml(container.id)}" title="Remove container">
+                        <i class="fas fa-trash-can"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+    document.getElementById('container-rules-count').textContent =
+        `${siteRules.length} site${siteRules.length !== 1 ? 's' : ''}`;
+    document.getElementById('container-rules-list').innerHTML = siteRules.length === 0
+        ? '<div class="shields-whitelist-empty">Use the site information panel to always open a site in a container</div>'
+        : siteRules.map(rule => {
+            const container = getContainer(rule.containerId);
+            return `
+                <div class="shields-whitelist-item">
+                    <span class="shields-whitelist-domain">${escapeHtml(rule.site)}</span>
+                    <span class="container-rule-target">${container ? `${dot(container.color)} ${escapeHtml(container.name)}` : ''}</span>
+                    <button class="shields-whitelist-remove container-rule-remove" data-site="${escapeHtml(rule.site)}" title="Remove rule">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+}
+
+/**
+ * Cookies and Site Data - what every site stored in the default session or a
+ * container, grouped by site, with "keep" / "clear on exit" rules
+ */
+const SITE_DATA_RULE_LABELS = {
+    '': 'Default',
+    keep: 'Keep on exit',
+    clear: 'Clear on exit'
+};
+
+// Last list from the main process: { containerId, sites, storageSize, cacheSize, rules }
+let siteDataState = { containerId: null, sites: [], storageSize: null, cacheSize: 0, rules: [] };
+// Sites whose cookie list is open
+const expandedDataSites = new Set();
+
+function setupSiteData() {
+    const panel = document.getElementById('site-data-panel');
+    const sessionSelect = document.getElementById('site-data-session');
+
+    document.getElementById('site-data-btn').addEventListener('click', () => {
+        if (panel.classList.contains('hidden')) {
+            openSiteDataManager('', sessionSelect.value || null);
+        } else {
+            panel.classList.add('hidden');
+        }
+    });
+
+    document.getElementById('close-site-data').addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+
+    document.getElementById('site-data-refresh').addEventListener('click', refreshSiteData);
+    sessionSelect.addEventListener('change', () => {
+        expandedDataSites.clear();
+        refreshSiteData();
+    });
+    document.getElementById('site-data-search').addEventListener('input', renderSiteData);
+
+    panel.addEventListener('click', (e) => {
+        const site = e.target.closest('.site-data-site')?.dataset.site;
+        if (!site) return;
+        const containerId = sessionSelect.value || null;
+
+        const cookieBtn = e.target.closest('.site-data-delete-cookie');
+        if (cookieBtn) {
+            const entry = siteDataState.sites.find(s => s.site === site);
+            const cookie = entry?.cookies[Number(cookieBtn.dataset.index)];
+            if (cookie) ipcRenderer.send('site-data-delete-cookie', { containerId, cookie });
+            return;
+        }
+
+        if (e.target.closest('.site-data-delete-site')) {
+            if (confirm(`Delete all cookies and site data stored by ${site}? You may be signed out of the site.`)) {
+                ipcRenderer.send('site-data-delete-site', { containerId, site });
+            }
+            return;
+        }
+
+        if (e.target.closest('.site-data-toggle')) {
+            if (expandedDataSites.has(site)) {
+                expandedDataSites.delete(site);
+            } else {
+                expandedDataSites.add(site);
+            }
+            renderSiteData();
+        }
+    });
+
+    panel.addEventListener('change', (e) => {
+        const select = e.target.closest('.site-data-rule');
+        if (!select) return;
+        ipcRenderer.send('site-data-set-rule', {
+            site: select.closest('.site-data-site').dataset.site,
+            rule: select.value || null
+        });
+    });
+
+    ipcRenderer.on('site-data-sites', (event, state) => {
+        if (state.containerId !== (sessionSelect.value || null)) return;
+        siteDataState = state;
+        renderSiteData();
+    });
+
+    ipcRenderer.on('site-data-rules', (event, rules) => {
+        siteDataState.rules = rules;
+        if (!panel.classList.contains('hidden')) renderSiteData();
+    });
+
+    ipcRenderer.on('containers', () => {
+        renderSiteDataSessions();
+    });
+
+    renderSiteDataSessions();
+}
+
+/**
+ * Open the site data manager
+ * @param {string} search - Text to search for (e.g. the current site)
+ * @param {string|null} containerId - Session to show: a container, or null for the default session
+ */
+function openSiteDataManager(search, containerId) {
+    document.querySelectorAll('.panel').forEach(p => {
+        if (p.id !== 'site-data-panel') p.classList.add('hidden');
+    });
+    document.getElementById('site-data-panel').classList.remove('hidden');
+    document.getElementById('site-data-search').value = search;
+
+    const sessionSelect = document.getElementById('site-data-session');
+    if (sessionSelect.value !== (containerId || '')) expandedDataSites.clear();
+    sessionSelect.value = getContainer(containerId) ? containerId : '';
+    refreshSiteData();
+}
+
+/**
+ * Ask the main process for the selected session's site data
+ */
+function refreshSiteData() {
+    document.getElementById('site-data-summary').textContent = 'Loading...';
+    ipcRenderer.send('site-data-list', { containerId: document.getElementById('site-data-session').value || null });
+}
+
+/**
+ * Fill the session select with the default session and the containers
+ */
+function renderSiteDataSessions() {
+    const sessionSelect = document.getElementById('site-data-session');
+    const selected = sessionSelect.value;
+    sessionSelect.innerHTML = `<option value="">No container</option>` + containersState.containers.map(c => `
+        <option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>
+    `).join('');
+    sessionSelect.value = getContainer(selected) ? selected : '';
+}
+
+/**
+ * Render the site data manager list, filtered by the search box
+ */
+function renderSiteData() {
+    const query = document.getElementById('site-data-search').value.trim().toLowerCase();
+    const rules = new Map(siteDataState.rules.map(r => [r.site, r.rule]));
+
+    // Sites with a rule show up even when they have nothing stored right now
+    const sites = [...siteDataState.sites];
+    for (const site of rules.keys()) {
+        if (!sites.some(s => s.site === site)) {
+            sites.push({ site, origins: [], cookies: [], cookieSize: 0 });
+        }
+    }
+    sites.sort((a, b) => a.site.localeCompare(b.site));
+
+    // A site matches by name or origin; otherwise only its matching cookies are shown
+    const matches = sites.map(entry => {
+        const siteMatches = !query || entry.site.includes(query) || entry.origins.some(o => o.includes(query));
+        const cookies = entry.cookies
+            .map((cookie, index) => ({ ...cookie, index }))
+            .filter(cookie => siteMatches ||
+                cookie.name.toLowerCase().includes(query) || cookie.domain.includes(query));
+        return { entry, cookies, siteMatches };
+    }).filter(match => match.siteMatches || match.cookies.length > 0);
+
+    const cookieCount = siteDataState.sites.reduce((sum, s) => sum + s.cookies.length, 0);
+    document.getElementById('site-data-summary').textContent =
+        `${siteDataState.sites.length} site${siteDataState.sites.length !== 1 ? 's' : ''} · ` +
+        `${cookieCount} cookie${cookieCount !== 1 ? 's' : ''} · ` +
+        (siteDataState.storageSize === null ? '' : `${formatBytes(siteDataState.storageSize)} on disk, including `) +
+        `HTTP cache ${formatBytes(siteDataState.cacheSize)}`;
+
+    const list = document.getElementById('site-data-list');
+    if (matches.length === 0) {
+        list.innerHTML = `<div class="shields-whitelist-empty">${query ? 'No matching sites or cookies' : 'No sites have stored data'}</div>`;
+        return;
+    }
+
+    list.innerHTML = matches.map(({ entry, cookies, siteMatches }) => {
+        const expanded = expandedDataSites.has(entry.site) || (query && !siteMatches);
+        const rule = rules.get(entry.site) || '';
+        const usage = [
+            `${entry.cookies.length} cookie${entry.cookies.length !== 1 ? 's' : ''}`,
+            entry.origins.length ? `Storage of ${entry.origins.length} origin${entry.origins.length !== 1 ? 's' : ''}` : ''
+        ].filter(Boolean).join(' · ');
+
+        const cookiesHtml = cookies.length === 0
+            ? '<div class="shields-whitelist-empty">No cookies</div>'
+            : cookies.map(cookie => `
+                <div class="shields-whitelist-item site-data-cookie">
+                    <span class="shields-whitelist-domain">
+                        ${escapeHtml(cookie.name)}
+                        <small>${escapeHtml(cookie.domain)}${escapeHtml(cookie.path)} · ${formatBytes(cookie.size)} ·
+                            ${cookie.session ? 'Session' : `Expires ${new Date(cookie.expirationDate * 1000).toLocaleDateString()}`}
+                            ${cookie.secure ? ' · Secure' : ''}${cookie.httpOnly ? ' · HttpOnly' : ''}</small>
+                    </span>
+                    <button class="shields-whitelist-remove site-data-delete-cookie" data-index="${cookie.index}" title="Delete cookie">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `).join('');
+
+        return `
+            <div class="permission-site site-data-site" data-site="${escapeHtml(entry.site)}">
+                <div class="permission-site-header">
+                    <button class="shields-link-btn site-data-toggle" title="Show cookies">
+                        <i class="fas fa-chevron-${expanded ? 'down' : 'right'}"></i>
+                    </button>
+                    <span class="site-data-name">${escapeHtml(entry.site)}</span>
+                    <span class="site-data-total" title="Cookie size">${formatBytes(entry.cookieSize)}</span>
+                    <button class="shields-whitelist-remove site-data-delete-site" title="Delete site data">
+                        <i class="fas fa-trash-can"></i>
+                    </button>
+                </div>
+                <div class="site-data-usage">
+                    <span>${usage}</span>
+                    <select class="permission-select site-data-rule">
+                        ${Object.entries(SITE_DATA_RULE_LABELS).map(([value, label]) => `
+                            <option value="${value}" ${value === rule ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                ${expanded ? `<div class="site-data-cookies">${cookiesHtml}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Session Restore - snapshots of this window's tabs for the main process, and the
+ * "Restore pages?" prompt shown after the browser didn't quit cleanly
+ */
+function setupSessionRestore() {
+    const prompt = document.getElementById('session-restore-prompt');
+
+    ipcRenderer.on('session-restore-offer', (_event, { windows, tabs: tabCount }) => {
+        const tabsText = tabCount === 1 ? '1 tab' : `${tabCount} tabs`;
+        document.getElementById('session-restore-summary').textContent = windows > 1
+            ? `Your last session had ${tabsText} in ${windows} windows.`
+            : `Your last session had ${tabsText}.`;
+        prompt.classList.remove('hidden');
+    });
+
+    document.getElementById('session-restore-accept').addEventListener('click', () => {
+        prompt.classList.add('hidden');
+        ipcRenderer.send('session-restore-accept');
+    });
+
+    document.getElementById('session-restore-dismiss').addEventListener('click', () => {
+        prompt.classList.add('hidden');
+        ipcRenderer.send('session-restore-dismiss');
+    });
+
+    ipcRenderer.on('session-restore-window', (_event, state) => {
+        restoreWindowTabs(state);
+    });
+
+    // Private windows are never saved
+    if (privatePartition) return;
+
+    setInterval(async () => {
+        await refreshScrollPositions();
+        sendSessionSnapshot();
+    }, SESSION_SCROLL_INTERVAL);
+}
+
+/**
+ * Open a saved window's tabs in this window, replacing the new tab it started with
+ * @param {Object} state - { tabs, activeTab, groups }
+ */
+function restoreWindowTabs(state) {
+    if (state.tabs.length === 0) return;
+
+    (state.groups || []).forEach(group => {
+        if (!tabGroups.has(group.id)) tabGroups.set(group.id, { ...group });
+    });
+
+    const blankTabs = tabs.filter(tab => {
+        try {
+            const url = tab.webview.getURL();
+            return !tab.webview.canGoBack() && (url.includes('homepage.html') || url === settings.homePage);
+        } catch {
+            // Still attaching: nothing has been loaded in it yet
+            return true;
+        }
+    });
+
+    const tabIds = state.tabs.map(tabState => tabManager.restoreTab(tabState));
+    blankTabs.forEach(tab => tabManager.closeTab(tab.id));
+    tabManager.switchTab(tabIds[state.activeTab] ?? tabIds[0]);
+}
+
+/**
+ * Count the entries a webview has behind (-1) or ahead of (1) its current one
+ * @param {Electron.WebviewTag} webview - The webview
+ * @param {number} direction - -1 or 1
+ * @returns {number}
+ */
+function countHistoryOffsets(webview, direction) {
+    // Webviews keep at most MAX_TAB_HISTORY entries: binary search up to there
+    let low = 0;
+    let high = MAX_TAB_HISTORY;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (webview.canGoToOffset(direction * mid)) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Get what session restore needs of a tab
+ * @param {Object} tab - The tab
+ * @returns {Object} - { url, title, containerId, pinned, groupId, history, scroll, zoom }
+ */
+function getTabSessionState(tab) {
+    // Page not loaded yet: keep what was saved
+    if (tab.restoring) return { ...tab.restoreState, pinned: tab.pinned, groupId: tab.groupId };
+
+    let url;
+    let zoom;
+    try {
+        url = tab.webview.getURL();
+        zoom = tab.webview.getZoomFactor();
+    } catch {
+        // Not attached yet
+        url = tab.webview.src;
+        zoom = 1;
+    }
+
+    return {
+        url,
+        title: tab.tabElement.querySelector('.tab-title')?.innerText || '',
+        containerId: tab.containerId,
+        pinned: tab.pinned,
+        groupId: tab.groupId,
+        history: tab.navHistory,
+        scroll: tab.scroll,
+        zoom
+    };
+}
+
+/**
+ * Read the scroll position of every tab
+ * @returns {Promise<void>}
+ */
+async function refreshScrollPositions() {
+    await Promise.all(tabs.map(async (tab) => {
+        if (tab.restoring) return;
+        try {
+            const [x, y] = await tab.webview.executeJavaScript('[window.scrollX, window.scrollY]');
+            tab.scroll = { x, y };
+        } catch {
+            // Page not loaded (or not scriptable): keep the last position
+        }
+    }));
+}
+
+/**
+ * Send this window's tabs to the main process if they changed
+ */
+function sendSessionSnapshot() {
+    clearTimeout(sessionSnapshotTimer);
+    sessionSnapshotTimer = null;
+    if (privatePartition) return;
+
+    const states = tabs.map(tab => ({ id: tab.id, state: getTabSessionState(tab) }))
+        .filter(({ state }) => state.url);
+    const snapshot = {
+        tabs: states.map(({ state }) => state),
+        activeTab: Math.max(states.findIndex(({ id }) => id === activeTabId), 0),
+        groups: Array.from(tabGroups.values())
+    };
+
+    const json = JSON.stringify(snapshot);
+    if (json === lastSessionSnapshot) return;
+    lastSessionSnapshot = json;
+    ipcRenderer.send('session-update', snapshot);
+}
+
+/**
+ * Send this window's tabs shortly (batches bursts of changes)
+ */
+function scheduleSessionSnapshot() {
+    if (privatePartition || sessionSnapshotTimer) return;
+    sessionSnapshotTimer = setTimeout(sendSessionSnapshot, SESSION_SNAPSHOT_DELAY);
+}
+
+/**
+ * Recently Closed - closed tabs and windows, reopened from the History panel or with
+ * Cmd/Ctrl+Shift+T
+ */
+function setupRecentlyClosed() {
+    const toggle = document.getElementById('recently-closed-toggle');
+    toggle.addEventListener('click', () => {
+        const list = document.getElementById('recently-closed-list');
+        list.classList.toggle('hidden');
+        toggle.querySelector('.fa-chevron-right, .fa-chevron-down').className =
+            `fas fa-chevron-${list.classList.contains('hidden') ? 'right' : 'down'}`;
+    });
+
+    document.getElementById('recently-closed-list').addEventListener('click', (e) => {
+        const item = e.target.closest('.recently-closed-item');
+        if (!item) return;
+        reopenRecentlyClosed(Number(item.dataset.id));
+        document.getElementById('history-panel').classList.add('hidden');
+    });
+
+    ipcRenderer.on('recently-closed-open-tab', (_event, state) => {
+        tabManager.restoreTab(state);
+    });
+
+    if (privatePartition) return;
+
+    ipcRenderer.on('recently-closed', (_event, items) => {
+        recentlyClosed = items;
+        renderRecentlyClosed();
+    });
+    ipcRenderer.send('recently-closed-get');
+}
+
+/**
+ * Remember a closed tab
+ * @param {Object} state - Tab snapshot from getTabSessionState()
+ */
+function addRecentlyClosedTab(state) {
+    const { entries } = state.history;
+    // Nothing to reopen in a tab that only ever showed the new tab page
+    if (!state.url || state.url === 'about:blank') return;
+    if (entries.length <= 1 && (state.url.includes('homepage.html') || state.url === settings.homePage)) return;
+
+    if (!privatePartition) {
+        ipcRenderer.send('recently-closed-add-tab', state);
+        return;
+    }
+
+    recentlyClosed.unshift({
+        id: nextPrivateClosedId++,
+        type: 'tab',
+        closedAt: Date.now(),
+        title: state.title || state.url,
+        url: state.url,
+        tabCount: 1,
+        tab: state
+    });
+    recentlyClosed = recentlyClosed.slice(0, MAX_PRIVATE_CLOSED_TABS);
+    renderRecentlyClosed();
+}
+
+/**
+ * Reopen a closed tab or window
+ * @param {number|null} id - Entry ID, or null for the most recently closed
+ */
+function reopenRecentlyClosed(id = null) {
+    if (!privatePartition) {
+        ipcRenderer.send('recently-closed-restore', id);
+        return;
+    }
+
+    const index = id === null ? 0 : recentlyClosed.findIndex(entry => entry.id === id);
+    if (index === -1 || index >= recentlyClosed.length) return;
+    const [entry] = recentlyClosed.splice(index, 1);
+    tabManager.restoreTab(entry.tab);
+    renderRecentlyClosed();
+}
+
+/**
+ * Render the Recently closed menu of the History panel
+ */
+function renderRecentlyClosed() {
+    document.getElementById('recently-closed-count').textContent = recentlyClosed.length || '';
+
+    const list = document.getElementById('recently-closed-list');
+    if (recentlyClosed.length === 0) {
+        list.innerHTML = '<div class="recently-closed-empty">No recently closed tabs</div>';
+        return;
+    }
+
+    list.innerHTML = recentlyClosed.map(entry => `
+        <div class="history-item recently-closed-item" data-id="${entry.id}" title="${escapeHtml(entry.url)}">
+            <div class="history-item-icon">
+                <i class="fas ${entry.type === 'window' ? 'fa-window-restore' : 'fa-rotate-left'}"></i>
+            </div>
+            <div class="history-item-info">
+                <div class="history-item-title">${escapeHtml(entry.title)}</div>
+                <div class="history-item-url">${entry.type === 'window'
+                    ? `Window with ${entry.tabCount} tabs`
+                    : escapeHtml(entry.url)}</div>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Tab Strip - pinned tabs, tab groups and the tab context menu, usable from the
+ * keyboard (Tab/arrow keys to move, Enter to select, Shift+F10 or the Menu key),
+ * and dragging tabs to reorder them or move them to another window
+ */
+const TAB_GROUP_COLORS = {
+    grey: '#9ca3af',
+    blue: '#3b82f6',
+    red: '#ef4444',
+    yellow: '#eab308',
+    green: '#22c55e',
+    pink: '#ec4899',
+    purple: '#a855f7',
+    cyan: '#06b6d4',
+    orange: '#f97316'
+};
+
+// Longest tab group name (same limit as the saved session)
+const MAX_TAB_GROUP_NAME_LENGTH = 50;
+
+let tabGroupCounter = 0;
+
+// Drag data type of a tab (only tab strips accept it)
+const TAB_DRAG_TYPE = 'application/x-yarvix-tab';
+
+// How far from the tab strip a tab must be dropped to open in a new window
+const TAB_TEAR_OFF_DISTANCE = 30;
+
+// Tab being dragged from this window: { tabId, clientX, clientY, screenX, screenY }
+let tabDrag = null;
+
+// Form fields a moved tab takes along (not passwords or files)
+const MOVED_FORM_FIELDS = 'input:not([type=hidden]):not([type=password]):not([type=file]), textarea, select';
+
+function setupTabStrip() {
+    const container = document.getElementById('tabs-container');
+    const menu = document.getElementById('tab-context-menu');
+
+    container.addEventListener('dragstart', (e) => {
+        const tab = tabs.find(t => t.id === Number(e.target.closest('.tab')?.dataset.tabId));
+        if (!tab) return;
+
+        closeTabContextMenu();
+        tabDrag = { tabId: tab.id, clientX: e.clientX, clientY: e.clientY, screenX: e.screenX, screenY: e.screenY };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData(TAB_DRAG_TYPE, String(tab.id));
+        tab.tabElement.classList.add('dragging');
+        // Another window the tab is dropped on opens it from this state (its page can't
+        // move between windows, only what's needed to open it again)
+        ipcRenderer.send('tab-drag-start', { tabId: tab.id, state: getTabSessionState(tab) });
+        getEditedFormFields(tab).then(forms => {
+            if (forms.length > 0) ipcRenderer.send('tab-drag-forms', { tabId: tab.id, forms });
+        });
+    });
+
+    // Last pointer position (dragend doesn't have it on every platform)
+    container.addEventListener('drag', (e) => {
+        if (!tabDrag || (e.screenX === 0 && e.screenY === 0)) return;
+        Object.assign(tabDrag, { clientX: e.clientX, clientY: e.clientY, screenX: e.screenX, screenY: e.screenY });
+    });
+
+    container.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        showTabDropIndicator(getTabDropTarget(e.clientX));
+    });
+
+    container.addEventListener('dragleave', (e) => {
+        if (!container.contains(e.relatedTarget)) showTabDropIndicator(null);
+    });
+
+    container.addEventListener('drop', (e) => {
+        if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+        e.preventDefault();
+        showTabDropIndicator(null);
+
+        const { index } = getTabDropTarget(e.clientX);
+        if (tabDrag) {
+            tabManager.moveTab(tabDrag.tabId, index);
+            ipcRenderer.send('tab-drag-end', tabDrag.tabId);
+        } else {
+            // From another window: the main process moves it here
+            ipcRenderer.send('tab-drag-drop', { index });
+        }
+    });
+
+    container.addEventListener('dragend', (e) => {
+        const drag = tabDrag;
+        tabDrag = null;
+        e.target.closest('.tab')?.classList.remove('dragging');
+        showTabDropIndicator(null);
+        // Dropped on a tab strip
+        if (!drag || e.dataTransfer.dropEffect !== 'none') return;
+
+        // Dropped away from the tab strip: the tab opens in a new window there (unless
+        // it's the window's only tab)
+        const bar = container.getBoundingClientRect();
+        const outside = drag.clientY > bar.bottom + TAB_TEAR_OFF_DISTANCE || drag.clientY < bar.top - TAB_TEAR_OFF_DISTANCE
+            || drag.clientX < 0 || drag.clientX > window.innerWidth;
+        if (outside && tabs.length > 1) {
+            ipcRenderer.send('tab-tear-off', { tabId: drag.tabId, x: drag.screenX - 80, y: drag.screenY - 20 });
+        } else {
+            // Cancelled: the main process lets go of the tab
+            ipcRenderer.send('tab-drag-end', drag.tabId);
+        }
+    });
+
+    ipcRenderer.on('tab-move-in', (_event, { state, index }) => {
+        const tabId = tabManager.restoreTab(state);
+        tabManager.moveTab(tabId, index);
+        window.focus();
+    });
+
+    ipcRenderer.on('tab-move-out', (_event, tabId) => {
+        tabManager.closeTab(tabId, { remember: false });
+    });
+
+    container.addEventListener('contextmenu', (e) => {
+        const target = e.target.closest('.tab, .tab-group-header');
+        if (!target) return;
+        e.preventDefault();
+        openTabContextMenu(target, e.clientX, e.clientY);
+    });
+
+    // Group header: collapse or expand
+    container.addEventListener('click', (e) => {
+        const header = e.target.closest('.tab-group-header');
+        if (!header) return;
+        const group = tabGroups.get(header.dataset.groupId);
+        if (group) {
+            tabManager.updateTabGroup(group.id, { collapsed: !group.collapsed });
+            focusTabStripItem(`.tab-group-header[data-group-id="${group.id}"]`);
+        }
+    });
+
+    container.addEventListener('keydown', (e) => {
+        const target = e.target.closest('.tab, .tab-group-header');
+        if (!target) return;
+
+        if (e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10')) {
+            e.preventDefault();
+            const rect = target.getBoundingClientRect();
+            openTabContextMenu(target, rect.left, rect.bottom, true);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            target.click();
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            const items = Array.from(container.querySelectorAll('.tab:not(.group-collapsed), .tab-group-header'));
+            items[items.indexOf(target) + (e.key === 'ArrowRight' ? 1 : -1)]?.focus();
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('#tab-context-menu')) closeTabContextMenu();
+    });
+
+    menu.addEventListener('click', (e) => {
+        // Some items open the menu again with new content
+        e.stopPropagation();
+        const colorBtn = e.target.closest('.tab-group-color');
+        if (colorBtn) {
+            tabManager.updateTabGroup(menu.dataset.groupId, { color: colorBtn.dataset.color });
+            menu.querySelectorAll('.tab-group-color').forEach(btn => {
+                btn.classList.toggle('selected', btn === colorBtn);
+            });
+            return;
+        }
+
+        const item = e.target.closest('.container-menu-item');
+        if (!item) return;
+        const tabId = Number(menu.dataset.tabId);
+        const groupId = menu.dataset.groupId;
+        closeTabContextMenu(true);
+
+        switch (item.dataset.action) {
+            case 'pin':
+                tabManager.pinTab(tabId, true);
+                break;
+            case 'unpin':
+                tabManager.pinTab(tabId, false);
+                break;
+            case 'new-group':
+                openTabGroupMenu(tabManager.createTabGroup(tabId));
+                break;
+            case 'add-to-group':
+                tabManager.setTabGroup(tabId, item.dataset.group);
+                break;
+            case 'remove-from-group':
+                tabManager.setTabGroup(tabId, null);
+                break;
+            case 'never-discard':
+            case 'allow-discard':
+                ipcRenderer.send('memory-saver-set-site', { hostname: menu.dataset.site, never: item.dataset.action === 'never-discard' });
+                break;
+            case 'close':
+                tabManager.closeTab(tabId);
+                break;
+            case 'toggle-group':
+                tabManager.updateTabGroup(groupId, { collapsed: !tabGroups.get(groupId)?.collapsed });
+                break;
+            case 'ungroup':
+                tabManager.ungroupTabs(groupId);
+                break;
+            case 'close-group':
+                tabManager.closeTabGroup(groupId);
+                break;
+        }
+    });
+
+    menu.addEventListener('input', (e) => {
+        if (e.target.matches('.tab-group-name-input')) {
+            tabManager.updateTabGroup(menu.dataset.groupId, { name: e.target.value });
+        }
+    });
+
+    menu.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' || (e.key === 'Enter' && e.target.matches('input'))) {
+            e.preventDefault();
+            closeTabContextMenu(true);
+            return;
+        }
+        if (e.target.matches('input')) return;
+
+        const items = Array.from(menu.querySelectorAll('.container-menu-item, .tab-group-color, input'));
+        const index = items.indexOf(e.target);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            items[(index + 1) % items.length].focus();
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+            e.preventDefault();
+            items[(index - 1 + items.length) % items.length].focus();
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            e.target.click();
+        }
+    });
+}
+
+/**
+ * Find where a dragged tab would land in the tab strip
+ * @param {number} clientX - Pointer position
+ * @returns {Object} - { element, after, index }: the tab or group header it goes before
+ *   (or after, at the end of the strip) and its position among the other tabs
+ */
+function getTabDropTarget(clientX) {
+    const others = tabs.filter(t => t.id !== tabDrag?.tabId);
+    const elements = Array.from(document.querySelectorAll('#tabs-container .tab:not(.group-collapsed):not(.dragging), #tabs-container .tab-group-header'));
+
+    const element = elements.find(el => {
+        const rect = el.getBoundingClientRect();
+        return clientX < rect.left + rect.width / 2;
+    });
+    if (!element) {
+        return { element: elements[elements.length - 1] || null, after: true, index: others.length };
+    }
+
+    // Before a group header: before the group's first tab
+    const index = element.classList.contains('tab-group-header')
+        ? others.findIndex(t => t.groupId === element.dataset.groupId)
+        : others.findIndex(t => t.id === Number(element.dataset.tabId));
+    return { element, after: false, index: index === -1 ? others.length : index };
+}
+
+/**
+ * Show where a dragged tab would land
+ * @param {Object|null} target - From getTabDropTarget, or null to hide it
+ */
+function showTabDropIndicator(target) {
+    document.querySelectorAll('#tabs-container .drop-before, #tabs-container .drop-after').forEach(el => {
+        el.classList.remove('drop-before', 'drop-after');
+    });
+    if (target?.element) target.element.classList.add(target.after ? 'drop-after' : 'drop-before');
+}
+
+/**
+ * Take groups that have no tabs left out of the window
+ */
+function removeEmptyTabGroups() {
+    for (const groupId of tabGroups.keys()) {
+        if (!tabs.some(t => t.groupId === groupId)) tabGroups.delete(groupId);
+    }
+}
+
+/**
+ * Build the header chip shown before a group's tabs
+ * @param {Object} group - { id, name, color, collapsed }
+ * @returns {HTMLElement}
+ */
+function createTabGroupHeader(group) {
+    const count = tabs.filter(t => t.groupId === group.id).length;
+    const header = document.createElement('div');
+    header.className = `tab-group-header${group.collapsed ? ' collapsed' : ''}`;
+    header.dataset.groupId = group.id;
+    header.tabIndex = 0;
+    header.style.setProperty('--group-color', TAB_GROUP_COLORS[group.color]);
+    header.title = `${group.name || 'Unnamed group'} - ${count} ${count === 1 ? 'tab' : 'tabs'} (click to ${group.collapsed ? 'expand' : 'collapse'})`;
+    header.innerHTML = `
+        <span class="tab-group-name">${escapeHtml(group.name)}</span>
+        ${group.collapsed ? `<span class="tab-group-count">${count}</span>` : ''}
+    `;
+    return header;
+}
+
+/**
+ * Open the context menu of a tab or group header
+ * @param {HTMLElement} target - The tab element or group header
+ * @param {number} x - Left position
+ * @param {number} y - Top position
+ * @param {boolean} focusMenu - Move focus into the menu (opened from the keyboard)
+ */
+function openTabContextMenu(target, x, y, focusMenu = false) {
+    const menu = document.getElementById('tab-context-menu');
+    const item = (action, content, extra = '') => `
+        <div class="container-menu-item" data-action="${action}" tabindex="-1" ${extra}>${content}</div>
+    `;
+
+    delete menu.dataset.tabId;
+    delete menu.dataset.groupId;
+
+    if (target.classList.contains('tab-group-header')) {
+        const group = tabGroups.get(target.dataset.groupId);
+        if (!group) return;
+        menu.dataset.groupId = group.id;
+        menu.innerHTML = `
+            <input type="text" class="tab-group-name-input" placeholder="Name this group"
+                maxlength="${MAX_TAB_GROUP_NAME_LENGTH}" value="${escapeHtml(group.name)}">
+            <div class="tab-group-colors">
+                ${Object.entries(TAB_GROUP_COLORS).map(([color, value]) => `
+                    <button class="tab-group-color${color === group.color ? ' selected' : ''}" data-color="${color}"
+                        title="${color.charAt(0).toUpperCase() + color.slice(1)}" style="background: ${value}" tabindex="-1"></button>
+                `).join('')}
+            </div>
+            <div class="container-menu-separator"></div>
+            ${item('toggle-group', group.collapsed
+                ? '<i class="fas fa-chevron-down"></i> Expand group'
+                : '<i class="fas fa-chevron-up"></i> Collapse group')}
+            ${item('ungroup', '<i class="fas fa-object-ungroup"></i> Ungroup')}
+            ${item('close-group', '<i class="fas fa-xmark"></i> Close group')}
+        `;
+    } else {
+        const tab = tabs.find(t => t.id === Number(target.dataset.tabId));
+        if (!tab) return;
+        menu.dataset.tabId = tab.id;
+        const otherGroups = Array.from(tabGroups.values()).filter(group => group.id !== tab.groupId);
+        const url = getTabUrl(tab);
+        let site = '';
+        try {
+            if (/^https?:/.test(url)) site = new URL(url).hostname.replace(/^www\./, '');
+        } catch {
+            // No site to keep loaded
+        }
+        menu.dataset.site = site;
+        menu.innerHTML = `
+            <div class="tab-menu-info">
+                <i class="fas fa-memory"></i> ${getTabMemoryLabel(tab) || 'Memory use not measured yet'}
+            </div>
+            ${tab.pinned
+                ? item('unpin', '<i class="fas fa-thumbtack"></i> Unpin tab')
+                : item('pin', '<i class="fas fa-thumbtack"></i> Pin tab')}
+            ${item('new-group', '<i class="fas fa-layer-group"></i> Add to new group')}
+            ${otherGroups.map(group => item('add-to-group', `
+                <span class="container-dot" style="background: ${TAB_GROUP_COLORS[group.color]}"></span>
+                Add to ${escapeHtml(group.name || 'unnamed group')}
+            `, `data-group="${escapeHtml(group.id)}"`)).join('')}
+            ${tab.groupId ? item('remove-from-group', '<i class="fas fa-arrow-right-from-bracket"></i> Remove from group') : ''}
+            ${site ? (isNeverDiscarded(url)
+                ? item('allow-discard', `<i class="fas fa-leaf"></i> Let ${escapeHtml(site)} be discarded`)
+                : item('never-discard', `<i class="fas fa-anchor"></i> Always keep ${escapeHtml(site)} loaded`)) : ''}
+            <div class="container-menu-separator"></div>
+            ${item('close', '<i class="fas fa-xmark"></i> Close tab')}
+        `;
+    }
+
+    // Opened from a tab or header, focus goes back there when the menu closes
+    menu.dataset.opener = target.dataset.tabId ? `#tab-${target.dataset.tabId}` : `.tab-group-header[data-group-id="${target.dataset.groupId}"]`;
+    menu.classList.remove('hidden');
+    menu.style.left = `${Math.max(Math.min(x, window.innerWidth - menu.offsetWidth - 8), 8)}px`;
+    menu.style.top = `${Math.max(Math.min(y, window.innerHeight - menu.offsetHeight - 8), 8)}px`;
+
+    if (focusMenu || menu.dataset.groupId) {
+        menu.querySelector('input, .container-menu-item')?.focus();
+    }
+}
+
+/**
+ * Open a group's menu under its header (to name a new group)
+ * @param {string|null} groupId - Group ID
+ */
+function openTabGroupMenu(groupId) {
+    const header = document.querySelector(`.tab-group-header[data-group-id="${groupId}"]`);
+    if (!header) return;
+    const rect = header.getBoundingClientRect();
+    openTabContextMenu(header, rect.left, rect.bottom, true);
+}
+
+/**
+ * Close the tab context menu
+ * @param {boolean} restoreFocus - Focus the tab or header it was opened from
+ */
+function closeTabContextMenu(restoreFocus = false) {
+    const menu = document.getElementById('tab-context-menu');
+    if (menu.classList.contains('hidden')) return;
+    menu.classList.add('hidden');
+    if (restoreFocus && menu.dataset.opener) focusTabStripItem(menu.dataset.opener);
+}
+
+/**
+ * Focus a tab or group header (they are rebuilt when the tab strip changes)
+ * @param {string} selector - CSS selector of the item
+ */
+function focusTabStripItem(selector) {
+    document.querySelector(`#tabs-container ${selector}`)?.focus();
+}
+
+/**
+ * Read the form fields the user has changed in a tab's page
+ * @param {Object} tab - The tab
+ * @returns {Promise<Array>} - [{ index, name, value }] (value is a boolean for checkboxes)
+ */
+function getEditedFormFields(tab) {
+    return Promise.resolve()
+        .then(() => tab.webview.executeJavaScript(`
+            Array.from(document.querySelectorAll(${JSON.stringify(MOVED_FORM_FIELDS)}), (field, index) => {
+                const checkable = field.type === 'checkbox' || field.type === 'radio';
+                const edited = checkable ? field.checked !== field.defaultChecked
+                    : field.tagName === 'SELECT' ? Array.from(field.options).some(option => option.selected !== option.defaultSelected)
+                    : field.value !== field.defaultValue;
+                return edited ? { index, name: field.name, value: checkable ? field.checked : field.value } : null;
+            }).filter(Boolean)
+        `))
+        .catch(() => []);
+}
+
+/**
+ * Put form fields read by getEditedFormFields() back into a tab's page, where the
+ * page still has a field of that name at the same place
+ * @param {Object} tab - The tab
+ * @param {Array} forms - [{ index, name, value }]
+ */
+function fillFormFields(tab, forms) {
+    tab.webview.executeJavaScript(`
+        (() => {
+            const fields = document.querySelectorAll(${JSON.stringify(MOVED_FORM_FIELDS)});
+            ${JSON.stringify(forms)}.forEach(({ index, name, value }) => {
+                const field = fields[index];
+                if (!field || field.name !== name) return;
+                if (typeof value === 'boolean') {
+                    field.checked = value;
+                } else {
+                    field.value = value;
+                }
+                field.dispatchEvent(new Event('input', { bubbles: true }));
+                field.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+        })()
+    `).catch(() => {});
+}
+
+/**
+ * Memory Saver - discards background tabs (see memorySaver.js) and shows the memory
+ * each tab uses in its tooltip and context menu
+ */
+
+// Checks whether a page has something discarding would lose: a focused or edited form
+// field, a live camera, microphone or call stream, or a beforeunload handler
+const PAGE_BUSY_SCRIPT = `(() => {
+    const active = document.activeElement;
+    if (active && (active.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName))) return true;
+
+    const edited = Array.from(document.querySelectorAll('input:not([type=hidden]), textarea, select')).some(field => {
+        if (field.tagName === 'SELECT') return Array.from(field.options).some(option => option.selected !== option.defaultSelected);
+        if (field.type === 'checkbox' || field.type === 'radio') return field.checked !== field.defaultChecked;
+        return field.value !== field.defaultValue;
+    });
+    if (edited) return true;
+
+    const streaming = Array.from(document.querySelectorAll('video, audio')).some(media =>
+        media.srcObject instanceof MediaStream && media.srcObject.getTracks().some(track => track.readyState === 'live'));
+    return streaming || typeof window.onbeforeunload === 'function';
+})()`;
+
+// Settings from the main process: { enabled, discardAfter, options, neverDiscard }
+let memorySaverState = { enabled: false, discardAfter: 30, options: [], neverDiscard: [] };
+
+function setupMemorySaver() {
+    ipcRenderer.on('memory-saver', (_event, state) => {
+        memorySaverState = state;
+
+        // The homepage settings panel lists the sites never discarded
+        const activeTab = tabs.find(t => t.id === activeTabId);
+        if (activeTab && !activeTab.discarded && getTabUrl(activeTab).includes('homepage.html')) {
+            activeTab.webview.executeJavaScript(`
+                window.postMessage(${JSON.stringify({ type: 'memory-saver-state', ...state })}, '*');
+            `).catch(() => {});
+        }
+    });
+
+    ipcRenderer.on('tab-memory', (_event, { usage, lowOnMemory }) => {
+        tabs.forEach(tab => {
+            if (tab.discarded) return;
+            try {
+                tab.memory = usage[tab.webview.getWebContentsId()] || null;
+            } catch {
+                // Not attached yet
+                tab.memory = null;
+            }
+            updateTabTooltip(tab);
+        });
+        discardBackgroundTabs(lowOnMemory);
+    });
+
+    ipcRenderer.send('memory-saver-get');
+}
+
+/**
+ * Get the URL a tab shows (or will show again, once discarded or restoring)
+ * @param {Object} tab - The tab
+ * @returns {string}
+ */
+function getTabUrl(tab) {
+    if (tab.restoring) return tab.restoreState.url;
+    try {
+        return tab.webview.getURL();
+    } catch {
+        // Not attached yet
+        return tab.webview.src;
+    }
+}
+
+/**
+ * Check whether a page's site is set to never be discarded
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+function isNeverDiscarded(url) {
+    let host;
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch {
+        return false;
+    }
+    return memorySaverState.neverDiscard.some(site => host === site || host.endsWith(`.${site}`));
+}
+
+/**
+ * Discard the background tabs left unused longer than the memory saver allows, and
+ * the least recently used one when the system is low on memory. Tabs whose page has
+ * something to lose stay loaded (downloads belong to the session and carry on anyway)
+ * @param {boolean} lowOnMemory - The system is low on memory
+ */
+async function discardBackgroundTabs(lowOnMemory) {
+    if (!memorySaverState.enabled) return;
+
+    const candidates = tabs.filter(tab => {
+        if (tab.id === activeTabId || tab.discarded || tab.restoring) return false;
+        try {
+            return !tab.webview.isCurrentlyAudible() && !isNeverDiscarded(tab.webview.getURL());
+        } catch {
+            // Not attached yet
+            return false;
+        }
+    });
+
+    const expired = candidates.filter(tab => Date.now() - tab.lastActive > memorySaverState.discardAfter * 60000);
+    // Low on memory with nothing expired: the least recently used tab that can go
+    const toDiscard = expired.length > 0 || !lowOnMemory
+        ? expired
+        : [...candidates].sort((a, b) => a.lastActive - b.lastActive);
+
+    for (const tab of toDiscard) {
+        if (await isTabBusy(tab)) continue;
+        if (tabManager.discardTab(tab.id) && expired.length === 0) break;
+    }
+}
+
+/**
+ * Check whether a tab's page has something discarding it would lose
+ * @param {Object} tab - The tab
+ * @returns {Promise<boolean>} - True as well when the page can't be checked
+ */
+function isTabBusy(tab) {
+    return tab.webview.executeJavaScript(PAGE_BUSY_SCRIPT)
+        .then(Boolean)
+        .catch(() => true);
+}
+
+/**
+ * Describe a tab's memory use
+ * @param {Object} tab - The tab
+ * @returns {string} - e.g. "Memory: 120 MB", or '' when not measured yet
+ */
+function getTabMemoryLabel(tab) {
+    if (tab.discarded) return 'Discarded to save memory, reloads when selected';
+    return tab.memory ? `Memory: ${formatBytes(tab.memory)}` : '';
+}
+
+/**
+ * Show a tab's page favicon, or the browser icon when the page has none
+ * @param {Object} tab - The tab
+ */
+function renderTabFavicon(tab) {
+    const img = tab.tabElement.querySelector('.tab-favicon img');
+    if (!img) return;
+    // Favicons that fail to load fall back to the browser icon
+    img.onerror = tab.favicon ? () => { img.onerror = null; img.src = 'icon.svg'; } : null;
+    img.src = tab.favicon || 'icon.svg';
+}
 
-    closeBtn.addEventListener('click', () => {
-        panel.classList.add('hidden');
-    });
+/**
+ * Show a tab's container and memory use in its tooltip
+ * @param {Object} tab - The tab
+ */
+function updateTabTooltip(tab) {
+    const container = getContainer(tab.containerId);
+    const tooltip = [container ? container.name : '', getTabMemoryLabel(tab)].filter(Boolean).join('\n');
+    if (tooltip) {
+        tab.tabElement.title = tooltip;
+    } else {
+        tab.tabElement.removeAttribute('title');
+    }
 }
 
 /**
- * Shield button click handler - toggle shields panel
+ * Site Permissions - the prompt under the URL bar and the Site Permissions panel
  */
-function setupShieldButton() {
-    const shieldBtn = document.getElementById('shield-btn');
-    const closeBtn = document.getElementById('close-shields');
+const PERMISSION_LABELS = {
+    camera: { name: 'Camera', prompt: 'Use your camera', icon: 'fa-video' },
+    microphone: { name: 'Microphone', prompt: 'Use your microphone', icon: 'fa-microphone' },
+    geolocation: { name: 'Location', prompt: 'Know your location', icon: 'fa-location-dot' },
+    notifications: { name: 'Notifications', prompt: 'Show notifications', icon: 'fa-bell' },
+    clipboard: { name: 'Clipboard', prompt: 'See text and images you copy', icon: 'fa-clipboard' },
+    midi: { name: 'MIDI devices', prompt: 'Use your MIDI devices', icon: 'fa-music' },
+    screen: { name: 'Screen sharing', prompt: 'See your screen', icon: 'fa-display' },
+    speakers: { name: 'Speakers', prompt: 'See and choose your speakers', icon: 'fa-volume-high' },
+    windowManagement: { name: 'Window management', prompt: 'Know your screens and place windows on them', icon: 'fa-window-restore' },
+    idleDetection: { name: 'Idle detection', prompt: 'Know when you are using your device', icon: 'fa-user-clock' },
+    storageAccess: { name: 'Cookies on other sites', prompt: 'Use its cookies while embedded in other sites', icon: 'fa-cookie-bite' },
+    externalApps: { name: 'Other apps', prompt: 'Open links in other apps', icon: 'fa-arrow-up-right-from-square' }
+};
 
-    shieldBtn.addEventListener('click', () => {
-        // Close other panels
-        document.querySelectorAll('.panel').forEach(p => {
-            if (p.id !== 'shields-panel') p.classList.add('hidden');
-        });
-        document.getElementById('shields-panel').classList.toggle('hidden');
-        
-        // Refresh shields panel when opening
-        if (!document.getElementById('shields-panel').classList.contains('hidden')) {
-            refreshShieldsPanel();
+// Prompts waiting for an answer: { id, webContentsId, origin, types }
+let permissionRequests = [];
+
+function setupPermissions() {
+    document.getElementById('permission-allow').addEventListener('click', () => {
+        answerPermissionRequest(true, document.getElementById('permission-remember').checked);
+    });
+    document.getElementById('permission-block').addEventListener('click', () => {
+        answerPermissionRequest(false, document.getElementById('permission-remember').checked);
+    });
+    document.getElementById('permission-dismiss').addEventListener('click', () => {
+        answerPermissionRequest(false, false);
+    });
+
+    ipcRenderer.on('permission-request', (event, request) => {
+        permissionRequests.push(request);
+        showPermissionPrompt();
+    });
+
+    ipcRenderer.on('permission-requests-cancelled', (event, data) => {
+        permissionRequests = permissionRequests.filter(request => !data.ids.includes(request.id));
+        showPermissionPrompt();
+    });
+
+    ipcRenderer.on('permissions', (event, state) => {
+        renderSitePermissions(state);
+    });
+
+    const panel = document.getElementById('site-settings-panel');
+    panel.addEventListener('change', (e) => {
+        const select = e.target.closest('.permission-select');
+        if (!select) return;
+        if (select.dataset.origin) {
+            ipcRenderer.send('permissions-set-site', {
+                origin: select.dataset.origin,
+                type: select.dataset.type,
+                value: select.value
+            });
+        } else {
+            ipcRenderer.send('permissions-set-default', { type: select.dataset.type, value: select.value });
         }
     });
 
-    closeBtn.addEventListener('click', () => {
-        document.getElementById('shields-panel').classList.add('hidden');
+    panel.addEventListener('click', (e) => {
+        const resetBtn = e.target.closest('.permission-site-reset');
+        if (resetBtn) {
+            ipcRenderer.send('permissions-reset-site', resetBtn.closest('.permission-site').dataset.origin);
+        }
     });
 }
 
 /**
- * Refresh the shields panel with current data
+ * Show the first open prompt of the active tab (prompts of other tabs wait until
+ * their tab is selected)
  */
-function refreshShieldsPanel() {
-    // Request current stats from main process
-    ipcRenderer.send('adblock-get-stats');
-    ipcRenderer.send('adblock-get-whitelist');
-    
-    // Update current site display
-    const activeWebview = tabManager.getActiveWebview();
-    if (activeWebview) {
-        try {
-            const url = activeWebview.getURL();
-            if (url && url !== 'about:blank') {
-                try {
-                    const hostname = new URL(url).hostname;
-                    document.getElementById('shields-current-site').textContent = hostname;
-                } catch {
-                    document.getElementById('shields-current-site').textContent = 'All sites';
-                }
-            } else {
-                document.getElementById('shields-current-site').textContent = 'New Tab';
-            }
-        } catch {
-            document.getElementById('shields-current-site').textContent = 'All sites';
-        }
-    }
+function showPermissionPrompt() {
+    const prompt = document.getElementById('permission-prompt');
+    const activeId = getActiveWebContentsId();
+    const request = permissionRequests.find(r => r.webContentsId === activeId);
+
+    prompt.classList.toggle('hidden', !request);
+    if (!request) return;
+
+    prompt.dataset.id = request.id;
+    document.getElementById('permission-prompt-origin').textContent = request.origin.replace(/^https?:\/\//, '');
+    document.getElementById('permission-prompt-list').innerHTML = request.types.map(type => `
+        <li><i class="fas ${PERMISSION_LABELS[type].icon}"></i> ${PERMISSION_LABELS[type].prompt}</li>
+    `).join('');
+    document.getElementById('permission-remember').checked = true;
 }
 
 /**
- * Update shield button UI based on state
- * @param {boolean} enabled - Whether ad blocker is enabled
- * @param {number} count - Number of blocked ads in current tab
+ * Answer the prompt on screen
+ * @param {boolean} allow - Grant the permissions
+ * @param {boolean} remember - Save the answer for the site
  */
-function updateShieldUI(enabled, count = 0) {
-    const shieldBtn = document.getElementById('shield-btn');
-    const shieldToggle = document.getElementById('shields-toggle');
-    const shieldStatus = document.getElementById('shields-status');
-    
-    // Update button style
-    if (enabled) {
-        shieldBtn.classList.remove('shield-disabled');
-        shieldBtn.classList.add('shield-active');
-    } else {
-        shieldBtn.classList.remove('shield-active');
-        shieldBtn.classList.add('shield-disabled');
-    }
-    
-    // Update toggle switch
-    if (shieldToggle) {
-        shieldToggle.checked = enabled;
-    }
-    
-    // Update status text
-    if (shieldStatus) {
-        if (enabled) {
-            shieldStatus.innerHTML = '<i class="fas fa-check-circle"></i> Protection active';
-            shieldStatus.classList.remove('disabled');
-        } else {
-            shieldStatus.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Protection disabled';
-            shieldStatus.classList.add('disabled');
-        }
-    }
-    
-    // Update shield count
-    updateShieldButtonCount(count);
+function answerPermissionRequest(allow, remember) {
+    const id = Number(document.getElementById('permission-prompt').dataset.id);
+    permissionRequests = permissionRequests.filter(request => request.id !== id);
+    ipcRenderer.send('permission-response', { id, allow, remember });
+    showPermissionPrompt();
 }
 
 /**
- * Update shield button count badge
- * @param {number} count - Number of blocked ads
+ * Build a permission setting dropdown
+ * @param {string} type - Permission type
+ * @param {string} value - Current value
+ * @param {string|null} origin - Site origin (null for the global default)
+ * @returns {string} - HTML
  */
-function updateShieldButtonCount(count) {
-    const shieldCount = document.getElementById('shield-count');
-    if (shieldCount) {
-        shieldCount.textContent = count > 0 ? count : '0';
-        shieldCount.classList.toggle('visible', count > 0);
-    }
+function renderPermissionSelect(type, value, origin = null) {
+    const originAttr = origin ? ` data-origin="${escapeHtml(origin).replace(/"/g, '&quot;')}"` : '';
+    const options = ['ask', 'allow', 'block'].map(option => `
+        <option value="${option}" ${option === value ? 'selected' : ''}>${option.charAt(0).toUpperCase() + option.slice(1)}</option>
+    `).join('');
+    return `<select class="permission-select ${value}" data-type="${type}"${originAttr}>${options}</select>`;
 }
 
 /**
- * Render whitelist in shields panel
- * @param {Array} whitelist - List of whitelisted domains
+ * Render the Site Permissions panel
+ * @param {Object} state - { types, defaults, sites } from the main process
  */
-function renderWhitelist(whitelist) {
-    const container = document.getElementById('shields-whitelist-list');
-    const countEl = document.getElementById('shields-whitelist-count');
-    
-    if (!container) return;
-    
-    // Update count
-    if (countEl) {
-        countEl.textContent = `${whitelist.length} site${whitelist.length !== 1 ? 's' : ''}`;
-    }
-    
-    if (whitelist.length === 0) {
-        container.innerHTML = '<div class="shields-whitelist-empty">No whitelisted sites</div>';
+function renderSitePermissions(state) {
+    const row = (type, select) => `
+        <div class="shields-site-row">
+            <span class="shields-site-label"><i class="fas ${PERMISSION_LABELS[type].icon}"></i> ${PERMISSION_LABELS[type].name}</span>
+            ${select}
+        </div>
+    `;
+
+    document.getElementById('permission-defaults').innerHTML = state.types
+        .map(type => row(type, renderPermissionSelect(type, state.defaults[type])))
+        .join('');
+
+    document.getElementById('permission-sites-count').textContent =
+        `${state.sites.length} site${state.sites.length !== 1 ? 's' : ''}`;
+
+    const sitesContainer = document.getElementById('permission-sites');
+    if (state.sites.length === 0) {
+        sitesContainer.innerHTML = '<div class="shields-whitelist-empty">No site has been allowed or blocked yet</div>';
         return;
     }
-    
-    container.innerHTML = whitelist.map(domain => `
-        <div class="shields-whitelist-item" data-domain="${domain}">
-            <span class="shields-whitelist-domain">
-                <i class="fas fa-globe"></i>
-                ${domain}
-            </span>
-            <button class="shields-whitelist-remove" title="Remove from whitelist">
-                <i class="fas fa-times"></i>
-            </button>
+
+    sitesContainer.innerHTML = state.sites.map(site => `
+        <div class="permission-site" data-origin="${escapeHtml(site.origin).replace(/"/g, '&quot;')}">
+            <div class="permission-site-header">
+                ${escapeHtml(site.origin)}
+                <button class="shields-link-btn permission-site-reset" title="Forget all decisions for this site">Reset</button>
+            </div>
+            ${state.types
+                .filter(type => site.permissions[type])
+                .map(type => row(type, renderPermissionSelect(type, site.permissions[type], site.origin)))
+                .join('')}
         </div>
     `).join('');
-    
-    // Add remove handlers
-    container.querySelectorAll('.shields-whitelist-remove').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const domain = btn.closest('.shields-whitelist-item').dataset.domain;
-            ipcRenderer.send('adblock-whitelist-remove', domain);
-        });
-    });
 }
 
 /**
- * Add current site to whitelist
+ * Request Log - what Shields did with each request of the active tab
  */
-function whitelistCurrentSite() {
-    const activeWebview = tabManager.getActiveWebview();
-    if (!activeWebview) return;
-    
-    try {
-        const url = activeWebview.getURL();
-        if (!url || url === 'about:blank' || url.includes('homepage.html')) {
-            alert('Cannot whitelist this page');
+const REQUEST_LOG_MAX_ENTRIES = 500;
+const REQUEST_LOG_MAX_ROWS = 300;
+let requestLogState = { tabId: null, entries: [], userRules: new Set() };
+let requestLogRenderTimer = null;
+
+function setupRequestLogPanel() {
+    const panel = document.getElementById('request-log-panel');
+
+    document.getElementById('shields-open-request-log').addEventListener('click', openRequestLog);
+    document.getElementById('close-request-log').addEventListener('click', closeRequestLog);
+    document.getElementById('request-log-search').addEventListener('input', renderRequestLog);
+    document.getElementById('request-log-decision').addEventListener('change', renderRequestLog);
+    document.getElementById('request-log-clear').addEventListener('click', () => {
+        if (!requestLogState.tabId) return;
+        ipcRenderer.send('request-log-clear', requestLogState.tabId);
+        requestLogState.entries = [];
+        renderRequestLog();
+    });
+
+    // Allow / undo buttons
+    document.getElementById('request-log-list').addEventListener('click', (e) => {
+        const btn = e.target.closest('.request-log-action');
+        if (!btn) return;
+        const entry = requestLogState.entries.find(item => item.id === Number(btn.dataset.id));
+        if (!entry) return;
+
+        if (btn.dataset.action === 'allow') {
+            ipcRenderer.send('request-log-allow', { url: entry.url, pageUrl: entry.pageUrl });
+        } else if (btn.dataset.action === 'undo') {
+            ipcRenderer.send('request-log-remove-rule', entry.rule);
+        }
+    });
+
+    ipcRenderer.on('request-log', (event, data) => {
+        if (data.tabId !== requestLogState.tabId) return;
+        requestLogState.entries = data.entries || [];
+        requestLogState.userRules = new Set(data.userRules || []);
+        renderRequestLog();
+    });
+
+    ipcRenderer.on('request-log-entry', (event, data) => {
+        if (panel.classList.contains('hidden')) {
+            // Panel was closed by opening another one - stop streaming
+            ipcRenderer.send('request-log-watch', null);
             return;
         }
-        
-        const hostname = new URL(url).hostname;
-        ipcRenderer.send('adblock-whitelist-add', hostname);
-        
-        // Update UI
-        const btn = document.getElementById('shields-whitelist-site');
-        if (btn) {
-            const originalText = btn.innerHTML;
-            btn.innerHTML = '<i class="fas fa-check"></i> Added!';
-            btn.disabled = true;
-            setTimeout(() => {
-                btn.innerHTML = originalText;
-                btn.disabled = false;
-            }, 1500);
+        if (data.tabId !== requestLogState.tabId) return;
+
+        requestLogState.entries.push(data.entry);
+        if (requestLogState.entries.length > REQUEST_LOG_MAX_ENTRIES) {
+            requestLogState.entries.shift();
         }
-    } catch (err) {
-        console.error('Failed to whitelist site:', err);
-    }
+
+        // Pages make requests in bursts - re-render at most a few times per second
+        if (!requestLogRenderTimer) {
+            requestLogRenderTimer = setTimeout(() => {
+                requestLogRenderTimer = null;
+                renderRequestLog();
+            }, 250);
+        }
+    });
+
+    ipcRenderer.on('request-log-rules-updated', (event, data) => {
+        requestLogState.userRules = new Set(data.userRules || []);
+        if (data.added) {
+            showToast('Request allowed on this site. Reload to apply.');
+        }
+        renderRequestLog();
+    });
 }
 
 /**
- * Update shields stats display
- * @param {Object} stats - Ad blocker stats
+ * Open the request log for the active tab
  */
-function updateShieldsStats(stats) {
-    // Update shields panel stats
-    const blockedCount = document.getElementById('shields-blocked-count');
-    const totalBlocked = document.getElementById('shields-total-blocked');
-    
-    if (blockedCount) {
-        blockedCount.textContent = stats.sessionBlocked || 0;
-    }
-    
-    if (totalBlocked) {
-        totalBlocked.textContent = stats.totalBlocked || 0;
-    }
-    
-    // Update shield button count with current tab's stats
-    const currentCount = tabManager.getCurrentTabShieldCount();
-    updateShieldButtonCount(currentCount);
+function openRequestLog() {
+    const webview = tabManager.getActiveWebview();
+    if (!webview) return;
+
+    const tabId = getActiveWebContentsId();
+
+    document.querySelectorAll('.panel').forEach(p => {
+        if (p.id !== 'request-log-panel') p.classList.add('hidden');
+    });
+    document.getElementById('request-log-panel').classList.remove('hidden');
+
+    requestLogState.tabId = tabId;
+    requestLogState.entries = [];
+    renderRequestLog();
+    if (tabId) ipcRenderer.send('request-log-watch', tabId);
 }
 
-/**
- * Pulse animation when ad is blocked
- */
-function pulseShieldCount() {
-    const shieldCount = document.getElementById('shield-count');
-    if (shieldCount) {
-        shieldCount.classList.add('pulse');
-        setTimeout(() => shieldCount.classList.remove('pulse'), 300);
-    }
+function closeRequestLog() {
+    document.getElementById('request-log-panel').classList.add('hidden');
+    requestLogState.tabId = null;
+    ipcRenderer.send('request-log-watch', null);
 }
 
 /**
- * Setup shield panel event listeners
+ * Render the request log, newest first, applying the search and decision filters
  */
-function setupShieldsPanelListeners() {
-    // Toggle switch handler
-    const shieldsToggle = document.getElementById('shields-toggle');
-    if (shieldsToggle) {
-        shieldsToggle.addEventListener('change', () => {
-            ipcRenderer.send('adblock-toggle');
-        });
-    }
-    
-    // Whitelist current site button
-    const whitelistBtn = document.getElementById('shields-whitelist-site');
-    if (whitelistBtn) {
-        whitelistBtn.addEventListener('click', whitelistCurrentSite);
+function renderRequestLog() {
+    const list = document.getElementById('request-log-list');
+    const summary = document.getElementById('request-log-summary');
+    const query = document.getElementById('request-log-search').value.trim().toLowerCase();
+    const decision = document.getElementById('request-log-decision').value;
+
+    const entries = requestLogState.entries;
+    const blockedCount = entries.filter(entry => entry.decision === 'blocked').length;
+    summary.textContent = `${entries.length} request${entries.length !== 1 ? 's' : ''} · ${blockedCount} blocked`;
+
+    const matches = entries.filter(entry => {
+        if (decision !== 'all' && entry.decision !== decision) return false;
+        if (!query) return true;
+        return entry.url.toLowerCase().includes(query) ||
+            entry.type.toLowerCase().includes(query) ||
+            (entry.rule || '').toLowerCase().includes(query);
+    }).reverse().slice(0, REQUEST_LOG_MAX_ROWS);
+
+    if (matches.length === 0) {
+        list.innerHTML = `<div class="request-log-empty">${entries.length ? 'No matching requests' : 'No requests recorded yet. Reload the page to capture them.'}</div>`;
+        return;
     }
+
+    list.innerHTML = matches.map(entry => {
+        const isUserRule = entry.rule && requestLogState.userRules.has(entry.rule);
+        const excepted = entry.decision === 'allowed' && entry.rule ? ' excepted' : '';
+        let action = '';
+        if (isUserRule) {
+            action = `<button class="request-log-action" data-action="undo" data-id="${entry.id}" title="Remove the rule you created">Undo</button>`;
+        } else if (entry.decision === 'blocked') {
+            action = `<button class="request-log-action" data-action="allow" data-id="${entry.id}" title="Allow this request on this site">Allow</button>`;
+        }
+
+        const detail = entry.rule || entry.reason || '';
+        return `
+            <div class="request-log-item ${entry.decision}${excepted}">
+                <div class="request-log-info">
+                    <div class="request-log-url" title="${escapeHtml(entry.url)}">${escapeHtml(entry.url)}</div>
+                    <div class="request-log-meta">
+                        <span class="request-log-decision">${entry.decision}</span>
+                        <span class="request-log-badge">${escapeHtml(entry.type)}</span>
+                        ${entry.category ? `<span class="request-log-badge">${escapeHtml(entry.category)}</span>` : ''}
+                        ${detail ? `<span class="request-log-rule" title="${escapeHtml(detail)}">${escapeHtml(detail)}</span>` : ''}
+                    </div>
+                </div>
+                ${action}
+            </div>
+        `;
+    }).join('');
 }
 
 /**
@@ -1564,28 +4626,32 @@ function setupShieldsPanelListeners() {
 function setupAdBlockerListeners() {
     // Listen for blocked ad notifications
     ipcRenderer.on('ad-blocked', (event, data) => {
-        // Update per-tab stats
-        const tabId = data.webContentsId?.toString() || activeTabId?.toString();
-        if (tabId) {
-            // Get current count and increment
-            // const tab = tabs.find(t => t.id?.toString() === tabId);
-            // if (tab) {
-            //     let badge = tab.tabElement.querySelector('.tab-shield-badge');
-            //     const currentCount = badge ? parseInt(badge.textContent) || 0 : 0;
-            //     tabManager.updateTabShieldCount(tabId, currentCount + 1);
-            // }
-        }
-        
-        // Pulse animation on shield button
-        pulseShieldCount();
-        
-        // Refresh shields panel if open
+        const isActiveTab = data.webContentsId && data.webContentsId === getActiveWebContentsId();
         const shieldsPanel = document.getElementById('shields-panel');
-        if (shieldsPanel && !shieldsPanel.classList.contains('hidden')) {
-            ipcRenderer.send('adblock-get-stats');
+        const panelOpen = shieldsPanel && !shieldsPanel.classList.contains('hidden');
+
+        // The event carries the stats of the tab that made the request
+        if (isActiveTab) {
+            pulseShieldCount();
+            if (panelOpen) {
+                updateShieldsStats(data.stats);
+            } else {
+                updateShieldButtonCount(data.stats.tab?.blocked || 0);
+            }
+        } else if (panelOpen) {
+            requestShieldsStats();
         }
     });
     
+    // Tracking parameters were stripped from a navigation
+    ipcRenderer.on('url-params-removed', (event, data) => {
+        const shieldsPanel = document.getElementById('shields-panel');
+        if (shieldsPanel && !shieldsPanel.classList.contains('hidden') &&
+            data.webContentsId === getActiveWebContentsId()) {
+            updateShieldsStats(data.stats);
+        }
+    });
+
     // Listen for state changes
     ipcRenderer.on('adblock-state-changed', (event, data) => {
         updateShieldUI(data.enabled);
@@ -1606,9 +4672,14 @@ function setupAdBlockerListeners() {
     ipcRenderer.on('adblock-whitelist-updated', (event, data) => {
         renderWhitelist(data.whitelist || []);
     });
+
+    // Listen for per-site Shields settings
+    ipcRenderer.on('shields-site-profile', (event, data) => {
+        renderShieldsSiteProfile(data);
+    });
     
     // Request initial stats
-    ipcRenderer.send('adblock-get-stats');
+    requestShieldsStats();
     ipcRenderer.send('adblock-get-whitelist');
 }
 
@@ -1639,6 +4710,8 @@ function applyColorTheme(colorTheme) {
 }
 
 function renderHistory() {
+    renderRecentlyClosed();
+
     const list = document.getElementById('history-list');
     if (history.length === 0) {
         list.innerHTML = '<div class="empty-state"><i class="fas fa-history"></i><p>No history yet</p></div>';
@@ -1657,7 +4730,7 @@ function renderHistory() {
 
     list.querySelectorAll('.history-item').forEach(item => {
         item.addEventListener('click', () => {
-            tabManager.getActiveWebview()?.loadURL(item.dataset.url);
+            tabManager.loadUrl(item.dataset.url);
             document.getElementById('history-panel').classList.add('hidden');
         });
     });
@@ -1682,7 +4755,7 @@ function renderBookmarks() {
 
     list.querySelectorAll('.bookmark-list-item').forEach(item => {
         item.addEventListener('click', () => {
-            tabManager.getActiveWebview()?.loadURL(item.dataset.url);
+            tabManager.loadUrl(item.dataset.url);
             document.getElementById('bookmarks-panel').classList.add('hidden');
         });
     });
@@ -2001,7 +5074,7 @@ function selectSuggestion(index) {
     urlInput.value = suggestion.type === 'search' ? suggestion.searchQuery || '' : suggestion.url;
     hideUrlSuggestions();
 
-    wv.loadURL(suggestion.url);
+    tabManager.loadUrl(suggestion.url);
     urlInput.blur();
 }
 
@@ -2755,7 +5828,8 @@ function injectCredentialScript(webview, tabId) {
 function handleCredentialSubmit(data) {
     const { url, username, password } = data;
 
-    if (!url || !username || !password) return;
+    // Private windows never offer to save passwords
+    if (!url || !username || !password || privatePartition) return;
 
     // Check if we should prompt
     ipcRenderer.send('credential-check', { url, username, password });
@@ -2882,18 +5956,6 @@ function setupCredentialIPCListeners() {
     });
 }
 
-/**
- * Extend TabManager to include credential injection
- */
-const originalInjectAdBlocker = TabManager.prototype.injectAdBlocker;
-TabManager.prototype.injectAdBlocker = function(webview, tabId) {
-    // Call original ad blocker injection
-    originalInjectAdBlocker.call(this, webview, tabId);
-
-    // Also inject credential detection script
-    injectCredentialScript(webview, tabId);
-};
-
 /**
  * Setup console message listener for credential events from webviews
  */
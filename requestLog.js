@@ -0,0 +1,59 @@
+/**
+ * YarvixBrowser Request Log
+ * Keeps the most recent requests of every tab together with what the ad
+ * blocker decided, so broken sites can be debugged from the Shields panel.
+ */
+
+// Entries kept per tab (oldest are dropped first)
+const MAX_ENTRIES_PER_TAB = 500;
+
+/**
+ * RequestLog class - per-tab ring buffer of request decisions
+ */
+class RequestLog {
+  constructor(maxEntries = MAX_ENTRIES_PER_TAB) {
+    this.maxEntries = maxEntries;
+    this.tabs = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Record a request
+   * @param {string} tabId - webContents ID of the tab
+   * @param {Object} entry - { url, type, pageUrl, decision, rule, category }
+   * @returns {Object} - The stored entry
+   */
+  record(tabId, entry) {
+    let entries = this.tabs.get(tabId);
+    if (!entries) {
+      entries = [];
+      this.tabs.set(tabId, entries);
+    }
+
+    const stored = { id: this.nextId++, time: Date.now(), ...entry };
+    entries.push(stored);
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+    return stored;
+  }
+
+  /**
+   * Get the logged requests of a tab, oldest first
+   * @param {string} tabId - webContents ID of the tab
+   * @returns {Object[]}
+   */
+  getEntries(tabId) {
+    return this.tabs.get(tabId) || [];
+  }
+
+  /**
+   * Forget the requests of a tab (e.g. when it navigates to a new page)
+   * @param {string} tabId - webContents ID of the tab
+   */
+  clear(tabId) {
+    this.tabs.delete(tabId);
+  }
+}
+
+module.exports = { RequestLog, MAX_ENTRIES_PER_TAB };
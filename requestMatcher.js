@@ -0,0 +1,323 @@
+/**
+ * YarvixBrowser Request Matcher
+ * Indexes network filters so that matching a request costs roughly the same
+ * no matter how many rules are loaded (like Brave/uBlock's filter engines).
+ *
+ * Filters are bucketed by:
+ *  - hostname, for `||host^` / `||host/path` rules (looked up by walking the
+ *    request hostname's parent domains)
+ *  - token, for everything else: a run of letters/digits that must appear at
+ *    the start of a URL token for the filter to match
+ * Filters with no usable token end up in a small fallback list that is
+ * checked for every request.
+ */
+
+// Tokens shorter than this are too common to be useful as index keys
+const MIN_TOKEN_LENGTH = 3;
+
+// Only the first N characters of a token are used as the key, so a filter
+// token like "advert" still finds URLs containing "advertisement"
+const TOKEN_KEY_LENGTH = 8;
+
+// Tokens present in nearly every URL - indexing on them would create huge buckets
+const BAD_TOKENS = new Set(['http', 'https', 'www', 'com', 'net', 'org', 'html', 'php']);
+
+// `||hostname^` or `||hostname/...` where hostname is fully spelled out
+const HOSTNAME_PATTERN = /^\|\|([a-z0-9.-]+)(?:\^|\/)/i;
+
+/**
+ * Find tokens in a literal string where `*` marks unknown text
+ * @param {string} literal - Pattern text
+ * @param {boolean} startBounded - Whether the start of the text is a token boundary
+ * @returns {string[]}
+ */
+function findBoundedTokens(literal, startBounded) {
+  const tokens = [];
+  const tokenRegex = /[a-z0-9]+/gi;
+  let match;
+
+  while ((match = tokenRegex.exec(literal))) {
+    // The token must start a URL token, so the character before it has to be
+    // a known separator (not a wildcard and not the unanchored pattern start)
+    const before = match.index === 0 ? (startBounded ? '' : '*') : literal[match.index - 1];
+    if (before === '*') continue;
+    tokens.push(match[0].toLowerCase());
+  }
+
+  return tokens;
+}
+
+/**
+ * Reduce a regex source to literal text so tokens can be pulled from it
+ * @param {string} source - RegExp source
+ * @returns {string[]} - Tokens, or an empty list if the regex is too complex
+ */
+function findRegExpTokens(source) {
+  // Alternations and groups make every literal optional
+  if (/(^|[^\\])[|(]/.test(source)) return [];
+
+  const startBounded = source.startsWith('^');
+  let literal = '';
+
+  for (let i = startBounded ? 1 : 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (ch === '\\') {
+      // \d, \w, ... are wildcards; \/ \. \- are literal separators
+      const next = source[++i] || '';
+      literal += /[a-z0-9]/i.test(next) ? '*' : next;
+    } else if (ch === '[') {
+      const end = source.indexOf(']', i + 1);
+      if (end === -1) return [];
+      const charClass = source.slice(i + 1, end);
+      // A class of separators like [?&] is still a boundary
+      literal += /[a-z0-9^\\]/i.test(charClass) ? '*' : '/';
+      i = end;
+    } else if (ch === '?' || ch === '*' || ch === '+' || ch === '{') {
+      // The quantified character may not be there (or may repeat)
+      literal = literal.slice(0, -1) + '*';
+      if (ch === '{') {
+        const end = source.indexOf('}', i);
+        i = end === -1 ? source.length : end;
+      }
+    } else if (ch === '.' || ch === '$' || ch === '^') {
+      literal += '*';
+    } else {
+      literal += ch;
+    }
+  }
+
+  return findBoundedTokens(literal, startBounded);
+}
+
+/**
+ * Pick the index token for a filter
+ * @param {NetworkFilter} filter - The filter
+ * @returns {string|null}
+ */
+function selectFilterToken(filter) {
+  const pattern = filter.pattern;
+  let tokens;
+
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    tokens = findRegExpTokens(pattern.slice(1, -1));
+  } else {
+    const anchored = pattern.startsWith('|');
+    tokens = findBoundedTokens(pattern.replace(/^\|\|?/, ''), anchored);
+  }
+
+  let best = null;
+  for (const token of tokens) {
+    if (token.length < MIN_TOKEN_LENGTH || BAD_TOKENS.has(token)) continue;
+    const key = token.slice(0, TOKEN_KEY_LENGTH);
+    if (!best || key.length > best.length) best = key;
+  }
+  return best;
+}
+
+/**
+ * Get the index keys for a request URL (cached on the request object)
+ * @param {Object} request - Context from createFilterRequest()
+ * @returns {Set<string>}
+ */
+function getRequestTokenKeys(request) {
+  if (request.tokenKeys) return request.tokenKeys;
+
+  const keys = new Set();
+  const runs = request.urlLower.match(/[a-z0-9]+/g) || [];
+  for (const run of runs) {
+    const maxLength = Math.min(run.length, TOKEN_KEY_LENGTH);
+    for (let length = MIN_TOKEN_LENGTH; length <= maxLength; length++) {
+      keys.add(run.slice(0, length));
+    }
+  }
+
+  request.tokenKeys = keys;
+  return keys;
+}
+
+/**
+ * Add a filter to a Map of buckets
+ * @param {Map<string, NetworkFilter[]>} buckets - Bucket map
+ * @param {string} key - Bucket key
+ * @param {NetworkFilter} filter - Filter to add
+ */
+function addToBucket(buckets, key, filter) {
+  const bucket = buckets.get(key);
+  if (bucket) {
+    bucket.push(filter);
+  } else {
+    buckets.set(key, [filter]);
+  }
+}
+
+/**
+ * Return the first filter in a bucket that matches the request
+ * @param {NetworkFilter[]|undefined} bucket - Filters to test
+ * @param {Object} request - Request context
+ * @param {Function|null} accept - Optional predicate filters must pass
+ * @returns {NetworkFilter|null}
+ */
+function findInBucket(bucket, request, accept) {
+  if (!bucket) return null;
+  for (const filter of bucket) {
+    if ((!accept || accept(filter)) && filter.matches(request)) return filter;
+  }
+  return null;
+}
+
+/**
+ * FilterIndex class - hostname and token index over a set of network filters
+ */
+class FilterIndex {
+  constructor() {
+    this.hostnameBuckets = new Map();
+    this.tokenBuckets = new Map();
+    this.fallback = [];
+    this.size = 0;
+  }
+
+  /**
+   * Add a filter to the index
+   * @param {NetworkFilter} filter - The filter to add
+   */
+  add(filter) {
+    this.size++;
+
+    const hostnameMatch = filter.pattern.match(HOSTNAME_PATTERN);
+    if (hostnameMatch) {
+      addToBucket(this.hostnameBuckets, hostnameMatch[1].toLowerCase(), filter);
+      return;
+    }
+
+    const token = selectFilterToken(filter);
+    if (token) {
+      addToBucket(this.tokenBuckets, token, filter);
+    } else {
+      this.fallback.push(filter);
+    }
+  }
+
+  /**
+   * Remove a filter from the index
+   * @param {NetworkFilter} filter - A filter previously passed to add()
+   * @returns {boolean} - True if the filter was found
+   */
+  remove(filter) {
+    const hostnameMatch = filter.pattern.match(HOSTNAME_PATTERN);
+    const token = hostnameMatch ? null : selectFilterToken(filter);
+    const buckets = hostnameMatch ? this.hostnameBuckets : this.tokenBuckets;
+    const key = hostnameMatch ? hostnameMatch[1].toLowerCase() : token;
+
+    const bucket = key ? buckets.get(key) : this.fallback;
+    const index = bucket ? bucket.indexOf(filter) : -1;
+    if (index === -1) return false;
+
+    bucket.splice(index, 1);
+    if (key && bucket.length === 0) buckets.delete(key);
+    this.size--;
+    return true;
+  }
+
+  /**
+   * Add several filters
+   * @param {NetworkFilter[]} filters - Filters to add
+   */
+  addAll(filters) {
+    filters.forEach(filter => this.add(filter));
+  }
+
+  /**
+   * Remove many filters at once (e.g. a whole filter list) - one pass over the
+   * buckets instead of a search per filter
+   * @param {NetworkFilter[]} filters - Filters previously passed to add()
+   */
+  removeAll(filters) {
+    if (filters.length === 0) return;
+    const removed = new Set(filters);
+
+    const prune = (bucket) => {
+      const kept = bucket.filter(filter => !removed.has(filter));
+      this.size -= bucket.length - kept.length;
+      return kept;
+    };
+
+    for (const buckets of [this.hostnameBuckets, this.tokenBuckets]) {
+      for (const [key, bucket] of buckets) {
+        const kept = prune(bucket);
+        if (kept.length === 0) {
+          buckets.delete(key);
+        } else {
+          buckets.set(key, kept);
+        }
+      }
+    }
+    this.fallback = prune(this.fallback);
+  }
+
+  /**
+   * Find a filter matching the request
+   * @param {Object} request - Context from createFilterRequest()
+   * @param {Function} accept - Optional predicate, e.g. to skip disabled categories
+   * @returns {NetworkFilter|null}
+   */
+  findMatch(request, accept = null) {
+    if (this.size === 0) return null;
+
+    // Walk the hostname and its parent domains: a.b.example.com, b.example.com, example.com, com
+    if (this.hostnameBuckets.size > 0) {
+      let hostname = request.hostname;
+      while (hostname) {
+        const found = findInBucket(this.hostnameBuckets.get(hostname), request, accept);
+        if (found) return found;
+        const dot = hostname.indexOf('.');
+        hostname = dot === -1 ? '' : hostname.slice(dot + 1);
+      }
+    }
+
+    if (this.tokenBuckets.size > 0) {
+      for (const key of getRequestTokenKeys(request)) {
+        const found = findInBucket(this.tokenBuckets.get(key), request, accept);
+        if (found) return found;
+      }
+    }
+
+    return findInBucket(this.fallback, request, accept);
+  }
+
+  /**
+   * Remove every filter from the index
+   */
+  clear() {
+    this.hostnameBuckets.clear();
+    this.tokenBuckets.clear();
+    this.fallback = [];
+    this.size = 0;
+  }
+
+  /**
+   * Get index statistics (useful for spotting filters that fall back to linear scans)
+   * @returns {Object}
+   */
+  getStats() {
+    let hostnameFilters = 0;
+    this.hostnameBuckets.forEach(bucket => { hostnameFilters += bucket.length; });
+    let tokenFilters = 0;
+    let largestBucket = 0;
+    this.tokenBuckets.forEach(bucket => {
+      tokenFilters += bucket.length;
+      largestBucket = Math.max(largestBucket, bucket.length);
+    });
+
+    return {
+      size: this.size,
+      hostnameFilters,
+      tokenFilters,
+      tokenBuckets: this.tokenBuckets.size,
+      largestTokenBucket: largestBucket,
+      fallbackFilters: this.fallback.length
+    };
+  }
+}
+
+module.exports = { FilterIndex, getRequestTokenKeys };
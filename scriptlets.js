@@ -0,0 +1,373 @@
+/**
+ * YarvixBrowser Scriptlets
+ * Small named page scripts that filter rules can run on a site, e.g.
+ * `example.com##+js(set-constant, adsEnabled, false)`.
+ *
+ * - Names and arguments follow uBlock Origin's scriptlets, so rules from
+ *   public filter lists work unchanged (short aliases like `aopr` included)
+ * - Every scriptlet is a self-contained function: it is serialized with
+ *   toString() and run in the page by the webview preload, before any page script
+ * - Arguments are always strings, exactly as written in the rule
+ */
+
+/**
+ * Run `onLeaf(owner, prop)` on the last object of a property chain, waiting for
+ * the intermediate objects to be created if they don't exist yet.
+ * Shared by the scriptlets below (injected once, ahead of them).
+ * @param {string} chain - Property chain from window, e.g. `ytInitialPlayerResponse.adSlots`
+ * @param {Function} onLeaf - Called with (owner, prop) for the last property
+ */
+function trapChain(chain, onLeaf) {
+  const trap = (owner, path) => {
+    const dot = path.indexOf('.');
+    if (dot === -1) {
+      onLeaf(owner, path);
+      return;
+    }
+
+    const prop = path.slice(0, dot);
+    const rest = path.slice(dot + 1);
+    let current = owner[prop];
+    if (current instanceof Object) trap(current, rest);
+
+    // Trap again whenever the page replaces the intermediate object. Another
+    // scriptlet may already watch this property, so keep calling its setter too.
+    const previous = Object.getOwnPropertyDescriptor(owner, prop);
+    const previousSet = previous && previous.set;
+    try {
+      Object.defineProperty(owner, prop, {
+        configurable: true,
+        get: () => current,
+        set: (value) => {
+          if (previousSet) previousSet.call(owner, value);
+          current = value;
+          if (value instanceof Object) trap(value, rest);
+        }
+      });
+    } catch (e) {
+      // Non-configurable property - leave it alone
+    }
+  };
+  trap(window, chain);
+}
+
+/**
+ * Build a string test: `/regex/` arguments are regular expressions, `!` negates,
+ * anything else is a substring (an empty needle matches everything)
+ * @param {string} needle - Needle from the rule
+ * @returns {Function} - (text) => boolean
+ */
+function toMatcher(needle) {
+  const negate = needle.startsWith('!');
+  const pattern = negate ? needle.slice(1) : needle;
+  let test = text => text.includes(pattern);
+
+  const regexMatch = pattern.match(/^\/(.+)\/([imsu]*)$/);
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2]);
+      test = text => regex.test(text);
+    } catch (e) {
+      test = () => false;
+    }
+  }
+  return negate ? text => !test(text) : test;
+}
+
+/**
+ * set-constant: make a property always return a fixed value
+ * @param {string} chain - Property chain from window
+ * @param {string} rawValue - undefined, null, true, false, noopFunc, trueFunc,
+ *   falseFunc, emptyArr, emptyObj, '' or a number
+ */
+function setConstant(chain, rawValue = 'undefined') {
+  const constants = {
+    undefined: undefined,
+    null: null,
+    true: true,
+    false: false,
+    noopFunc: function() {},
+    trueFunc: function() { return true; },
+    falseFunc: function() { return false; },
+    emptyArr: [],
+    emptyObj: {},
+    '': ''
+  };
+
+  let value;
+  if (Object.prototype.hasOwnProperty.call(constants, rawValue)) {
+    value = constants[rawValue];
+  } else if (/^-?\d+(\.\d+)?$/.test(rawValue)) {
+    value = Number(rawValue);
+  } else {
+    return;
+  }
+
+  trapChain(chain, (owner, prop) => {
+    try {
+      Object.defineProperty(owner, prop, {
+        configurable: false,
+        get: () => value,
+        set: () => {}
+      });
+    } catch (e) {
+      // Already locked by the page
+    }
+  });
+}
+
+/**
+ * json-prune: remove properties from JSON parsed by the page (JSON.parse and
+ * Response.json), e.g. ad placements embedded in an API response
+ * @param {string} propsToRemove - Space-separated property paths to delete
+ * @param {string} requiredProps - Space-separated paths that must all exist for
+ *   the object to be pruned (optional)
+ */
+function jsonPrune(propsToRemove = '', requiredProps = '') {
+  const removePaths = propsToRemove.split(/\s+/).filter(Boolean);
+  const requiredPaths = requiredProps.split(/\s+/).filter(Boolean);
+  if (removePaths.length === 0) return;
+
+  const resolve = (root, path) => {
+    const parts = path.split('.');
+    const prop = parts.pop();
+    let owner = root;
+    for (const part of parts) {
+      if (!(owner instanceof Object)) return null;
+      owner = owner[part];
+    }
+    return owner instanceof Object && prop in owner ? { owner, prop } : null;
+  };
+
+  const prune = (data) => {
+    if (!(data instanceof Object)) return data;
+    if (!requiredPaths.every(path => resolve(data, path))) return data;
+    removePaths.forEach(path => {
+      const found = resolve(data, path);
+      if (found) delete found.owner[found.prop];
+    });
+    return data;
+  };
+
+  const originalParse = JSON.parse;
+  JSON.parse = function(...args) {
+    return prune(originalParse.apply(this, args));
+  };
+
+  if (window.Response) {
+    const originalJson = Response.prototype.json;
+    Response.prototype.json = function(...args) {
+      return originalJson.apply(this, args).then(prune);
+    };
+  }
+}
+
+/**
+ * abort-on-property-read: throw when the page reads a property (stops the
+ * script that uses it)
+ * @param {string} chain - Property chain from window
+ */
+function abortOnPropertyRead(chain) {
+  if (!chain) return;
+  trapChain(chain, (owner, prop) => {
+    try {
+      Object.defineProperty(owner, prop, {
+        configurable: false,
+        get: () => { throw new ReferenceError(prop); },
+        set: () => {}
+      });
+    } catch (e) {
+      // Already locked by the page
+    }
+  });
+}
+
+/**
+ * abort-on-property-write: throw when the page assigns a property
+ * @param {string} chain - Property chain from window
+ */
+function abortOnPropertyWrite(chain) {
+  if (!chain) return;
+  trapChain(chain, (owner, prop) => {
+    try {
+      Object.defineProperty(owner, prop, {
+        configurable: false,
+        get: () => undefined,
+        set: () => { throw new ReferenceError(prop); }
+      });
+    } catch (e) {
+      // Already locked by the page
+    }
+  });
+}
+
+/**
+ * no-setTimeout-if: drop setTimeout calls whose callback source matches
+ * @param {string} needle - Substring or /regex/ of the callback (`!` negates)
+ * @param {string} delay - Only drop calls with this delay (`!` negates, optional)
+ */
+function noSetTimeoutIf(needle = '', delay = '') {
+  const matchesCallback = toMatcher(needle);
+  const negateDelay = delay.startsWith('!');
+  const delayValue = parseInt(negateDelay ? delay.slice(1) : delay, 10);
+
+  const originalSetTimeout = window.setTimeout;
+  window.setTimeout = function(callback, ms, ...rest) {
+    const delayMatches = isNaN(delayValue) || ((Number(ms) || 0) === delayValue) !== negateDelay;
+    if (delayMatches && matchesCallback(String(callback))) {
+      return originalSetTimeout.call(this, function() {}, ms);
+    }
+    return originalSetTimeout.call(this, callback, ms, ...rest);
+  };
+}
+
+/**
+ * no-setInterval-if: drop setInterval calls whose callback source matches
+ * @param {string} needle - Substring or /regex/ of the callback (`!` negates)
+ * @param {string} delay - Only drop calls with this delay (`!` negates, optional)
+ */
+function noSetIntervalIf(needle = '', delay = '') {
+  const matchesCallback = toMatcher(needle);
+  const negateDelay = delay.startsWith('!');
+  const delayValue = parseInt(negateDelay ? delay.slice(1) : delay, 10);
+
+  const originalSetInterval = window.setInterval;
+  window.setInterval = function(callback, ms, ...rest) {
+    const delayMatches = isNaN(delayValue) || ((Number(ms) || 0) === delayValue) !== negateDelay;
+    if (delayMatches && matchesCallback(String(callback))) {
+      return originalSetInterval.call(this, function() {}, ms);
+    }
+    return originalSetInterval.call(this, callback, ms, ...rest);
+  };
+}
+
+/**
+ * skip-video-ads: skip in-player video ads on YouTube-style players (clicks the
+ * skip button, otherwise mutes and fast-forwards the ad, then restores playback)
+ */
+function skipVideoAds() {
+  const SKIP_BUTTONS = '.ytp-ad-skip-button, .ytp-ad-skip-button-modern, .ytp-skip-ad-button, .ytp-ad-skip-button-slot button';
+  const state = { wasAdPlaying: false, muted: false, volume: 1, attempts: 0 };
+
+  const handleAd = () => {
+    const video = document.querySelector('video');
+    const player = document.querySelector('.html5-video-player');
+    if (!video || !player) return;
+
+    if (player.classList.contains('ad-showing')) {
+      if (!state.wasAdPlaying) {
+        state.wasAdPlaying = true;
+        state.muted = video.muted;
+        state.volume = video.volume;
+        state.attempts = 0;
+      }
+
+      const skipButton = document.querySelector(SKIP_BUTTONS);
+      if (skipButton && skipButton.offsetParent !== null) {
+        skipButton.click();
+        return;
+      }
+
+      video.muted = true;
+      video.playbackRate = 16;
+
+      // Jump close to the end, but not onto it (an "ended" ad can stall the player)
+      state.attempts++;
+      if (state.attempts > 5 && isFinite(video.duration) && video.duration > 1) {
+        const target = Math.max(0, video.duration - 0.5);
+        if (video.currentTime < target) video.currentTime = target;
+      }
+    } else if (state.wasAdPlaying) {
+      state.wasAdPlaying = false;
+      video.playbackRate = 1;
+      video.muted = state.muted;
+      video.volume = state.volume;
+      if (video.paused) {
+        video.play().catch(() => {
+          const playButton = document.querySelector('.ytp-play-button');
+          if (playButton) playButton.click();
+        });
+      }
+    } else if (video.playbackRate > 1) {
+      video.playbackRate = 1;
+    }
+  };
+
+  const start = () => {
+    setInterval(handleAd, 250);
+    new MutationObserver(handleAd).observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class']
+    });
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start, { once: true });
+  } else {
+    start();
+  }
+}
+
+// Scriptlet library: name -> function, with the aliases used by filter lists
+const SCRIPTLETS = {
+  'set-constant': setConstant,
+  'json-prune': jsonPrune,
+  'abort-on-property-read': abortOnPropertyRead,
+  'abort-on-property-write': abortOnPropertyWrite,
+  'no-setTimeout-if': noSetTimeoutIf,
+  'no-setInterval-if': noSetIntervalIf,
+  'skip-video-ads': skipVideoAds
+};
+
+const SCRIPTLET_ALIASES = {
+  'set': 'set-constant',
+  'aopr': 'abort-on-property-read',
+  'aopw': 'abort-on-property-write',
+  'nostif': 'no-setTimeout-if',
+  'prevent-setTimeout': 'no-setTimeout-if',
+  'nosiif': 'no-setInterval-if',
+  'prevent-setInterval': 'no-setInterval-if'
+};
+
+/**
+ * Get the canonical name of a scriptlet
+ * @param {string} name - Name from a rule (`set`, `set-constant` or `set-constant.js`)
+ * @returns {string|null} - null if there is no such scriptlet
+ */
+function resolveScriptletName(name) {
+  const bare = name.replace(/\.js$/, '');
+  const canonical = SCRIPTLET_ALIASES[bare] || bare;
+  return Object.prototype.hasOwnProperty.call(SCRIPTLETS, canonical) ? canonical : null;
+}
+
+/**
+ * Build the page script that runs a set of scriptlets
+ * @param {Object[]} scriptlets - [{ name, args }] with canonical names
+ * @returns {string} - JavaScript source, or '' if there is nothing to run
+ */
+function buildScriptletScript(scriptlets) {
+  const calls = scriptlets
+    .filter(({ name }) => SCRIPTLETS[name])
+    .map(({ name, args }) => `
+      try {
+        (${SCRIPTLETS[name].toString()})(...${JSON.stringify(args)});
+      } catch (e) {
+        console.warn('[Scriptlets] ${name} failed:', e);
+      }`);
+  if (calls.length === 0) return '';
+
+  return `
+    (function() {
+      if (window.__yarvixScriptlets) return;
+      window.__yarvixScriptlets = true;
+
+      const trapChain = ${trapChain.toString()};
+      const toMatcher = ${toMatcher.toString()};
+      ${calls.join('\n')}
+    })();
+  `;
+}
+
+module.exports = { SCRIPTLETS, resolveScriptletName, buildScriptletScript };
@@ -0,0 +1,122 @@
+/**
+ * Ad blocker benchmark
+ * Replays a recorded request corpus through AdBlocker.shouldBlock() and
+ * reports per-request matching cost.
+ *
+ * Record a corpus by launching the browser with
+ *   YARVIX_RECORD_REQUESTS=/tmp/requests.jsonl npm start
+ * (one JSON object per line: { url, pageUrl, type }), then run
+ *   node scripts/benchmark-adblock.js /tmp/requests.jsonl [--lists <dir>] [--iterations <n>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AdBlocker } = require('../adblock');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = { corpus: null, lists: null, iterations: 10 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--lists') {
+      options.lists = argv[++i];
+    } else if (arg === '--iterations') {
+      options.iterations = Math.max(1, parseInt(argv[++i], 10) || 1);
+    } else if (!options.corpus) {
+      options.corpus = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load a recorded corpus, skipping malformed lines
+ * @param {string} filePath - Path to a .jsonl corpus
+ * @returns {Array<{url: string, pageUrl: string, type: string}>}
+ */
+function loadCorpus(filePath) {
+  const entries = [];
+
+  fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.url) {
+        entries.push({ url: entry.url, pageUrl: entry.pageUrl || '', type: entry.type || 'other' });
+      }
+    } catch (e) {
+      // Ignore partially written lines (e.g. the browser was killed mid-write)
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Get a percentile from a sorted list of numbers
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.corpus) {
+    console.error('Usage: node scripts/benchmark-adblock.js <corpus.jsonl> [--lists <dir>] [--iterations <n>]');
+    process.exit(1);
+  }
+
+  const corpus = loadCorpus(path.resolve(options.corpus));
+  if (corpus.length === 0) {
+    console.error(`No requests found in ${options.corpus}`);
+    process.exit(1);
+  }
+
+  const loadStart = process.hrtime.bigint();
+  const adBlocker = new AdBlocker();
+  if (options.lists) {
+    adBlocker.loadFilterListsFromDirectory(path.resolve(options.lists));
+  }
+  const loadMs = Number(process.hrtime.bigint() - loadStart) / 1e6;
+
+  // Warm up so JIT compilation doesn't skew the first iteration
+  corpus.forEach(entry => adBlocker.shouldBlock(entry.url, entry.pageUrl, entry.type));
+
+  const timings = [];
+  let blocked = 0;
+
+  for (let iteration = 0; iteration < options.iterations; iteration++) {
+    for (const entry of corpus) {
+      const start = process.hrtime.bigint();
+      const result = adBlocker.shouldBlock(entry.url, entry.pageUrl, entry.type);
+      timings.push(Number(process.hrtime.bigint() - start) / 1e3);
+      if (iteration === 0 && result) blocked++;
+    }
+  }
+
+  timings.sort((a, b) => a - b);
+  const total = timings.reduce((sum, value) => sum + value, 0);
+
+  console.log(`Corpus:      ${corpus.length} requests x ${options.iterations} iterations`);
+  console.log(`Rules:       ${adBlocker.getFilterRuleCount()} from filter lists (+ built-in)`);
+  console.log(`Engine load: ${loadMs.toFixed(1)} ms`);
+  console.log(`Blocked:     ${blocked} / ${corpus.length}`);
+  console.log(`Avg:         ${(total / timings.length).toFixed(2)} µs/request`);
+  console.log(`p50:         ${percentile(timings, 50).toFixed(2)} µs`);
+  console.log(`p99:         ${percentile(timings, 99).toFixed(2)} µs`);
+  console.log(`Max:         ${timings[timings.length - 1].toFixed(2)} µs`);
+}
+
+main();
@@ -0,0 +1,295 @@
+/**
+ * YarvixBrowser Session Restore
+ * Keeps a snapshot of the open browser windows so the next start can reopen them.
+ *
+ * - Browser windows send their tabs (order, URLs, back/forward history, scroll
+ *   position, zoom, pinned tabs, tab groups and the active tab) whenever they
+ *   change; the snapshot is written a moment later, so a crash loses at most a
+ *   few seconds
+ * - Private windows are never saved
+ * - Only web pages (http, https), about:blank and the browser's own pages are
+ *   restored; tabs and history entries with other URLs (javascript:, data:,
+ *   other local files, ...) are dropped
+ * - The file is marked `running` while the browser is open; finding it still
+ *   marked on start means the last run didn't quit cleanly (crash, power loss),
+ *   and the browser asks before restoring instead of restoring right away
+ * - Until the previous session has been restored or declined it stays in the
+ *   file, so crashing again before answering doesn't lose it
+ */
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { SettingsStore } = require('./settingsStore');
+
+// Back/forward entries kept per tab
+const MAX_TAB_HISTORY = 20;
+
+// Longest tab group name kept
+const MAX_GROUP_NAME_LENGTH = 50;
+
+// The browser's own pages tabs may show (file: URLs)
+const APP_PAGES = ['homepage.html'].map(page => path.join(__dirname, page));
+
+/**
+ * Check whether a saved URL may be loaded again in a tab
+ * @param {string} url - Tab or history entry URL
+ * @returns {boolean}
+ */
+function isRestorableUrl(url) {
+  if (typeof url !== 'string' || !url) return false;
+  if (url === 'about:blank') return true;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol === 'http:' || parsed.protocol === 'https:') return true;
+  if (parsed.protocol !== 'file:') return false;
+
+  try {
+    return APP_PAGES.includes(fileURLToPath(parsed));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Clean up a window snapshot sent by a browser window
+ * @param {Object} state - { tabs, activeTab, groups, bounds, maximized }
+ * @returns {Object} - The snapshot with invalid tabs dropped and indexes in range
+ */
+function sanitizeWindow(state = {}) {
+  const groups = (Array.isArray(state.groups) ? state.groups : [])
+    .filter(group => group && typeof group.id === 'string' && group.id)
+    .map(group => ({
+      id: group.id,
+      name: typeof group.name === 'string' ? group.name.slice(0, MAX_GROUP_NAME_LENGTH) : '',
+      color: typeof group.color === 'string' ? group.color : 'grey',
+      collapsed: group.collapsed === true
+    }));
+  const groupIds = new Set(groups.map(group => group.id));
+
+  const tabs = (Array.isArray(state.tabs) ? state.tabs : [])
+    .map(sanitizeTab)
+    .filter(Boolean)
+    .map(tab => (groupIds.has(tab.groupId) ? tab : { ...tab, groupId: null }));
+
+  const bounds = state.bounds && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(state.bounds[key]))
+    ? { x: state.bounds.x, y: state.bounds.y, width: state.bounds.width, height: state.bounds.height }
+    : null;
+
+  return {
+    tabs,
+    activeTab: Math.min(Math.max(Number.parseInt(state.activeTab, 10) || 0, 0), Math.max(tabs.length - 1, 0)),
+    // Groups that still have tabs
+    groups: groups.filter(group => tabs.some(tab => tab.groupId === group.id)),
+    bounds,
+    maximized: state.maximized === true
+  };
+}
+
+/**
+ * Clean up a tab snapshot
+ * @param {Object} tab - { url, title, containerId, pinned, groupId, history: { entries, index }, scroll, zoom }
+ * @returns {Object|null} - The tab, or null when it has no URL that may be restored
+ */
+function sanitizeTab(tab) {
+  if (!tab || typeof tab.url !== 'string' || !tab.url) return null;
+
+  let entries = (Array.isArray(tab.history?.entries) ? tab.history.entries : [])
+    .filter(entry => entry && isRestorableUrl(entry.url))
+    .map(entry => ({ url: entry.url, title: typeof entry.title === 'string' ? entry.title : '' }));
+  let index = Number.parseInt(tab.history?.index, 10);
+
+  if (entries.length === 0 || !(index >= 0 && index < entries.length)) {
+    if (!isRestorableUrl(tab.url)) return null;
+    entries = [{ url: tab.url, title: tab.title || '' }];
+    index = 0;
+  }
+
+  // Keep the entries closest to the current one
+  if (entries.length > MAX_TAB_HISTORY) {
+    const start = Math.min(Math.max(index - Math.floor(MAX_TAB_HISTORY / 2), 0), entries.length - MAX_TAB_HISTORY);
+    entries = entries.slice(start, start + MAX_TAB_HISTORY);
+    index -= start;
+  }
+
+  return {
+    url: entries[index].url,
+    title: typeof tab.title === 'string' ? tab.title : entries[index].title,
+    containerId: typeof tab.containerId === 'string' ? tab.containerId : null,
+    pinned: tab.pinned === true,
+    // Pinned tabs are never in a group
+    groupId: tab.pinned !== true && typeof tab.groupId === 'string' ? tab.groupId : null,
+    history: { entries, index },
+    scroll: {
+      x: Number.isFinite(tab.scroll?.x) ? tab.scroll.x : 0,
+      y: Number.isFinite(tab.scroll?.y) ? tab.scroll.y : 0
+    },
+    zoom: Number.isFinite(tab.zoom) && tab.zoom > 0 ? tab.zoom : 1
+  };
+}
+
+/**
+ * SessionRestore class - the open windows' snapshot and the previous session
+ */
+class SessionRestore {
+  /**
+   * @param {string} settingsFile - JSON file for the session (kept in memory only when omitted)
+   */
+  constructor(settingsFile = null) {
+    // Browser window UI webContents ID -> window snapshot
+    this.windows = new Map();
+    // Last browser window closed while the browser keeps running (macOS); reopened
+    // next time unless another window is opened first
+    this.closedWindow = null;
+    // Windows saved by the last run
+    this.previousWindows = [];
+    this.uncleanExit = false;
+    // Keep the previous windows in the file until they are restored or declined
+    this.keepPrevious = false;
+
+    this.store = settingsFile ? new SettingsStore(settingsFile, {
+      name: 'SessionRestore',
+      version: 1,
+      defaults: { running: false, windows: [] }
+    }) : null;
+
+    this.load();
+  }
+
+  load() {
+    if (!this.store) return;
+
+    const settings = this.store.load();
+    this.previousWindows = (Array.isArray(settings.windows) ? settings.windows : [])
+      .map(sanitizeWindow)
+      .filter(state => state.tabs.length > 0);
+    this.uncleanExit = settings.running === true && this.previousWindows.length > 0;
+    this.keepPrevious = this.previousWindows.length > 0;
+
+    if (this.uncleanExit) {
+      console.warn('[SessionRestore] The last session did not end cleanly');
+    }
+
+    // Marked until the browser quits cleanly
+    this.store.save(this.getData(true));
+  }
+
+  /**
+   * Data written to the file
+   * @param {boolean} running - The browser is open
+   * @returns {Object} - { running, windows }
+   */
+  getData(running) {
+    const windows = [
+      ...(this.keepPrevious ? this.previousWindows : []),
+      ...this.windows.values(),
+      ...(this.closedWindow ? [this.closedWindow] : [])
+    ].filter(state => state.tabs.length > 0);
+    return { running, windows };
+  }
+
+  scheduleSave() {
+    this.store?.scheduleSave(() => this.getData(true));
+  }
+
+  /**
+   * Get the windows saved by the last run
+   * @returns {Object[]} - Window snapshots ({ tabs, activeTab, groups, bounds, maximized })
+   */
+  getPreviousWindows() {
+    return this.previousWindows;
+  }
+
+  /**
+   * Check whether the last run ended without quitting cleanly
+   * @returns {boolean}
+   */
+  wasUncleanExit() {
+    return this.uncleanExit;
+  }
+
+  /**
+   * The previous session has been restored or declined: stop keeping it
+   */
+  finishRestore() {
+    if (!this.keepPrevious) return;
+    this.keepPrevious = false;
+    this.scheduleSave();
+  }
+
+  /**
+   * Store the latest snapshot of a browser window
+   * @param {number} webContentsId - The window's UI webContents ID
+   * @param {Object} state - { tabs, activeTab, groups, bounds, maximized }
+   */
+  updateWindow(webContentsId, state) {
+    this.windows.set(webContentsId, sanitizeWindow(state));
+    this.scheduleSave();
+  }
+
+  /**
+   * Update the position and size of a browser window
+   * @param {number} webContentsId - The window's UI webContents ID
+   * @param {Object} bounds - Normal (unmaximized) bounds
+   * @param {boolean} maximized - The window is maximized
+   */
+  setWindowBounds(webContentsId, bounds, maximized) {
+    const state = this.windows.get(webContentsId);
+    if (!state) return;
+    this.windows.set(webContentsId, sanitizeWindow({ ...state, bounds, maximized }));
+    this.scheduleSave();
+  }
+
+  /**
+   * Forget a closed browser window
+   * @param {number} webContentsId - The window's UI webContents ID
+   * @param {boolean} keep - It was the last window: keep it for the next start
+   * @returns {Object|null} - The window's last snapshot
+   */
+  removeWindow(webContentsId, keep = false) {
+    const state = this.windows.get(webContentsId);
+    if (!state) return null;
+
+    this.windows.delete(webContentsId);
+    if (keep) this.closedWindow = state;
+    this.scheduleSave();
+    return state;
+  }
+
+  /**
+   * A window is opening while the last closed one is kept: it isn't coming back
+   * @returns {Object|null} - The closed window's snapshot, if one was kept
+   */
+  takeClosedWindow() {
+    const state = this.closedWindow;
+    if (!state) return null;
+
+    this.closedWindow = null;
+    this.scheduleSave();
+    return state;
+  }
+
+  /**
+   * Delete the saved session (clear on exit, data wipe)
+   */
+  clear() {
+    this.windows.clear();
+    this.closedWindow = null;
+    this.previousWindows = [];
+    this.keepPrevious = false;
+    this.store?.save(this.getData(true));
+  }
+
+  /**
+   * Write the session and mark the quit as clean (call from `will-quit`)
+   */
+  markCleanExit() {
+    this.store?.save(this.getData(false));
+  }
+}
+
+module.exports = { SessionRestore, MAX_TAB_HISTORY, sanitizeWindow, sanitizeTab, isRestorableUrl };
@@ -0,0 +1,213 @@
+/**
+ * YarvixBrowser Settings Store
+ * Small JSON file store for main-process settings (lives in userData).
+ *
+ * - Writes are atomic: data goes to a temp file which is then renamed over
+ *   the real one, so a crash mid-write never leaves a truncated file
+ * - Every file carries a schema `version`; older files are upgraded one
+ *   version at a time through the `migrations` table on load
+ * - Unreadable files are moved aside (`<file>.corrupt-<timestamp>`) instead
+ *   of being overwritten, and the store starts again from defaults
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Delay before a scheduled save hits the disk (batches frequent updates like counters)
+const SAVE_DELAY = 2000;
+
+/**
+ * Deep copy plain JSON data
+ * @param {*} value - JSON-compatible value
+ * @returns {*}
+ */
+function cloneData(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Write a file atomically: the data goes to a temp file that is then renamed
+ * over the target, so readers never see a half-written file
+ * @param {string} filePath - Target file
+ * @param {string} contents - File contents
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.tmp`;
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const fd = fs.openSync(tempPath, 'w', 0o600);
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    try {
+      fs.rmSync(tempPath, { force: true });
+    } catch {
+      // Nothing left to clean up
+    }
+    throw err;
+  }
+}
+
+/**
+ * SettingsStore class - versioned JSON file with atomic writes
+ */
+class SettingsStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Object} options
+   * @param {number} options.version - Current schema version
+   * @param {Object} options.defaults - Data used when there is no file yet
+   * @param {Object<number, Function>} options.migrations - `{ 2: data => data }` upgrades version 1 data to version 2.
+   *   Files without a version field are treated as version 0.
+   * @param {string} options.name - Name used in log messages
+   */
+  constructor(filePath, { version, defaults = {}, migrations = {}, name = 'SettingsStore' }) {
+    this.filePath = filePath;
+    this.version = version;
+    this.defaults = defaults;
+    this.migrations = migrations;
+    this.name = name;
+    this.saveTimer = null;
+    this.pendingData = null;
+  }
+
+  /**
+   * Read the file, migrating it to the current schema version if needed
+   * @returns {Object} - Settings data (defaults when the file doesn't exist)
+   */
+  load() {
+    let data;
+
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return cloneData(this.defaults);
+      }
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Settings file does not contain an object');
+      }
+    } catch (err) {
+      console.warn(`[${this.name}] Failed to read ${path.basename(this.filePath)}:`, err.message);
+      this.moveAside('corrupt');
+      return cloneData(this.defaults);
+    }
+
+    const fileVersion = Number.isInteger(data.version) ? data.version : 0;
+
+    if (fileVersion > this.version) {
+      // Written by a newer build - keep a copy so a downgrade can't lose it
+      console.warn(`[${this.name}] Settings were saved by a newer version (v${fileVersion}), keeping a backup`);
+      this.moveAside(`v${fileVersion}`, true);
+      return { ...cloneData(this.defaults), ...data };
+    }
+
+    if (fileVersion < this.version) {
+      try {
+        for (let version = fileVersion + 1; version <= this.version; version++) {
+          const migrate = this.migrations[version];
+          if (migrate) data = migrate(data);
+        }
+        console.log(`[${this.name}] Migrated settings from v${fileVersion} to v${this.version}`);
+      } catch (err) {
+        console.error(`[${this.name}] Migration failed:`, err.message);
+        this.moveAside('corrupt');
+        return cloneData(this.defaults);
+      }
+
+      this.save(data);
+    }
+
+    return { ...cloneData(this.defaults), ...data };
+  }
+
+  /**
+   * Write settings to disk immediately
+   * @param {Object} data - Settings data
+   * @returns {boolean} - True if the write succeeded
+   */
+  save(data) {
+    this.cancelScheduledSave();
+
+    try {
+      writeFileAtomic(this.filePath, JSON.stringify({ ...data, version: this.version }, null, 2));
+      return true;
+    } catch (err) {
+      console.error(`[${this.name}] Failed to save settings:`, err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Save after a short delay, coalescing repeated calls
+   * @param {Function} getData - Called when the save runs, returns the data to write
+   */
+  scheduleSave(getData) {
+    this.pendingData = getData;
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+    // Don't keep the process alive just to write settings
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Run a scheduled save now (call before quitting)
+   */
+  flush() {
+    const getData = this.pendingData;
+    this.cancelScheduledSave();
+    if (getData) this.save(getData());
+  }
+
+  /**
+   * Drop any scheduled save without writing
+   */
+  cancelScheduledSave() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.pendingData = null;
+  }
+
+  /**
+   * Delete the settings file (e.g. during a data wipe)
+   */
+  remove() {
+    this.cancelScheduledSave();
+    try {
+      fs.rmSync(this.filePath, { force: true });
+    } catch (err) {
+      console.warn(`[${this.name}] Failed to delete settings:`, err.message);
+    }
+  }
+
+  /**
+   * Move or copy the current file out of the way
+   * @param {string} suffix - Backup file suffix
+   * @param {boolean} keepOriginal - Copy instead of rename
+   */
+  moveAside(suffix, keepOriginal = false) {
+    const backupPath = `${this.filePath}.${suffix}-${Date.now()}`;
+    try {
+      if (keepOriginal) {
+        fs.copyFileSync(this.filePath, backupPath);
+      } else {
+        fs.renameSync(this.filePath, backupPath);
+      }
+      console.warn(`[${this.name}] Backed up settings: ${backupPath}`);
+    } catch (err) {
+      console.warn(`[${this.name}] Failed to back up settings:`, err.message);
+    }
+  }
+}
+
+module.exports = { SettingsStore, writeFileAtomic };
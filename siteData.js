@@ -0,0 +1,462 @@
+/**
+ * YarvixBrowser Site Data
+ * Looks up and clears what sites have stored in a session, and keeps the
+ * per-site "keep / clear on exit" rules.
+ *
+ * - Cookies are the ones the session would send to the site, including cookies
+ *   set for a parent domain (e.g. `.example.com` for `www.example.com`)
+ * - Storage (localStorage, IndexedDB, service workers, cache storage, ...) is
+ *   cleared for the site's origin only
+ * - The site data manager groups everything by site (`mail.example.com` and
+ *   `www.example.com` are both `example.com`). Electron has no API listing storage
+ *   per origin, so a site's storage is known by the origins it loaded pages from
+ *   (SiteOrigins), and only the session's total size on disk is shown
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SettingsStore } = require('./settingsStore');
+const { getBaseDomain } = require('./filterParser');
+
+// Storage types cleared with a site's data
+const SITE_STORAGES = [
+  'cookies',
+  'filesystem',
+  'indexdb',
+  'localstorage',
+  'shadercache',
+  'websql',
+  'serviceworkers',
+  'cachestorage'
+];
+
+/**
+ * Build the URL a cookie belongs to (needed to remove it)
+ * @param {Electron.Cookie} cookie - The cookie
+ * @returns {string}
+ */
+function getCookieUrl(cookie) {
+  const host = (cookie.domain || '').replace(/^\./, '');
+  return `${cookie.secure ? 'https' : 'http'}://${host}${cookie.path || '/'}`;
+}
+
+/**
+ * Get the cookies stored for a site
+ * @param {Electron.Session} ses - The session
+ * @param {string} url - A URL of the site
+ * @returns {Promise<Electron.Cookie[]>}
+ */
+function getSiteCookies(ses, url) {
+  return ses.cookies.get({ url });
+}
+
+/**
+ * Measure what a site has stored
+ * @param {Electron.Session} ses - The session
+ * @param {string} url - A URL of the site
+ * @param {Electron.WebContents} contents - A tab showing the site (used to ask for the
+ *   storage estimate; optional)
+ * @returns {Promise<{cookies: number, storageUsage: number|null}>} - storageUsage in bytes,
+ *   null when it couldn't be measured
+ */
+async function getSiteData(ses, url, contents = null) {
+  const cookies = await getSiteCookies(ses, url);
+
+  let storageUsage = null;
+  if (contents && !contents.isDestroyed()) {
+    try {
+      storageUsage = await contents.executeJavaScript(
+        'navigator.storage ? navigator.storage.estimate().then(estimate => estimate.usage) : null'
+      );
+    } catch {
+      // Page doesn't allow it (e.g. still loading)
+    }
+  }
+
+  return { cookies: cookies.length, storageUsage };
+}
+
+/**
+ * Delete everything a site has stored
+ * @param {Electron.Session} ses - The session
+ * @param {string} url - A URL of the site
+ * @returns {Promise<number>} - Number of cookies removed
+ */
+async function clearSiteData(ses, url) {
+  const origin = new URL(url).origin;
+  const cookies = await getSiteCookies(ses, url);
+
+  await Promise.all(cookies.map(cookie => ses.cookies.remove(getCookieUrl(cookie), cookie.name)));
+  await ses.clearStorageData({ origin, storages: SITE_STORAGES });
+
+  console.log(`[SiteData] Cleared ${cookies.length} cookies and the storage of one origin`);
+  return cookies.length;
+}
+
+/**
+ * Add up the size of every file under a directory
+ * @param {string} dir - Directory
+ * @returns {Promise<number>} - Bytes (0 if it doesn't exist)
+ */
+async function getDirectorySize(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirectorySize(entryPath);
+    } else {
+      try {
+        total += (await fs.promises.stat(entryPath)).size;
+      } catch {
+        // Removed while reading
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * Measure everything a session keeps on disk (storage, cookies and caches)
+ * @param {Electron.Session} ses - The session
+ * @returns {Promise<number|null>} - Bytes, or null for in-memory sessions
+ */
+async function getStorageSize(ses) {
+  const storagePath = ses.getStoragePath();
+  return storagePath ? getDirectorySize(storagePath) : null;
+}
+
+/**
+ * Get the site an origin belongs to
+ * @param {string} origin - e.g. `https://mail.example.com`
+ * @returns {string} - e.g. `example.com` ('' if the origin is invalid)
+ */
+function getOriginSite(origin) {
+  try {
+    return getBaseDomain(new URL(origin).hostname);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * List the sites that have stored data in a session
+ * @param {Electron.Session} ses - The session
+ * @param {string[]} origins - Origins known to have loaded pages in the session (SiteOrigins)
+ * @returns {Promise<Object[]>} - Sorted by site: { site, origins, cookies, cookieSize } with
+ *   cookies as { name, domain, path, secure, httpOnly, session, expirationDate, size }
+ */
+async function listSiteData(ses, origins = []) {
+  const sites = new Map();
+  const getEntry = (hostname) => {
+    const site = getBaseDomain(hostname);
+    if (!sites.has(site)) {
+      sites.set(site, { site, origins: new Set(), cookies: [], cookieSize: 0 });
+    }
+    return sites.get(site);
+  };
+
+  for (const cookie of await ses.cookies.get({})) {
+    const entry = getEntry(cookie.domain);
+    const size = cookie.name.length + cookie.value.length;
+    entry.cookieSize += size;
+    entry.cookies.push({
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      session: cookie.session,
+      expirationDate: cookie.expirationDate || null,
+      size
+    });
+  }
+
+  for (const origin of origins) {
+    let hostname;
+    try {
+      hostname = new URL(origin).hostname;
+    } catch {
+      continue;
+    }
+    getEntry(hostname).origins.add(origin);
+  }
+
+  return Array.from(sites.values())
+    .map(entry => ({ ...entry, origins: Array.from(entry.origins) }))
+    .sort((a, b) => a.site.localeCompare(b.site));
+}
+
+/**
+ * Delete everything a site (and its subdomains) has stored in a session
+ * @param {Electron.Session} ses - The session
+ * @param {string} site - Site from listSiteData (e.g. `example.com`)
+ * @param {string[]} origins - Origins known to have loaded pages in the session (SiteOrigins)
+ * @returns {Promise<number>} - Number of cookies removed
+ */
+async function clearSite(ses, site, origins = []) {
+  const cookies = (await ses.cookies.get({})).filter(cookie => getBaseDomain(cookie.domain) === site);
+
+  // The recorded origins, plus the hosts its cookies were set for
+  const siteOrigins = new Set(origins.filter(origin => getOriginSite(origin) === site));
+  const hosts = new Set([site, `www.${site}`, ...cookies.map(cookie => cookie.domain.replace(/^\./, ''))]);
+  for (const host of hosts) {
+    siteOrigins.add(`https://${host}`);
+    siteOrigins.add(`http://${host}`);
+  }
+
+  await Promise.all(cookies.map(cookie => ses.cookies.remove(getCookieUrl(cookie), cookie.name)));
+  for (const origin of siteOrigins) {
+    await ses.clearStorageData({ origin, storages: SITE_STORAGES });
+  }
+
+  console.log(`[SiteData] Cleared ${cookies.length} cookies and storage of ${siteOrigins.size} origins`);
+  return cookies.length;
+}
+
+/**
+ * Delete the cookies and storage of every site in a session except some
+ * @param {Electron.Session} ses - The session
+ * @param {string[]} keptSites - Sites to leave alone (e.g. `example.com`)
+ * @param {string[]} origins - Origins known to have loaded pages in the session (SiteOrigins)
+ * @returns {Promise<void>}
+ */
+async function clearAllSiteData(ses, keptSites = [], origins = []) {
+  if (keptSites.length === 0) {
+    await ses.clearStorageData({ storages: SITE_STORAGES });
+    return;
+  }
+
+  // clearStorageData can't exclude origins: clear every other origin the session
+  // has loaded pages from or has cookies for, one by one
+  const kept = new Set(keptSites);
+  const cookies = (await ses.cookies.get({})).filter(cookie => !kept.has(getBaseDomain(cookie.domain)));
+  await Promise.all(cookies.map(cookie => ses.cookies.remove(getCookieUrl(cookie), cookie.name)));
+
+  const clearedOrigins = new Set(origins.filter(origin => !kept.has(getOriginSite(origin))));
+  for (const cookie of cookies) {
+    const host = cookie.domain.replace(/^\./, '');
+    clearedOrigins.add(`https://${host}`);
+    clearedOrigins.add(`http://${host}`);
+  }
+  for (const origin of clearedOrigins) {
+    await ses.clearStorageData({ origin, storages: SITE_STORAGES });
+  }
+}
+
+/**
+ * SiteOrigins class - the origins that loaded pages or frames in each session.
+ * Electron can't list the origins with storage, and every origin that stores
+ * something (localStorage, IndexedDB, service workers, ...) has loaded a page or a
+ * frame first, so this record tells the site data manager what to show and clear
+ */
+class SiteOrigins {
+  /**
+   * @param {string} settingsFile - JSON file for the origins (kept in memory only when omitted)
+   */
+  constructor(settingsFile = null) {
+    // Session key ('' for the default session, or a container ID) -> Set of origins
+    this.sessions = new Map();
+
+    this.store = settingsFile ? new SettingsStore(settingsFile, {
+      name: 'SiteOrigins',
+      version: 1,
+      defaults: { sessions: {} }
+    }) : null;
+
+    if (this.store) {
+      const settings = this.store.load();
+      for (const [key, origins] of Object.entries(settings.sessions || {})) {
+        if (Array.isArray(origins)) this.sessions.set(key, new Set(origins));
+      }
+    }
+  }
+
+  scheduleSave() {
+    this.store?.scheduleSave(() => ({
+      sessions: Object.fromEntries(Array.from(this.sessions.entries())
+        .map(([key, origins]) => [key, Array.from(origins)]))
+    }));
+  }
+
+  /**
+   * Write pending changes now (the browser is quitting)
+   */
+  flush() {
+    this.store?.flush();
+  }
+
+  /**
+   * Record the origin of a page or frame load
+   * @param {string} key - Session key
+   * @param {string} url - URL being loaded
+   */
+  add(key, url) {
+    let origin;
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return;
+      origin = parsed.origin;
+    } catch {
+      return;
+    }
+
+    if (!this.sessions.has(key)) this.sessions.set(key, new Set());
+    const origins = this.sessions.get(key);
+    if (origins.has(origin)) return;
+    origins.add(origin);
+    this.scheduleSave();
+  }
+
+  /**
+   * Get the origins recorded in a session
+   * @param {string} key - Session key
+   * @returns {string[]}
+   */
+  get(key) {
+    return Array.from(this.sessions.get(key) || []);
+  }
+
+  /**
+   * Forget the origins of a site whose data was deleted
+   * @param {string} key - Session key
+   * @param {string} site - Site (e.g. `example.com`)
+   */
+  removeSite(key, site) {
+    const origins = this.sessions.get(key);
+    if (!origins) return;
+
+    let changed = false;
+    for (const origin of origins) {
+      if (getOriginSite(origin) === site) changed = origins.delete(origin) || changed;
+    }
+    if (changed) this.scheduleSave();
+  }
+
+  /**
+   * Forget the origins of every site but some (the others' data was deleted)
+   * @param {string} key - Session key
+   * @param {string[]} sites - Sites whose origins are kept
+   */
+  retainSites(key, sites) {
+    const origins = this.sessions.get(key);
+    if (!origins) return;
+
+    const kept = new Set(sites);
+    let changed = false;
+    for (const origin of origins) {
+      if (!kept.has(getOriginSite(origin))) changed = origins.delete(origin) || changed;
+    }
+    if (changed) this.scheduleSave();
+  }
+
+  /**
+   * Forget every origin of a session (its data was deleted, or the container removed)
+   * @param {string} key - Session key
+   */
+  clear(key) {
+    if (this.sessions.delete(key)) this.scheduleSave();
+  }
+}
+
+/**
+ * SiteDataRules class - per-site "keep" or "clear" on exit rules
+ */
+class SiteDataRules {
+  /**
+   * @param {string} settingsFile - JSON file for the rules (kept in memory only when omitted)
+   */
+  constructor(settingsFile = null) {
+    // Site -> 'keep' | 'clear'
+    this.rules = new Map();
+
+    this.store = settingsFile ? new SettingsStore(settingsFile, {
+      name: 'SiteDataRules',
+      version: 1,
+      defaults: { rules: {} }
+    }) : null;
+
+    if (this.store) {
+      const settings = this.store.load();
+      this.rules = new Map(Object.entries(settings.rules || {})
+        .filter(([, rule]) => rule === 'keep' || rule === 'clear'));
+    }
+  }
+
+  /**
+   * Get the rule of a site
+   * @param {string} hostname - Site or any hostname of it
+   * @returns {string|null} - 'keep', 'clear' or null
+   */
+  getRule(hostname) {
+    return this.rules.get(getBaseDomain(hostname)) || null;
+  }
+
+  /**
+   * Set or remove the rule of a site
+   * @param {string} hostname - Site or any hostname of it
+   * @param {string|null} rule - 'keep', 'clear', or null to remove it
+   * @returns {boolean} - False if the rule is unknown
+   */
+  setRule(hostname, rule) {
+    const site = getBaseDomain(hostname);
+    if (!site || (rule !== null && rule !== 'keep' && rule !== 'clear')) return false;
+
+    if (rule) {
+      this.rules.set(site, rule);
+    } else {
+      this.rules.delete(site);
+    }
+    this.store?.save({ rules: Object.fromEntries(this.rules) });
+    return true;
+  }
+
+  /**
+   * Get the sites whose data is deleted when the browser quits
+   * @returns {string[]}
+   */
+  getSitesToClear() {
+    return Array.from(this.rules.entries())
+      .filter(([, rule]) => rule === 'clear')
+      .map(([site]) => site);
+  }
+
+  /**
+   * Get the sites whose data survives "clear cookies on exit"
+   * @returns {string[]}
+   */
+  getKeptSites() {
+    return Array.from(this.rules.entries())
+      .filter(([, rule]) => rule === 'keep')
+      .map(([site]) => site);
+  }
+
+  /**
+   * All rules, for the site data manager
+   * @returns {Object[]} - { site, rule }
+   */
+  getState() {
+    return Array.from(this.rules.entries())
+      .map(([site, rule]) => ({ site, rule }))
+      .sort((a, b) => a.site.localeCompare(b.site));
+  }
+}
+
+module.exports = {
+  getSiteData,
+  clearSiteData,
+  getCookieUrl,
+  getStorageSize,
+  listSiteData,
+  clearSite,
+  clearAllSiteData,
+  SiteOrigins,
+  SiteDataRules,
+  SITE_STORAGES
+};
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CertificateStore, summarizeCertificate, MAX_HOSTS } = require('../certificates');
+
+/**
+ * Build a certificate as Electron reports it, issued by a self-signed root
+ * @param {string} fingerprint - Certificate fingerprint
+ * @returns {Object}
+ */
+function certificateWith(fingerprint) {
+  const root = {
+    subjectName: 'Example Root',
+    issuerName: 'Example Root',
+    subject: { commonName: 'Example Root', organizations: ['Example CA'] },
+    issuer: { commonName: 'Example Root', organizations: ['Example CA'] },
+    validStart: 1700000000,
+    validExpiry: 1900000000,
+    serialNumber: '01',
+    fingerprint: 'sha256/root'
+  };
+  root.issuerCert = root;
+
+  return {
+    subjectName: 'news.example',
+    issuerName: 'Example Root',
+    subject: { commonName: 'news.example', organizations: [] },
+    issuer: root.subject,
+    validStart: 1750000000,
+    validExpiry: 1760000000,
+    serialNumber: '02',
+    fingerprint,
+    issuerCert: root
+  };
+}
+
+test('certificates are summarized with their issuer chain up to the root', () => {
+  const summary = summarizeCertificate(certificateWith('sha256/leaf'));
+
+  assert.equal(summary.subject, 'news.example');
+  assert.equal(summary.issuerOrganization, 'Example CA');
+  assert.equal(summary.validExpiry, 1760000000 * 1000);
+  assert.deepEqual(summary.chain.map(cert => cert.subject), ['Example Root']);
+});
+
+test('the latest check of a host is kept with its error', () => {
+  const store = new CertificateStore();
+  store.record('news.example', certificateWith('sha256/a'), 'net::ERR_CERT_DATE_INVALID');
+  store.record('shop.example', certificateWith('sha256/b'), 'net::OK');
+
+  assert.equal(store.getError('news.example'), 'net::ERR_CERT_DATE_INVALID');
+  assert.equal(store.getError('shop.example'), '');
+  assert.equal(store.getError('other.example'), '');
+  assert.equal(store.get('other.example'), null);
+  assert.equal(store.get('shop.example').allowed, false);
+});
+
+test('proceeding anyway trusts only the certificate that was shown', () => {
+  const store = new CertificateStore();
+  assert.equal(store.allow('news.example'), false);
+
+  store.record('news.example', certificateWith('sha256/a'), 'net::ERR_CERT_AUTHORITY_INVALID');
+  assert.equal(store.allow('news.example'), true);
+  assert.equal(store.get('news.example').allowed, true);
+  assert.ok(store.isAllowed('news.example', certificateWith('sha256/a')));
+  assert.ok(!store.isAllowed('news.example', certificateWith('sha256/other')));
+
+  assert.equal(store.revoke('news.example'), true);
+  assert.equal(store.revoke('news.example'), false);
+  assert.equal(store.get('news.example').allowed, false);
+});
+
+test('only the most recent hosts are remembered', () => {
+  const store = new CertificateStore();
+  for (let i = 0; i <= MAX_HOSTS; i++) store.record(`host${i}.example`, certificateWith(`sha256/${i}`), 'net::OK');
+
+  assert.equal(store.results.size, MAX_HOSTS);
+  assert.equal(store.get('host0.example'), null);
+  assert.ok(store.get(`host${MAX_HOSTS}.example`));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { ClearOnExit, clearSessionOnExit } = require('../clearOnExit');
+const { createTempDir } = require('./helpers');
+
+/**
+ * Build a stand-in for an Electron session that records the clear calls
+ * @returns {Object} - The session, with `calls` listing the methods called (and the
+ *   origin storage was cleared for)
+ */
+function createSession() {
+  const calls = [];
+  const record = name => async () => { calls.push(name); };
+  return {
+    calls,
+    cookies: { get: async () => [], remove: record('cookies.remove') },
+    clearStorageData: async (options = {}) => { calls.push(`clearStorageData ${options.origin || 'all'}`); },
+    clearAuthCache: record('clearAuthCache'),
+    clearCache: record('clearCache'),
+    clearCodeCaches: record('clearCodeCaches'),
+    clearHostResolverCache: record('clearHostResolverCache')
+  };
+}
+
+test('nothing is cleared until a category is turned on', () => {
+  const clearOnExit = new ClearOnExit();
+
+  assert.deepEqual(clearOnExit.getCategories(), []);
+  assert.equal(clearOnExit.setCategory('cache', true), true);
+  assert.equal(clearOnExit.setCategory('everything', true), false);
+  assert.deepEqual(clearOnExit.getCategories(), ['cache']);
+});
+
+test('settings and UI data left to clear are kept across restarts', (t) => {
+  const file = path.join(createTempDir(t, 'clear-on-exit'), 'clear-on-exit.json');
+
+  const first = new ClearOnExit(file);
+  first.setCategory('history', true);
+  first.setPendingUi(['history', 'cookies']);
+
+  const second = new ClearOnExit(file);
+  assert.deepEqual(second.getCategories(), ['history']);
+  assert.deepEqual(second.takePendingUi(), ['history']);
+  assert.deepEqual(second.takePendingUi(), []);
+  assert.deepEqual(new ClearOnExit(file).takePendingUi(), []);
+});
+
+test('sessions are cleared for the selected categories only', async () => {
+  const cookiesOnly = createSession();
+  await clearSessionOnExit(cookiesOnly, ['cookies', 'history']);
+  assert.deepEqual(cookiesOnly.calls, ['clearStorageData all', 'clearAuthCache']);
+
+  const cacheOnly = createSession();
+  await clearSessionOnExit(cacheOnly, ['cache']);
+  assert.deepEqual(cacheOnly.calls, ['clearCache', 'clearCodeCaches', 'clearHostResolverCache']);
+
+  const none = createSession();
+  await clearSessionOnExit(none, ['downloads']);
+  assert.deepEqual(none.calls, []);
+});
+
+test('kept sites are left alone when cookies are cleared', async () => {
+  const ses = createSession();
+  await clearSessionOnExit(ses, ['cookies'], ['example.com'], ['https://example.com', 'https://other.example']);
+
+  // Only the other origin is cleared, not the whole session
+  assert.deepEqual(ses.calls, ['clearStorageData https://other.example', 'clearAuthCache']);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { ContainerManager, normalizeSite } = require('../containers');
+const { createTempDir } = require('./helpers');
+
+test('new containers get readable unique IDs and their own partition', () => {
+  const containers = new ContainerManager();
+  assert.deepEqual(containers.getContainers().map(container => container.id), ['personal', 'work']);
+
+  const client = containers.addContainer('  Client A!  ', 'green');
+  assert.deepEqual(client, { id: 'client-a', name: 'Client A!', color: 'green' });
+  assert.equal(containers.getPartition(client.id), 'persist:container-client-a');
+  assert.equal(containers.addContainer('client a!', 'red'), null);
+  assert.equal(containers.addContainer('   ', 'red'), null);
+
+  assert.equal(containers.addContainer('Client  A', 'nope').id, 'client-a-2');
+  assert.equal(containers.getContainer('client-a-2').color, 'blue');
+});
+
+test('site rules match the site and its subdomains, most specific first', () => {
+  const containers = new ContainerManager();
+  assert.equal(containers.setSiteRule('https://www.example.com/login', 'work'), true);
+  assert.equal(containers.setSiteRule('mail.example.com', 'personal'), true);
+  assert.equal(containers.setSiteRule('example.com', 'missing'), false);
+  assert.equal(containers.setSiteRule('not a host', 'work'), false);
+
+  assert.equal(containers.getContainerForUrl('https://example.com/'), 'work');
+  assert.equal(containers.getContainerForUrl('https://docs.example.com/'), 'work');
+  assert.equal(containers.getContainerForUrl('https://inbox.mail.example.com/'), 'personal');
+  assert.equal(containers.getContainerForUrl('https://example.org/'), null);
+  assert.equal(containers.getContainerForUrl('not a url'), null);
+
+  containers.setSiteRule('mail.example.com', null);
+  assert.equal(containers.getContainerForUrl('https://mail.example.com/'), 'work');
+});
+
+test('removing a container removes its site rules', () => {
+  const containers = new ContainerManager();
+  containers.setSiteRule('example.com', 'work');
+
+  assert.equal(containers.removeContainer('work'), true);
+  assert.equal(containers.removeContainer('work'), false);
+  assert.equal(containers.getContainerForUrl('https://example.com/'), null);
+  assert.deepEqual(containers.getState().siteRules, []);
+});
+
+test('containers and rules are kept across restarts', (t) => {
+  const file = path.join(createTempDir(t, 'containers'), 'containers.json');
+
+  const first = new ContainerManager(file);
+  first.addContainer('Shopping', 'pink');
+  first.setSiteRule('shop.example', 'shopping');
+  first.removeContainer('personal');
+
+  const second = new ContainerManager(file);
+  assert.deepEqual(second.getContainers().map(container => container.id), ['work', 'shopping']);
+  assert.equal(second.getContainerForUrl('https://shop.example/'), 'shopping');
+});
+
+test('normalizeSite accepts hostnames and URLs typed by the user', () => {
+  assert.equal(normalizeSite(' WWW.Example.com '), 'example.com');
+  assert.equal(normalizeSite('example.com/path'), 'example.com');
+  assert.equal(normalizeSite('http://mail.example.com:8080/x'), 'mail.example.com');
+  assert.equal(normalizeSite('exa mple.com'), '');
+});
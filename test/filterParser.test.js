@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  NetworkFilter,
+  CosmeticFilter,
+  ScriptletFilter,
+  parseFilter,
+  parseFilterList,
+  parseListMetadata,
+  serializeFilter,
+  deserializeFilter,
+  createFilterRequest,
+  getBaseDomain
+} = require('../filterParser');
+
+/**
+ * Check a network filter against a request
+ * @param {string} line - Filter line
+ * @param {string} url - Request URL
+ * @param {string} pageUrl - Page that made the request
+ * @param {string} type - Electron resource type
+ * @returns {boolean}
+ */
+function matches(line, url, pageUrl = 'https://news.example/', type = 'script') {
+  return parseFilter(line).matches(createFilterRequest(url, pageUrl, type));
+}
+
+test('skips comments, headers and blank lines', () => {
+  assert.equal(parseFilter('! Title: EasyList'), null);
+  assert.equal(parseFilter('[Adblock Plus 2.0]'), null);
+  assert.equal(parseFilter('   '), null);
+});
+
+test('host anchored filters match the host and its subdomains only', () => {
+  assert.ok(matches('||ads.example.com^', 'https://ads.example.com/banner.js'));
+  assert.ok(matches('||ads.example.com^', 'https://cdn.ads.example.com/banner.js'));
+  assert.ok(!matches('||ads.example.com^', 'https://badads.example.com/banner.js'));
+  assert.ok(!matches('||ads.example.com^', 'https://example.com/?u=ads.example.com'));
+});
+
+test('separators and wildcards follow ABP syntax', () => {
+  assert.ok(matches('/banner/*/img^', 'https://site.example/banner/top/img?x=1'));
+  assert.ok(matches('/banner/*/img^', 'https://site.example/banner/top/img'));
+  assert.ok(!matches('/banner/*/img^', 'https://site.example/banner/top/imgs'));
+  assert.ok(matches('|https://track.', 'https://track.example/p'));
+  assert.ok(!matches('|https://track.', 'https://site.example/?r=https://track.'));
+});
+
+test('regex filters keep `$` inside the expression', () => {
+  const filter = parseFilter('/ads\\d+\\.js$/');
+  assert.ok(filter instanceof NetworkFilter);
+  assert.ok(filter.matches(createFilterRequest('https://cdn.example/ads12.js', '', 'script')));
+  assert.ok(!filter.matches(createFilterRequest('https://cdn.example/ads12.json', '', 'script')));
+});
+
+test('type options include and exclude resource types', () => {
+  assert.ok(matches('||cdn.example^$script', 'https://cdn.example/a.js', undefined, 'script'));
+  assert.ok(!matches('||cdn.example^$script', 'https://cdn.example/a.png', undefined, 'image'));
+  assert.ok(!matches('||cdn.example^$~image', 'https://cdn.example/a.png', undefined, 'image'));
+  assert.ok(matches('||cdn.example^$~image', 'https://cdn.example/a.css', undefined, 'stylesheet'));
+});
+
+test('filters without types never block top-level documents', () => {
+  assert.ok(!matches('||cdn.example^', 'https://cdn.example/', '', 'mainFrame'));
+  assert.ok(matches('||cdn.example^$document', 'https://cdn.example/', '', 'mainFrame'));
+});
+
+test('third-party and domain options use the page making the request', () => {
+  assert.ok(matches('||cdn.example^$third-party', 'https://cdn.example/a.js', 'https://news.example/'));
+  assert.ok(!matches('||cdn.example^$third-party', 'https://cdn.example/a.js', 'https://www.cdn.example/'));
+  assert.ok(matches('||cdn.example^$1p', 'https://cdn.example/a.js', 'https://www.cdn.example/'));
+
+  const line = '||cdn.example^$domain=news.example|~sports.news.example';
+  assert.ok(matches(line, 'https://cdn.example/a.js', 'https://www.news.example/'));
+  assert.ok(!matches(line, 'https://cdn.example/a.js', 'https://sports.news.example/'));
+  assert.ok(!matches(line, 'https://cdn.example/a.js', 'https://other.example/'));
+});
+
+test('exception and important flags are parsed', () => {
+  const exception = parseFilter('@@||cdn.example/allowed.js');
+  assert.equal(exception.isException, true);
+  assert.ok(exception.matches(createFilterRequest('https://cdn.example/allowed.js', '', 'script')));
+  assert.equal(parseFilter('||cdn.example^$important').isImportant, true);
+});
+
+test('unsupported or unknown options skip the filter', () => {
+  assert.equal(parseFilter('||cdn.example^$redirect=noop.js'), null);
+  assert.equal(parseFilter('||cdn.example^$made-up-option'), null);
+  assert.equal(parseFilter('$domain='), null);
+  // Options alone would match everything unless they are scoped
+  assert.equal(parseFilter('$third-party'), null);
+  assert.ok(parseFilter('$script,domain=news.example'));
+});
+
+test('cosmetic filters apply to their sites', () => {
+  const generic = parseFilter('##.ad-banner');
+  assert.ok(generic instanceof CosmeticFilter);
+  assert.ok(generic.isGeneric());
+
+  const scoped = parseFilter('news.example,~m.news.example##.sponsored');
+  assert.equal(scoped.selector, '.sponsored');
+  assert.ok(!scoped.isGeneric());
+  assert.ok(scoped.appliesTo('www.news.example'));
+  assert.ok(!scoped.appliesTo('m.news.example'));
+  assert.ok(!scoped.appliesTo('other.example'));
+
+  assert.equal(parseFilter('news.example#@#.sponsored').isException, true);
+  // HTML filters and unsupported extended syntaxes
+  assert.equal(parseFilter('news.example##^script'), null);
+  assert.equal(parseFilter('news.example#$#body { color: red }'), null);
+});
+
+test('procedural filters must name their sites', () => {
+  assert.equal(parseFilter('##div:has-text(Sponsored)'), null);
+
+  const filter = parseFilter('news.example##div.post:-abp-contains(Sponsored)');
+  assert.equal(filter.selector, 'div.post');
+  assert.deepEqual(filter.procedural, [{ type: 'has-text', arg: 'Sponsored' }]);
+  assert.equal(parseFilter('news.example##div:has(span:has-text(Ad))'), null);
+});
+
+test('scriptlet filters parse their arguments', () => {
+  const filter = parseFilter("news.example##+js(set-constant, ads.enabled, 'false')");
+  assert.ok(filter instanceof ScriptletFilter);
+  assert.equal(filter.scriptlet.name, 'set-constant');
+  assert.deepEqual(filter.scriptlet.args, ['ads.enabled', 'false']);
+
+  // Generic scriptlets and unknown ones are skipped; `#@#+js()` disables them all
+  assert.equal(parseFilter('##+js(set-constant, ads.enabled, false)'), null);
+  assert.equal(parseFilter('news.example##+js(no-such-scriptlet)'), null);
+  assert.equal(parseFilter('news.example#@#+js()').isException, true);
+});
+
+test('parseFilterList sorts filters and counts skipped lines', () => {
+  const list = parseFilterList([
+    '! Title: Test list',
+    '||ads.example^',
+    '##.ad',
+    '||cdn.example^$redirect=noop.js',
+    '',
+    '@@||ads.example/ok.js'
+  ].join('\r\n'));
+
+  assert.equal(list.networkFilters.length, 2);
+  assert.equal(list.cosmeticFilters.length, 1);
+  assert.equal(list.skipped, 1);
+});
+
+test('parseListMetadata reads the header comments only', () => {
+  const metadata = parseListMetadata([
+    '[Adblock Plus 2.0]',
+    '! Title: EasyList',
+    '! Version: 202601010000',
+    '! Expires: 4 days (update frequency)',
+    '||ads.example^',
+    '! Homepage: https://not-in-header.example/'
+  ].join('\n'));
+
+  assert.deepEqual(metadata, {
+    title: 'EasyList',
+    homepage: null,
+    version: '202601010000',
+    lastModified: null,
+    expires: '4 days (update frequency)'
+  });
+});
+
+test('serialized filters behave like the parsed ones', () => {
+  const request = createFilterRequest('https://cdn.example/a.js', 'https://news.example/', 'script');
+  const network = deserializeFilter(JSON.parse(JSON.stringify(serializeFilter(
+    parseFilter('||cdn.example^$script,third-party,domain=news.example')))));
+  assert.ok(network instanceof NetworkFilter);
+  assert.ok(network.matches(request));
+
+  const scriptlet = deserializeFilter(serializeFilter(parseFilter('news.example##+js(set-constant, a, 1)')));
+  assert.ok(scriptlet instanceof ScriptletFilter);
+  assert.deepEqual(scriptlet.scriptlet, { name: 'set-constant', args: ['a', '1'] });
+
+  const cosmetic = deserializeFilter(serializeFilter(parseFilter('news.example##.sponsored')));
+  assert.ok(cosmetic.appliesTo('news.example'));
+});
+
+test('getBaseDomain keeps multi-part public suffixes', () => {
+  assert.equal(getBaseDomain('a.b.example.com'), 'example.com');
+  assert.equal(getBaseDomain('shop.example.co.uk'), 'example.co.uk');
+  assert.equal(getBaseDomain('192.168.1.10'), '192.168.1.10');
+});
+
+test('getBaseDomain groups cookie domains and short names like their sites', () => {
+  assert.equal(getBaseDomain('www.gmx.de'), 'gmx.de');
+  assert.equal(getBaseDomain('mail.web.de'), 'web.de');
+  assert.equal(getBaseDomain('.shop.bmw.de'), 'bmw.de');
+  assert.equal(getBaseDomain('.Example.com'), 'example.com');
+  assert.equal(getBaseDomain('[::1]'), '[::1]');
+  assert.equal(getBaseDomain('localhost'), 'localhost');
+});
+
+test('createFilterRequest rejects URLs it cannot parse', () => {
+  assert.equal(createFilterRequest('not a url'), null);
+  assert.equal(createFilterRequest('https://cdn.example/', '', 'webSocket').type, 'websocket');
+});
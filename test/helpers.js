@@ -0,0 +1,36 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create a temp directory removed after the test
+ * @param {Object} t - Test context
+ * @param {string} name - Part of the directory name, for telling leftovers apart
+ * @returns {string} - Directory path
+ */
+function createTempDir(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `yarvix-${name}-`));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Silence the console for the rest of the test (modules log what they load, save and clear)
+ * @param {Object} t - Test context
+ */
+function silenceConsole(t) {
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+}
+
+/**
+ * Read a JSON file
+ * @param {string} file - File path
+ * @returns {Object}
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { createTempDir, silenceConsole, readJson };
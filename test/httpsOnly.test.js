@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HttpsOnlyMode, isLocalHostname } = require('../httpsOnly');
+
+test('http and ws requests are upgraded', () => {
+  const httpsOnly = new HttpsOnlyMode();
+
+  assert.equal(httpsOnly.getUpgradeUrl('http://news.example/a?b=1'), 'https://news.example/a?b=1');
+  assert.equal(httpsOnly.getUpgradeUrl('ws://chat.example/socket', 'https://news.example/'), 'wss://chat.example/socket');
+  assert.equal(httpsOnly.getUpgradeUrl('http://cdn.example/a.js', 'https://news.example/'), 'https://cdn.example/a.js');
+  assert.equal(httpsOnly.getUpgradeUrl('https://news.example/'), null);
+  assert.equal(httpsOnly.getUpgradeUrl('file:///tmp/a.html'), null);
+});
+
+test('local addresses are never upgraded', () => {
+  const httpsOnly = new HttpsOnlyMode();
+
+  for (const host of ['localhost', 'printer.local', 'app.localhost', '192.168.1.10', '10.0.0.1', '172.20.0.1', '[::1]']) {
+    assert.equal(httpsOnly.getUpgradeUrl(`http://${host}/`), null, host);
+  }
+  assert.ok(!isLocalHostname('172.32.0.1'));
+  assert.ok(!isLocalHostname('news.example'));
+});
+
+test('excepted sites load over HTTP with their sub-resources', () => {
+  const httpsOnly = new HttpsOnlyMode();
+  httpsOnly.addException('Old.Example');
+
+  assert.equal(httpsOnly.getUpgradeUrl('http://old.example/'), null);
+  assert.equal(httpsOnly.getUpgradeUrl('http://cdn.example/a.js', 'http://old.example/'), null);
+  assert.equal(httpsOnly.getUpgradeUrl('http://cdn.example/a.js', 'https://news.example/'), 'https://cdn.example/a.js');
+
+  httpsOnly.removeException('old.example');
+  assert.equal(httpsOnly.getUpgradeUrl('http://old.example/'), 'https://old.example/');
+});
+
+test('nothing is upgraded while the mode is off', () => {
+  const httpsOnly = new HttpsOnlyMode();
+  httpsOnly.setEnabled(false);
+
+  assert.equal(httpsOnly.getUpgradeUrl('http://news.example/'), null);
+  assert.deepEqual(httpsOnly.getState(), { enabled: false, exceptions: [] });
+});
+
+test('only failed upgrades of the same site offer the HTTP page', () => {
+  const httpsOnly = new HttpsOnlyMode();
+
+  httpsOnly.trackUpgrade('1', 'http://news.example/a');
+  assert.equal(httpsOnly.takeFailedUpgrade('1', 'https://other.example/', 'net::ERR_CONNECTION_REFUSED'), null);
+  assert.equal(httpsOnly.takeFailedUpgrade('1', 'https://news.example/a', 'net::ERR_CONNECTION_REFUSED'), 'http://news.example/a');
+  assert.equal(httpsOnly.takeFailedUpgrade('1', 'https://news.example/a', 'net::ERR_CONNECTION_REFUSED'), null);
+
+  // Offline or DNS errors would happen over HTTP too
+  httpsOnly.trackUpgrade('2', 'http://news.example/');
+  assert.equal(httpsOnly.takeFailedUpgrade('2', 'https://news.example/', 'net::ERR_NAME_NOT_RESOLVED'), null);
+
+  httpsOnly.trackUpgrade('3', 'http://news.example/');
+  httpsOnly.clearUpgrade('3');
+  assert.equal(httpsOnly.takeFailedUpgrade('3', 'https://news.example/', 'net::ERR_CONNECTION_REFUSED'), null);
+});
+
+test('upgraded sub-resource requests are tracked until they end', () => {
+  const httpsOnly = new HttpsOnlyMode();
+
+  httpsOnly.trackRequestUpgrade(42);
+  assert.equal(httpsOnly.takeRequestUpgrade(42), true);
+  assert.equal(httpsOnly.takeRequestUpgrade(42), false);
+  assert.equal(httpsOnly.takeRequestUpgrade(7), false);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PermissionManager, PERMISSION_TYPES, getPermissionTypes, isAlwaysAllowed, getOrigin } = require('../permissions');
+
+const SITE = 'https://meet.example';
+
+test('Electron permissions map to the browser permission types', () => {
+  assert.deepEqual(getPermissionTypes('media', { mediaTypes: ['video', 'audio'] }), ['camera', 'microphone']);
+  assert.deepEqual(getPermissionTypes('media', { mediaType: 'audio' }), ['microphone']);
+  assert.deepEqual(getPermissionTypes('media'), ['camera', 'microphone']);
+  assert.deepEqual(getPermissionTypes('midiSysex'), ['midi']);
+  assert.deepEqual(getPermissionTypes('openExternal'), ['externalApps']);
+  assert.deepEqual(getPermissionTypes('top-level-storage-access'), ['storageAccess']);
+  assert.equal(getPermissionTypes('fullscreen'), null);
+  assert.equal(getPermissionTypes('unknown'), null);
+});
+
+test('only harmless permissions are granted without a setting', () => {
+  for (const permission of ['fullscreen', 'clipboard-sanitized-write', 'pointerLock', 'keyboardLock', 'mediaKeySystem']) {
+    assert.ok(isAlwaysAllowed(permission), permission);
+  }
+  assert.ok(!isAlwaysAllowed('unknown'));
+
+  // Every other permission Electron knows is managed per site
+  for (const permission of ['midi', 'display-capture', 'speaker-selection', 'window-management', 'idle-detection', 'storage-access']) {
+    const types = getPermissionTypes(permission);
+    assert.ok(types.every(type => PERMISSION_TYPES.includes(type)), permission);
+  }
+});
+
+test('site settings override the defaults', () => {
+  const permissions = new PermissionManager();
+
+  assert.equal(permissions.decide(SITE, ['camera']), 'ask');
+  permissions.setDefault('camera', 'block');
+  assert.equal(permissions.decide(SITE, ['camera']), 'block');
+
+  permissions.setSitePermission(SITE, 'camera', 'allow');
+  permissions.setSitePermission(SITE, 'microphone', 'allow');
+  assert.equal(permissions.decide(SITE, ['camera', 'microphone']), 'allow');
+  assert.equal(permissions.decide('https://other.example', ['camera']), 'block');
+
+  assert.equal(permissions.setDefault('camera', 'maybe'), false);
+  assert.equal(permissions.setSitePermission(SITE, 'teleport', 'allow'), false);
+});
+
+test('a blocked permission blocks the whole request', () => {
+  const permissions = new PermissionManager();
+  permissions.setSitePermission(SITE, 'camera', 'allow');
+  permissions.setSitePermission(SITE, 'microphone', 'block');
+
+  assert.equal(permissions.decide(SITE, ['camera', 'microphone']), 'block');
+  assert.equal(permissions.check(SITE, 'media', { mediaType: 'video' }), true);
+  assert.equal(permissions.check(SITE, 'media', { mediaType: 'audio' }), false);
+});
+
+test('checks grant only allowed and harmless permissions', () => {
+  const permissions = new PermissionManager();
+
+  assert.equal(permissions.check(SITE, 'fullscreen'), true);
+  assert.equal(permissions.check(SITE, 'midi'), false);
+  permissions.setSitePermission(SITE, 'midi', 'allow');
+  assert.equal(permissions.check(SITE, 'midi'), true);
+  assert.equal(permissions.check('', 'midi'), false);
+});
+
+test('remembered prompt answers become site settings', () => {
+  const permissions = new PermissionManager();
+  const answers = [];
+
+  const first = permissions.addRequest({ webContentsId: 1, origin: SITE, types: ['geolocation'], callback: allow => answers.push(allow) });
+  permissions.resolveRequest(first.id, true, true);
+  assert.deepEqual(permissions.getSitePermissions(SITE), { geolocation: 'allow' });
+
+  // Private windows never remember
+  const second = permissions.addRequest({ webContentsId: 1, origin: SITE, types: ['notifications'], callback: allow => answers.push(allow), temporary: true });
+  permissions.resolveRequest(second.id, false, true);
+  assert.deepEqual(permissions.getSitePermissions(SITE), { geolocation: 'allow' });
+
+  assert.deepEqual(answers, [true, false]);
+  assert.equal(permissions.resolveRequest(first.id, true, true), null);
+});
+
+test('closing a tab denies its open prompts', () => {
+  const permissions = new PermissionManager();
+  const answers = [];
+  const request = permissions.addRequest({ webContentsId: 5, origin: SITE, types: ['camera'], callback: allow => answers.push(allow) });
+  permissions.addRequest({ webContentsId: 6, origin: SITE, types: ['camera'], callback: allow => answers.push(allow) });
+
+  assert.deepEqual(permissions.cancelRequests(5), [request.id]);
+  assert.deepEqual(answers, [false]);
+  assert.equal(permissions.pending.size, 1);
+});
+
+test('resetting a site forgets its settings', () => {
+  const permissions = new PermissionManager();
+  permissions.setSitePermission(SITE, 'camera', 'allow');
+  permissions.setSitePermission(SITE, 'camera', 'ask');
+  assert.deepEqual(permissions.getState().sites, []);
+
+  permissions.setSitePermission(SITE, 'clipboard', 'block');
+  permissions.resetSite(SITE);
+  assert.equal(permissions.decide(SITE, ['clipboard']), 'ask');
+});
+
+test('getOrigin ignores URLs without an origin', () => {
+  assert.equal(getOrigin('https://meet.example/room?id=1'), SITE);
+  assert.equal(getOrigin('data:text/html,hi'), '');
+  assert.equal(getOrigin('not a url'), '');
+});
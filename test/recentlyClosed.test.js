@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { RecentlyClosed, MAX_ENTRIES } = require('../recentlyClosed');
+const { createTempDir, readJson } = require('./helpers');
+
+/**
+ * Get a file path in a temp directory removed after the test
+ * @param {Object} t - Test context
+ * @returns {string}
+ */
+function createClosedFile(t) {
+  return path.join(createTempDir(t, 'closed'), 'recently-closed.json');
+}
+
+/**
+ * Build a tab snapshot
+ * @param {string} url - Tab URL
+ * @returns {Object}
+ */
+function tabAt(url) {
+  return { url, title: `Title of ${url}`, history: { entries: [{ url: 'https://start.example/' }, { url }], index: 1 } };
+}
+
+test('closed tabs are listed newest first with their history', () => {
+  const closed = new RecentlyClosed();
+  closed.addTab(tabAt('https://a.example/'));
+  closed.addTab(tabAt('https://b.example/'));
+
+  const items = closed.getItems();
+  assert.deepEqual(items.map(item => item.url), ['https://b.example/', 'https://a.example/']);
+  assert.equal(items[0].type, 'tab');
+  assert.equal(items[0].tabCount, 1);
+  assert.equal(items[0].title, 'Title of https://b.example/');
+
+  const entry = closed.take();
+  assert.deepEqual(entry.tab.history.entries.map(e => e.url), ['https://start.example/', 'https://b.example/']);
+  assert.equal(closed.entries.length, 1);
+});
+
+test('tabs without a URL and empty windows are not remembered', () => {
+  const closed = new RecentlyClosed();
+
+  assert.equal(closed.addTab({ url: '' }), null);
+  assert.equal(closed.addWindow({ tabs: [] }), null);
+  assert.equal(closed.entries.length, 0);
+});
+
+test('a closed window with a single tab is stored as a tab', () => {
+  const closed = new RecentlyClosed();
+
+  assert.equal(closed.addWindow({ tabs: [tabAt('https://a.example/')] }).type, 'tab');
+
+  const entry = closed.addWindow({ tabs: [tabAt('https://b.example/'), tabAt('https://c.example/')], activeTab: 1 });
+  assert.equal(entry.type, 'window');
+  const [item] = closed.getItems();
+  assert.equal(item.url, 'https://c.example/');
+  assert.equal(item.tabCount, 2);
+});
+
+test('only the latest entries are kept', () => {
+  const closed = new RecentlyClosed();
+  for (let i = 0; i < MAX_ENTRIES + 5; i++) closed.addTab(tabAt(`https://example.com/${i}`));
+
+  assert.equal(closed.entries.length, MAX_ENTRIES);
+  assert.equal(closed.getItems()[0].url, `https://example.com/${MAX_ENTRIES + 4}`);
+});
+
+test('take reopens a given entry once', () => {
+  const closed = new RecentlyClosed();
+  const first = closed.addTab(tabAt('https://a.example/'));
+  closed.addTab(tabAt('https://b.example/'));
+
+  assert.equal(closed.take(first.id).tab.url, 'https://a.example/');
+  assert.equal(closed.take(first.id), null);
+  assert.equal(closed.take(999), null);
+  closed.take();
+  assert.equal(closed.take(), null);
+});
+
+test('entries are kept across restarts without their IDs', (t) => {
+  const file = createClosedFile(t);
+
+  const first = new RecentlyClosed(file);
+  first.addTab(tabAt('https://a.example/'));
+  first.addWindow({ tabs: [tabAt('https://b.example/'), tabAt('https://c.example/')] });
+
+  const saved = readJson(file).entries;
+  assert.equal(saved.length, 2);
+  assert.ok(saved.every(entry => !('id' in entry)));
+
+  const second = new RecentlyClosed(file);
+  assert.deepEqual(second.getItems().map(item => [item.type, item.url]), [
+    ['window', 'https://b.example/'],
+    ['tab', 'https://a.example/']
+  ]);
+  assert.equal(new Set(second.entries.map(entry => entry.id)).size, 2);
+});
+
+test('invalid saved entries are dropped on load', (t) => {
+  const file = createClosedFile(t);
+  fs.writeFileSync(file, JSON.stringify({
+    version: 1,
+    entries: [
+      null,
+      { type: 'tab', tab: { url: '' } },
+      { type: 'window', window: { tabs: [] } },
+      { type: 'bookmark' },
+      { type: 'tab', closedAt: 'yesterday', tab: tabAt('https://a.example/') }
+    ]
+  }));
+
+  const closed = new RecentlyClosed(file);
+  assert.equal(closed.entries.length, 1);
+  assert.ok(Number.isFinite(closed.entries[0].closedAt));
+});
+
+test('clear forgets every entry', (t) => {
+  const file = createClosedFile(t);
+  const closed = new RecentlyClosed(file);
+  closed.addTab(tabAt('https://a.example/'));
+
+  closed.clear();
+  assert.deepEqual(closed.getItems(), []);
+  assert.deepEqual(new RecentlyClosed(file).entries, []);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FilterIndex, getRequestTokenKeys } = require('../requestMatcher');
+const { NetworkFilter, parseFilter, createFilterRequest } = require('../filterParser');
+
+/**
+ * Build an index from filter lines
+ * @param {string[]} lines - Network filter lines
+ * @returns {{index: FilterIndex, filters: NetworkFilter[]}}
+ */
+function buildIndex(lines) {
+  const filters = lines.map(line => parseFilter(line));
+  const index = new FilterIndex();
+  index.addAll(filters);
+  return { index, filters };
+}
+
+/**
+ * Find the raw text of the filter matching a request, or null
+ * @param {FilterIndex} index - The index
+ * @param {string} url - Request URL
+ * @param {Function} accept - Optional predicate
+ * @returns {string|null}
+ */
+function findRaw(index, url, accept = null) {
+  return index.findMatch(createFilterRequest(url, 'https://news.example/', 'script'), accept)?.raw || null;
+}
+
+test('hostname filters are found from subdomains of the request', () => {
+  const { index } = buildIndex(['||ads.example^', '||tracker.example/pixel']);
+
+  assert.equal(findRaw(index, 'https://ads.example/a.js'), '||ads.example^');
+  assert.equal(findRaw(index, 'https://a.b.ads.example/a.js'), '||ads.example^');
+  assert.equal(findRaw(index, 'https://tracker.example/pixel.gif'), '||tracker.example/pixel');
+  assert.equal(findRaw(index, 'https://tracker.example/other.gif'), null);
+  assert.equal(findRaw(index, 'https://notads.example/a.js'), null);
+});
+
+test('token filters match URLs containing the token', () => {
+  const { index } = buildIndex(['/advert/*', '&adserver=']);
+
+  assert.equal(findRaw(index, 'https://cdn.example/advert/top.png'), '/advert/*');
+  assert.equal(findRaw(index, 'https://cdn.example/a?x=1&adserver=2'), '&adserver=');
+  assert.equal(findRaw(index, 'https://cdn.example/adv/top.png'), null);
+  assert.equal(index.getStats().tokenFilters, 2);
+});
+
+test('long tokens are found from longer words in the URL', () => {
+  const { index } = buildIndex(['/advertisement-slot/']);
+  assert.equal(findRaw(index, 'https://cdn.example/advertisement-slot/1.js'), '/advertisement-slot/');
+});
+
+test('filters without a usable token fall back to a linear scan', () => {
+  const { index } = buildIndex(['/ad/*', '/\\/[0-9]{4}x[0-9]{3}\\//']);
+
+  assert.equal(index.getStats().fallbackFilters, 2);
+  assert.equal(findRaw(index, 'https://cdn.example/ad/1.js'), '/ad/*');
+  assert.equal(findRaw(index, 'https://cdn.example/1200x628/banner.png'), '/\\/[0-9]{4}x[0-9]{3}\\//');
+});
+
+test('regex filters are indexed by a literal token they require', () => {
+  const { index } = buildIndex(['/\\/banners?\\/[a-z]+\\.gif/']);
+
+  assert.equal(index.getStats().fallbackFilters, 0);
+  assert.ok(findRaw(index, 'https://cdn.example/banners/top.gif'));
+  assert.equal(findRaw(index, 'https://cdn.example/images/top.gif'), null);
+});
+
+test('the accept predicate skips filters', () => {
+  const { index, filters } = buildIndex(['||ads.example^', '/ads.js']);
+  filters[0].category = 'trackers';
+
+  const onlyAds = filter => filter.category === 'ads';
+  assert.equal(findRaw(index, 'https://ads.example/ads.js', onlyAds), '/ads.js');
+  assert.equal(findRaw(index, 'https://ads.example/other.js', onlyAds), null);
+});
+
+test('remove and removeAll take filters out of every bucket', () => {
+  const { index, filters } = buildIndex(['||ads.example^', '/advert/*', '/ad/*']);
+  assert.equal(index.size, 3);
+
+  assert.equal(index.remove(filters[0]), true);
+  assert.equal(index.remove(filters[0]), false);
+  assert.equal(findRaw(index, 'https://ads.example/a.js'), null);
+
+  index.removeAll([filters[1], filters[2]]);
+  assert.equal(index.size, 0);
+  assert.equal(findRaw(index, 'https://cdn.example/advert/ad/1.js'), null);
+  assert.deepEqual(index.getStats(), {
+    size: 0,
+    hostnameFilters: 0,
+    tokenFilters: 0,
+    tokenBuckets: 0,
+    largestTokenBucket: 0,
+    fallbackFilters: 0
+  });
+});
+
+test('built-in RegExp filters are matched like parsed ones', () => {
+  const index = new FilterIndex();
+  index.add(NetworkFilter.fromRegExp(/doubleclick\.net/i));
+  assert.ok(findRaw(index, 'https://ad.doubleclick.net/x'));
+
+  index.clear();
+  assert.equal(findRaw(index, 'https://ad.doubleclick.net/x'), null);
+});
+
+test('request token keys are prefixes of the URL words', () => {
+  const keys = getRequestTokenKeys(createFilterRequest('https://cdn.example/Advertisement', '', 'script'));
+
+  assert.ok(keys.has('adv'));
+  assert.ok(keys.has('advertis'));
+  // Keys stop at the token key length and skip words too short to index
+  assert.ok(!keys.has('advertise'));
+  assert.ok(!keys.has('cd'));
+});
@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { SessionRestore, MAX_TAB_HISTORY, sanitizeWindow, sanitizeTab, isRestorableUrl } = require('../sessionRestore');
+const { createTempDir, silenceConsole, readJson } = require('./helpers');
+
+/**
+ * Get a session file path in a temp directory removed after the test
+ * @param {Object} t - Test context
+ * @returns {string}
+ */
+function createSessionFile(t) {
+  silenceConsole(t);
+  return path.join(createTempDir(t, 'session'), 'session.json');
+}
+
+/**
+ * Build a window snapshot with one tab per URL
+ * @param {...string} urls - Tab URLs
+ * @returns {Object}
+ */
+function windowWith(...urls) {
+  return { tabs: urls.map(url => ({ url, title: url })), activeTab: 0 };
+}
+
+test('sanitizeTab drops tabs without a URL', () => {
+  assert.equal(sanitizeTab(null), null);
+  assert.equal(sanitizeTab({ url: '' }), null);
+  assert.equal(sanitizeTab({ url: 42 }), null);
+});
+
+test('only web pages, about:blank and the browser pages are restored', () => {
+  const homepage = pathToFileURL(path.join(__dirname, '..', 'homepage.html')).href;
+
+  assert.ok(isRestorableUrl('https://a.example/'));
+  assert.ok(isRestorableUrl('http://a.example/'));
+  assert.ok(isRestorableUrl('about:blank'));
+  assert.ok(isRestorableUrl(homepage));
+  assert.ok(isRestorableUrl(`${homepage}?q=1#top`));
+
+  assert.ok(!isRestorableUrl('javascript:alert(1)'));
+  assert.ok(!isRestorableUrl('data:text/html,<h1>hi</h1>'));
+  assert.ok(!isRestorableUrl('file:///etc/passwd'));
+  assert.ok(!isRestorableUrl('about:config'));
+  assert.ok(!isRestorableUrl('chrome://gpu'));
+});
+
+test('sanitizeTab drops tabs and history entries it may not load', () => {
+  assert.equal(sanitizeTab({ url: 'javascript:alert(1)' }), null);
+  assert.equal(sanitizeTab({ url: 'file:///etc/passwd', history: { entries: [{ url: 'data:text/html,x' }], index: 0 } }), null);
+
+  const tab = sanitizeTab({
+    url: 'https://b.example/',
+    history: { entries: [{ url: 'https://a.example/' }, { url: 'file:///etc/passwd' }, { url: 'https://b.example/' }], index: 1 }
+  });
+  assert.deepEqual(tab.history.entries.map(entry => entry.url), ['https://a.example/', 'https://b.example/']);
+  assert.equal(tab.url, 'https://b.example/');
+});
+
+test('sanitizeTab falls back to the tab URL when the history is unusable', () => {
+  const tab = sanitizeTab({ url: 'https://a.example/', title: 'A', history: { entries: [{ url: 'https://b.example/' }], index: 3 } });
+
+  assert.deepEqual(tab.history, { entries: [{ url: 'https://a.example/', title: 'A' }], index: 0 });
+  assert.deepEqual(tab.scroll, { x: 0, y: 0 });
+  assert.equal(tab.zoom, 1);
+  assert.equal(tab.containerId, null);
+});
+
+test('sanitizeTab takes its URL from the current history entry', () => {
+  const tab = sanitizeTab({
+    url: 'https://stale.example/',
+    history: {
+      entries: [{ url: 'https://a.example/', title: 'A' }, null, { url: 'https://b.example/', title: 7 }],
+      index: 1
+    },
+    scroll: { x: 10, y: 'far' },
+    zoom: -2
+  });
+
+  assert.equal(tab.url, 'https://b.example/');
+  assert.deepEqual(tab.history.entries, [{ url: 'https://a.example/', title: 'A' }, { url: 'https://b.example/', title: '' }]);
+  assert.deepEqual(tab.scroll, { x: 10, y: 0 });
+  assert.equal(tab.zoom, 1);
+});
+
+test('sanitizeTab keeps the history entries closest to the current one', () => {
+  const entries = Array.from({ length: MAX_TAB_HISTORY * 2 }, (_, i) => ({ url: `https://example.com/${i}`, title: '' }));
+
+  const middle = sanitizeTab({ url: 'x', history: { entries, index: 25 } });
+  assert.equal(middle.history.entries.length, MAX_TAB_HISTORY);
+  assert.equal(middle.url, 'https://example.com/25');
+  assert.equal(middle.history.entries[0].url, `https://example.com/${25 - MAX_TAB_HISTORY / 2}`);
+
+  const last = sanitizeTab({ url: 'x', history: { entries, index: entries.length - 1 } });
+  assert.equal(last.history.index, MAX_TAB_HISTORY - 1);
+  assert.equal(last.url, `https://example.com/${entries.length - 1}`);
+});
+
+test('sanitizeTab keeps pinned tabs out of groups', () => {
+  assert.equal(sanitizeTab({ url: 'https://a.example/', pinned: true, groupId: 'g1' }).groupId, null);
+  assert.equal(sanitizeTab({ url: 'https://a.example/', groupId: 'g1' }).groupId, 'g1');
+});
+
+test('sanitizeWindow drops invalid tabs and keeps the active tab in range', () => {
+  const state = sanitizeWindow({ tabs: [{ url: 'https://a.example/' }, { url: '' }, null], activeTab: 5 });
+
+  assert.equal(state.tabs.length, 1);
+  assert.equal(state.activeTab, 0);
+  assert.equal(state.bounds, null);
+  assert.equal(state.maximized, false);
+  assert.deepEqual(sanitizeWindow().tabs, []);
+});
+
+test('sanitizeWindow keeps only groups that still have tabs', () => {
+  const state = sanitizeWindow({
+    tabs: [{ url: 'https://a.example/', groupId: 'g1' }, { url: 'https://b.example/', groupId: 'gone' }],
+    groups: [
+      { id: 'g1', name: 'x'.repeat(80), color: 'blue', collapsed: true },
+      { id: 'g2', name: 'Empty' },
+      { name: 'No ID' }
+    ],
+    bounds: { x: 10, y: 20, width: 800, height: 600, extra: true }
+  });
+
+  assert.deepEqual(state.groups.map(group => group.id), ['g1']);
+  assert.equal(state.groups[0].name.length, 50);
+  assert.equal(state.tabs[1].groupId, null);
+  assert.deepEqual(state.bounds, { x: 10, y: 20, width: 800, height: 600 });
+});
+
+test('a session without a file is kept in memory only', () => {
+  const session = new SessionRestore();
+  session.updateWindow(1, windowWith('https://a.example/'));
+
+  assert.equal(session.getData(true).windows.length, 1);
+  assert.deepEqual(session.getPreviousWindows(), []);
+  assert.equal(session.wasUncleanExit(), false);
+});
+
+test('a session still marked running was not quit cleanly', (t) => {
+  const file = createSessionFile(t);
+
+  const first = new SessionRestore(file);
+  assert.equal(readJson(file).running, true);
+  first.updateWindow(1, windowWith('https://a.example/'));
+  first.store.flush();
+
+  // Crash: markCleanExit() never ran
+  const second = new SessionRestore(file);
+  assert.equal(second.wasUncleanExit(), true);
+  assert.equal(second.getPreviousWindows()[0].tabs[0].url, 'https://a.example/');
+  second.store.cancelScheduledSave();
+});
+
+test('a clean quit restores the windows without asking', (t) => {
+  const file = createSessionFile(t);
+
+  const first = new SessionRestore(file);
+  first.updateWindow(1, windowWith('https://a.example/', 'https://b.example/'));
+  first.markCleanExit();
+  assert.equal(readJson(file).running, false);
+
+  const second = new SessionRestore(file);
+  assert.equal(second.wasUncleanExit(), false);
+  assert.equal(second.getPreviousWindows()[0].tabs.length, 2);
+});
+
+test('the previous session stays in the file until restored or declined', (t) => {
+  const file = createSessionFile(t);
+
+  const first = new SessionRestore(file);
+  first.updateWindow(1, windowWith('https://a.example/'));
+  first.markCleanExit();
+
+  const second = new SessionRestore(file);
+  second.updateWindow(2, windowWith('https://b.example/'));
+  second.store.flush();
+  assert.equal(readJson(file).windows.length, 2);
+
+  second.finishRestore();
+  second.store.flush();
+  assert.deepEqual(readJson(file).windows.map(state => state.tabs[0].url), ['https://b.example/']);
+});
+
+test('the last closed window is kept until another one opens', () => {
+  const session = new SessionRestore();
+  session.updateWindow(1, windowWith('https://a.example/'));
+  session.updateWindow(2, windowWith('https://b.example/'));
+
+  assert.equal(session.removeWindow(1).tabs[0].url, 'https://a.example/');
+  assert.equal(session.removeWindow(1), null);
+  session.removeWindow(2, true);
+  assert.equal(session.getData(true).windows.length, 1);
+
+  assert.equal(session.takeClosedWindow().tabs[0].url, 'https://b.example/');
+  assert.equal(session.takeClosedWindow(), null);
+  assert.equal(session.getData(true).windows.length, 0);
+});
+
+test('window bounds are only stored for known windows', () => {
+  const session = new SessionRestore();
+  session.setWindowBounds(9, { x: 0, y: 0, width: 100, height: 100 }, false);
+  assert.equal(session.windows.size, 0);
+
+  session.updateWindow(1, windowWith('https://a.example/'));
+  session.setWindowBounds(1, { x: 5, y: 6, width: 700, height: 500 }, true);
+  assert.deepEqual(session.windows.get(1).bounds, { x: 5, y: 6, width: 700, height: 500 });
+  assert.equal(session.windows.get(1).maximized, true);
+});
+
+test('clear deletes every saved window', (t) => {
+  const file = createSessionFile(t);
+
+  const first = new SessionRestore(file);
+  first.updateWindow(1, windowWith('https://a.example/'));
+  first.markCleanExit();
+
+  const second = new SessionRestore(file);
+  second.updateWindow(2, windowWith('https://b.example/'));
+  second.clear();
+  assert.deepEqual(readJson(file).windows, []);
+  assert.deepEqual(second.getPreviousWindows(), []);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SettingsStore } = require('../settingsStore');
+const { createTempDir, silenceConsole, readJson } = require('./helpers');
+
+/**
+ * Create a store in a temp directory removed after the test
+ * @param {Object} t - Test context
+ * @param {Object} options - SettingsStore options
+ * @returns {{store: SettingsStore, dir: string, file: string}}
+ */
+function createStore(t, options) {
+  const dir = createTempDir(t, 'settings');
+  // Warnings about corrupt or newer files are expected here
+  silenceConsole(t);
+
+  const file = path.join(dir, 'settings.json');
+  return { store: new SettingsStore(file, { name: 'Test', ...options }), dir, file };
+}
+
+test('returns a copy of the defaults when there is no file', (t) => {
+  const defaults = { enabled: true, sites: [] };
+  const { store } = createStore(t, { version: 1, defaults });
+
+  const data = store.load();
+  assert.deepEqual(data, defaults);
+  data.sites.push('example.com');
+  assert.deepEqual(defaults.sites, []);
+});
+
+test('saves with the schema version and loads it back over the defaults', (t) => {
+  const { store, file, dir } = createStore(t, { version: 2, defaults: { enabled: true, count: 0 } });
+
+  assert.equal(store.save({ count: 5 }), true);
+  assert.deepEqual(readJson(file), { count: 5, version: 2 });
+  assert.deepEqual(store.load(), { enabled: true, count: 5, version: 2 });
+  // Nothing is left from the atomic write
+  assert.deepEqual(fs.readdirSync(dir), ['settings.json']);
+});
+
+test('migrates older files one version at a time and saves the result', (t) => {
+  const { store, file } = createStore(t, {
+    version: 3,
+    defaults: {},
+    migrations: {
+      1: data => ({ ...data, list: data.items }),
+      3: data => ({ ...data, list: data.list.map(item => item.toUpperCase()) })
+    }
+  });
+  // Files without a version are version 0
+  fs.writeFileSync(file, JSON.stringify({ items: ['a', 'b'] }));
+
+  assert.deepEqual(store.load().list, ['A', 'B']);
+  assert.equal(readJson(file).version, 3);
+});
+
+test('moves unreadable files aside and starts from the defaults', (t) => {
+  const { store, file, dir } = createStore(t, { version: 1, defaults: { enabled: true } });
+  fs.writeFileSync(file, '{ not json');
+
+  assert.deepEqual(store.load(), { enabled: true });
+  const files = fs.readdirSync(dir);
+  assert.ok(!files.includes('settings.json'));
+  assert.ok(files.some(name => name.startsWith('settings.json.corrupt-')));
+});
+
+test('files that are not objects count as unreadable', (t) => {
+  const { store, dir, file } = createStore(t, { version: 1, defaults: { enabled: true } });
+  fs.writeFileSync(file, '[1, 2]');
+
+  assert.deepEqual(store.load(), { enabled: true });
+  assert.ok(fs.readdirSync(dir).some(name => name.startsWith('settings.json.corrupt-')));
+});
+
+test('a failed migration moves the file aside', (t) => {
+  const { store, dir, file } = createStore(t, {
+    version: 2,
+    defaults: { enabled: true },
+    migrations: { 2: () => { throw new Error('bad data'); } }
+  });
+  fs.writeFileSync(file, JSON.stringify({ version: 1, enabled: false }));
+
+  assert.deepEqual(store.load(), { enabled: true });
+  assert.ok(fs.readdirSync(dir).some(name => name.startsWith('settings.json.corrupt-')));
+});
+
+test('files from a newer version are loaded and backed up', (t) => {
+  const { store, dir, file } = createStore(t, { version: 1, defaults: { enabled: true, extra: 1 } });
+  fs.writeFileSync(file, JSON.stringify({ version: 4, enabled: false }));
+
+  assert.deepEqual(store.load(), { enabled: false, extra: 1, version: 4 });
+  const files = fs.readdirSync(dir);
+  assert.ok(files.includes('settings.json'));
+  assert.ok(files.some(name => name.startsWith('settings.json.v4-')));
+});
+
+test('scheduled saves are coalesced and written on flush', (t) => {
+  const { store, file } = createStore(t, { version: 1 });
+
+  store.scheduleSave(() => ({ count: 1 }));
+  store.scheduleSave(() => ({ count: 2 }));
+  assert.ok(!fs.existsSync(file));
+
+  store.flush();
+  assert.equal(readJson(file).count, 2);
+
+  // Nothing left to write
+  store.flush();
+  assert.equal(readJson(file).count, 2);
+});
+
+test('cancelled and removed stores write nothing', (t) => {
+  const { store, file } = createStore(t, { version: 1 });
+
+  store.scheduleSave(() => ({ count: 1 }));
+  store.cancelScheduledSave();
+  store.flush();
+  assert.ok(!fs.existsSync(file));
+
+  store.save({ count: 2 });
+  store.scheduleSave(() => ({ count: 3 }));
+  store.remove();
+  store.flush();
+  assert.ok(!fs.existsSync(file));
+});
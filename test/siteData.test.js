@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  getCookieUrl, getStorageSize, listSiteData, clearSite, clearAllSiteData, SiteOrigins, SiteDataRules
+} = require('../siteData');
+const { createTempDir, silenceConsole, readJson } = require('./helpers');
+
+/**
+ * Build a cookie as Electron lists it
+ * @param {string} domain - Cookie domain
+ * @param {string} name - Cookie name
+ * @returns {Object}
+ */
+function cookieFor(domain, name = 'id') {
+  return { name, value: 'abc', domain, path: '/', secure: true, httpOnly: false, session: true };
+}
+
+/**
+ * Build a stand-in for an Electron session that records what is cleared
+ * @param {Object[]} cookies - Cookies stored in the session
+ * @param {string|null} storagePath - Storage path (null for in-memory sessions)
+ * @returns {Object} - The session, with `clearedOrigins` ('*' for everything)
+ */
+function createSession(cookies = [], storagePath = null) {
+  const ses = {
+    clearedOrigins: [],
+    cookies: {
+      get: async () => [...cookies],
+      remove: async (url, name) => {
+        const index = cookies.findIndex(cookie => getCookieUrl(cookie) === url && cookie.name === name);
+        if (index !== -1) cookies.splice(index, 1);
+      }
+    },
+    clearStorageData: async (options = {}) => {
+      ses.clearedOrigins.push(options.origin || '*');
+      if (!options.origin) cookies.length = 0;
+    },
+    getStoragePath: () => storagePath
+  };
+  return ses;
+}
+
+test('sites are grouped by registrable domain from cookies and visited origins', async () => {
+  const ses = createSession([cookieFor('.gmx.de'), cookieFor('www.gmx.de', 'session'), cookieFor('.bbc.co.uk')]);
+
+  const sites = await listSiteData(ses, ['https://mail.gmx.de', 'https://news.example', 'not an origin']);
+  assert.deepEqual(sites.map(entry => entry.site), ['bbc.co.uk', 'gmx.de', 'news.example']);
+
+  const gmx = sites[1];
+  assert.equal(gmx.cookies.length, 2);
+  assert.equal(gmx.cookieSize, 'id'.length + 'session'.length + 6);
+  assert.deepEqual(gmx.origins, ['https://mail.gmx.de']);
+  assert.deepEqual(sites[2].cookies, []);
+});
+
+test('clearing a site removes its cookies and the storage of its origins', async (t) => {
+  silenceConsole(t);
+  const ses = createSession([cookieFor('.web.de'), cookieFor('mail.web.de'), cookieFor('.gmx.de')]);
+
+  assert.equal(await clearSite(ses, 'web.de', ['https://mail.web.de:8443', 'https://gmx.de']), 2);
+  assert.deepEqual((await ses.cookies.get()).map(cookie => cookie.domain), ['.gmx.de']);
+  assert.deepEqual(ses.clearedOrigins.sort(), [
+    'http://mail.web.de', 'http://web.de', 'http://www.web.de',
+    'https://mail.web.de', 'https://mail.web.de:8443', 'https://web.de', 'https://www.web.de'
+  ]);
+});
+
+test('clearing every site without kept sites clears the whole session', async () => {
+  const ses = createSession([cookieFor('.gmx.de')]);
+
+  await clearAllSiteData(ses, [], ['https://gmx.de']);
+  assert.deepEqual(ses.clearedOrigins, ['*']);
+  assert.deepEqual(await ses.cookies.get(), []);
+});
+
+test('kept sites keep their cookies and storage, every other known origin is cleared', async () => {
+  const ses = createSession([cookieFor('.gmx.de'), cookieFor('mail.web.de'), cookieFor('.bmw.de')]);
+
+  await clearAllSiteData(ses, ['gmx.de'], ['https://www.gmx.de', 'https://web.de', 'https://news.example:8443']);
+  assert.deepEqual((await ses.cookies.get()).map(cookie => cookie.domain), ['.gmx.de']);
+  assert.deepEqual(ses.clearedOrigins.sort(), [
+    'http://bmw.de', 'http://mail.web.de', 'https://bmw.de', 'https://mail.web.de',
+    'https://news.example:8443', 'https://web.de'
+  ]);
+});
+
+test('the storage size adds up the session directory', async (t) => {
+  const dir = createTempDir(t, 'storage');
+  fs.mkdirSync(path.join(dir, 'IndexedDB'));
+  fs.writeFileSync(path.join(dir, 'Cookies'), 'x'.repeat(10));
+  fs.writeFileSync(path.join(dir, 'IndexedDB', 'data'), 'x'.repeat(5));
+
+  assert.equal(await getStorageSize(createSession([], dir)), 15);
+  assert.equal(await getStorageSize(createSession()), null);
+});
+
+test('only http and https page origins are recorded, per session', () => {
+  const origins = new SiteOrigins();
+  origins.add('', 'https://news.example/article?id=1');
+  origins.add('', 'https://news.example/other');
+  origins.add('', 'http://news.example:8080/');
+  origins.add('', 'file:///tmp/page.html');
+  origins.add('work', 'https://mail.example/');
+
+  assert.deepEqual(origins.get(''), ['https://news.example', 'http://news.example:8080']);
+  assert.deepEqual(origins.get('work'), ['https://mail.example']);
+  assert.deepEqual(origins.get('missing'), []);
+});
+
+test('origins of cleared sites and removed sessions are forgotten', (t) => {
+  const file = path.join(createTempDir(t, 'origins'), 'site-origins.json');
+  const origins = new SiteOrigins(file);
+  origins.add('', 'https://www.gmx.de/');
+  origins.add('', 'https://mail.gmx.de/');
+  origins.add('', 'https://news.example/');
+  origins.add('work', 'https://mail.example/');
+
+  origins.removeSite('', 'gmx.de');
+  origins.clear('work');
+  origins.flush();
+
+  assert.deepEqual(readJson(file).sessions, { '': ['https://news.example'] });
+  assert.deepEqual(new SiteOrigins(file).get(''), ['https://news.example']);
+});
+
+test('after clearing on exit only the kept sites keep their origins', () => {
+  const origins = new SiteOrigins();
+  origins.add('', 'https://mail.gmx.de/');
+  origins.add('', 'https://news.example/');
+
+  origins.retainSites('', ['gmx.de']);
+  assert.deepEqual(origins.get(''), ['https://mail.gmx.de']);
+});
+
+test('site rules apply to the whole site', () => {
+  const rules = new SiteDataRules();
+
+  assert.equal(rules.setRule('mail.gmx.de', 'keep'), true);
+  assert.equal(rules.setRule('www.news.example', 'clear'), true);
+  assert.equal(rules.setRule('news.example', 'forget'), false);
+
+  assert.equal(rules.getRule('www.gmx.de'), 'keep');
+  assert.deepEqual(rules.getKeptSites(), ['gmx.de']);
+  assert.deepEqual(rules.getSitesToClear(), ['news.example']);
+
+  rules.setRule('gmx.de', null);
+  assert.equal(rules.getRule('gmx.de'), null);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { UrlCleaner, parseParamRule } = require('../urlCleaner');
+
+test('tracking parameters are removed and the rest of the URL is kept as written', () => {
+  const cleaner = new UrlCleaner();
+
+  assert.deepEqual(cleaner.clean('https://news.example/a?id=1&utm_source=x&fbclid=y#top'), {
+    url: 'https://news.example/a?id=1#top',
+    removed: ['utm_source', 'fbclid']
+  });
+  assert.equal(cleaner.clean('https://news.example/a?utm_medium=mail').url, 'https://news.example/a');
+  assert.equal(cleaner.clean('https://news.example/a?q=a+b&%75tm_term=c').url, 'https://news.example/a?q=a+b');
+});
+
+test('URLs without tracking parameters come back unchanged', () => {
+  const cleaner = new UrlCleaner();
+
+  for (const url of ['https://news.example/a?id=1', 'https://news.example/', 'file:///tmp/a.html?utm_source=x', 'not a url?fbclid=1']) {
+    assert.deepEqual(cleaner.clean(url), { url, removed: [] });
+  }
+});
+
+test('a question mark in the fragment is not the query', () => {
+  const cleaner = new UrlCleaner();
+
+  assert.deepEqual(cleaner.clean('https://app.example/#/route?utm_source=a'), {
+    url: 'https://app.example/#/route?utm_source=a',
+    removed: []
+  });
+  assert.equal(cleaner.clean('https://app.example/?fbclid=1#/route?utm_source=a').url, 'https://app.example/#/route?utm_source=a');
+});
+
+test('site rules only apply to their sites and subdomains', () => {
+  const cleaner = new UrlCleaner();
+
+  assert.equal(cleaner.clean('https://www.youtube.com/watch?v=1&si=abc').url, 'https://www.youtube.com/watch?v=1');
+  assert.equal(cleaner.clean('https://video.example/watch?v=1&si=abc').url, 'https://video.example/watch?v=1&si=abc');
+});
+
+test('invalid rules are reported and dropped', () => {
+  const cleaner = new UrlCleaner([]);
+
+  assert.deepEqual(cleaner.setRules(['ref', '! comment', '*', 'a=b', ': x', 'ref']), ['*', 'a=b', ': x']);
+  assert.deepEqual(cleaner.getRules(), ['ref']);
+  assert.equal(parseParamRule('*.example.com: ref').domains[0], 'example.com');
+});
@@ -0,0 +1,212 @@
+/**
+ * YarvixBrowser URL Cleaner
+ * Removes tracking parameters (utm_source, fbclid, gclid, ...) from URLs before
+ * they are loaded.
+ *
+ * - One rule per parameter: `fbclid`, or a `*` wildcard like `utm_*`
+ * - Site-specific rules list the sites before a colon: `youtube.com, youtu.be: si`
+ *   (a site also matches its subdomains)
+ * - Only the query string is touched; everything else in the URL, including a
+ *   `?` inside the #fragment, is kept as written
+ */
+
+// Rules used until the user edits the list
+const DEFAULT_PARAM_RULES = [
+  // Campaign tags
+  'utm_*',
+  'mtm_*',
+  'pk_*',
+  'mc_cid',
+  'mc_eid',
+  'mkt_tok',
+  '_hsenc',
+  '_hsmi',
+  'oly_anon_id',
+  'oly_enc_id',
+  'vero_id',
+  'vero_conv',
+  // Ad click identifiers
+  'fbclid',
+  'gclid',
+  'gclsrc',
+  'dclid',
+  'gbraid',
+  'wbraid',
+  'msclkid',
+  'yclid',
+  'twclid',
+  'ttclid',
+  'li_fat_id',
+  'igshid',
+  'epik',
+  '_openstat',
+  // Site-specific share and referral tags
+  'youtube.com, youtu.be: si',
+  'youtube.com: pp',
+  'open.spotify.com: si',
+  'instagram.com: igsh',
+  'twitter.com, x.com: s',
+  'twitter.com, x.com: t',
+  'twitter.com, x.com: ref_src',
+  'amazon.com, amazon.co.uk, amazon.de, amazon.in: pd_rd_*',
+  'amazon.com, amazon.co.uk, amazon.de, amazon.in: pf_rd_*',
+  'amazon.com, amazon.co.uk, amazon.de, amazon.in: _encoding',
+  'linkedin.com: trk',
+  'linkedin.com: trackingId',
+  'reddit.com: share_id',
+  'tiktok.com: _t',
+  'tiktok.com: _r'
+];
+
+/**
+ * Parse one parameter rule
+ * @param {string} text - Rule text, e.g. `utm_*` or `youtube.com: si`
+ * @returns {Object|null} - { raw, domains, test }, or null if the rule is invalid
+ */
+function parseParamRule(text) {
+  const raw = String(text).trim();
+  if (!raw || raw.startsWith('!')) return null;
+
+  const colon = raw.indexOf(':');
+  const param = (colon === -1 ? raw : raw.slice(colon + 1)).trim();
+  const domains = colon === -1 ? [] : raw.slice(0, colon)
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^\*?\./, ''))
+    .filter(Boolean);
+
+  if (!param || /[\s=&#?:]/.test(param) || param === '*') return null;
+  if (colon !== -1 && (domains.length === 0 || domains.some(domain => !/^[a-z0-9.-]+$/.test(domain)))) {
+    return null;
+  }
+
+  let test;
+  if (param.includes('*')) {
+    const escaped = param.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const regex = new RegExp(`^${escaped}$`);
+    test = name => regex.test(name);
+  } else {
+    test = name => name === param;
+  }
+
+  return { raw, domains, test };
+}
+
+/**
+ * Check whether a hostname is a domain or one of its subdomains
+ * @param {string} hostname - Hostname to check
+ * @param {string} domain - Domain from a rule
+ * @returns {boolean}
+ */
+function matchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+/**
+ * Decode a query string key for matching (malformed escapes are matched as written)
+ * @param {string} key - Raw key
+ * @returns {string}
+ */
+function decodeParamName(key) {
+  try {
+    return decodeURIComponent(key.replace(/\+/g, ' '));
+  } catch {
+    return key;
+  }
+}
+
+/**
+ * UrlCleaner class - strips parameters matched by a rule list
+ */
+class UrlCleaner {
+  /**
+   * @param {string[]} rules - Rule texts (DEFAULT_PARAM_RULES when omitted)
+   */
+  constructor(rules = DEFAULT_PARAM_RULES) {
+    this.rules = [];
+    this.setRules(rules);
+  }
+
+  /**
+   * Replace the rule list
+   * @param {string[]} rules - Rule texts
+   * @returns {string[]} - Rules that could not be parsed (they are dropped)
+   */
+  setRules(rules) {
+    const invalid = [];
+    const parsed = [];
+    const seen = new Set();
+
+    for (const text of rules) {
+      const rule = parseParamRule(text);
+      if (!rule) {
+        if (String(text).trim() && !String(text).trim().startsWith('!')) invalid.push(String(text).trim());
+        continue;
+      }
+      if (seen.has(rule.raw)) continue;
+      seen.add(rule.raw);
+      parsed.push(rule);
+    }
+
+    this.rules = parsed;
+    return invalid;
+  }
+
+  /**
+   * Get the rule texts
+   * @returns {string[]}
+   */
+  getRules() {
+    return this.rules.map(rule => rule.raw);
+  }
+
+  /**
+   * Remove tracking parameters from a URL
+   * @param {string} url - http(s) URL
+   * @returns {{url: string, removed: string[]}} - The cleaned URL (unchanged when nothing
+   *   matched) and the names of the removed parameters
+   */
+  clean(url) {
+    const unchanged = { url, removed: [] };
+    if (typeof url !== 'string' || !/^https?:/i.test(url)) return unchanged;
+
+    // A `?` in the fragment (`#/route?utm_source=a`) belongs to the page, not the query
+    const hashStart = url.indexOf('#');
+    const hash = hashStart === -1 ? '' : url.slice(hashStart);
+    const beforeHash = hashStart === -1 ? url : url.slice(0, hashStart);
+    const queryStart = beforeHash.indexOf('?');
+    if (queryStart === -1) return unchanged;
+
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return unchanged;
+    }
+
+    const rules = this.rules.filter(rule =>
+      rule.domains.length === 0 || rule.domains.some(domain => matchesDomain(hostname, domain)));
+    if (rules.length === 0) return unchanged;
+
+    const query = beforeHash.slice(queryStart + 1);
+
+    const removed = [];
+    const kept = query.split('&').filter(part => {
+      if (!part) return false;
+      const name = decodeParamName(part.split('=')[0]);
+      if (rules.some(rule => rule.test(name))) {
+        removed.push(name);
+        return false;
+      }
+      return true;
+    });
+    if (removed.length === 0) return unchanged;
+
+    const base = beforeHash.slice(0, queryStart);
+    return {
+      url: base + (kept.length ? '?' + kept.join('&') : '') + hash,
+      removed
+    };
+  }
+}
+
+module.exports = { UrlCleaner, DEFAULT_PARAM_RULES, parseParamRule };
@@ -0,0 +1,44 @@
+/**
+ * YarvixBrowser Webview Preload
+ * Runs in every tab before the page's own scripts, which is the only point
+ * where scriptlets can reliably wrap page globals (JSON.parse, setTimeout, ...).
+ *
+ * The scriptlets and the fingerprinting protection for the page are fetched
+ * synchronously from the main process so they are in place before the first
+ * page script executes. Interstitial pages also get their buttons wired to the
+ * main process from here.
+ */
+
+const { ipcRenderer, webFrame } = require('electron');
+
+try {
+  const script = ipcRenderer.sendSync('adblock-get-scriptlets', window.location.href);
+  if (script) {
+    // executeJavaScript runs in the page's main world and isn't subject to its CSP
+    webFrame.executeJavaScript(script).catch(err => {
+      console.warn('[Scriptlets] Failed to run scriptlets:', err);
+    });
+  }
+} catch (err) {
+  console.warn('[Scriptlets] Failed to load scriptlets:', err);
+}
+
+try {
+  const script = ipcRenderer.sendSync('fingerprint-get-script', window.location.href);
+  if (script) {
+    webFrame.executeJavaScript(script).catch(err => {
+      console.warn('[Fingerprinting] Failed to run protection:', err);
+    });
+  }
+} catch (err) {
+  console.warn('[Fingerprinting] Failed to load protection:', err);
+}
+
+// The browser's interstitial page (e.g. HTTPS-Only fallback) asks the main process to
+// proceed or go back. Sites can't navigate to file: URLs, so only the local page gets this
+if (window.location.protocol === 'file:' && window.location.pathname.endsWith('/interstitial.html')) {
+  window.yarvixInterstitial = {
+    proceed: () => ipcRenderer.send('interstitial-proceed'),
+    goBack: () => ipcRenderer.send('interstitial-go-back')
+  };
+}